@@ -0,0 +1,215 @@
+import logger from './logger.js';
+import storage from './storage.js';
+
+/**
+ * --- CONFIGURATION ---
+ * Owners come from the environment (ADMIN_USER_ID) and can never be revoked;
+ * every other role is granted at runtime and persisted per PSID.
+ */
+const CONFIG = {
+  ownerIds: [],
+  maxAuditEntries: 500,
+};
+
+/**
+ * Roles in increasing order of access. `banned` sits below everyone and can use nothing.
+ */
+export const ROLE_LEVELS = ['banned', 'user', 'vip', 'moderator', 'admin', 'owner'];
+
+/** Roles that may be granted with the grant command */
+export const GRANTABLE_ROLES = ['banned', 'vip', 'moderator', 'admin'];
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * @typedef {object} RoleGrant
+ * @property {string} role
+ * @property {string} grantedBy - PSID of whoever granted it, or 'system'
+ * @property {number} grantedAt
+ * @property {number|null} expiresAt - The user falls back to `user` after this
+ * @property {string|null} reason
+ * @property {RoleGrant|null} [previous] - On a ban: the grant it replaced, given back when the ban ends
+ *
+ * @typedef {object} AuditEntry
+ * @property {number} at
+ * @property {string} actorId
+ * @property {string} actorRole
+ * @property {string} action - e.g. "admin grant"
+ * @property {string} details
+ * @property {'ok'|'denied'|'error'} outcome
+ */
+
+/**
+ * Raised when a grant or revoke is not allowed or does not make sense.
+ * `code` and `params` let the bot word the refusal in the user's language.
+ */
+export class AccessError extends Error {
+  constructor(message, code = null, params = {}) {
+    super(message);
+    this.name = 'AccessError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+const roleGrants = storage.map('userRoles'); // userId -> RoleGrant
+const auditLog = storage.map('auditLog'); // `${at}-${sequence}` -> AuditEntry, oldest first
+let auditSequence = 0;
+
+const levelOf = (role) => ROLE_LEVELS.indexOf(role);
+
+const isExpired = (grant, now) => Boolean(grant.expiresAt && grant.expiresAt <= now);
+
+/** Removes a grant, giving back whatever a ban replaced if it has not run out meanwhile */
+function endGrant(userId, grant, now = Date.now()) {
+  if (grant.previous && !isExpired(grant.previous, now)) roleGrants.set(userId, grant.previous);
+  else roleGrants.delete(userId);
+}
+
+/**
+ * Parses a duration like 45s, 30m, 12h, 7d or 2w into milliseconds; null if it is not one
+ */
+export function parseDuration(text) {
+  const match = /^(\d+)\s*([smhdw])$/i.exec(text?.trim() || '');
+  return match ? Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()] : null;
+}
+
+/**
+ * Formats milliseconds as the largest whole unit, e.g. "3d" or "45m"
+ */
+export function formatDuration(ms) {
+  const [unit, size] = Object.entries(DURATION_UNITS).reverse().find(([, size]) => ms >= size) || ['s', DURATION_UNITS.s];
+  return `${Math.max(1, Math.round(ms / size))}${unit}`;
+}
+
+/**
+ * Roles, grants and the audit trail of privileged actions
+ */
+const accessControl = {
+  /** The user's role right now; expired grants are dropped as they are found */
+  getRole(userId, now = Date.now()) {
+    if (CONFIG.ownerIds.includes(userId)) return 'owner';
+    const grant = roleGrants.get(userId);
+    if (!grant) return 'user';
+    if (isExpired(grant, now)) {
+      accessControl.expire(userId, grant, now);
+      return accessControl.getRole(userId, now);
+    }
+    return grant.role;
+  },
+
+  /** The stored grant behind a role, or null for owners and plain users */
+  getGrant: (userId) => roleGrants.get(userId) ?? null,
+
+  /** Whether the user's role is at least `role` */
+  hasRole: (userId, role) => levelOf(accessControl.getRole(userId)) >= levelOf(role),
+
+  /**
+   * Gives a user a role. Staff may only grant roles below their own, to users below them.
+   * A ban keeps the grant it replaces, so the user gets it back when the ban ends.
+   *
+   * @param {string} actorId - Who is granting (checked), or 'system'
+   * @param {string} userId
+   * @param {string} role - One of GRANTABLE_ROLES
+   * @param {{ duration?: number|null, reason?: string|null }} [options]
+   * @returns {RoleGrant}
+   */
+  grant(actorId, userId, role, { duration = null, reason = null } = {}) {
+    if (!GRANTABLE_ROLES.includes(role)) {
+      const roles = GRANTABLE_ROLES.join(', ');
+      throw new AccessError(`'${role}' is not a role you can grant (use ${roles})`, 'notGrantable', { role, roles });
+    }
+    accessControl.assertCanManage(actorId, userId, role);
+
+    const now = Date.now();
+    const grant = { role, grantedBy: actorId, grantedAt: now, expiresAt: duration ? now + duration : null, reason };
+    const replaced = roleGrants.get(userId);
+    if (role === 'banned' && replaced) {
+      const previous = replaced.role === 'banned' ? replaced.previous : replaced;
+      if (previous && !isExpired(previous, now)) grant.previous = previous;
+    }
+    roleGrants.set(userId, grant);
+    logger.info(`🛡️ ${actorId} granted ${role} to ${userId}${duration ? ` for ${formatDuration(duration)}` : ''}`);
+    return grant;
+  },
+
+  /**
+   * Returns a user to the plain user role, or to the role a ban replaced;
+   * resolves to the grant that was removed, or null
+   */
+  revoke(actorId, userId) {
+    const grant = roleGrants.get(userId);
+    if (!grant) return null;
+    accessControl.assertCanManage(actorId, userId, grant.role);
+    endGrant(userId, grant);
+    logger.info(`🛡️ ${actorId} revoked ${grant.role} from ${userId}`);
+    return grant;
+  },
+
+  /** Throws an AccessError unless the actor outranks both the target user and the role involved */
+  assertCanManage(actorId, userId, role) {
+    if (actorId === 'system') return;
+    const actorLevel = levelOf(accessControl.getRole(actorId));
+    if (CONFIG.ownerIds.includes(userId)) throw new AccessError('Owners are set in the environment and cannot be changed', 'ownerLocked');
+    if (actorId === userId) throw new AccessError('You cannot change your own role', 'self');
+    if (levelOf(role) >= actorLevel) throw new AccessError(`Only someone above ${role} can grant or revoke it`, 'roleTooHigh', { role });
+    if (levelOf(accessControl.getRole(userId)) >= actorLevel) {
+      throw new AccessError(`User ${userId} has the same or a higher role than you`, 'targetTooHigh', { userId });
+    }
+  },
+
+  /** Drops an expired grant and records it in the audit log */
+  expire(userId, grant = roleGrants.get(userId), now = Date.now()) {
+    if (!grant) return;
+    endGrant(userId, grant, now);
+    accessControl.audit('system', 'role expired', `${userId} ${grant.role}`);
+    logger.info(`⌛ ${grant.role} for ${userId} expired`);
+  },
+
+  /** Drops every expired grant; returns [userId, grant] pairs for the ones removed */
+  expireRoles(now = Date.now()) {
+    const expired = [...roleGrants].filter(([, grant]) => isExpired(grant, now));
+    expired.forEach(([userId, grant]) => accessControl.expire(userId, grant, now));
+    return expired;
+  },
+
+  /** Users holding a role (owners included for `owner`), with their grants */
+  listRole(role) {
+    if (role === 'owner') return CONFIG.ownerIds.map(userId => [userId, null]);
+    return [...roleGrants].filter(([userId]) => accessControl.getRole(userId) === role);
+  },
+
+  /** Every stored grant, highest role first */
+  listGrants: () => [...roleGrants].sort((a, b) => levelOf(b[1].role) - levelOf(a[1].role)),
+
+  /** Appends an entry to the audit log, dropping the oldest beyond the configured limit */
+  audit(actorId, action, details = '', outcome = 'ok') {
+    const at = Date.now();
+    const entry = { at, actorId, actorRole: actorId === 'system' ? 'system' : accessControl.getRole(actorId), action, details, outcome };
+    auditLog.set(`${at}-${auditSequence++}`, entry);
+    for (const key of [...auditLog.keys()].slice(0, Math.max(0, auditLog.size - CONFIG.maxAuditEntries))) {
+      auditLog.delete(key);
+    }
+    return entry;
+  },
+
+  /** Most recent audit entries, newest first */
+  getAuditLog: (limit = 20) => [...auditLog.values()].slice(-limit).reverse(),
+
+  /** Counts per role for admin stats and health checks */
+  getStats() {
+    const counts = Object.fromEntries(ROLE_LEVELS.filter(role => role !== 'user').map(role => [role, 0]));
+    counts.owner = CONFIG.ownerIds.length;
+    for (const [userId] of roleGrants) {
+      const role = accessControl.getRole(userId);
+      if (role in counts) counts[role]++;
+    }
+    return { ...counts, auditEntries: auditLog.size };
+  },
+
+  /** Configuration methods */
+  setConfig: (newConfig) => Object.assign(CONFIG, newConfig),
+  getConfig: () => ({ ...CONFIG }),
+};
+
+export default accessControl;
@@ -0,0 +1,97 @@
+import catalog from './catalog.js';
+import { CATEGORIES } from './stock-source.js';
+
+/**
+ * @typedef {object} AlertRule
+ * @property {string} id
+ * @property {'item'|'category'} kind
+ * @property {string} match - Lowercase item-name fragment, or a category id
+ * @property {number} minQuantity
+ * @property {number} createdAt
+ *
+ * @typedef {{ rule: AlertRule, category: string, item: import('./stock-source.js').StockItem }} TriggeredAlert
+ */
+
+/** Words users type for each category */
+const CATEGORY_ALIASES = {
+  gear: 'gear', gears: 'gear', tool: 'gear', tools: 'gear',
+  seed: 'seed', seeds: 'seed', plant: 'seed', plants: 'seed',
+  egg: 'egg', eggs: 'egg', pet: 'egg', pets: 'egg',
+  cosmetic: 'cosmetics', cosmetics: 'cosmetics',
+  honey: 'honey',
+};
+
+/**
+ * Resolves what a user typed to a category id, or null
+ */
+export function resolveCategory(text) {
+  return CATEGORY_ALIASES[text?.trim().toLowerCase()] || null;
+}
+
+/**
+ * Parses "beanstalk", "master sprinkler 2" or "eggs" into a rule.
+ * A trailing number is the minimum quantity and catalog aliases resolve to the
+ * item's full name. Returns null for empty input.
+ *
+ * @returns {AlertRule|null}
+ */
+export function parseAlertRule(text) {
+  const words = text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  let minQuantity = 1;
+  if (words.length > 1 && /^x?\d+$/.test(words[words.length - 1])) {
+    minQuantity = Math.max(1, parseInt(words.pop().replace('x', ''), 10));
+  }
+  const match = words.join(' ');
+  if (!match) return null;
+
+  const category = resolveCategory(match);
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    kind: category ? 'category' : 'item',
+    match: category || catalog.lookup(match)?.name.toLowerCase() || match,
+    minQuantity,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * Human-readable form of a rule, for lists and confirmations
+ *
+ * @param {AlertRule} rule
+ * @param {(key: string, params?: object) => string} t - Looks up `alertRules.*` messages in the reader's language
+ */
+export function describeAlertRule(rule, t) {
+  const target = rule.kind === 'category' ? t('alertRules.category', { category: rule.match }) : t('alertRules.item', { item: rule.match });
+  return rule.minQuantity > 1 ? t('alertRules.atLeast', { rule: target, count: rule.minQuantity }) : target;
+}
+
+function ruleMatches(rule, category, item) {
+  if (item.value < rule.minQuantity) return false;
+  return rule.kind === 'category' ? rule.match === category : item.name.toLowerCase().includes(rule.match);
+}
+
+/**
+ * Finds the rules a new snapshot triggers: an item that satisfies a rule now but did not
+ * in the previous snapshot. Without a previous snapshot nothing triggers, so a restart
+ * does not re-send alerts for stock that was already there.
+ *
+ * @returns {TriggeredAlert[]}
+ */
+export function findTriggeredAlerts(rules, snapshot, previous) {
+  if (!previous || rules.length === 0) return [];
+  const triggered = [];
+
+  for (const category of CATEGORIES) {
+    const before = new Map((previous.stock[category] || []).map(item => [item.name.toLowerCase(), item]));
+    for (const item of snapshot.stock[category] || []) {
+      const old = before.get(item.name.toLowerCase());
+      for (const rule of rules) {
+        if (ruleMatches(rule, category, item) && !(old && ruleMatches(rule, category, old))) {
+          triggered.push({ rule, category, item });
+        }
+      }
+    }
+  }
+
+  return triggered;
+}
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+import storage from './storage.js';
+
+/** Who a broadcast can be sent to; `watchers` also needs an item */
+export const AUDIENCES = ['all', 'trackers', 'vips', 'watchers'];
+
+/**
+ * @typedef {object} Broadcast
+ * @property {string} id
+ * @property {string} adminId - Who drafted it
+ * @property {object} message - Passed to `deliver` as is, e.g. a message key the bot renders per recipient
+ * @property {string} audience - One of AUDIENCES
+ * @property {string|null} item - Item or category for the `watchers` audience
+ * @property {number|null} sendAt - Epoch ms to send at, or null for right away
+ * @property {number} createdAt
+ *
+ * @typedef {object} BroadcastReport
+ * @property {string} id
+ * @property {string} adminId
+ * @property {string} audience
+ * @property {string|null} item
+ * @property {number} startedAt
+ * @property {number} finishedAt
+ * @property {number} total
+ * @property {number} sent
+ * @property {number} held - Waiting for the user's 24-hour window to reopen
+ * @property {string[]} failed - User IDs the send failed for
+ */
+
+const pendingUpdates = storage.map('pendingUpdates'); // adminId -> Broadcast awaiting confirmation
+const scheduledBroadcasts = storage.map('scheduledBroadcasts'); // id -> confirmed Broadcast with a sendAt
+const broadcastReports = storage.map('broadcastReports'); // id -> BroadcastReport, oldest first
+
+/**
+ * Creates the broadcaster. Broadcasts go through a preview first: the admin sees the message
+ * and audience size, then confirms. Confirmed broadcasts with a send time wait in the schedule.
+ * Audiences and delivery come from the bot, which knows its users.
+ *
+ * @param {object} options
+ * @param {(audience: string, item: string|null) => string[]} options.resolveAudience - Recipient IDs
+ * @param {(userId: string, message: object) => Promise<'sent'|'held'|'failed'>} options.deliver
+ * @param {(report: BroadcastReport, broadcast: Broadcast) => void} [options.onReport] - After every send
+ * @param {number} [options.draftTtl] - How long a draft may wait for confirmation (ms)
+ * @param {number} [options.checkInterval] - How often the schedule is checked (ms)
+ * @param {number} [options.maxReports] - Delivery reports kept
+ */
+export function createBroadcaster({
+  resolveAudience,
+  deliver,
+  onReport = () => {},
+  draftTtl = 60 * 60 * 1000,
+  checkInterval = 30 * 1000,
+  maxReports = 20,
+}) {
+  let timer = null;
+  const sending = new Set(); // ids of broadcasts being sent right now
+
+  async function send(broadcast) {
+    const recipients = [...new Set(resolveAudience(broadcast.audience, broadcast.item))];
+    const startedAt = Date.now();
+    logger.info(`📢 Sending broadcast ${broadcast.id} to ${recipients.length} user(s) (${broadcast.audience})`);
+
+    const outcomes = await Promise.all(recipients.map(async userId => [userId, await deliver(userId, broadcast.message)]));
+    const report = {
+      id: broadcast.id,
+      adminId: broadcast.adminId,
+      audience: broadcast.audience,
+      item: broadcast.item,
+      startedAt,
+      finishedAt: Date.now(),
+      total: recipients.length,
+      sent: outcomes.filter(([, outcome]) => outcome === 'sent').length,
+      held: outcomes.filter(([, outcome]) => outcome === 'held').length,
+      failed: outcomes.filter(([, outcome]) => outcome === 'failed').map(([userId]) => userId),
+    };
+
+    broadcastReports.set(report.id, report);
+    for (const key of [...broadcastReports.keys()].slice(0, Math.max(0, broadcastReports.size - maxReports))) {
+      broadcastReports.delete(key);
+    }
+    logger.success(`📢 Broadcast ${report.id}: ${report.sent} sent, ${report.held} held, ${report.failed.length} failed`);
+    onReport(report, broadcast);
+    return report;
+  }
+
+  function getDraft(adminId, now = Date.now()) {
+    const draft = pendingUpdates.get(adminId);
+    if (!draft) return null;
+    if (now - draft.createdAt > draftTtl) {
+      pendingUpdates.delete(adminId);
+      return null;
+    }
+    return draft;
+  }
+
+  async function sendDue(now = Date.now()) {
+    for (const [id, broadcast] of scheduledBroadcasts) {
+      if (broadcast.sendAt > now || sending.has(id)) continue;
+      sending.add(id);
+      scheduledBroadcasts.delete(id);
+      try {
+        await send(broadcast);
+      } catch (error) {
+        logger.error(`❌ Scheduled broadcast ${id} failed:`, error);
+      } finally {
+        sending.delete(id);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Stores a draft for the admin to confirm, replacing any earlier draft of theirs.
+     * Resolves to the draft and how many users it would reach right now.
+     */
+    preview(adminId, { message, audience = 'all', item = null, sendAt = null }) {
+      if (!AUDIENCES.includes(audience)) throw new Error(`Unknown broadcast audience '${audience}'`);
+      const draft = {
+        id: crypto.randomBytes(3).toString('hex'),
+        adminId,
+        message,
+        audience,
+        item,
+        sendAt,
+        createdAt: Date.now(),
+      };
+      pendingUpdates.set(adminId, draft);
+      return { draft, recipientCount: new Set(resolveAudience(audience, item)).size };
+    },
+
+    /** The admin's unconfirmed draft, or null once it has lapsed */
+    getDraft,
+
+    /**
+     * Confirms the admin's draft: scheduled drafts join the schedule, the rest are sent now.
+     *
+     * @returns {Promise<{ scheduled: Broadcast } | { report: BroadcastReport } | null>} null without a draft
+     */
+    async confirm(adminId) {
+      const draft = getDraft(adminId);
+      if (!draft) return null;
+      pendingUpdates.delete(adminId);
+
+      if (draft.sendAt && draft.sendAt > Date.now()) {
+        scheduledBroadcasts.set(draft.id, draft);
+        logger.info(`📅 Broadcast ${draft.id} scheduled for ${new Date(draft.sendAt).toISOString()} by ${adminId}`);
+        return { scheduled: draft };
+      }
+      return { report: await send(draft) };
+    },
+
+    /** Discards a draft (no id) or a scheduled broadcast; returns what was cancelled, or null */
+    cancel(adminId, id = null) {
+      if (!id) {
+        const draft = pendingUpdates.get(adminId) ?? null;
+        pendingUpdates.delete(adminId);
+        return draft;
+      }
+      const broadcast = scheduledBroadcasts.get(id) ?? null;
+      if (broadcast) {
+        scheduledBroadcasts.delete(id);
+        logger.info(`🗑️ Scheduled broadcast ${id} cancelled by ${adminId}`);
+      }
+      return broadcast;
+    },
+
+    /** Scheduled broadcasts, soonest first */
+    listScheduled: () => [...scheduledBroadcasts.values()].sort((a, b) => a.sendAt - b.sendAt),
+
+    /** A delivery report by id, or the latest one */
+    getReport: (id = null) => (id ? broadcastReports.get(id) : [...broadcastReports.values()].at(-1)) ?? null,
+
+    /** Starts sending scheduled broadcasts when they fall due (including any missed while offline) */
+    start() {
+      if (timer) return;
+      timer = setInterval(() => sendDue(), checkInterval);
+      sendDue();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    getStats: () => ({
+      drafts: pendingUpdates.size,
+      scheduled: scheduledBroadcasts.size,
+      reports: broadcastReports.size,
+    }),
+  };
+}
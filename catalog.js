@@ -0,0 +1,189 @@
+import fs from 'fs';
+import logger from './logger.js';
+import storage from './storage.js';
+import { CATEGORIES } from './stock-source.js';
+
+/**
+ * --- CONFIGURATION ---
+ * The shipped catalog lives in catalog.json. Admin edits are stored as overrides
+ * on top of it, so a redeploy with a newer file keeps them.
+ */
+const CONFIG = {
+  file: new URL('./catalog.json', import.meta.url),
+  defaultTier: 'common',
+  defaultEmoji: '🌿',
+};
+
+/**
+ * @typedef {object} CatalogItem
+ * @property {string} name
+ * @property {string} category - One of CATEGORIES
+ * @property {string} tier - Key of the tiers table
+ * @property {string} emoji
+ * @property {string[]} aliases - Other names users type for it
+ *
+ * @typedef {object} TierSettings
+ * @property {string} label
+ * @property {number} rank - Higher is rarer
+ * @property {boolean} alert - In-stock items of this tier trigger the divine alert
+ */
+
+const ITEM_FIELDS = ['category', 'tier', 'emoji', 'aliases'];
+const TIER_FIELDS = ['label', 'rank', 'alert'];
+
+const itemOverrides = storage.map('catalogItems'); // lowercase name -> Partial<CatalogItem>
+const tierOverrides = storage.map('catalogTiers'); // tier id -> Partial<TierSettings>
+
+let shipped = null;
+let index = null;
+
+/**
+ * Raised for admin edits the catalog cannot accept
+ */
+export class CatalogError extends Error {
+  constructor(message, code = null, params = {}) {
+    super(message);
+    this.name = 'CatalogError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+function loadShipped() {
+  if (shipped) return shipped;
+  try {
+    shipped = JSON.parse(fs.readFileSync(CONFIG.file, 'utf8'));
+  } catch (error) {
+    logger.error('📚 Failed to load the item catalog, continuing with an empty one:', error.message);
+    shipped = { tiers: {}, items: [] };
+  }
+  return shipped;
+}
+
+function getTierTable() {
+  const tiers = {};
+  for (const [id, settings] of Object.entries(loadShipped().tiers)) tiers[id] = { ...settings };
+  for (const [id, override] of tierOverrides) tiers[id] = { ...tiers[id], ...override };
+  return tiers;
+}
+
+/**
+ * Merges shipped items with overrides and indexes every name and alias (lowercase)
+ */
+function getIndex() {
+  if (index) return index;
+  const items = new Map();
+  for (const item of loadShipped().items) items.set(item.name.toLowerCase(), { aliases: [], ...item });
+  for (const [key, override] of itemOverrides) {
+    items.set(key, { aliases: [], ...items.get(key), ...override });
+  }
+
+  index = { items: [...items.values()], byName: new Map() };
+  for (const item of index.items) {
+    index.byName.set(item.name.toLowerCase(), item);
+  }
+  for (const item of index.items) {
+    for (const alias of item.aliases) {
+      const key = alias.toLowerCase();
+      if (!index.byName.has(key)) index.byName.set(key, item);
+      else if (index.byName.get(key) !== item) logger.warn(`📚 Catalog alias '${alias}' is already taken, ignored for ${item.name}`);
+    }
+  }
+  return index;
+}
+
+/**
+ * Checks an edit before it is stored
+ */
+function validateItem(name, item) {
+  if (!CATEGORIES.includes(item.category)) {
+    const categories = CATEGORIES.join(', ');
+    throw new CatalogError(`'${name}' needs a category (${categories})`, 'needsCategory', { name, categories });
+  }
+  if (!getTierTable()[item.tier]) {
+    const tiers = Object.keys(getTierTable()).join(', ');
+    throw new CatalogError(`Unknown tier '${item.tier}' (${tiers})`, 'unknownTier', { tier: item.tier, tiers });
+  }
+}
+
+/**
+ * Item catalog: names, categories, rarity tiers, emojis and aliases
+ */
+const catalog = {
+  /** Finds an item by exact name or alias (case-insensitive), or null */
+  lookup: (name) => getIndex().byName.get(name?.trim().toLowerCase()) || null,
+
+  /** Emoji for an item, falling back to the default for unknown items */
+  getEmoji: (name) => catalog.lookup(name)?.emoji || CONFIG.defaultEmoji,
+
+  /** Tier id for an item; unknown items are treated as the default tier */
+  getTier: (name) => catalog.lookup(name)?.tier || CONFIG.defaultTier,
+
+  /** Whether an item's tier is configured to raise the divine alert */
+  shouldAlert(name) {
+    return getTierTable()[catalog.getTier(name)]?.alert === true;
+  },
+
+  /** Every catalog item, optionally narrowed to a tier or category, rarest first */
+  getItems({ tier, category } = {}) {
+    const tiers = getTierTable();
+    return getIndex().items
+      .filter(item => (!tier || item.tier === tier) && (!category || item.category === category))
+      .sort((a, b) => (tiers[b.tier]?.rank ?? 0) - (tiers[a.tier]?.rank ?? 0) || a.name.localeCompare(b.name));
+  },
+
+  /** Tier settings keyed by tier id */
+  getTiers: getTierTable,
+
+  /**
+   * Creates or edits an item. New items need a category; changes are stored as an
+   * override so the shipped file stays untouched.
+   *
+   * @returns {CatalogItem}
+   */
+  setItem(name, changes) {
+    const existing = catalog.lookup(name);
+    const key = (existing?.name || name.trim()).toLowerCase();
+    const fields = Object.fromEntries(Object.entries(changes).filter(([field]) => ITEM_FIELDS.includes(field)));
+    const item = {
+      name: existing?.name || name.trim(),
+      tier: CONFIG.defaultTier,
+      emoji: CONFIG.defaultEmoji,
+      aliases: [],
+      ...existing,
+      ...fields,
+    };
+    validateItem(item.name, item);
+
+    itemOverrides.set(key, existing ? { ...itemOverrides.get(key), name: item.name, ...fields } : item);
+    index = null;
+    return item;
+  },
+
+  /** Drops an item's overrides, restoring the shipped entry (or removing an added item) */
+  resetItem(name) {
+    const key = (catalog.lookup(name)?.name || name.trim()).toLowerCase();
+    const removed = itemOverrides.delete(key);
+    index = null;
+    return removed;
+  },
+
+  /** Edits a tier's settings, e.g. { alert: false } */
+  setTier(id, changes) {
+    if (!getTierTable()[id]) throw new CatalogError(`Unknown tier '${id}'`, 'unknownTier', { tier: id, tiers: Object.keys(getTierTable()).join(', ') });
+    const fields = Object.fromEntries(Object.entries(changes).filter(([field]) => TIER_FIELDS.includes(field)));
+    if ('rank' in fields && !Number.isFinite(fields.rank)) throw new CatalogError('A tier rank must be a number', 'badRank');
+    tierOverrides.set(id, { ...tierOverrides.get(id), ...fields });
+    return getTierTable()[id];
+  },
+
+  /** Configuration methods */
+  setConfig: (newConfig) => {
+    Object.assign(CONFIG, newConfig);
+    shipped = null;
+    index = null;
+  },
+  getConfig: () => ({ ...CONFIG }),
+};
+
+export default catalog;
@@ -0,0 +1,319 @@
+/**
+ * Roles in increasing order of access (the same ladder as access-control.js).
+ * A command open to a role is open to every role after it; `banned` can run nothing.
+ */
+export const ROLES = ['banned', 'user', 'vip', 'moderator', 'admin', 'owner'];
+
+const ARG_TYPES = ['word', 'number', 'text'];
+
+/** Shortest typed prefix that may stand for a longer command or subcommand name */
+const MIN_PREFIX_LENGTH = 3;
+
+/**
+ * @typedef {object} ArgSpec
+ * @property {string} name
+ * @property {'word'|'number'|'text'} [type] - `text` takes every remaining word (default word)
+ * @property {boolean} [optional]
+ * @property {string[]} [choices] - Accepted values for a word, compared lowercase
+ * @property {string} [description]
+ *
+ * @typedef {object} CommandSpec
+ * @property {string} name
+ * @property {string[]} [aliases]
+ * @property {string} description
+ * @property {string} [category]
+ * @property {'user'|'vip'|'moderator'|'admin'|'owner'} [role] - Lowest role allowed to run it (default user)
+ * @property {boolean} [availableWhileResting] - Works during the nightly rest hours (default true)
+ * @property {boolean} [audited] - Runs (and refused attempts) belong in the audit log (default false)
+ * @property {ArgSpec[]} [args]
+ * @property {string[]} [examples]
+ * @property {Record<string, CommandSpec>} [subcommands] - Chosen by the first word. They inherit the
+ *   role, resting and audited flags and execute of their command, so one execute can switch on args[0].
+ * @property {string} [defaultSubcommand] - Subcommand to run when no word is given
+ * @property {string} [fallbackSubcommand] - Subcommand to run when the first word is not a subcommand;
+ *   every word is then its arguments, e.g. 'remind eggs 2m' runs as 'remind add eggs 2m'. Subcommands
+ *   of such a command are matched by full name or alias only, so 'remind can' is not 'remind cancel'.
+ * @property {(senderId: string, args: string[], pageAccessToken: string, params: object) => Promise<any>} execute
+ *   `args` is every word after the command name (subcommand included); `params` holds the parsed args by name.
+ */
+
+/**
+ * Raised at startup for a command declaration the framework cannot use
+ */
+export class CommandDefinitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandDefinitionError';
+  }
+}
+
+function normalizeArgs(owner, args = []) {
+  args.forEach((arg, index) => {
+    if (!arg.name) throw new CommandDefinitionError(`'${owner}' has an argument without a name`);
+    if (arg.type && !ARG_TYPES.includes(arg.type)) {
+      throw new CommandDefinitionError(`'${owner}' argument '${arg.name}' has unknown type '${arg.type}'`);
+    }
+    if (arg.type === 'text' && index !== args.length - 1) {
+      throw new CommandDefinitionError(`'${owner}' text argument '${arg.name}' must come last`);
+    }
+  });
+  return args;
+}
+
+/**
+ * Checks a command declaration and fills in defaults
+ *
+ * @param {CommandSpec} spec
+ */
+export function defineCommand(spec, parent = null) {
+  const path = parent ? `${parent.path} ${spec.name}` : spec.name;
+  if (!spec.name) throw new CommandDefinitionError('Command is missing a name');
+
+  const role = spec.role || parent?.role || 'user';
+  if (!ROLES.includes(role) || role === 'banned') throw new CommandDefinitionError(`'${path}' has unknown role '${role}'`);
+
+  const command = {
+    ...spec,
+    aliases: spec.aliases || [],
+    role,
+    availableWhileResting: spec.availableWhileResting ?? parent?.availableWhileResting ?? true,
+    audited: spec.audited ?? parent?.audited ?? false,
+    args: normalizeArgs(path, spec.args),
+    examples: spec.examples || [],
+    execute: spec.execute || parent?.execute,
+    path,
+  };
+  if (typeof command.execute !== 'function') throw new CommandDefinitionError(`'${path}' has no execute function`);
+
+  // Subcommands are looked up by name or alias; `subcommands` keeps each one once
+  command.subcommands = {};
+  command.subcommandNames = new Map();
+  for (const [name, sub] of Object.entries(spec.subcommands || {})) {
+    const subcommand = defineCommand({ ...sub, name, description: sub.description || spec.description, category: spec.category }, command);
+    command.subcommands[name] = subcommand;
+    for (const word of [name, ...subcommand.aliases]) {
+      const existing = command.subcommandNames.get(word);
+      if (existing) throw new CommandDefinitionError(`'${path} ${word}' is claimed by both '${existing.path}' and '${subcommand.path}'`);
+      command.subcommandNames.set(word, subcommand);
+    }
+  }
+  if (spec.defaultSubcommand && !command.subcommands[spec.defaultSubcommand]) {
+    throw new CommandDefinitionError(`'${path}' default subcommand '${spec.defaultSubcommand}' is not declared`);
+  }
+  if (spec.fallbackSubcommand && !command.subcommands[spec.fallbackSubcommand]) {
+    throw new CommandDefinitionError(`'${path}' fallback subcommand '${spec.fallbackSubcommand}' is not declared`);
+  }
+  return command;
+}
+
+/**
+ * Edit distance between two words, counting a swap of neighbouring letters as one edit
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Looks a word up in a map of names to entries: an exact name first, then (unless `exact`)
+ * a prefix that only one entry's names start with. Returns null when neither matches.
+ */
+function resolveName(names, word, { exact = false } = {}) {
+  if (!word) return null;
+  if (names.has(word)) return names.get(word);
+  if (exact || word.length < MIN_PREFIX_LENGTH) return null;
+
+  const matches = new Set([...names].filter(([name]) => name.startsWith(word)).map(([, entry]) => entry));
+  return matches.size === 1 ? [...matches][0] : null;
+}
+
+/**
+ * Entries whose names are a likely typo of `word`, closest first. Short words allow one edit, longer ones two.
+ */
+function findSimilar(names, word, limit = 3) {
+  if (!word) return [];
+  const maxDistance = word.length <= 4 ? 1 : 2;
+  const best = new Map(); // entry -> closest distance
+
+  for (const [name, entry] of names) {
+    // Ties go to names the word is the start of ("of" is closer to "off" than to "on")
+    const distance = editDistance(word, name) - (name.startsWith(word) ? 0.5 : 0);
+    if (distance <= maxDistance && distance < (best.get(entry) ?? Infinity)) best.set(entry, distance);
+  }
+  return [...best].sort((a, b) => a[1] - b[1]).slice(0, limit).map(([entry]) => entry);
+}
+
+/**
+ * @typedef {object} UsageIssue - What was wrong with the arguments, for wording the reply
+ * @property {'missing'|'number'|'choice'|'option'} code - `option` is an unknown subcommand
+ * @property {string} [arg] - Argument name
+ * @property {string[]} [choices] - Accepted values, for `choice`
+ * @property {string} [word] - What was typed, for `option`
+ * @property {string|null} [suggestion] - Closest subcommand path, for `option`
+ */
+
+/**
+ * Parses words against an argument schema.
+ *
+ * @returns {{ ok: true, params: object } | { ok: false, error: string, issue: UsageIssue }}
+ */
+export function parseArgs(schema, words) {
+  const params = {};
+  let position = 0;
+
+  for (const arg of schema) {
+    if (position >= words.length) {
+      if (!arg.optional) return { ok: false, error: `Missing ${arg.name}`, issue: { code: 'missing', arg: arg.name } };
+      continue;
+    }
+
+    if (arg.type === 'text') {
+      params[arg.name] = words.slice(position).join(' ');
+      position = words.length;
+    } else if (arg.type === 'number') {
+      const value = Number(words[position]);
+      if (!Number.isFinite(value)) return { ok: false, error: `${arg.name} must be a number`, issue: { code: 'number', arg: arg.name } };
+      params[arg.name] = value;
+      position++;
+    } else {
+      const value = words[position];
+      if (arg.choices && !arg.choices.includes(value.toLowerCase())) {
+        return {
+          ok: false,
+          error: `${arg.name} must be one of: ${arg.choices.join(', ')}`,
+          issue: { code: 'choice', arg: arg.name, choices: arg.choices },
+        };
+      }
+      params[arg.name] = arg.choices ? value.toLowerCase() : value;
+      position++;
+    }
+  }
+
+  return { ok: true, params };
+}
+
+/**
+ * Usage lines for a command with what each does: one per subcommand, or one for the command itself.
+ * Optional arguments are shown in [brackets], required ones in <angle brackets>.
+ *
+ * @returns {{ usage: string, description: string, path: string }[]}
+ */
+export function getUsages(command) {
+  const describeArg = (arg) => {
+    const label = arg.choices ? arg.choices.join('|') : arg.type === 'text' ? `${arg.name}...` : arg.name;
+    return arg.optional ? `[${label}]` : `<${label}>`;
+  };
+  const usage = (cmd) => ({ usage: [cmd.path, ...cmd.args.map(describeArg)].join(' '), description: cmd.description, path: cmd.path });
+
+  const subcommands = Object.values(command.subcommands);
+  return subcommands.length > 0 ? subcommands.map(usage) : [usage(command)];
+}
+
+const canUse = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+/**
+ * Holds the registered commands and decides whether and how a command line may run.
+ * Sending the resulting replies is left to the caller.
+ *
+ * @param {object} options
+ * @param {(senderId: string) => string} options.getRole - One of ROLES
+ * @param {() => boolean} options.isResting - True during the nightly rest hours
+ */
+export function createCommandRegistry({ getRole, isResting }) {
+  const commands = new Map(); // name and aliases -> command
+  const allowedFor = (role) => new Map([...commands].filter(([, command]) => canUse(role, command.role)));
+
+  return {
+    /** Adds a command (a defineCommand result) under its name and aliases; refuses names already taken */
+    register(command) {
+      for (const word of [command.name, ...command.aliases]) {
+        const existing = commands.get(word);
+        if (existing) throw new CommandDefinitionError(`'${word}' is claimed by both '${existing.name}' and '${command.name}'`);
+      }
+      commands.set(command.name, command);
+      command.aliases.forEach(alias => commands.set(alias, command));
+    },
+
+    /** The command for a name, alias or unique prefix of one */
+    get: (name) => resolveName(commands, name?.toLowerCase()) || undefined,
+
+    /** Commands this sender may run whose names look like a typo of `word` */
+    suggest(senderId, word) {
+      return findSimilar(allowedFor(getRole(senderId)), word?.toLowerCase());
+    },
+
+    /** Each command once, in registration order */
+    list: () => [...new Set(commands.values())],
+
+    /** The same map of names and aliases to commands */
+    asMap: () => new Map(commands),
+
+    /** Whether this sender's role may run a command or subcommand */
+    canUse: (senderId, command) => canUse(getRole(senderId), command.role),
+
+    /**
+     * Runs a command line's words. Resolves to what happened:
+     * - ok: the command ran
+     * - unknown: no command by that name, alias or unique prefix
+     * - denied: the sender's role is too low (`required` says which role is needed)
+     * - resting: the command is unavailable during rest hours
+     * - usage: arguments did not match the schema (`error` says why in English and `issue` in
+     *   detail, or both are null when a command with subcommands was given none)
+     */
+    async dispatch(senderId, words, pageAccessToken) {
+      const [name, ...args] = words;
+      const role = getRole(senderId);
+      // Exact names always resolve (so restricted commands are refused); prefixes only reach commands the sender may use
+      const command = commands.get(name?.toLowerCase()) || resolveName(allowedFor(role), name?.toLowerCase());
+      if (!command) return { status: 'unknown', name };
+
+      if (!canUse(role, command.role)) return { status: 'denied', command, required: command.role };
+
+      let target = command;
+      let rest = args;
+      if (command.subcommandNames.size > 0) {
+        const word = args[0]?.toLowerCase();
+        // With a fallback, a word that only starts like a subcommand is taken as the fallback's argument
+        const exact = Boolean(command.fallbackSubcommand);
+        target = resolveName(command.subcommandNames, word, { exact }) || (word === undefined && command.subcommands[command.defaultSubcommand]);
+        if (!target && word !== undefined && command.fallbackSubcommand) {
+          target = command.subcommands[command.fallbackSubcommand];
+          args.unshift(target.name);
+        }
+        if (!target) {
+          const [similar] = findSimilar(command.subcommandNames, word, 1);
+          const hint = similar ? ` — did you mean '${similar.path}'?` : '';
+          if (word === undefined) return { status: 'usage', command, error: null, issue: null };
+          return {
+            status: 'usage',
+            command,
+            error: `Unknown option '${args[0]}'${hint}`,
+            issue: { code: 'option', word: args[0], suggestion: similar?.path ?? null },
+          };
+        }
+        // Handlers switch on the full subcommand name, whichever alias or prefix was typed
+        args[0] = target.name;
+        rest = args.slice(1);
+        if (!canUse(role, target.role)) return { status: 'denied', command: target, required: target.role };
+      }
+      if (!target.availableWhileResting && isResting()) return { status: 'resting', command: target };
+
+      const parsed = parseArgs(target.args, rest);
+      if (!parsed.ok) return { status: 'usage', command: target, error: parsed.error, issue: parsed.issue };
+
+      await target.execute(senderId, args, pageAccessToken, parsed.params);
+      return { status: 'ok', command: target };
+    },
+  };
+}
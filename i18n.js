@@ -0,0 +1,140 @@
+import logger from './logger.js';
+import en from './locales/en.js';
+import tl from './locales/tl.js';
+
+/** Languages the bot speaks, by code */
+export const LOCALES = {
+  en: 'English',
+  tl: 'Tagalog',
+};
+
+/**
+ * --- CONFIGURATION ---
+ * Messages missing from a locale fall back to `defaultLocale`, then to the key itself.
+ */
+const CONFIG = {
+  defaultLocale: 'en',
+};
+
+const catalogs = { en, tl };
+
+/** Words users may type for each language (see resolveLocale) */
+const LOCALE_NAMES = {
+  en: ['en', 'eng', 'english', 'ingles'],
+  tl: ['tl', 'tagalog', 'filipino', 'fil', 'pilipino'],
+};
+
+const missingReported = new Set(); // locale:key pairs already warned about
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+const interpolate = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+
+const placeholders = (template) => [...template.matchAll(/\{(\w+)\}/g)].map(([, name]) => name).sort().join(',');
+
+/** Every dot-separated key path to a string in a catalog */
+function flatten(messages, prefix = '', out = new Map()) {
+  for (const [key, value] of Object.entries(messages)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string') out.set(path, value);
+    else if (value && typeof value === 'object') flatten(value, path, out);
+  }
+  return out;
+}
+
+function merge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      target[key] = merge(target[key] && typeof target[key] === 'object' ? target[key] : {}, value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Message catalogs and lookups, with `{placeholder}` interpolation
+ */
+const i18n = {
+  /**
+   * The message for a key in a locale, with placeholders filled in from `params`
+   *
+   * @param {string} locale - One of LOCALES
+   * @param {string} key - Dot-separated path, e.g. 'watch.added'
+   * @param {Record<string, string|number>} [params]
+   */
+  t(locale, key, params = {}) {
+    let template = lookup(catalogs[locale], key);
+    if (typeof template !== 'string') {
+      template = lookup(catalogs[CONFIG.defaultLocale], key);
+      if (!missingReported.has(`${locale}:${key}`)) {
+        missingReported.add(`${locale}:${key}`);
+        logger.warn(`🌐 Missing ${locale} message '${key}'${typeof template === 'string' ? `, using ${CONFIG.defaultLocale}` : ''}`);
+      }
+    }
+    return typeof template === 'string' ? interpolate(template, params) : key;
+  },
+
+  /** Whether a locale (or the default locale) has a message for the key */
+  has: (locale, key) =>
+    typeof lookup(catalogs[locale], key) === 'string' || typeof lookup(catalogs[CONFIG.defaultLocale], key) === 'string',
+
+  isSupported: (locale) => Object.hasOwn(LOCALES, locale),
+
+  /**
+   * Maps a Messenger locale such as en_US or fil_PH to one we speak, or null
+   */
+  fromLocaleTag(tag) {
+    const language = tag?.split(/[_-]/)[0]?.toLowerCase();
+    if (!language) return null;
+    if (language === 'fil') return 'tl';
+    return Object.hasOwn(LOCALES, language) ? language : null;
+  },
+
+  /**
+   * Maps what a user typed ("tagalog", "English", "fil") to a locale code, or null
+   */
+  resolveLocale(word) {
+    const lowered = word?.toLowerCase();
+    return Object.keys(LOCALE_NAMES).find(locale => LOCALE_NAMES[locale].includes(lowered)) ?? null;
+  },
+
+  /**
+   * Adds or overrides messages at runtime, e.g. command descriptions declared in code
+   */
+  addMessages(locale, messages) {
+    if (!Object.hasOwn(LOCALES, locale)) throw new Error(`Unknown locale '${locale}'`);
+    merge(catalogs[locale], messages);
+  },
+
+  /**
+   * Differences between each locale and the default one: keys missing, keys the default
+   * does not have, and messages whose placeholders differ.
+   *
+   * @returns {{ locale: string, key: string, problem: 'missing'|'extra'|'placeholders' }[]}
+   */
+  findMissingKeys() {
+    const reference = flatten(catalogs[CONFIG.defaultLocale]);
+    const problems = [];
+    for (const locale of Object.keys(LOCALES)) {
+      if (locale === CONFIG.defaultLocale) continue;
+      const messages = flatten(catalogs[locale]);
+      for (const [key, template] of reference) {
+        if (!messages.has(key)) problems.push({ locale, key, problem: 'missing' });
+        else if (placeholders(messages.get(key)) !== placeholders(template)) problems.push({ locale, key, problem: 'placeholders' });
+      }
+      for (const key of messages.keys()) {
+        if (!reference.has(key)) problems.push({ locale, key, problem: 'extra' });
+      }
+    }
+    return problems;
+  },
+
+  /** Configuration methods */
+  setConfig: (newConfig) => Object.assign(CONFIG, newConfig),
+  getConfig: () => ({ ...CONFIG }),
+};
+
+export default i18n;
@@ -9,10 +9,33 @@ import express from 'express';
 import bodyParser from 'body-parser';
 import axios from 'axios';
 import logger from './logger.js';
+import storage from './storage.js';
+import { createStockPoller } from './stock-poller.js';
+import stockSource, { CATEGORIES as STOCK_CATEGORIES } from './stock-source.js';
+import { diffStock, filterDiff } from './stock-diff.js';
+import stockHistory from './stock-history.js';
+import { parseAlertRule, describeAlertRule, findTriggeredAlerts, resolveCategory } from './alert-rules.js';
+import catalog, { CatalogError } from './catalog.js';
+import { captureRawBody, requireSignature } from './webhook-signature.js';
+import sendQueue from './send-queue.js';
+import messagingWindow from './messaging-window.js';
+import userRegistry from './user-registry.js';
+import { createEventRouter, getEventType } from './webhook-events.js';
+import { buildMessengerProfile, syncMessengerProfile, commandPayload, parseCommandPayload, GET_STARTED_PAYLOAD } from './messenger-profile.js';
+import { splitMessage, renderStockCarousel, renderButtonTemplate, postbackButton } from './message-renderer.js';
+import { defineCommand, createCommandRegistry, getUsages } from './command-framework.js';
+import accessControl, { AccessError, GRANTABLE_ROLES, parseDuration, formatDuration } from './access-control.js';
+import { createBroadcaster, AUDIENCES } from './broadcaster.js';
+import { createReminderScheduler } from './reminders.js';
+import quietHours, { EXCEPTION_KINDS, parseQuietWindow, describeQuietWindow } from './quiet-hours.js';
+import i18n, { LOCALES } from './i18n.js';
+import { DEFAULT_TIME_ZONE, resolveTimeZone, getZonedParts, getZonedHour, nextTimeOfDay, formatDateTime, formatTimeOfDay } from './time-zones.js';
+import restockSchedule from './restock-schedule.js';
 
 // Load and validate credentials from .env file
 const PAGE_ACCESS_TOKEN = process.env.PAGE_ACCESS_TOKEN;
 const VERIFY_TOKEN = process.env.VERIFY_TOKEN;
+const APP_SECRET = process.env.APP_SECRET;
 
 // Validate required environment variables
 if (!PAGE_ACCESS_TOKEN) {
@@ -25,6 +48,11 @@ if (!VERIFY_TOKEN) {
   process.exit(1);
 }
 
+if (!APP_SECRET) {
+  logger.error('❌ APP_SECRET is required to verify webhook signatures! Please set it in your .env file.');
+  process.exit(1);
+}
+
 // ===================================================================================
 // 2. AUTO UPTIME SYSTEM (24/7 ONLINE)
 // ===================================================================================
@@ -162,40 +190,56 @@ if (UPTIME_CONFIG.enabled) {
 // 3. FACEBOOK MESSENGER HELPER FUNCTIONS
 // ===================================================================================
 
-async function sendMessage(recipientId, messagePayload, pageAccessToken) {
+/**
+ * Checks the 24-hour messaging window for a send (see messaging-window.js).
+ * Returns the Send API fields to use and the notification token they spend (if any),
+ * or null if the message was held or dropped.
+ */
+function resolveDelivery(recipientId, message, purpose) {
+  const delivery = messagingWindow.resolve(recipientId, purpose);
+  if (delivery.action === 'defer') {
+    messagingWindow.defer(recipientId, message);
+    logger.debug(`⏳ Held ${purpose} for ${recipientId} until they message again`);
+    return null;
+  }
+  if (delivery.action === 'drop') {
+    logger.debug(`🚫 Dropped ${purpose} for ${recipientId}: outside the 24-hour window`);
+    return null;
+  }
+  return { fields: { recipient: { id: recipientId }, ...delivery.fields }, token: delivery.token ?? null };
+}
+
+// A notification token is only spent once its send went out; otherwise the next alert may use it
+function settleDelivery(recipientId, delivery, sent) {
+  if (!sent && delivery.token) {
+    messagingWindow.restoreNotificationToken(recipientId, delivery.token);
+    logger.debug(`🔔 Kept the notification token for ${recipientId}: the send failed`);
+  }
+}
+
+async function sendMessage(recipientId, messagePayload, pageAccessToken, { purpose = 'response' } = {}) {
   // Input validation
   if (!recipientId || !messagePayload || !pageAccessToken) {
     logger.error('Missing required parameters for sendMessage');
     return false;
   }
 
-  const request_body = {
-    recipient: { id: recipientId },
-    message: messagePayload,
-    messaging_type: 'RESPONSE',
-  };
-
-  try {
-    const response = await axios.post('https://graph.facebook.com/v19.0/me/messages', request_body, {
-      params: { access_token: pageAccessToken },
-      timeout: 10000, // 10 second timeout
-    });
-    logger.success('Message sent to user:', recipientId);
-    return true;
-  } catch (error) {
-    if (error.response) {
-      logger.error('Facebook API error:', {
-        status: error.response.status,
-        data: error.response.data,
-        user: recipientId
-      });
-    } else if (error.request) {
-      logger.error('Network error sending message:', error.message);
-    } else {
-      logger.error('Error setting up message request:', error.message);
-    }
-    return false;
-  }
+  const delivery = resolveDelivery(recipientId, messagePayload, purpose);
+  if (!delivery) return false;
+
+  // Text over the Send API limit goes out as several messages; quick replies stay on the last one.
+  // Token sends address the user by token instead of id, and a token covers a single send,
+  // so a long alert is shortened to one message rather than losing its later parts
+  const messages = splitMessage(messagePayload, { single: !delivery.fields.recipient.id });
+
+  // Retries, backoff and per-user ordering are handled by the send queue
+  const results = await Promise.all(messages.map(message =>
+    sendQueue.enqueue(recipientId, { ...delivery.fields, message }, { accessToken: pageAccessToken })
+  ));
+  const sent = results.every(Boolean);
+  settleDelivery(recipientId, delivery, sent);
+  if (sent) logger.success('Message sent to user:', recipientId);
+  return sent;
 }
 
 async function sendTypingIndicator(recipientId, pageAccessToken, action = 'typing_on') {
@@ -204,72 +248,104 @@ async function sendTypingIndicator(recipientId, pageAccessToken, action = 'typin
     sender_action: action
   };
 
-  try {
-    await axios.post('https://graph.facebook.com/v19.0/me/messages', request_body, {
-      params: { access_token: pageAccessToken },
-      timeout: 5000
-    });
-    logger.debug(`✨ Typing indicator (${action}) sent to user: ${recipientId}`);
-    return true;
-  } catch (error) {
-    logger.error('Error sending typing indicator:', error.message);
-    return false;
-  }
+  // A late typing indicator is worse than none, so it is never retried
+  const sent = await sendQueue.enqueue(recipientId, request_body, {
+    accessToken: pageAccessToken,
+    label: 'typing indicator',
+    timeout: 5000,
+    maxAttempts: 1,
+  });
+  if (sent) logger.debug(`✨ Typing indicator (${action}) sent to user: ${recipientId}`);
+  return sent;
 }
 
-async function sendVoiceMessage(recipientId, voiceMessageUrl, pageAccessToken) {
+async function sendVoiceMessage(recipientId, voiceMessageUrl, pageAccessToken, { purpose = 'response' } = {}) {
   if (!recipientId || !voiceMessageUrl || !pageAccessToken) {
     logger.error('Missing required parameters for sendVoiceMessage');
     return false;
   }
 
-  const request_body = {
-    recipient: { id: recipientId },
-    message: {
-      attachment: {
-        type: "audio",
-        payload: {
-          url: voiceMessageUrl,
-          is_reusable: true
-        }
+  const message = {
+    attachment: {
+      type: "audio",
+      payload: {
+        url: voiceMessageUrl,
+        is_reusable: true
       }
-    },
-    messaging_type: 'RESPONSE',
+    }
   };
+  const delivery = resolveDelivery(recipientId, message, purpose);
+  if (!delivery) return false;
 
-  try {
-    const response = await axios.post('https://graph.facebook.com/v19.0/me/messages', request_body, {
-      params: { access_token: pageAccessToken },
-      timeout: 10000
-    });
-    logger.success('Voice message sent to user:', recipientId);
-    return true;
-  } catch (error) {
-    logger.error('Error sending voice message:', error.message);
-    return false;
-  }
+  const request_body = { ...delivery.fields, message };
+
+  const sent = await sendQueue.enqueue(recipientId, request_body, { accessToken: pageAccessToken, label: 'voice message' });
+  settleDelivery(recipientId, delivery, sent);
+  if (sent) logger.success('Voice message sent to user:', recipientId);
+  return sent;
 }
 
 // ===================================================================================
 // 4. ENHANCED GAGSTOCK BOT LOGIC
 // ===================================================================================
 
-const activeSessions = new Map();
-const lastSentCache = new Map();
+// Persistent state (survives redeploys, see storage.js)
+const activeSessions = storage.map('sessions'); // { filters, startTime, lastActivity }
+const lastSentCache = storage.map('lastSent');
+const userDoNotDisturb = storage.map('dnd'); // manual 'dnd on'; timed and scheduled quiet live in quiet-hours.js
+const userAlertRules = storage.map('alertRules'); // userId -> AlertRule[] (see alert-rules.js)
+const priorityUsers = storage.set('priorityUsers'); // VIPs served before the general fan-out
+const userWatchlists = storage.map('watchlists'); // userId -> AlertRule[] watched by anyone
+const MAX_ALERT_RULES = 10;
+const MAX_WATCHLIST_ITEMS = 15;
+const MAX_REMINDERS = 5;
+const MAX_QUIET_PAUSE = 7 * 24 * 60 * 60 * 1000;
+const ANALYTICS_RARE_ITEM_COUNT = 10;
+
+// Runtime-only state
 const userRateLimit = new Map();
-const userDoNotDisturb = new Map();
-const customCommandUsers = new Set([
-  // Add VIP user IDs here
-  // "1234567890123456", // Example user ID
-  // "9876543210987654", // Another example user ID
-]); // Allowed users for custom commands
 const MAX_REQUESTS_PER_MINUTE = 10;
 
 // Enhanced Admin and update system
 const ADMIN_USER_ID = process.env.ADMIN_USER_ID?.toString(); // Ensure string comparison
-const pendingUpdates = new Map();
+accessControl.setConfig({ ownerIds: ADMIN_USER_ID ? [ADMIN_USER_ID] : [] });
+
+// VIPs used to live in a plain set; they become role grants (see access-control.js)
+const legacyVipUsers = storage.set('vips');
+[
+  ...legacyVipUsers,
+  // Add VIP user IDs here
+  // "1234567890123456", // Example user ID
+  // "9876543210987654", // Another example user ID
+].forEach(userId => {
+  if (accessControl.getRole(userId) === 'user') accessControl.grant('system', userId, 'vip');
+});
+legacyVipUsers.clear();
+
+// Users who messaged before the registry existed count as already welcomed
+const importedUsers = userRegistry.importKnownUsers(messagingWindow.getKnownUsers());
+if (importedUsers > 0) logger.info(`👥 Added ${importedUsers} existing user(s) to the user registry`);
+
+// Replies use the language the user picked with 'lang', else their Messenger locale (see i18n.js)
+function getUserLocale(userId) {
+  const chosen = userRegistry.getPreference(userId, 'lang');
+  if (chosen && i18n.isSupported(chosen)) return chosen;
+  return i18n.fromLocaleTag(userRegistry.get(userId)?.locale) || i18n.getConfig().defaultLocale;
+}
+
+function tr(userId, key, params) {
+  return i18n.t(getUserLocale(userId), key, params);
+}
+
+// tr for one user, for helpers in other modules that take a `t`
+const translatorFor = (userId) => (key, params) => tr(userId, key, params);
+
+// Times are shown in the zone the user picked with 'timezone', else Philippine time
+function getUserTimeZone(userId) {
+  return userRegistry.getPreference(userId, 'timezone') || DEFAULT_TIME_ZONE;
+}
+
 const systemVersion = "3.1.0"; // Updated version
-const newUsers = new Set();
 
 // Stock clearing system
 const stockClearingAlerts = new Map();
@@ -294,10 +370,7 @@ setInterval(() => {
   // Clean inactive sessions
   for (const [userId, session] of activeSessions) {
     if (session.lastActivity && (now - session.lastActivity) > 30 * 60 * 1000) {
-      clearTimeout(session.timeout);
-      activeSessions.delete(userId);
-      lastSentCache.delete(userId);
-      stockClearingAlerts.delete(userId);
+      stopTrackingSession(userId);
       logger.info(`🧹 Cleaned up inactive session for user: ${userId}`);
     }
   }
@@ -310,13 +383,12 @@ setInterval(() => {
   }
 }, 30 * 60 * 1000);
 
-const PH_TIMEZONE = "Asia/Manila";
+// The nightly rest follows Philippine time
+const PH_TIMEZONE = DEFAULT_TIME_ZONE;
 
 function pad(n) { return n < 10 ? "0" + n : n; }
-function getPHTime() { return new Date(new Date().toLocaleString("en-US", { timeZone: PH_TIMEZONE })); }
 
-function getCountdown(target) {
-  const now = getPHTime();
+function getCountdown(target, now = Date.now()) {
   const msLeft = target - now;
   if (msLeft <= 0) return "00h 00m 00s";
   const h = Math.floor(msLeft / 3.6e6);
@@ -325,63 +397,41 @@ function getCountdown(target) {
   return `${pad(h)}h ${pad(m)}m ${pad(s)}s`;
 }
 
-function getNextRestocks() {
-  const now = getPHTime();
-  const timers = {};
-
-  // Eggs restock every 30 minutes (XX:00 and XX:30)
-  const nextEgg = new Date(now);
-  nextEgg.setMinutes(now.getMinutes() < 30 ? 30 : 0);
-  if (now.getMinutes() >= 30) nextEgg.setHours(now.getHours() + 1);
-  nextEgg.setSeconds(0, 0);
-  timers.egg = getCountdown(nextEgg);
-
-  // Gear restocks every 5 minutes
-  const nextGear = new Date(now);
-  const nextGearM = Math.ceil((now.getMinutes() + (now.getSeconds() > 0 ? 1 : 0)) / 5) * 5;
-  nextGear.setMinutes(nextGearM === 60 ? 0 : nextGearM, 0, 0);
-  if (nextGearM === 60) nextGear.setHours(now.getHours() + 1);
-  timers.gear = getCountdown(nextGear);
-
-  // Seeds restock every 3 minutes
-  const nextSeed = new Date(now);
-  const nextSeedM = Math.ceil((now.getMinutes() + (now.getSeconds() > 0 ? 1 : 0)) / 3) * 3;
-  nextSeed.setMinutes(nextSeedM === 60 ? 0 : nextSeedM, 0, 0);
-  if (nextSeedM === 60) nextSeed.setHours(now.getHours() + 1);
-  timers.seed = getCountdown(nextSeed);
+function formatUserDateTime(userId, timestamp, options) {
+  return formatDateTime(timestamp, getUserTimeZone(userId), options);
+}
 
-  // Honey restocks every hour
-  const nextHour = new Date(now);
-  nextHour.setHours(now.getHours() + 1, 0, 0, 0);
-  timers.honey = getCountdown(nextHour);
+function formatHourLabel(hour) {
+  return `${hour % 12 || 12} ${hour < 12 ? "AM" : "PM"}`;
+}
 
-  // Cosmetics restock every 7 hours
-  const next7 = new Date(now);
-  const totalHours = now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
-  const next7h = Math.ceil(totalHours / 7) * 7;
-  next7.setHours(next7h, 0, 0, 0);
-  timers.cosmetics = getCountdown(next7);
+function formatTimeAgo(userId, timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 6e4);
+  if (minutes < 1) return tr(userId, 'time.justNow');
+  if (minutes < 60) return tr(userId, 'time.minutesAgo', { minutes });
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return tr(userId, 'time.hoursAgo', { hours, minutes: minutes % 60 });
+  return tr(userId, 'time.daysAgo', { days: Math.floor(hours / 24), hours: hours % 24 });
+}
 
-  return timers;
+// Countdown to each category's next restock (see restock-schedule.js)
+function getNextRestocks(now = Date.now()) {
+  return Object.fromEntries(STOCK_CATEGORIES.map(category => [category, getCountdown(restockSchedule.getNext(category, now), now)]));
 }
 
-// Divine items tracking
-const DIVINE_ITEMS = ["beanstalk", "basic sprinkler", "master sprinkler", "godly sprinkler", "ember lily"];
+// Divine items tracking: which tiers raise the alert is set in the item catalog
+function isDivineItemName(name) {
+  return catalog.shouldAlert(name);
+}
 
-function checkDivineItems(stockData) {
+function checkDivineItems(stock) {
   const divineItemsInStock = [];
   
   // Check all stock categories for divine items
-  const allItems = [
-    ...stockData.gearStock,
-    ...stockData.seedsStock,
-    ...stockData.eggStock,
-    ...stockData.cosmeticsStock,
-    ...stockData.honeyStock
-  ];
+  const allItems = STOCK_CATEGORIES.flatMap(category => stock[category]);
   
   for (const item of allItems) {
-    if (DIVINE_ITEMS.some(divine => item.name.toLowerCase().includes(divine.toLowerCase())) && item.value > 0) {
+    if (isDivineItemName(item.name) && item.value > 0) {
       divineItemsInStock.push(item);
     }
   }
@@ -389,45 +439,6 @@ function checkDivineItems(stockData) {
   return divineItemsInStock;
 }
 
-function getNextStockItem(category) {
-  const now = getPHTime();
-  let nextTime;
-  
-  switch (category.toLowerCase()) {
-    case 'gear':
-      const nextGearM = Math.ceil((now.getMinutes() + (now.getSeconds() > 0 ? 1 : 0)) / 5) * 5;
-      nextTime = new Date(now);
-      nextTime.setMinutes(nextGearM === 60 ? 0 : nextGearM, 0, 0);
-      if (nextGearM === 60) nextTime.setHours(now.getHours() + 1);
-      break;
-    case 'seed':
-      const nextSeedM = Math.ceil((now.getMinutes() + (now.getSeconds() > 0 ? 1 : 0)) / 3) * 3;
-      nextTime = new Date(now);
-      nextTime.setMinutes(nextSeedM === 60 ? 0 : nextSeedM, 0, 0);
-      if (nextSeedM === 60) nextTime.setHours(now.getHours() + 1);
-      break;
-    case 'egg':
-      nextTime = new Date(now);
-      nextTime.setMinutes(now.getMinutes() < 30 ? 30 : 0);
-      if (now.getMinutes() >= 30) nextTime.setHours(now.getHours() + 1);
-      nextTime.setSeconds(0, 0);
-      break;
-    default:
-      return null;
-  }
-  
-  return getCountdown(nextTime);
-}
-
-function getNextScheduledTime(startTime = getPHTime()) {
-  const base = new Date(startTime);
-  const min = base.getMinutes();
-  const next5 = Math.floor(min / 5) * 5 + 5;
-  base.setMinutes(next5, 30, 0);
-  if (base <= startTime) base.setMinutes(base.getMinutes() + 5);
-  return base;
-}
-
 function formatValue(val) {
   if (val >= 1_000_000) return `x${(val / 1_000_000).toFixed(1)}M`;
   if (val >= 1_000) return `x${(val / 1_000).toFixed(1)}K`;
@@ -435,51 +446,30 @@ function formatValue(val) {
 }
 
 function addEmoji(name) {
-  const emojis = {
-    "Common Egg": "🥚", "Uncommon Egg": "🐣", "Rare Egg": "🍳", "Legendary Egg": "🪺", "Mythical Egg": "🥚", "Bug Egg": "🪲",
-    "Watering Can": "🚿", "Trowel": "🛠️", "Recall Wrench": "🔧", "Basic Sprinkler": "💧", "Advanced Sprinkler": "💦", "Godly Sprinkler": "⛲",
-    "Lightning Rod": "⚡", "Master Sprinkler": "🌊", "Favorite Tool": "❤️", "Harvest Tool": "🌾",
-    "Carrot": "🥕", "Strawberry": "🍓", "Blueberry": "🫐", "Orange Tulip": "🌷", "Tomato": "🍅", "Corn": "🌽", "Daffodil": "🌼",
-    "Watermelon": "🍉", "Pumpkin": "🎃", "Apple": "🍎", "Bamboo": "🎍", "Coconut": "🥥", "Cactus": "🌵", "Dragon Fruit": "🍈",
-    "Mango": "🥭", "Grape": "🍇", "Mushroom": "🍄", "Pepper": "🌶️", "Cacao": "🍫", "Beanstalk": "🌱"
-  };
-  return `${emojis[name] || "🌿"} ${name}`;
-}
-
-async function fetchWithTimeout(url, options = {}, timeout = 5000) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
-  try {
-    const response = await axios.get(url, { ...options, signal: controller.signal });
-    clearTimeout(id);
-    return response;
-  } catch (error) {
-    clearTimeout(id);
-    throw error;
-  }
+  return `${catalog.getEmoji(name)} ${name}`;
 }
 
 // Natural Language Processing for questions
 function processNaturalLanguageQuery(text) {
   const lowerText = text.toLowerCase();
   
-  // Stock-related questions
-  if (lowerText.includes('stock') && lowerText.includes('today')) {
+  // Stock-related questions (a few Tagalog words too: ngayon = today, kailan = when)
+  if (lowerText.includes('stock') && (lowerText.includes('today') || lowerText.includes('ngayon'))) {
     return 'stock_today';
   }
   if (lowerText.includes('what') && (lowerText.includes('available') || lowerText.includes('stock'))) {
     return 'stock_available';
   }
-  if (lowerText.includes('when') && (lowerText.includes('restock') || lowerText.includes('refresh'))) {
+  if ((lowerText.includes('when') || lowerText.includes('kailan')) && (lowerText.includes('restock') || lowerText.includes('refresh'))) {
     return 'next_restock';
   }
   if (lowerText.includes('divine') || lowerText.includes('rare') || lowerText.includes('special')) {
     return 'divine_items';
   }
-  if (lowerText.includes('price') || lowerText.includes('cost') || lowerText.includes('how much')) {
+  if (lowerText.includes('price') || lowerText.includes('cost') || lowerText.includes('how much') || lowerText.includes('presyo') || lowerText.includes('magkano')) {
     return 'pricing_info';
   }
-  if (lowerText.includes('weather') || lowerText.includes('bonus') || lowerText.includes('crop')) {
+  if (lowerText.includes('weather') || lowerText.includes('bonus') || lowerText.includes('crop') || lowerText.includes('panahon')) {
     return 'weather_info';
   }
   
@@ -487,7 +477,7 @@ function processNaturalLanguageQuery(text) {
   if (lowerText.includes('how') && lowerText.includes('work')) {
     return 'how_bot_works';
   }
-  if (lowerText.includes('help') || lowerText.includes('command')) {
+  if (lowerText.includes('help') || lowerText.includes('command') || lowerText.includes('tulong')) {
     return 'help_info';
   }
   
@@ -505,128 +495,38 @@ async function handleNaturalLanguageQuery(senderId, queryType, originalText, pag
     switch (queryType) {
       case 'stock_today':
       case 'stock_available':
-        await gagstockCommand.execute(senderId, ['on'], pageAccessToken);
+        await runCommand(senderId, ['gagstock', 'on']);
         break;
         
-      case 'next_restock':
-        await nextStockCommand.execute(senderId, ['all'], pageAccessToken);
+      case 'next_restock': {
+        // "when do eggs restock?" answers for that category, anything else for all of them
+        const category = originalText.toLowerCase().split(/[^a-z]+/).map(resolveCategory).find(Boolean);
+        await runCommand(senderId, ['nextstock', category || 'all']);
         break;
+      }
         
       case 'divine_items':
-        await customCommand.execute(senderId, ['divine'], pageAccessToken);
+        await runCommand(senderId, ['custom', 'divine']);
         break;
         
       case 'weather_info':
-        const weatherResponse = `╔══════════════════════════════════╗
-║  🌤️  𝗪𝗲𝗮𝘁𝗵𝗲𝗿 𝗜𝗻𝗳𝗼  ║
-╚══════════════════════════════════╝
-
-🌟 Weather affects crop bonuses in 
-   Grow A Garden!
-
-╭─ 🌈 Weather Effects ──────────╮
-│ ☀️ Sunny: Normal growth       │
-│ 🌧️ Rainy: Water bonus         │
-│ ⛅ Cloudy: Reduced growth      │
-│ 🌪️ Stormy: Special events     │
-╰────────────────────────────────╯
-
-🔄 Use 'refresh' to see current 
-   weather and active bonuses! ✨`;
-        await sendMessage(senderId, { text: weatherResponse }, pageAccessToken);
+        await sendMessage(senderId, { text: tr(senderId, 'nlp.weather') }, pageAccessToken);
         break;
         
       case 'pricing_info':
-        const pricingResponse = `╔══════════════════════════════════╗
-║  💰  𝗣𝗿𝗶𝗰𝗶𝗻𝗴 𝗜𝗻𝗳𝗼  ║
-╚══════════════════════════════════╝
-
-💡 Items in Grow A Garden have 
-   different price ranges:
-
-╭─ 💸 Price Categories ──────────╮
-│ 🌱 Seeds: 50-5,000 coins      │
-│ 🛠️ Tools: 100-50,000 coins    │
-│ 🥚 Eggs: 1,000-100,000 coins  │
-│ 🎨 Cosmetics: 500-25,000 coins│
-│ 💎 Divine: 10,000+ coins      │
-╰────────────────────────────────╯
-
-🌟 Prices vary based on rarity! ✨`;
-        await sendMessage(senderId, { text: pricingResponse }, pageAccessToken);
+        await sendMessage(senderId, { text: tr(senderId, 'nlp.pricing') }, pageAccessToken);
         break;
         
       case 'how_bot_works':
-        const howItWorksResponse = `╔══════════════════════════════════╗
-║  🤖  𝗛𝗼𝘄 𝗜 𝗪𝗼𝗿𝗸  ║
-╚══════════════════════════════════╝
-
-🌟 I'm your enhanced Grow A Garden 
-   stock tracking assistant!
-
-╭─ ⚡ My Abilities ──────────────╮
-│ 📊 Real-time stock monitoring  │
-│ 🔄 Auto-refresh every 5 minutes│
-│ 🌤️ Weather & bonus tracking   │
-│ 💎 Divine item alerts         │
-│ ⏰ Restock countdown timers    │
-│ 🎯 Smart filtering system     │
-│ 💬 Natural language support   │
-╰────────────────────────────────╯
-
-🚀 Just ask me anything about 
-   stocks and I'll help! ✨`;
-        await sendMessage(senderId, { text: howItWorksResponse }, pageAccessToken);
+        await sendMessage(senderId, { text: tr(senderId, 'nlp.howItWorks') }, pageAccessToken);
         break;
         
       case 'help_info':
-        const helpResponse = `╔══════════════════════════════════╗
-║  📖  𝗤𝘂𝗶𝗰𝗸 𝗛𝗲𝗹𝗽  ║
-╚══════════════════════════════════╝
-
-🌟 You can ask me naturally:
-
-╭─ 💬 Example Questions ────────╮
-│ "What stock today?"           │
-│ "When is next restock?"       │
-│ "Show me divine items"        │
-│ "What's the weather?"         │
-│ "How do you work?"            │
-╰────────────────────────────────╯
-
-╭─ 🎮 Quick Commands ───────────╮
-│ gagstock on - Start tracking │
-│ refresh - Update now          │
-│ help - Full command list     │
-╰────────────────────────────────╯
-
-💡 Just talk to me naturally! ✨`;
-        await sendMessage(senderId, { text: helpResponse }, pageAccessToken);
+        await sendMessage(senderId, { text: tr(senderId, 'nlp.help') }, pageAccessToken);
         break;
         
       default:
-        const generalResponse = `╔══════════════════════════════════╗
-║  🤔  𝗜𝗻𝘁𝗲𝗿𝗲𝘀𝘁𝗶𝗻𝗴!  ║
-╚══════════════════════════════════╝
-
-🌟 I understand you're asking about:
-"${originalText}"
-
-╭─ 💡 I can help with ──────────╮
-│ 📊 Stock information          │
-│ ⏰ Restock timing             │
-│ 🌤️ Weather & bonuses          │
-│ 💎 Divine item tracking       │
-│ 🎮 Bot features & commands    │
-╰────────────────────────────────╯
-
-Try asking:
-• "What stock today?"
-• "When is next restock?"
-• "Show me divine items"
-
-🚀 I'm here to help! ✨`;
-        await sendMessage(senderId, { text: generalResponse }, pageAccessToken);
+        await sendMessage(senderId, { text: tr(senderId, 'nlp.general', { question: originalText }) }, pageAccessToken);
     }
   } finally {
     // Turn off typing indicator
@@ -634,11 +534,18 @@ Try asking:
   }
 }
 
+// The nightly rest window in the user's time zone, for messages that mention it
+function restWindowParams(userId) {
+  const timeZone = getUserTimeZone(userId);
+  return {
+    offlineAt: formatTimeOfDay(nextTimeOfDay(PH_TIMEZONE, BOT_OFFLINE_HOUR, BOT_OFFLINE_MINUTE), timeZone),
+    onlineAt: formatTimeOfDay(nextTimeOfDay(PH_TIMEZONE, BOT_ONLINE_HOUR, BOT_ONLINE_MINUTE), timeZone),
+  };
+}
+
 // Auto scheduling system with voice messages
 async function checkBotSchedule() {
-  const now = getPHTime();
-  const currentHour = now.getHours();
-  const currentMinute = now.getMinutes();
+  const { hour: currentHour, minute: currentMinute } = getZonedParts(PH_TIMEZONE);
 
   // Check for bot offline time (12:00 AM)
   if (currentHour === BOT_OFFLINE_HOUR && currentMinute === BOT_OFFLINE_MINUTE && botIsOnline && !offlineMessageSent) {
@@ -649,34 +556,13 @@ async function checkBotSchedule() {
     // Send voice message and offline notification to all users
     for (const userId of activeSessions.keys()) {
       // Send voice message first
-      await sendVoiceMessage(userId, VOICE_MESSAGE_URL, PAGE_ACCESS_TOKEN);
+      await sendVoiceMessage(userId, VOICE_MESSAGE_URL, PAGE_ACCESS_TOKEN, { purpose: 'update' });
       
       // Then send offline message
-      const offlineMessage = `╔══════════════════════════════════╗
-║  🌙  𝗕𝗼𝘁 𝗥𝗲𝘀𝘁 𝗧𝗶𝗺𝗲  ║
-╚══════════════════════════════════╝
-
-😴 Time for a peaceful break!
-🎵 Enjoy the relaxing music!
-
-╭─ 🌙 Rest Schedule ────────────╮
-│ 💤 Offline: 12:00 AM - 5:00 AM│
-│ ☀️ Online: 5:00 AM - 12:00 AM │
-│ 🎵 Voice: Multo relaxation    │
-╰────────────────────────────────╯
-
-🌟 Sweet dreams! See you at 5 AM! ✨`;
-      
-      await sendMessage(userId, { text: offlineMessage }, PAGE_ACCESS_TOKEN);
+      await sendMessage(userId, { text: tr(userId, 'schedule.offline', restWindowParams(userId)) }, PAGE_ACCESS_TOKEN, { purpose: 'update' });
       
       // Stop tracking sessions
-      const session = activeSessions.get(userId);
-      if (session) {
-        clearTimeout(session.timeout);
-        activeSessions.delete(userId);
-        lastSentCache.delete(userId);
-        stockClearingAlerts.delete(userId);
-      }
+      stopTrackingSession(userId);
     }
 
     logger.system('🌙 Bot is now offline for scheduled rest time with voice message');
@@ -690,22 +576,7 @@ async function checkBotSchedule() {
 
     // Send online notification to admin
     if (ADMIN_USER_ID) {
-      const onlineMessage = `╔══════════════════════════════════╗
-║  ☀️  𝗕𝗼𝘁 𝗢𝗻𝗹𝗶𝗻𝗲!  ║
-╚══════════════════════════════════╝
-
-🌅 Good morning! Bot is back online!
-
-╭─ ☀️ Online Schedule ──────────╮
-│ 🟢 Status: Fully operational  │
-│ ⏰ Time: 5:00 AM - 12:00 AM   │
-│ 🚀 Features: All systems go   │
-│ ✨ Ready: For beautiful day   │
-╰────────────────────────────────╯
-
-🌟 Enhanced tracking resumed! ✨`;
-
-      await sendMessage(ADMIN_USER_ID, { text: onlineMessage }, PAGE_ACCESS_TOKEN);
+      await sendMessage(ADMIN_USER_ID, { text: tr(ADMIN_USER_ID, 'schedule.online', restWindowParams(ADMIN_USER_ID)) }, PAGE_ACCESS_TOKEN, { purpose: 'update' });
     }
 
     logger.system('☀️ Bot is now online for scheduled active time');
@@ -725,435 +596,468 @@ async function sendStockClearingAlert(userId) {
   }, STOCK_CLEAR_WARNING_TIME);
 }
 
-// Enhanced main gagstock command with better aesthetics and refresh button
-const gagstockCommand = {
-  name: "gagstock",
-  aliases: ["gag", "stock", "track"],
-  description: "Enhanced Grow A Garden stock tracker with beautiful formatting",
-  usage: "gagstock on | gagstock on [filter] | gagstock off",
-  category: "Tools ⚒️",
-  async execute(senderId, args, pageAccessToken) {
-    if (!botIsOnline) {
-      const offlineResponse = `╔══════════════════════════════════╗
-║  🌙  𝗕𝗼𝘁 𝗥𝗲𝘀𝘁𝗶𝗻𝗴  ║
-╚══════════════════════════════════╝
-
-😴 I'm currently in rest mode 
-   (12:00 AM - 5:00 AM)
-
-🌟 Come back at 5:00 AM for 
-   enhanced tracking! ✨`;
-      await sendMessage(senderId, { text: offlineResponse }, pageAccessToken);
-      return;
-    }
+function isVipUser(userId) {
+  return accessControl.hasRole(userId, 'vip');
+}
 
-    const action = args[0]?.toLowerCase();
-    const filters = args.slice(1).join(" ").split("|").map(f => f.trim().toLowerCase()).filter(Boolean);
+function roleBadge(userId, role) {
+  return tr(userId, `roles.${role}`);
+}
 
-    if (action === "off") {
-        const session = activeSessions.get(senderId);
-        if (session) {
-            clearTimeout(session.timeout);
-            activeSessions.delete(senderId);
-            lastSentCache.delete(senderId);
-            stockClearingAlerts.delete(senderId);
-            logger.info(`🛑 Gagstock tracking stopped for user: ${senderId}`);
+function isBanned(userId) {
+  return accessControl.getRole(userId) === 'banned';
+}
 
-            const stopMessage = `╔══════════════════════════════════╗
-║  🛑  𝗧𝗿𝗮𝗰𝗸𝗶𝗻𝗴 𝗦𝘁𝗼𝗽𝗽𝗲𝗱  ║
-╚══════════════════════════════════╝
+// Bans a user and tears down everything that would keep messaging them
+function banUser(actorId, userId, { duration = null, reason = null } = {}) {
+  const grant = accessControl.grant(actorId, userId, 'banned', { duration, reason });
+  stopTrackingSession(userId);
+  reminderScheduler.clear(userId);
+  quietHours.forget(userId);
+  messagingWindow.takeDeferred(userId);
+  userRateLimit.delete(userId);
+  logger.warn(`🚫 User ${userId} banned by ${actorId}${duration ? ` for ${formatDuration(duration)}` : ''}${reason ? `: ${reason}` : ''}`);
+  return grant;
+}
+
+// AccessError and CatalogError carry a code for wording them in the user's language;
+// their message stays in English for the logs
+function describeRefusal(userId, namespace, error) {
+  return tr(userId, 'admin.refused', { reason: error.code ? tr(userId, `${namespace}.${error.code}`, error.params) : error.message });
+}
 
-✅ Your Gagstock tracking has been 
-   successfully disabled.
+function describeGrantExpiry(userId, grant) {
+  return grant?.expiresAt ? tr(userId, 'time.until', { date: formatUserDateTime(userId, grant.expiresAt) }) : tr(userId, 'time.permanent');
+}
 
-╭─ 📊 Session Summary ──────────╮
-│ 📅 Duration: Active session   │
-│ 🔄 Updates: Delivered         │
-│ ✨ Status: Clean shutdown     │
-╰────────────────────────────────╯
+// Timed roles (e.g. 'admin addvip [id] 30d') lapse on their own; let the user know
+setInterval(() => {
+  for (const [userId, grant] of accessControl.expireRoles()) {
+    if (grant.role === 'banned') continue;
+    sendMessage(userId, { text: tr(userId, 'access.expired', { role: roleBadge(userId, grant.role) }) }, PAGE_ACCESS_TOKEN, { purpose: 'account' });
+  }
+}, 60 * 60 * 1000);
 
-Thank you for using our enhanced
-tracking service! 🌱✨
+// Tears down a tracking session and everything cached for it
+function stopTrackingSession(userId) {
+  stockClearingAlerts.delete(userId);
+  lastSentCache.delete(userId);
+  return activeSessions.delete(userId);
+}
 
-💚 Come back anytime! 🚀`;
-            return await sendMessage(senderId, { text: stopMessage }, pageAccessToken);
-        } else {
-            const noSessionMessage = `╔══════════════════════════════════╗
-║  ⚠️   𝗡𝗼 𝗔𝗰𝘁𝗶𝘃𝗲 𝗦𝗲𝘀𝘀𝗶𝗼𝗻  ║
-╚══════════════════════════════════╝
+// One poller serves every tracking user (see stock-poller.js). It fetches shortly after each
+// restock of these categories; seeds turn over too often to be worth a fetch of their own.
+const REFRESH_MAX_AGE = 30 * 1000; // 'refresh' reuses a snapshot at most this old
+const POLL_CATEGORIES = ['gear', 'egg', 'honey', 'cosmetics'];
+const POLL_LAG = 30 * 1000; // give the shop a moment to restock before fetching
+const stockPoller = createStockPoller({
+  fetchSnapshot: () => stockSource.fetchSnapshot(),
+  getNextDelay: () => restockSchedule.getNextOf(POLL_CATEGORIES, Date.now() - POLL_LAG).at + POLL_LAG - Date.now(),
+  onFetch: (snapshot) => stockHistory.record(snapshot),
+  keepAlive: () => botIsOnline, // keep recording stock history while nobody is tracking
+});
 
-🤔 You don't have an active gagstock 
-   tracking session running.
+function categoryLabel(userId, category) {
+  return tr(userId, `categories.${category}`);
+}
 
-╭─ 🚀 Quick Start Commands ─────╮
-│ 🟢 'gagstock on' - Track all  │
-│ 🎯 'gagstock on [item]' - Filter │
-│ 📖 'help' - Show full guide   │
-╰────────────────────────────────╯
+// 'carousel' shows full stock lists as one card per category; 'text' keeps the boxed list
+const STOCK_DISPLAY_MODE = process.env.STOCK_DISPLAY === 'text' ? 'text' : 'carousel';
+
+// Stock grouped by category for the carousel. Like the text list, filters narrow gear and
+// seeds, and the other categories are only shown once a filter matched something.
+function getStockSections(userId, stock, filters, restocks) {
+  const matchesFilters = (name) => filters.length === 0 || filters.some(f => name.toLowerCase().includes(f));
+  const sections = STOCK_CATEGORIES.map(category => ({
+    category,
+    label: categoryLabel(userId, category),
+    restock: restocks[category],
+    items: ['gear', 'seed'].includes(category) ? stock[category].filter(item => matchesFilters(item.name)) : stock[category],
+  }));
+  const matched = filters.length === 0 || sections.some(section => ['gear', 'seed'].includes(section.category) && section.items.length > 0);
+  return matched ? sections.filter(section => section.items.length > 0) : [];
+}
 
-Ready to start tracking? 🌟`;
-            return await sendMessage(senderId, { text: noSessionMessage }, pageAccessToken);
-        }
-    }
+// Sends a stock message. With sections, the text goes first and the stock follows as a
+// carousel carrying the quick replies; without, everything is one (possibly split) text.
+async function sendStockMessage(senderId, message, sections, pageAccessToken, purpose = 'response') {
+  if (sections.length === 0) {
+    return sendMessage(senderId, message, pageAccessToken, { purpose });
+  }
+
+  const { quick_replies, ...textMessage } = message;
+  await sendMessage(senderId, textMessage, pageAccessToken, { purpose });
+  const carousel = renderStockCarousel(sections, {
+    formatItem: item => `${catalog.getEmoji(item.name)} ${item.name} ${formatValue(item.value)}`,
+    buttonsFor: section => [postbackButton(tr(senderId, 'common.fullList'), `STOCK_CATEGORY:${section.category}`)],
+  });
+  return sendMessage(senderId, { ...carousel, quick_replies }, pageAccessToken, { purpose });
+}
 
-    if (action !== "on") {
-        const usageMessage = `╔══════════════════════════════════╗
-║  📖  𝗚𝗮𝗴𝘀𝘁𝗼𝗰𝗸 𝗖𝗼𝗺𝗺𝗮𝗻𝗱 ║
-║      𝗚𝘂𝗶𝗱𝗲 ✨               ║
-╚══════════════════════════════════╝
+// Full item list for one category, behind the carousel's "Full List" button
+async function sendCategoryList(senderId, category) {
+  if (!STOCK_CATEGORIES.includes(category)) return;
+  const { stock } = await stockPoller.fetchNow({ maxAge: REFRESH_MAX_AGE });
+  const items = stock[category];
+  const list = items.length > 0
+    ? items.map(item => `  ├─ ${addEmoji(item.name)}: ${formatValue(item.value)}`).join('\n')
+    : tr(senderId, 'stock.nothingInStock');
+
+  const listMessage = tr(senderId, 'stock.categoryList', { label: categoryLabel(senderId, category), items: list, restock: getNextRestocks()[category] });
+  const buttons = [postbackButton(tr(senderId, 'common.nextRestock'), "NEXT_RESTOCK"), postbackButton(tr(senderId, 'common.myWatchlist'), "WATCH_LIST")];
+  await sendMessage(senderId, renderButtonTemplate(listMessage, buttons), PAGE_ACCESS_TOKEN);
+}
 
-🌟 𝗔𝘃𝗮𝗶𝗹𝗮𝗯𝗹𝗲 𝗖𝗼𝗺𝗺𝗮𝗻𝗱𝘀:
+// Renders a stock diff as "new this restock" highlights, one box per changed category
+function formatStockHighlights(userId, diff, restocks) {
+  let content = "";
+  for (const category of STOCK_CATEGORIES) {
+    const { added, removed, changed } = diff.categories[category];
+    if (!added.length && !removed.length && !changed.length) continue;
+
+    const lines = [
+      ...added.map(i => `  ├─ 🆕 ${addEmoji(i.name)}: ${formatValue(i.value)}`),
+      ...changed.map(i => `  ├─ ${i.to > i.from ? '📈' : '📉'} ${addEmoji(i.name)}: ${formatValue(i.from)} → ${formatValue(i.to)}`),
+      ...removed.map(i => tr(userId, 'stock.soldOut', { item: addEmoji(i.name) })),
+    ];
+    content += tr(userId, 'stock.highlights', { label: categoryLabel(userId, category), lines: lines.join("\n"), restock: restocks[category] });
+  }
+  return content;
+}
 
-╭─ 🟢 Basic Tracking ───────────╮
-│ gagstock on                   │
-│ └─ Track all items & updates  │
-╰────────────────────────────────╯
+function divineAlertText(userId, items) {
+  return tr(userId, 'stock.divineAlert', {
+    items: items.map(item => `🌟 ${addEmoji(item.name)}: ${formatValue(item.value)}`).join('\n'),
+  });
+}
 
-╭─ 🎯 Filtered Tracking ────────╮
-│ gagstock on Sunflower | Can   │
-│ └─ Track specific items only  │
-╰────────────────────────────────╯
+// Quiet means DND is on, a timed pause is running ('dnd 2h') or it is the user's quiet hours
+function isUserQuiet(userId) {
+  return userDoNotDisturb.has(userId) || quietHours.isQuiet(userId, getUserTimeZone(userId));
+}
 
-╭─ 🔴 Stop Tracking ────────────╮
-│ gagstock off                  │
-│ └─ Disable all notifications  │
-╰────────────────────────────────╯
+// Whether a kind of notification ('divine', 'watchlist', 'alerts', 'reminders') reaches the user now
+function canNotify(userId, kind) {
+  return !isUserQuiet(userId) || quietHours.allows(userId, kind);
+}
 
-Need more help? Type 'help'! 💫`;
-        return await sendMessage(senderId, { text: usageMessage }, pageAccessToken);
-    }
+// Sends what was held back while the user was quiet, if anything. As a notice it waits for the
+// user's next message when the 24-hour window is closed; a failed send is kept for the next try
+async function sendQuietDigest(userId, pageAccessToken) {
+  const digest = quietHours.takeDigest(userId);
+  if (!digest) return false;
+
+  const listItems = (kind) => digest.items[kind]?.map(addEmoji).join(', ');
+  const lines = [
+    digest.updates > 0 && tr(userId, 'dnd.digestUpdates', { count: digest.updates }),
+    digest.items.divine && tr(userId, 'dnd.digestDivine', { items: listItems('divine') }),
+    digest.items.watchlist && tr(userId, 'dnd.digestWatchlist', { items: listItems('watchlist') }),
+    digest.items.alerts && tr(userId, 'dnd.digestAlerts', { items: listItems('alerts') }),
+  ].filter(Boolean);
+
+  const windowOpen = messagingWindow.isOpen(userId);
+  const sent = await sendMessage(userId, {
+    text: tr(userId, 'dnd.digest', { since: formatUserDateTime(userId, digest.since), lines: lines.join('\n') }),
+    quick_replies: [
+      { content_type: "text", title: tr(userId, 'common.refreshStock'), payload: "REFRESH_STOCK" },
+      { content_type: "text", title: tr(userId, 'common.nextRestock'), payload: "NEXT_RESTOCK" }
+    ]
+  }, pageAccessToken, { purpose: 'notice' });
+  if (!sent && windowOpen) quietHours.restoreDigest(userId, digest);
+  return sent;
+}
 
-    if (activeSessions.has(senderId)) {
-        logger.warn(`⚠️ User ${senderId} tried to start an existing session.`);
-        const alreadyActiveMessage = `╔══════════════════════════════════╗
-║  📡  𝗦𝗲𝘀𝘀𝗶𝗼𝗻 𝗔𝗹𝗿𝗲𝗮𝗱𝘆 ║
-║      𝗔𝗰𝘁𝗶𝘃𝗲! ⚡           ║
-╚══════════════════════════════════╝
-
-✅ You're already tracking Gagstock 
-   with enhanced monitoring!
-
-╭─ 🔄 Session Options ──────────╮
-│ 🛑 'gagstock off' - Stop first │
-│ 🔄 'refresh' - Update now     │
-│ 📊 Current: Active & Stable   │
-╰────────────────────────────────╯
-
-Your tracking is working perfectly! 🌟`;
-        return await sendMessage(senderId, { text: alreadyActiveMessage }, pageAccessToken);
-    }
+// Digests go out once a user's quiet time is over, and not while the bot is resting
+setInterval(() => {
+  if (!botIsOnline) return;
+  for (const userId of quietHours.getHeldUsers()) {
+    if (!isUserQuiet(userId)) sendQuietDigest(userId, PAGE_ACCESS_TOKEN);
+  }
+}, 60 * 1000);
 
-    await sendTypingIndicator(senderId, pageAccessToken, 'typing_on');
+// Sends a snapshot to a tracking user, filtered for them (unless nothing changed)
+async function notifyTracker(senderId, snapshot, filters, pageAccessToken, alwaysSend = false) {
+  try {
+    const { stock, weather } = snapshot;
+    // alwaysSend means the user just asked; otherwise this is a proactive update
+    const purpose = alwaysSend ? 'response' : 'update';
 
-    const startMessage = `╔══════════════════════════════════╗
-║  ✨  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗧𝗿𝗮𝗰𝗸𝗶𝗻𝗴  ║
-║      𝗔𝗰𝘁𝗶𝘃𝗮𝘁𝗲𝗱! 🚀         ║
-╚══════════════════════════════════╝
+    const restocks = getNextRestocks();
+    const formatList = (arr) => arr.map(i => `  ├─ ${addEmoji(i.name)}: ${formatValue(i.value)}`).join("\n");
+    const updatedAt = formatUserDateTime(senderId, Date.now(), { seconds: true, year: true });
 
-🎉 Enhanced Gagstock tracking is 
-   now active with premium features!
+    let filteredContent = "";
+    let matchedItems = false;
 
-╭─ 🌟 New Features Enabled ─────╮
-│ 🔄 Auto-refresh every 5min    │
-│ 🌤️ Live weather updates       │
-│ ⏰ Smart restock timers        │
-│ 🧹 Auto cache clearing        │
-│ ✨ Beautiful notifications    │
-│ 🎨 Enhanced aesthetics        │
-│ 💬 Natural language support   │
-│ 🔄 Quick refresh button       │
-╰────────────────────────────────╯
+    const processSection = (category, isFilterable) => {
+        let filtered = stock[category];
+        if (isFilterable && filters.length > 0) {
+            filtered = filtered.filter(i => filters.some(f => i.name.toLowerCase().includes(f)));
+        }
+        if (filtered.length > 0) {
+            if (isFilterable) matchedItems = true;
+            return tr(senderId, 'stock.section', { label: categoryLabel(senderId, category), items: formatList(filtered), restock: restocks[category] });
+        }
+        return "";
+    };
+
+    if (filters.length > 0) {
+         filteredContent += processSection('gear', true);
+         filteredContent += processSection('seed', true);
+         if (matchedItems) {
+            filteredContent += processSection('egg', false);
+            filteredContent += processSection('cosmetics', false);
+            filteredContent += processSection('honey', false);
+         }
+    } else {
+        filteredContent += processSection('gear', false);
+        filteredContent += processSection('seed', false);
+        filteredContent += processSection('egg', false);
+        filteredContent += processSection('cosmetics', false);
+        filteredContent += processSection('honey', false);
+        matchedItems = true;
+    }
 
-${filters.length > 0 ? 
-`🎯 𝗙𝗶𝗹𝘁𝗲𝗿𝗶𝗻𝗴 𝗳𝗼𝗿: ${filters.join(', ')}` : 
-'📊 𝗧𝗿𝗮𝗰𝗸𝗶𝗻𝗴: All items & categories'}
+    // Compare against what this user was last sent, across every category
+    const lastSent = lastSentCache.get(senderId);
+    const matchesFilters = (name) => filters.length === 0 || filters.some(f => name.toLowerCase().includes(f));
+    const diff = filterDiff(diffStock(lastSent?.stock ?? null, stock), matchesFilters);
+
+    if (!alwaysSend && !diff.hasChanges) return false;
+    if (alwaysSend && filters.length > 0 && !matchedItems) return false;
+
+    // Quiet users only hear about new divine items, if they let those through; the update waits for their digest
+    if (!alwaysSend && isUserQuiet(senderId)) {
+      lastSentCache.set(senderId, { stock, sentAt: Date.now() });
+      quietHours.holdUpdate(senderId);
+      const newDivineItems = Object.values(diffStock(lastSent?.stock ?? null, stock).categories)
+        .flatMap(({ added }) => added)
+        .filter(item => isDivineItemName(item.name));
+      if (newDivineItems.length === 0) return false;
+
+      if (quietHours.allows(senderId, 'divine')) {
+        await sendMessage(senderId, { text: divineAlertText(senderId, newDivineItems) }, pageAccessToken, { purpose: 'alert' });
+      } else {
+        quietHours.holdItems(senderId, 'divine', newDivineItems.map(item => item.name));
+      }
+      return false;
+    }
+    
+    // Check for divine items and send special alert
+    const divineItems = checkDivineItems(stock);
+    if (divineItems.length > 0 && !isUserQuiet(senderId)) {
+      await sendMessage(senderId, { text: divineAlertText(senderId, divineItems) }, pageAccessToken, { purpose: alwaysSend ? 'response' : 'alert' });
+    }
 
-Sit back, relax, and let our enhanced
-system do all the work! 🌱💚`;
+    lastSentCache.set(senderId, { stock, sentAt: Date.now() });
 
-    await sendMessage(senderId, { text: startMessage }, pageAccessToken);
-    await sendTypingIndicator(senderId, pageAccessToken, 'typing_off');
-    logger.info(`✨ Enhanced gagstock tracking started for user: ${senderId} with filters:`, filters.length > 0 ? filters : 'all items');
+    // Follow-up updates only highlight what changed; the first one shows everything
+    const showFullList = alwaysSend || diff.isFirst;
+    const sections = showFullList && STOCK_DISPLAY_MODE === 'carousel' ? getStockSections(senderId, stock, filters, restocks) : [];
+    const stockContent = sections.length > 0 ? '' : showFullList ? filteredContent : formatStockHighlights(senderId, diff, restocks);
 
-    async function fetchAndNotify(alwaysSend = false) {
-      try {
-        const [stockRes, weatherRes] = await Promise.all([
-          fetchWithTimeout("https://gagstock.gleeze.com/grow-a-garden"),
-          fetchWithTimeout("https://growagardenstock.com/api/stock/weather"),
-        ]);
-
-        const backup = stockRes.data.data;
-        const stockData = {
-          gearStock: backup.gear.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-          seedsStock: backup.seed.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-          eggStock: backup.egg.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-          cosmeticsStock: backup.cosmetics.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-          honeyStock: backup.honey.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-        };
-
-        const weather = {
-          currentWeather: weatherRes.data.currentWeather || "Unknown",
-          icon: weatherRes.data.icon || "🌤️",
-          cropBonuses: weatherRes.data.cropBonuses || "None",
-          updatedAt: weatherRes.data.updatedAt || new Date().toISOString(),
-        };
-
-        const restocks = getNextRestocks();
-        const formatList = (arr) => arr.map(i => `  ├─ ${addEmoji(i.name)}: ${formatValue(i.value)}`).join("\n");
-        const updatedAtPH = getPHTime().toLocaleString("en-PH", {
-          hour: "numeric", minute: "numeric", second: "numeric", hour12: true, day: "2-digit", month: "short", year: "numeric"
-        });
+    // Get user's name for personalized greeting
+    const userName = await userRegistry.getFirstName(senderId, pageAccessToken);
 
-        let filteredContent = "";
-        let matchedItems = false;
-
-        const processSection = (label, items, restock, isFilterable) => {
-            let filtered = items;
-            if (isFilterable && filters.length > 0) {
-                filtered = items.filter(i => filters.some(f => i.name.toLowerCase().includes(f)));
-            }
-            if (filtered.length > 0) {
-                if (isFilterable) matchedItems = true;
-                return `╭─ ${label} ────────────────────╮
-${formatList(filtered)}
-  └─ ⏰ Next Restock: ${restock}
-╰─────────────────────────────────╯
-
-`;
-            }
-            return "";
-        };
+    const personalizedHeader = tr(senderId, 'stock.updateHeader', { name: userName });
+    const weatherSection = tr(senderId, 'stock.weather', { icon: weather.icon, weather: weather.currentWeather, bonus: weather.cropBonuses });
+    const footerSection = tr(senderId, 'stock.updateFooter', { time: updatedAt, version: systemVersion });
 
-        if (filters.length > 0) {
-             filteredContent += processSection("🛠️ 𝗚𝗲𝗮𝗿 & 𝗧𝗼𝗼𝗹𝘀", stockData.gearStock, restocks.gear, true);
-             filteredContent += processSection("🌱 𝗦𝗲𝗲𝗱𝘀 & 𝗣𝗹𝗮𝗻𝘁𝘀", stockData.seedsStock, restocks.seed, true);
-             if (matchedItems) {
-                filteredContent += processSection("🥚 𝗘𝗴𝗴𝘀 & 𝗣𝗲𝘁𝘀", stockData.eggStock, restocks.egg, false);
-                filteredContent += processSection("🎨 𝗖𝗼𝘀𝗺𝗲𝘁𝗶𝗰 𝗜𝘁𝗲𝗺𝘀", stockData.cosmeticsStock, restocks.cosmetics, false);
-                filteredContent += processSection("🍯 𝗛𝗼𝗻𝗲𝘆 𝗣𝗿𝗼𝗱𝘂𝗰𝘁𝘀", stockData.honeyStock, restocks.honey, false);
-             }
-        } else {
-            filteredContent += processSection("🛠️ 𝗚𝗲𝗮𝗿 & 𝗧𝗼𝗼𝗹𝘀", stockData.gearStock, restocks.gear, false);
-            filteredContent += processSection("🌱 𝗦𝗲𝗲𝗱𝘀 & 𝗣𝗹𝗮𝗻𝘁𝘀", stockData.seedsStock, restocks.seed, false);
-            filteredContent += processSection("🥚 𝗘𝗴𝗴𝘀 & 𝗣𝗲𝘁𝘀", stockData.eggStock, restocks.egg, false);
-            filteredContent += processSection("🎨 𝗖𝗼𝘀𝗺𝗲𝘁𝗶𝗰 𝗜𝘁𝗲𝗺𝘀", stockData.cosmeticsStock, restocks.cosmetics, false);
-            filteredContent += processSection("🍯 𝗛𝗼𝗻𝗲𝘆 𝗣𝗿𝗼𝗱𝘂𝗰𝘁𝘀", stockData.honeyStock, restocks.honey, false);
-            matchedItems = true;
+    const message = `${personalizedHeader}${stockContent}${weatherSection}${footerSection}`;
+
+    // Send message with refresh button
+    const messageWithRefreshButton = {
+      text: message,
+      quick_replies: [
+        {
+          content_type: "text",
+          title: tr(senderId, 'common.refreshStock'),
+          payload: "REFRESH_STOCK"
+        },
+        {
+          content_type: "text", 
+          title: tr(senderId, 'common.divineItems'),
+          payload: "DIVINE_ITEMS"
+        },
+        {
+          content_type: "text",
+          title: tr(senderId, 'common.nextRestock'),
+          payload: "NEXT_RESTOCK"
         }
+      ]
+    };
 
-        const currentKey = JSON.stringify({ gearStock: stockData.gearStock, seedsStock: stockData.seedsStock });
-        const lastSent = lastSentCache.get(senderId);
+    await sendStockMessage(senderId, messageWithRefreshButton, sections, pageAccessToken, purpose);
 
-        // Check if user has DND enabled
-        if (userDoNotDisturb.has(senderId) && !alwaysSend) {
-          return false; // Skip notifications if DND is active
+    // Send beautiful developer signature image
+    const messageWithImage = {
+      attachment: {
+        type: "image",
+        payload: {
+          url: "https://github.com/Lazy-dev-hash/user-attachmens/blob/main/New%20Project%207%20%5B3D158B3%5D.png",
+          is_reusable: true
         }
+      }
+    };
 
-        if (!alwaysSend && lastSent && lastSent !== currentKey) {
-          if (!stockClearingAlerts.has(senderId)) {
-            stockClearingAlerts.set(senderId, true);
-            await sendStockClearingAlert(senderId);
-          }
-        }
+    await sendMessage(senderId, messageWithImage, pageAccessToken, { purpose });
+    return true;
+  } catch (err) {
+    logger.error(`❌ Enhanced stock update failed for user ${senderId}:`, err.message);
+    return false;
+  }
+}
 
-        if (!alwaysSend && lastSent === currentKey) return false;
-        if (filters.length > 0 && !matchedItems) return false;
-        
-        // Check for divine items and send special alert
-        const divineItems = checkDivineItems(stockData);
-        if (divineItems.length > 0 && !userDoNotDisturb.has(senderId)) {
-          const divineAlert = `╔══════════════════════════════════╗
-║  💎  𝗗𝗜𝗩𝗜𝗡𝗘 𝗔𝗟𝗘𝗥𝗧! ║
-║      ⚡ 𝗦𝗣𝗘𝗖𝗜𝗔𝗟 𝗜𝗧𝗘𝗠! ⚡    ║
-╚══════════════════════════════════╝
+// Fans each shared snapshot out to every tracking session with its own filters.
+// VIPs with priority delivery enabled are served before the general fan-out.
+stockPoller.subscribe('trackers', async (snapshot) => {
+  const deliver = (sessions) => Promise.all(sessions.map(async ([userId, session]) => {
+    // Update last activity
+    activeSessions.set(userId, { ...session, lastActivity: Date.now() });
 
-🚨 **RARE DIVINE ITEMS IN STOCK!** 🚨
+    const notified = await notifyTracker(userId, snapshot, session.filters || [], PAGE_ACCESS_TOKEN, false);
+    if (notified) {
+      logger.debug(`✨ Enhanced stock update sent to user: ${userId}`);
+    }
+  }));
+
+  const sessions = [...activeSessions];
+  const hasPriority = ([userId]) => priorityUsers.has(userId) && isVipUser(userId);
+  await deliver(sessions.filter(hasPriority));
+  await deliver(sessions.filter(session => !hasPriority(session)));
+}, { isActive: () => botIsOnline && activeSessions.size > 0 });
+
+// Premium alert rules ('custom alerts') fire before tracker updates go out
+stockPoller.subscribe('alerts', async (snapshot, previous) => {
+  for (const [userId, rules] of userAlertRules) {
+    if (!isVipUser(userId)) continue;
+
+    const triggered = findTriggeredAlerts(rules, snapshot, previous);
+    if (triggered.length === 0) continue;
+    if (!canNotify(userId, 'alerts')) {
+      quietHours.holdItems(userId, 'alerts', triggered.map(({ item }) => item.name));
+      continue;
+    }
 
-${divineItems.map(item => `🌟 ${addEmoji(item.name)}: ${formatValue(item.value)}`).join('\n')}
+    const alertList = triggered.map(({ item }) => `🔔 ${addEmoji(item.name)}: ${formatValue(item.value)}`);
+    const alertMessage = tr(userId, 'stock.premiumAlert', { items: [...new Set(alertList)].join('\n') });
+    await sendMessage(userId, { text: alertMessage }, PAGE_ACCESS_TOKEN, { purpose: 'alert' });
+  }
+}, { isActive: () => botIsOnline && userAlertRules.size > 0, priority: 1 });
+
+// Watchlists ('watch add') send a short alert whether or not a tracking session is running
+stockPoller.subscribe('watchlists', async (snapshot, previous) => {
+  for (const [userId, watchlist] of userWatchlists) {
+    if (isBanned(userId)) continue;
+
+    const triggered = findTriggeredAlerts(watchlist, snapshot, previous);
+    if (triggered.length === 0) continue;
+    if (!canNotify(userId, 'watchlist')) {
+      quietHours.holdItems(userId, 'watchlist', triggered.map(({ item }) => item.name));
+      continue;
+    }
 
-⚡ **ACT FAST!** These divine items 
-   are extremely rare and sell out 
-   within minutes! 
+    const lines = [...new Set(triggered.map(({ item }) => `👀 ${addEmoji(item.name)}: ${formatValue(item.value)}`))];
+    await sendMessage(userId, {
+      text: tr(userId, 'stock.watchlistAlert', { items: lines.join('\n') }),
+      quick_replies: [
+        { content_type: "text", title: tr(userId, 'common.myWatchlist'), payload: "WATCH_LIST" },
+        { content_type: "text", title: tr(userId, 'common.nextRestock'), payload: "NEXT_RESTOCK" }
+      ]
+    }, PAGE_ACCESS_TOKEN, { purpose: 'alert' });
+  }
+}, { isActive: () => botIsOnline && userWatchlists.size > 0, priority: 1 });
 
-🏃‍♂️💨 Get them NOW! 💎✨`;
-          
-          await sendMessage(senderId, { text: divineAlert }, pageAccessToken);
-        }
+// Resumes every persisted tracking session after a restart or redeploy
+function restoreTrackingSessions() {
+  for (const [userId, session] of activeSessions) {
+    activeSessions.set(userId, { ...session, lastActivity: Date.now() });
+  }
+  if (activeSessions.size > 0) {
+    logger.system(`💾 Restored ${activeSessions.size} gagstock tracking session(s) from storage`);
+  }
+}
+
+// Enhanced main gagstock command with better aesthetics and refresh button
+const gagstockCommand = defineCommand({
+  name: "gagstock",
+  aliases: ["gag", "stock", "track"],
+  description: "Enhanced Grow A Garden stock tracker with beautiful formatting",
+  category: "Tools ⚒️",
+  availableWhileResting: false,
+  subcommands: {
+    on: {
+      description: "Track all items, or only those matching filters",
+      args: [{ name: "filter", type: "text", optional: true, description: "Items or categories, separated by |" }],
+      examples: ["gagstock on", "gagstock on Sunflower | Can"],
+    },
+    off: { description: "Stop tracking" },
+  },
+  menu: [
+    { title: "🌾 Start Tracking", args: "on" },
+    { title: "🛑 Stop Tracking", args: "off" }
+  ],
+  iceBreakers: [
+    { question: "What's in stock right now?", args: "on" },
+    { question: "Only show me seeds", args: "on seed" }
+  ],
+  async execute(senderId, args, pageAccessToken) {
+    const action = args[0]?.toLowerCase();
+    const filters = args.slice(1).join(" ").split("|").map(f => f.trim().toLowerCase()).filter(Boolean);
 
-        lastSentCache.set(senderId, currentKey);
+    if (action === "off") {
+        if (stopTrackingSession(senderId)) {
+            logger.info(`🛑 Gagstock tracking stopped for user: ${senderId}`);
 
-        // Get user's name for personalized greeting
-        let userName = "Friend";
-        try {
-          const userInfoResponse = await axios.get(`https://graph.facebook.com/v19.0/${senderId}`, {
-            params: { 
-              fields: 'first_name',
-              access_token: pageAccessToken 
-            },
-            timeout: 5000
-          });
-          userName = userInfoResponse.data.first_name || "Friend";
-        } catch (error) {
-          logger.debug("Could not fetch user name:", error.message);
+            return await sendMessage(senderId, { text: tr(senderId, 'gagstock.stopped') }, pageAccessToken);
+        } else {
+            return await sendMessage(senderId, { text: tr(senderId, 'gagstock.noSession') }, pageAccessToken);
         }
+    }
 
-        const personalizedHeader = `╔══════════════════════════════════╗
-║   🌾 Hi ${userName}! Fresh Stock! 🌟   ║
-║      Enhanced Update! ✨         ║
-╚══════════════════════════════════╝
-
-`;
-
-        const weatherSection = `╭─ 🌤️ 𝗪𝗲𝗮𝘁𝗵𝗲𝗿 & 𝗕𝗼𝗻𝘂𝘀𝗲𝘀 ────╮
-  ├─ Current: ${weather.icon} ${weather.currentWeather}
-  └─ Crop Bonus: 🌾 ${weather.cropBonuses}
-╰─────────────────────────────────╯
-
-`;
-
-        const footerSection = `╭─ 📊 𝗟𝗮𝘀𝘁 𝗨𝗽𝗱𝗮𝘁𝗲 & 𝗦𝘁𝗮𝘁𝘂𝘀 ─╮
-  ├─ 📅 Time: ${updatedAtPH}
-  ├─ 🔄 Source: Live API Data
-  ├─ ✅ Status: All Systems Healthy
-  └─ 🌟 Enhanced: v${systemVersion} Active
-╰─────────────────────────────────╯`;
-
-        const message = `${personalizedHeader}${filteredContent}${weatherSection}${footerSection}`;
-
-        // Send message with refresh button
-        const messageWithRefreshButton = {
-          text: message,
-          quick_replies: [
-            {
-              content_type: "text",
-              title: "🔄 Refresh Stock",
-              payload: "REFRESH_STOCK"
-            },
-            {
-              content_type: "text", 
-              title: "💎 Divine Items",
-              payload: "DIVINE_ITEMS"
-            },
-            {
-              content_type: "text",
-              title: "⏰ Next Restock",
-              payload: "NEXT_RESTOCK"
-            }
-          ]
-        };
-
-        await sendMessage(senderId, messageWithRefreshButton, pageAccessToken);
-
-        // Send beautiful developer signature image
-        const messageWithImage = {
-          attachment: {
-            type: "image",
-            payload: {
-              url: "https://github.com/Lazy-dev-hash/user-attachmens/blob/main/New%20Project%207%20%5B3D158B3%5D.png",
-              is_reusable: true
-            }
-          }
-        };
-
-        await sendMessage(senderId, messageWithImage, pageAccessToken);
-        return true;
-      } catch (err) {
-        logger.error("❌ Enhanced fetch failed:", err.message);
-        return false;
-      }
+    if (activeSessions.has(senderId)) {
+        logger.warn(`⚠️ User ${senderId} tried to start an existing session.`);
+        return await sendMessage(senderId, { text: tr(senderId, 'gagstock.alreadyActive') }, pageAccessToken);
     }
 
-    async function runSchedule() {
-      const now = getPHTime();
-      const nextTime = getNextScheduledTime(now);
-      const wait = Math.max(nextTime - now, 1000);
-      const timer = setTimeout(async function trigger() {
-        const session = activeSessions.get(senderId);
-        if (!session || !botIsOnline) return;
+    await sendTypingIndicator(senderId, pageAccessToken, 'typing_on');
 
-        // Update last activity
-        session.lastActivity = Date.now();
+    const scope = filters.length > 0
+      ? tr(senderId, 'gagstock.filteringFor', { filters: filters.join(', ') })
+      : tr(senderId, 'gagstock.trackingAll');
+    const startMessage = tr(senderId, 'gagstock.started', { scope });
 
-        const notified = await fetchAndNotify(false);
-        if (notified) {
-          logger.debug(`✨ Enhanced stock update sent to user: ${senderId}`);
-        }
-        runSchedule();
-      }, wait);
-
-      activeSessions.set(senderId, { 
-        timeout: timer, 
-        lastActivity: Date.now(),
-        filters: filters,
-        startTime: Date.now()
-      });
-    }
+    await sendMessage(senderId, { text: startMessage }, pageAccessToken);
+    await sendTypingIndicator(senderId, pageAccessToken, 'typing_off');
+    logger.info(`✨ Enhanced gagstock tracking started for user: ${senderId} with filters:`, filters.length > 0 ? filters : 'all items');
 
-    const firstFetchSuccess = await fetchAndNotify(true);
+    const snapshot = await stockPoller.fetchNow().catch(error => {
+      logger.error("❌ Enhanced fetch failed:", error.message);
+      return null;
+    });
+    const firstFetchSuccess = snapshot && await notifyTracker(senderId, snapshot, filters, pageAccessToken, true);
     if(firstFetchSuccess) {
-      runSchedule();
+      const now = Date.now();
+      activeSessions.set(senderId, { filters, startTime: now, lastActivity: now });
     } else {
-      const fetchErrorMessage = `╔══════════════════════════════════╗
-║  ❌  𝗖𝗼𝗻𝗻𝗲𝗰𝘁𝗶𝗼𝗻 𝗘𝗿𝗿𝗼𝗿  ║
-╚══════════════════════════════════╝
-
-😔 Unable to fetch initial stock 
-   data from Grow A Garden servers.
-
-╭─ 🔧 What's happening? ────────╮
-│ 📡 Server connectivity issue  │
-│ ⏰ Usually temporary problem   │
-│ 🔄 Auto-retry in progress     │
-│ 💫 Will resolve shortly       │
-╰────────────────────────────────╯
-
-🌱 Please try again in a few moments!
-   Enhanced features are ready! ✨`;
-      await sendMessage(senderId, { text: fetchErrorMessage }, pageAccessToken);
-      activeSessions.delete(senderId);
+      await sendMessage(senderId, { text: tr(senderId, 'gagstock.fetchError') }, pageAccessToken);
+      stopTrackingSession(senderId);
     }
   }
-};
+});
 
 // Enhanced Refresh Command with aesthetic button
-const refreshCommand = {
+const refreshCommand = defineCommand({
   name: "refresh",
   aliases: ["reload", "sync", "update"],
   description: "Force refresh all stock data with cache clearing",
-  usage: "refresh",
   category: "Tools ⚒️",
+  availableWhileResting: false,
+  menu: [{ title: "🔄 Refresh Stock" }],
   async execute(senderId, args, pageAccessToken) {
-    if (!botIsOnline) {
-      const offlineResponse = `╔══════════════════════════════════╗
-║  🌙  𝗕𝗼𝘁 𝗥𝗲𝘀𝘁𝗶𝗻𝗴  ║
-╚══════════════════════════════════╝
-
-😴 I'm currently in rest mode 
-   (12:00 AM - 5:00 AM)
-
-🌟 Come back at 5:00 AM for 
-   enhanced tracking! ✨`;
-      await sendMessage(senderId, { text: offlineResponse }, pageAccessToken);
-      return;
-    }
-
     const session = activeSessions.get(senderId);
     if (!session) {
-      const noSessionMessage = `╔══════════════════════════════════╗
-║  ⚠️   𝗡𝗼 𝗔𝗰𝘁𝗶𝘃𝗲 𝗦𝗲𝘀𝘀𝗶𝗼𝗻  ║
-╚══════════════════════════════════╝
-
-🚫 You need to start gagstock tracking
-   first before refreshing.
-
-╭─ 🚀 Quick Start Guide ───────╮
-│ 🟢 'gagstock on' - Start     │
-│ 🎯 'gagstock on [filter]'    │
-│ 📖 'help' - Show commands    │
-╰────────────────────────────────╯
-
-🌱 Ready to begin tracking! ✨`;
-      return await sendMessage(senderId, { text: noSessionMessage }, pageAccessToken);
+      return await sendMessage(senderId, { text: tr(senderId, 'refresh.noSession') }, pageAccessToken);
     }
 
     // Send typing indicator
@@ -1165,100 +1069,46 @@ const refreshCommand = {
       await sendStockClearingAlert(senderId);
     }
 
-    const refreshingMessage = `╔══════════════════════════════════╗
-║  🔄  𝗥𝗲𝗳𝗿𝗲𝘀𝗵𝗶𝗻𝗴 𝗦𝘁𝗼𝗰𝗸  ║
-╚══════════════════════════════════╝
-
-🔄 Fetching the freshest stock data...
-⚡ Loading enhanced information...
-🌟 Applying beautiful formatting...
-
-╭─ 📡 Connection Status ───────╮
-│ 🌐 Connecting to servers...   │
-│ 📊 Downloading stock data...  │
-│ 🌤️ Fetching weather info...   │
-│ ✨ Preparing display...       │
-╰────────────────────────────────╯
-
-Please wait while magic happens! 🪄`;
-    await sendMessage(senderId, { text: refreshingMessage }, PAGE_ACCESS_TOKEN);
+    await sendMessage(senderId, { text: tr(senderId, 'refresh.refreshing') }, PAGE_ACCESS_TOKEN);
 
     try {
       // Force clear cache and fetch new data
       lastSentCache.delete(senderId);
       stockClearingAlerts.delete(senderId);
 
-      const [stockRes, weatherRes] = await Promise.all([
-        fetchWithTimeout("https://gagstock.gleeze.com/grow-a-garden"),
-        fetchWithTimeout("https://growagardenstock.com/api/stock/weather"),
-      ]);
-
-      const backup = stockRes.data.data;
-      const stockData = {
-        gearStock: backup.gear.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-        seedsStock: backup.seed.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-        eggStock: backup.egg.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-        cosmeticsStock: backup.cosmetics.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-        honeyStock: backup.honey.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-      };
-
-      const weather = {
-        currentWeather: weatherRes.data.currentWeather || "Unknown",
-        icon: weatherRes.data.icon || "🌤️",
-        cropBonuses: weatherRes.data.cropBonuses || "None",
-        updatedAt: weatherRes.data.updatedAt || new Date().toISOString(),
-      };
+      const { stock, weather } = await stockPoller.fetchNow({ maxAge: REFRESH_MAX_AGE });
 
       const restocks = getNextRestocks();
       const formatList = (arr) => arr.map(i => `  ├─ ${addEmoji(i.name)}: ${formatValue(i.value)}`).join("\n");
-      const updatedAtPH = getPHTime().toLocaleString("en-PH", {
-        hour: "numeric", minute: "numeric", second: "numeric", hour12: true, day: "2-digit", month: "short", year: "numeric"
-      });
+      const updatedAt = formatUserDateTime(senderId, Date.now(), { seconds: true, year: true });
 
       const filters = session.filters || [];
       let filteredContent = "";
 
-      const processSection = (label, items, restock) => {
+      const processSection = (category) => {
+        const items = stock[category];
         let filtered = items;
         if (filters.length > 0) {
           filtered = items.filter(i => filters.some(f => i.name.toLowerCase().includes(f)));
         }
         if (filtered.length > 0 || filters.length === 0) {
-          return `╭─ ${label} ────────────────────╮
-${formatList(filters.length > 0 ? filtered : items)}
-  └─ ⏰ Next Restock: ${restock}
-╰─────────────────────────────────╯
-
-`;
+          return tr(senderId, 'stock.section', {
+            label: categoryLabel(senderId, category),
+            items: formatList(filters.length > 0 ? filtered : items),
+            restock: restocks[category],
+          });
         }
         return "";
       };
 
-      filteredContent += processSection("🛠️ 𝗚𝗲𝗮𝗿 & 𝗧𝗼𝗼𝗹𝘀", stockData.gearStock, restocks.gear);
-      filteredContent += processSection("🌱 𝗦𝗲𝗲𝗱𝘀 & 𝗣𝗹𝗮𝗻𝘁𝘀", stockData.seedsStock, restocks.seed);
-      filteredContent += processSection("🥚 𝗘𝗴𝗴𝘀 & 𝗣𝗲𝘁𝘀", stockData.eggStock, restocks.egg);
-      filteredContent += processSection("🎨 𝗖𝗼𝘀𝗺𝗲𝘁𝗶𝗰𝘀", stockData.cosmeticsStock, restocks.cosmetics);
-      filteredContent += processSection("🍯 𝗛𝗼𝗻𝗲𝘆 𝗣𝗿𝗼𝗱𝘂𝗰𝘁𝘀", stockData.honeyStock, restocks.honey);
+      for (const category of STOCK_CATEGORIES) filteredContent += processSection(category);
 
-      const refreshSuccessHeader = `╔══════════════════════════════════╗
-║   🔄 𝗦𝘁𝗼𝗰𝗸 𝗦𝘂𝗰𝗰𝗲𝘀𝘀𝗳𝘂𝗹𝗹𝘆     ║
-║      𝗥𝗲𝗳𝗿𝗲𝘀𝗵𝗲𝗱! ✨           ║
-╚══════════════════════════════════╝
+      const sections = STOCK_DISPLAY_MODE === 'carousel' ? getStockSections(senderId, stock, filters, restocks) : [];
+      if (sections.length > 0) filteredContent = "";
 
-`;
-
-      const weatherSection = `╭─ 🌤️ 𝗪𝗲𝗮𝘁𝗵𝗲𝗿 & 𝗕𝗼𝗻𝘂𝘀𝗲𝘀 ────╮
-  ├─ Current: ${weather.icon} ${weather.currentWeather}
-  └─ Crop Bonus: 🌾 ${weather.cropBonuses}
-╰─────────────────────────────────╯
-
-`;
-
-      const footerSection = `╭─ 📊 𝗙𝗿𝗲𝘀𝗵 𝗗𝗮𝘁𝗮 𝗜𝗻𝗳𝗼 ─────╮
-  ├─ 📅 Updated: ${updatedAtPH}
-  ├─ 🔄 Cache: Cleared & Fresh
-  └─ ✅ Status: All Systems Go!
-╰─────────────────────────────────╯`;
+      const refreshSuccessHeader = tr(senderId, 'refresh.header');
+      const weatherSection = tr(senderId, 'stock.weather', { icon: weather.icon, weather: weather.currentWeather, bonus: weather.cropBonuses });
+      const footerSection = tr(senderId, 'refresh.footer', { time: updatedAt });
 
       const message = `${refreshSuccessHeader}${filteredContent}${weatherSection}${footerSection}`;
 
@@ -1268,28 +1118,28 @@ ${formatList(filters.length > 0 ? filtered : items)}
         quick_replies: [
           {
             content_type: "text",
-            title: "🔄 Refresh Again",
+            title: tr(senderId, 'common.refreshAgain'),
             payload: "REFRESH_STOCK"
           },
           {
             content_type: "text", 
-            title: "💎 Divine Items",
+            title: tr(senderId, 'common.divineItems'),
             payload: "DIVINE_ITEMS"
           },
           {
             content_type: "text",
-            title: "⏰ Next Restock",
+            title: tr(senderId, 'common.nextRestock'),
             payload: "NEXT_RESTOCK"
           },
           {
             content_type: "text",
-            title: "🌤️ Weather Info",
+            title: tr(senderId, 'common.weatherInfo'),
             payload: "WEATHER_INFO"
           }
         ]
       };
 
-      await sendMessage(senderId, messageWithRefreshButton, pageAccessToken);
+      await sendStockMessage(senderId, messageWithRefreshButton, sections, pageAccessToken);
 
       // Send beautiful developer signature image
       const messageWithImage = {
@@ -1305,882 +1155,1305 @@ ${formatList(filters.length > 0 ? filtered : items)}
       await sendMessage(senderId, messageWithImage, pageAccessToken);
 
     } catch (error) {
-      const errorMessage = `╔══════════════════════════════════╗
-║  ❌  𝗥𝗲𝗳𝗿𝗲𝘀𝗵 𝗨𝗻𝘀𝘂𝗰𝗰𝗲𝘀𝘀𝗳𝘂𝗹  ║
-╚══════════════════════════════════╝
-
-😔 Unable to refresh stock data 
-   at this moment.
-
-╭─ 🔧 Troubleshooting ──────────╮
-│ 🔄 Try again in a few moments │
-│ 📡 Server might be busy       │
-│ 🌐 Check internet connection  │
-│ 💫 Usually resolves quickly   │
-╰────────────────────────────────╯
-
-🌱 We're working to fix this! 💚`;
-      await sendMessage(senderId, { text: errorMessage }, pageAccessToken);
+      await sendMessage(senderId, { text: tr(senderId, 'refresh.error') }, pageAccessToken);
     } finally {
       await sendTypingIndicator(senderId, pageAccessToken, 'typing_off');
     }
   }
-};
+});
 
 // Do Not Disturb Command
-const doNotDisturbCommand = {
+const doNotDisturbCommand = defineCommand({
   name: "dnd",
   aliases: ["donotdisturb", "quiet", "silence"],
-  description: "Toggle do not disturb mode to pause notifications",
-  usage: "dnd on | dnd off | dnd status",
+  description: "Pause notifications now, for a while or on a daily schedule",
   category: "Tools ⚒️",
+  fallbackSubcommand: "for",
+  subcommands: {
+    on: { description: "Pause all notifications" },
+    off: { description: "Resume notifications" },
+    status: { description: "View current DND state" },
+    for: {
+      description: "Pause notifications for a while",
+      args: [{ name: "duration", description: "Such as 30m, 2h or 1d" }],
+      examples: ["dnd 2h", "dnd for 30m"],
+    },
+    schedule: {
+      aliases: ["hours"],
+      description: "Set daily quiet hours in your time zone",
+      args: [{ name: "from-to|off", type: "text" }],
+      examples: ["dnd schedule 22:00-07:00", "dnd schedule off"],
+    },
+    except: {
+      aliases: ["allow"],
+      description: "Let some alerts through while quiet",
+      args: [{ name: "kinds|none", type: "text", description: `Any of ${EXCEPTION_KINDS.join(', ')}` }],
+      examples: ["dnd except divine watchlist", "dnd except none"],
+    },
+  },
+  menu: [{ title: "🔕 Do Not Disturb", args: "status" }],
   async execute(senderId, args, pageAccessToken) {
     const action = args[0]?.toLowerCase();
+    const timeZone = getUserTimeZone(senderId);
+    const describeKinds = (kinds) => kinds.length > 0
+      ? kinds.map(kind => tr(senderId, `dnd.kinds.${kind}`)).join(', ')
+      : tr(senderId, 'dnd.nothing');
     
-    if (!action || !['on', 'off', 'status'].includes(action)) {
-      const usageMessage = `╔══════════════════════════════════╗
-║  🔕  𝗗𝗼 𝗡𝗼𝘁 𝗗𝗶𝘀𝘁𝘂𝗿𝗯  ║
-║      𝗖𝗼𝗺𝗺𝗮𝗻𝗱 𝗚𝘂𝗶𝗱𝗲 ✨        ║
-╚══════════════════════════════════╝
-
-🌙 𝗔𝘃𝗮𝗶𝗹𝗮𝗯𝗹𝗲 𝗢𝗽𝘁𝗶𝗼𝗻𝘀:
-
-╭─ 🔕 Enable DND Mode ──────────╮
-│ dnd on                        │
-│ └─ Pause all notifications    │
-╰────────────────────────────────╯
-
-╭─ 🔔 Disable DND Mode ─────────╮
-│ dnd off                       │
-│ └─ Resume notifications       │
-╰────────────────────────────────╯
-
-╭─ 📊 Check DND Status ─────────╮
-│ dnd status                    │
-│ └─ View current DND state     │
-╰────────────────────────────────╯
-
-Perfect for peaceful moments! 🌸✨`;
-      return await sendMessage(senderId, { text: usageMessage }, pageAccessToken);
-    }
-
     if (action === 'on') {
       userDoNotDisturb.set(senderId, true);
-      const enableMessage = `╔══════════════════════════════════╗
-║  🔕  𝗗𝗼 𝗡𝗼𝘁 𝗗𝗶𝘀𝘁𝘂𝗿𝗯  ║
-║      𝗔𝗰𝘁𝗶𝘃𝗮𝘁𝗲𝗱! 🌙          ║
-╚══════════════════════════════════╝
-
-😌 Peaceful mode is now active!
-
-╭─ 🌸 DND Features Enabled ─────╮
-│ 🔕 Stock notifications: OFF   │
-│ 🌙 Auto updates: Paused       │
-│ ✨ Divine alerts: Silenced    │
-│ 💤 Peaceful experience: ON    │
-╰────────────────────────────────╯
-
-🧘‍♀️ Enjoy your tranquil time!
-   Type 'dnd off' to resume. 🌟`;
-      
-      await sendMessage(senderId, { text: enableMessage }, pageAccessToken);
+      await sendMessage(senderId, { text: tr(senderId, 'dnd.on') }, pageAccessToken);
       logger.info(`🔕 Do Not Disturb enabled for user: ${senderId}`);
       
     } else if (action === 'off') {
       userDoNotDisturb.delete(senderId);
-      const disableMessage = `╔══════════════════════════════════╗
-║  🔔  𝗗𝗼 𝗡𝗼𝘁 𝗗𝗶𝘀𝘁𝘂𝗿𝗯  ║
-║      𝗗𝗶𝘀𝗮𝗯𝗹𝗲𝗱! ✨          ║
-╚══════════════════════════════════╝
-
-🎉 Welcome back! Notifications resumed!
+      quietHours.clearPause(senderId);
+      const quietUntil = quietHours.getQuietUntil(senderId, timeZone);
+      const note = quietUntil ? tr(senderId, 'dnd.stillScheduled', { until: formatUserDateTime(senderId, quietUntil) }) : '';
+      await sendMessage(senderId, { text: tr(senderId, 'dnd.off') + note }, pageAccessToken);
+      if (!quietUntil) await sendQuietDigest(senderId, pageAccessToken);
+      logger.info(`🔔 Do Not Disturb disabled for user: ${senderId}`);
 
-╭─ 🌟 Active Features Restored ─╮
-│ 🔔 Stock notifications: ON    │
-│ ⚡ Auto updates: Active       │
-│ 💎 Divine alerts: Enabled     │
-│ 🚀 Full experience: Restored  │
-╰────────────────────────────────╯
+    } else if (action === 'for') {
+      const duration = parseDuration(args[1] || '');
+      if (!(duration > 0 && duration <= MAX_QUIET_PAUSE)) {
+        return await sendMessage(senderId, { text: tr(senderId, 'dnd.badDuration', { value: args.slice(1).join(' '), max: formatDuration(MAX_QUIET_PAUSE) }) }, pageAccessToken);
+      }
+      quietHours.pauseFor(senderId, duration);
+      const until = quietHours.getQuietUntil(senderId, timeZone);
+      await sendMessage(senderId, {
+        text: tr(senderId, 'dnd.paused', { duration: formatDuration(duration), until: tr(senderId, 'time.until', { date: formatUserDateTime(senderId, until) }) })
+      }, pageAccessToken);
+      logger.info(`⏳ User ${senderId} paused notifications for ${formatDuration(duration)}`);
+
+    } else if (action === 'schedule') {
+      const value = args.slice(1).join(' ');
+      if (['off', 'none', 'clear'].includes(value.toLowerCase())) {
+        quietHours.setWindow(senderId, null);
+        return await sendMessage(senderId, { text: tr(senderId, 'dnd.scheduleCleared') }, pageAccessToken);
+      }
+      const window = parseQuietWindow(value);
+      if (!window) {
+        return await sendMessage(senderId, { text: tr(senderId, 'dnd.badSchedule', { value }) }, pageAccessToken);
+      }
+      quietHours.setWindow(senderId, window);
+      const { exceptions } = quietHours.get(senderId);
+      await sendMessage(senderId, {
+        text: tr(senderId, 'dnd.scheduleSet', { window: describeQuietWindow(window), zone: timeZone, exceptions: describeKinds(exceptions) })
+      }, pageAccessToken);
+      logger.info(`🌙 User ${senderId} set quiet hours ${describeQuietWindow(window)} (${timeZone})`);
+
+    } else if (action === 'except') {
+      const words = args.slice(1).join(' ').toLowerCase().split(/[\s,]+/).filter(Boolean);
+      if (words.length === 1 && ['none', 'off', 'clear'].includes(words[0])) {
+        quietHours.setExceptions(senderId, []);
+        return await sendMessage(senderId, { text: tr(senderId, 'dnd.exceptionsCleared') }, pageAccessToken);
+      }
+      // Plurals and 'watch' are fine: 'dnd except alerts watch'
+      const kinds = words.map(word => EXCEPTION_KINDS.find(kind => kind === word || kind.startsWith(word) || word.startsWith(kind)));
+      const unknown = words[kinds.indexOf(undefined)];
+      if (words.length === 0 || unknown !== undefined) {
+        return await sendMessage(senderId, {
+          text: tr(senderId, 'dnd.badException', { value: unknown ?? '', kinds: EXCEPTION_KINDS.join(', ') })
+        }, pageAccessToken);
+      }
+      const { exceptions } = quietHours.setExceptions(senderId, kinds);
+      await sendMessage(senderId, { text: tr(senderId, 'dnd.exceptionsSet', { kinds: describeKinds(exceptions) }) }, pageAccessToken);
 
-🌱 Ready to track stocks again! 💚`;
-      
-      await sendMessage(senderId, { text: disableMessage }, pageAccessToken);
-      logger.info(`🔔 Do Not Disturb disabled for user: ${senderId}`);
-      
     } else if (action === 'status') {
-      const isEnabled = userDoNotDisturb.has(senderId);
-      const statusIcon = isEnabled ? '🔕' : '🔔';
-      const statusText = isEnabled ? 'ENABLED' : 'DISABLED';
-      const statusEmoji = isEnabled ? '🌙' : '🌟';
-      
-      const statusMessage = `╔══════════════════════════════════╗
-║  📊  𝗗𝗡𝗗 𝗦𝘁𝗮𝘁𝘂𝘀 ${statusIcon}  ║
-╚══════════════════════════════════╝
-
-${statusEmoji} Do Not Disturb: **${statusText}**
-
-╭─ 📱 Current Settings ─────────╮
-│ 🔔 Notifications: ${isEnabled ? 'Paused   ' : 'Active   '} │
-│ ⚡ Auto Updates: ${isEnabled ? 'Disabled ' : 'Enabled  '} │
-│ 💎 Divine Alerts: ${isEnabled ? 'Silenced' : 'Enabled  '} │
-│ 🌸 Peace Mode: ${isEnabled ? 'ON       ' : 'OFF      '} │
-╰────────────────────────────────╯
-
-${isEnabled ? 
-'🧘‍♀️ Enjoying peaceful moments...\n   Type "dnd off" to resume! 🌙' : 
-'🚀 All systems active & ready!\n   Type "dnd on" for peace! ✨'}`;
-      
-      await sendMessage(senderId, { text: statusMessage }, pageAccessToken);
+      const { window, until, exceptions } = quietHours.get(senderId);
+      const isEnabled = isUserQuiet(senderId);
+      const quietUntil = quietHours.getQuietUntil(senderId, timeZone);
+      const notSet = tr(senderId, 'dnd.notSet');
+      await sendMessage(senderId, {
+        text: tr(senderId, isEnabled ? 'dnd.statusOn' : 'dnd.statusOff', {
+          until: userDoNotDisturb.has(senderId) || !quietUntil
+            ? tr(senderId, 'dnd.untilOff')
+            : tr(senderId, 'time.until', { date: formatUserDateTime(senderId, quietUntil) }),
+          divine: tr(senderId, !isEnabled || exceptions.includes('divine') ? 'dnd.divineOn' : 'dnd.divineOff'),
+          window: window ? `${describeQuietWindow(window)} (${timeZone})` : notSet,
+          paused: until > Date.now() ? formatUserDateTime(senderId, until) : notSet,
+          exceptions: describeKinds(exceptions),
+        })
+      }, pageAccessToken);
     }
   }
-};
+});
 
 // Next Stock Command
-const nextStockCommand = {
+const nextStockCommand = defineCommand({
   name: "nextstock",
   aliases: ["next", "nextstk", "upcoming"],
   description: "Track next stock restock for specific categories",
-  usage: "nextstock [gear|seed|egg] | nextstock all",
   category: "Tools ⚒️",
+  args: [{ name: "category", choices: [...STOCK_CATEGORIES, "all"] }],
+  examples: ["nextstock all", "nextstock seed", "nextstock cosmetics"],
+  menu: [{ title: "⏰ Next Restock", args: "all" }],
+  iceBreakers: [{ question: "When is the next restock?", args: "all" }],
+  async execute(senderId, args, pageAccessToken, { category }) {
+    const now = Date.now();
+
+    if (category === 'all') {
+      const sections = STOCK_CATEGORIES
+        .map(stockCategory => tr(senderId, 'nextstock.allSection', {
+          emoji: CATEGORY_EMOJIS[stockCategory],
+          name: tr(senderId, `nextstock.names.${stockCategory}`),
+          time: getCountdown(restockSchedule.getNext(stockCategory, now), now),
+          frequency: describeRestockInterval(senderId, stockCategory),
+        }))
+        .join('\n\n');
+      return await sendMessage(senderId, { text: tr(senderId, 'nextstock.all', { sections }) }, pageAccessToken);
+    }
+
+    const [next, ...later] = restockSchedule.getUpcoming(category, 4, now);
+    const timeZone = getUserTimeZone(senderId);
+    const categoryMessage = tr(senderId, 'nextstock.category', {
+      emoji: CATEGORY_EMOJIS[category],
+      title: tr(senderId, `nextstock.titles.${category}`),
+      name: tr(senderId, `nextstock.names.${category}`),
+      time: getCountdown(next, now),
+      at: formatTimeOfDay(next, timeZone),
+      upcoming: later.map(at => formatTimeOfDay(at, timeZone)).join(', '),
+      frequency: describeRestockInterval(senderId, category),
+      category,
+    });
+    await sendMessage(senderId, {
+      text: categoryMessage,
+      quick_replies: [{ content_type: "text", title: tr(senderId, 'common.remindMe'), payload: commandPayload(`remind ${category}`) }]
+    }, pageAccessToken);
+  }
+});
+
+const CATEGORY_EMOJIS = { gear: '🛠️', seed: '🌱', egg: '🥚', cosmetics: '🎨', honey: '🍯' };
+
+function describeRestockInterval(userId, category) {
+  const minutes = restockSchedule.getInterval(category);
+  if (minutes % 60 !== 0) return tr(userId, 'nextstock.every.minutes', { count: minutes });
+  return minutes === 60 ? tr(userId, 'nextstock.every.hour') : tr(userId, 'nextstock.every.hours', { count: minutes / 60 });
+}
+
+// Stock History Command
+const historyCommand = defineCommand({
+  name: "history",
+  aliases: ["hist", "seen", "lastseen"],
+  description: "Show when an item last appeared and how often it restocks",
+  category: "Tools ⚒️",
+  args: [{ name: "item", type: "text" }],
+  examples: ["history beanstalk", "history master sprinkler"],
   async execute(senderId, args, pageAccessToken) {
-    const category = args[0]?.toLowerCase();
-    
-    if (!category || !['gear', 'seed', 'egg', 'all'].includes(category)) {
-      const usageMessage = `╔══════════════════════════════════╗
-║  ⏰  𝗡𝗲𝘅𝘁 𝗦𝘁𝗼𝗰𝗸 ║
-║      𝗧𝗿𝗮𝗰𝗸𝗲𝗿 🎯              ║
-╚══════════════════════════════════╝
-
-🌟 𝗔𝘃𝗮𝗶𝗹𝗮𝗯𝗹𝗲 𝗖𝗮𝘁𝗲𝗴𝗼𝗿𝗶𝗲𝘀:
-
-╭─ 🛠️ Gear Tracking ────────────╮
-│ nextstock gear                │
-│ └─ Next gear restock timer    │
-╰────────────────────────────────╯
-
-╭─ 🌱 Seeds Tracking ───────────╮
-│ nextstock seed                │
-│ └─ Next seed restock timer    │
-╰────────────────────────────────╯
-
-╭─ 🥚 Eggs Tracking ────────────╮
-│ nextstock egg                 │
-│ └─ Next egg restock timer     │
-╰────────────────────────────────╯
-
-╭─ 📊 All Categories ───────────╮
-│ nextstock all                 │
-│ └─ Complete restock overview  │
-╰────────────────────────────────╯
-
-Perfect for timing your purchases! ⏰✨`;
-      return await sendMessage(senderId, { text: usageMessage }, pageAccessToken);
+    const query = args.join(" ").trim().toLowerCase();
+
+    const knownNames = [...stockHistory.getKnownItems().keys()];
+    const catalogName = catalog.lookup(query)?.name.toLowerCase();
+    const exactMatch = knownNames.find(name => name.toLowerCase() === (catalogName || query));
+    const partialMatches = knownNames.filter(name => name.toLowerCase().includes(query));
+    const itemName = exactMatch || (partialMatches.length === 1 ? partialMatches[0] : null);
+
+    if (!itemName) {
+      const suggestions = partialMatches.slice(0, 8).map(name => `│ • ${addEmoji(name)}`).join("\n");
+      const details = partialMatches.length > 1
+        ? tr(senderId, 'history.ambiguous', { query, suggestions })
+        : tr(senderId, 'history.notSeen', { query });
+      const notFoundMessage = tr(senderId, 'history.notFound', { details });
+      return await sendMessage(senderId, { text: notFoundMessage }, pageAccessToken);
     }
 
-    const restocks = getNextRestocks();
-    
-    if (category === 'all') {
-      const allStockMessage = `╔══════════════════════════════════╗
-║  ⏰  𝗔𝗹𝗹 𝗦𝘁𝗼𝗰𝗸 ║
-║      𝗥𝗲𝘀𝘁𝗼𝗰𝗸 𝗧𝗶𝗺𝗲𝗿𝘀 🎯       ║
-╚══════════════════════════════════╝
-
-🌟 **Complete Restock Schedule:**
-
-╭─ 🛠️ Gear & Tools ─────────────╮
-│ ⏰ Next Restock: ${restocks.gear}        │
-│ 🔄 Frequency: Every 5 minutes  │
-╰────────────────────────────────╯
-
-╭─ 🌱 Seeds & Plants ───────────╮
-│ ⏰ Next Restock: ${restocks.seed}        │
-│ 🔄 Frequency: Every 3 minutes  │
-╰────────────────────────────────╯
-
-╭─ 🥚 Eggs & Pets ──────────────╮
-│ ⏰ Next Restock: ${restocks.egg}        │
-│ 🔄 Frequency: Every 30 minutes │
-╰────────────────────────────────╯
-
-╭─ 🍯 Honey Products ───────────╮
-│ ⏰ Next Restock: ${restocks.honey}        │
-│ 🔄 Frequency: Every hour       │
-╰────────────────────────────────╯
-
-╭─ 🎨 Cosmetics ────────────────╮
-│ ⏰ Next Restock: ${restocks.cosmetics}        │
-│ 🔄 Frequency: Every 7 hours    │
-╰────────────────────────────────╯
-
-🎯 Perfect timing awaits! ✨`;
-      
-      await sendMessage(senderId, { text: allStockMessage }, pageAccessToken);
-      
+    const stats = stockHistory.getItemStats(itemName);
+    const historyMessage = tr(senderId, 'history.report', {
+      item: addEmoji(stats.name),
+      category: categoryLabel(senderId, stats.category),
+      lastSeen: formatUserDateTime(senderId, stats.lastSeenAt),
+      ago: formatTimeAgo(senderId, stats.lastSeenAt),
+      quantity: formatValue(stats.lastQuantity),
+      dayAppearances: stats.appearances.day,
+      daySeen: stats.seenIn.day,
+      dayChecks: stats.snapshots.day,
+      weekAppearances: stats.appearances.week,
+      weekSeen: stats.seenIn.week,
+      weekChecks: stats.snapshots.week,
+      typical: formatValue(stats.typicalQuantity),
+      min: formatValue(stats.minQuantity),
+      max: formatValue(stats.maxQuantity),
+    });
+
+    await sendMessage(senderId, { text: historyMessage }, pageAccessToken);
+  }
+});
+
+// Watchlist Command
+const watchCommand = defineCommand({
+  name: "watch",
+  aliases: ["watchlist", "wl"],
+  description: "Get a short alert when a watched item comes into stock",
+  category: "Tools ⚒️",
+  defaultSubcommand: "list",
+  subcommands: {
+    add: {
+      description: "Alert me when an item restocks",
+      args: [{ name: "item", type: "text", description: "Item name, optionally followed by a minimum quantity" }],
+      examples: ["watch add beanstalk", "watch add godly sprinkler 2"],
+    },
+    remove: { aliases: ["del", "delete"], description: "Stop watching an item", args: [{ name: "item|number", type: "text" }] },
+    list: { description: "Show your watchlist" },
+    clear: { description: "Remove everything from your watchlist" },
+    optin: {
+      aliases: ["subscribe"],
+      description: "Keep getting alerts after 24 hours of silence",
+      args: [{ name: "once", choices: ["once"], optional: true }],
+    },
+  },
+  menu: [{ title: "👀 My Watchlist", args: "list" }],
+  iceBreakers: [{ question: "How do I get restock alerts?", args: "list" }],
+  async execute(senderId, args, pageAccessToken) {
+    const action = args[0]?.toLowerCase() || 'list';
+    const watchlist = userWatchlists.get(senderId) || [];
+
+    if (action === 'add') {
+      const rule = parseAlertRule(args.slice(1).join(' '));
+      if (!rule) {
+        return await sendMessage(senderId, { text: tr(senderId, 'watch.usage') }, pageAccessToken);
+      }
+      if (watchlist.some(entry => entry.kind === rule.kind && entry.match === rule.match)) {
+        return await sendMessage(senderId, { text: tr(senderId, 'watch.alreadyWatching', { rule: describeAlertRule(rule, translatorFor(senderId)) }) }, pageAccessToken);
+      }
+      if (watchlist.length >= MAX_WATCHLIST_ITEMS) {
+        return await sendMessage(senderId, { text: tr(senderId, 'watch.full', { max: MAX_WATCHLIST_ITEMS }) }, pageAccessToken);
+      }
+
+      userWatchlists.set(senderId, [...watchlist, rule]);
+      await sendMessage(senderId, { text: tr(senderId, 'watch.added', { rule: describeAlertRule(rule, translatorFor(senderId)), count: watchlist.length + 1, max: MAX_WATCHLIST_ITEMS }) }, pageAccessToken);
+      logger.info(`👀 User ${senderId} is now watching '${rule.match}'`);
+
+    } else if (action === 'remove' || action === 'del' || action === 'delete') {
+      const target = args.slice(1).join(' ').trim().toLowerCase();
+      const number = parseInt(target, 10);
+      const index = /^\d+$/.test(target)
+        ? number - 1
+        : watchlist.findIndex(entry => entry.match === target || entry.match === parseAlertRule(target)?.match);
+
+      if (!(index >= 0 && index < watchlist.length)) {
+        return await sendMessage(senderId, { text: tr(senderId, 'watch.notWatching') }, pageAccessToken);
+      }
+
+      const [removed] = watchlist.splice(index, 1);
+      if (watchlist.length > 0) userWatchlists.set(senderId, watchlist);
+      else userWatchlists.delete(senderId);
+      await sendMessage(senderId, { text: tr(senderId, 'watch.removed', { rule: describeAlertRule(removed, translatorFor(senderId)) }) }, pageAccessToken);
+
+    } else if (action === 'optin' || action === 'subscribe') {
+      // Messenger only lets us message users outside the 24-hour window with an opt-in token
+      const once = args[1]?.toLowerCase() === 'once';
+      const optinRequest = once
+        ? { template_type: "one_time_notif_req", title: tr(senderId, 'watch.optinOnceTitle'), payload: "WATCHLIST_ALERTS" }
+        : {
+            template_type: "notification_messages",
+            title: tr(senderId, 'watch.optinTitle'),
+            payload: "WATCHLIST_ALERTS",
+            notification_messages_frequency: "DAILY",
+            notification_messages_reoptin: "ENABLED"
+          };
+      await sendMessage(senderId, { attachment: { type: "template", payload: optinRequest } }, pageAccessToken);
+
+    } else if (action === 'clear') {
+      userWatchlists.delete(senderId);
+      await sendMessage(senderId, { text: tr(senderId, 'watch.cleared') }, pageAccessToken);
+
     } else {
-      const categoryEmojis = {
-        'gear': '🛠️',
-        'seed': '🌱', 
-        'egg': '🥚'
-      };
-      
-      const categoryNames = {
-        'gear': 'Gear & Tools',
-        'seed': 'Seeds & Plants',
-        'egg': 'Eggs & Pets'
-      };
-      
-      const frequencies = {
-        'gear': 'Every 5 minutes',
-        'seed': 'Every 3 minutes',
-        'egg': 'Every 30 minutes'
-      };
-      
-      const nextTime = restocks[category];
-      const emoji = categoryEmojis[category];
-      const name = categoryNames[category];
-      const frequency = frequencies[category];
-      
-      const categoryMessage = `╔══════════════════════════════════╗
-║  ${emoji}  𝗡𝗲𝘅𝘁 ${name.split(' ')[0]} ║
-║      𝗥𝗲𝘀𝘁𝗼𝗰𝗸 𝗧𝗶𝗺𝗲𝗿 ⏰         ║
-╚══════════════════════════════════╝
-
-🎯 **${name} Tracking:**
-
-╭─ ⏰ Restock Information ──────╮
-│ 🕐 Next Restock: ${nextTime}       │
-│ 🔄 Frequency: ${frequency}    │
-│ 📊 Category: ${name}         │
-│ ✨ Status: Tracking Active    │
-╰────────────────────────────────╯
-
-💡 **Pro Tips:**
-• Set a timer for optimal timing
-• Check 30 seconds before restock
-• Be ready for fast purchases
-
-🌟 Happy shopping timing! 🛒✨`;
-      
-      await sendMessage(senderId, { text: categoryMessage }, pageAccessToken);
+      const entries = watchlist.length > 0
+        ? watchlist.map((entry, index) => `│ ${index + 1}. ${describeAlertRule(entry, translatorFor(senderId))}`).join('\n')
+        : tr(senderId, 'watch.empty');
+      const listMessage = tr(senderId, 'watch.list', { count: watchlist.length, max: MAX_WATCHLIST_ITEMS, entries })
+        + (messagingWindow.hasNotificationToken(senderId) ? '' : tr(senderId, 'watch.optinHint'));
+      await sendMessage(senderId, { text: listMessage }, pageAccessToken);
     }
   }
-};
+});
+
+// Reminders ('remind eggs 2m') ping shortly before a restock, once or before every one
+const DEFAULT_REMINDER_LEAD = 60 * 1000;
+const MAX_REMINDER_LEAD = 24 * 60 * 60 * 1000;
+const REPEAT_WORDS = ['repeat', 'every', 'always', 'lagi'];
+
+function describeReminderTarget(userId, reminder) {
+  return reminder.item ? addEmoji(reminder.item) : `${CATEGORY_EMOJIS[reminder.category]} ${tr(userId, `nextstock.names.${reminder.category}`)}`;
+}
+
+const reminderScheduler = createReminderScheduler({
+  getNextRestock: (category, now) => restockSchedule.getNext(category, now),
+  async deliver(reminder) {
+    const { userId } = reminder;
+    // Pings keep quiet during the nightly rest, and while the user is quiet unless they let reminders through;
+    // the scheduler keeps the reminder and tries again before the next restock
+    if (!botIsOnline || !canNotify(userId, 'reminders')) return 'held';
+    // Outside the 24-hour window a ping needs a notification token, so without one it can never go out
+    if (isBanned(userId) || (!messagingWindow.isOpen(userId) && !messagingWindow.hasNotificationToken(userId))) {
+      return 'undeliverable';
+    }
+
+    const params = {
+      item: reminder.item && addEmoji(reminder.item),
+      category: `${CATEGORY_EMOJIS[reminder.category]} ${tr(userId, `nextstock.names.${reminder.category}`)}`,
+      time: getCountdown(reminder.restockAt),
+      at: formatTimeOfDay(reminder.restockAt, getUserTimeZone(userId)),
+    };
+    const sent = await sendMessage(userId, {
+      text: tr(userId, reminder.item ? 'remind.pingItem' : 'remind.ping', params),
+      quick_replies: [{ content_type: "text", title: tr(userId, 'common.myReminders'), payload: commandPayload('remind list') }]
+    }, PAGE_ACCESS_TOKEN, { purpose: 'alert' });
+    return sent ? 'sent' : 'failed';
+  },
+});
+
+// Remind Command
+const remindCommand = defineCommand({
+  name: "remind",
+  aliases: ["reminder", "reminders"],
+  description: "Get a ping shortly before a category or item restocks",
+  category: "Tools ⚒️",
+  defaultSubcommand: "list",
+  fallbackSubcommand: "add",
+  subcommands: {
+    add: {
+      description: "Ping me before the next restock (add 'repeat' for every one)",
+      args: [{ name: "category|item", type: "text", description: "Optionally followed by a lead time such as 30s or 2m, and 'repeat'" }],
+      examples: ["remind eggs", "remind ember lily 2m", "remind gear 30s repeat"],
+    },
+    list: { description: "Show your reminders" },
+    cancel: { aliases: ["remove", "stop"], description: "Cancel a reminder by number, or all of them", args: [{ name: "number|all" }] },
+  },
+  examples: ["remind eggs 2m", "remind ember lily repeat", "remind cancel 1"],
+  async execute(senderId, args, pageAccessToken) {
+    const action = args[0]?.toLowerCase() || 'list';
+    const reminders = reminderScheduler.list(senderId);
+    const timeZone = getUserTimeZone(senderId);
+    const describeMode = (reminder) => tr(senderId, reminder.repeat ? 'remind.repeating' : 'remind.once');
+
+    if (action === 'add') {
+      // A lead time and 'repeat' (or 'once') may follow the category or item, in any order
+      const words = args.slice(1);
+      let lead = DEFAULT_REMINDER_LEAD;
+      let repeat = false;
+      while (words.length > 1) {
+        const word = words.at(-1).toLowerCase();
+        if (REPEAT_WORDS.includes(word)) repeat = true;
+        else if (word === 'once') repeat = false;
+        else if (parseDuration(word) !== null) lead = parseDuration(word);
+        else break;
+        words.pop();
+        if (!(lead > 0 && lead <= MAX_REMINDER_LEAD)) {
+          return await sendMessage(senderId, { text: tr(senderId, 'remind.badLead', { value: word }) }, pageAccessToken);
+        }
+      }
+
+      const query = words.join(' ');
+      const item = resolveCategory(query) ? null : catalog.lookup(query);
+      const category = resolveCategory(query) || item?.category;
+      const itemName = item?.name ?? null;
+      if (!category) {
+        return await sendMessage(senderId, { text: tr(senderId, 'remind.unknownTarget', { value: query }) }, pageAccessToken);
+      }
+      const exists = reminders.some(reminder => reminder.category === category && reminder.item === itemName);
+      if (!exists && reminders.length >= MAX_REMINDERS) {
+        return await sendMessage(senderId, { text: tr(senderId, 'remind.full', { max: MAX_REMINDERS }) }, pageAccessToken);
+      }
+
+      const { reminder } = reminderScheduler.add(senderId, { category, item: itemName, lead, repeat });
+      await sendMessage(senderId, {
+        text: tr(senderId, 'remind.added', {
+          target: describeReminderTarget(senderId, reminder),
+          lead: formatDuration(lead),
+          at: formatTimeOfDay(reminder.restockAt - lead, timeZone),
+          mode: describeMode(reminder),
+          count: reminders.length + (exists ? 0 : 1),
+          max: MAX_REMINDERS,
+        })
+      }, pageAccessToken);
+      logger.info(`⏰ User ${senderId} set a${repeat ? ' repeating' : ''} reminder for ${itemName || category} (${formatDuration(lead)} ahead)`);
+
+    } else if (action === 'cancel') {
+      const which = args[1]?.toLowerCase();
+      if (which === 'all') {
+        const count = reminderScheduler.clear(senderId);
+        return await sendMessage(senderId, { text: tr(senderId, count > 0 ? 'remind.cleared' : 'remind.nothingToCancel') }, pageAccessToken);
+      }
+
+      const reminder = /^\d+$/.test(which) ? reminders[Number(which) - 1] : null;
+      if (!reminder) {
+        return await sendMessage(senderId, { text: tr(senderId, 'remind.notFound', { max: Math.max(reminders.length, 1) }) }, pageAccessToken);
+      }
+      reminderScheduler.remove(senderId, reminder.id);
+      await sendMessage(senderId, { text: tr(senderId, 'remind.removed', { target: describeReminderTarget(senderId, reminder) }) }, pageAccessToken);
+
+    } else {
+      const entries = reminders.length > 0
+        ? reminders.map((reminder, index) => tr(senderId, 'remind.entry', {
+            number: index + 1,
+            target: describeReminderTarget(senderId, reminder),
+            lead: formatDuration(reminder.lead),
+            mode: describeMode(reminder),
+            at: formatTimeOfDay(reminder.restockAt - reminder.lead, timeZone),
+          })).join('\n')
+        : tr(senderId, 'remind.empty');
+      await sendMessage(senderId, { text: tr(senderId, 'remind.list', { count: reminders.length, max: MAX_REMINDERS, entries }) }, pageAccessToken);
+    }
+  }
+});
 
 // User ID Command
-const idCommand = {
+const idCommand = defineCommand({
   name: "id",
   aliases: ["myid", "userid", "getid"],
   description: "Get your Facebook user ID",
-  usage: "id",
   category: "Utility 🔧",
   async execute(senderId, args, pageAccessToken) {
-    // Get user's name for personalized response
-    let userName = "Friend";
-    try {
-      const userInfoResponse = await axios.get(`https://graph.facebook.com/v19.0/${senderId}`, {
-        params: { 
-          fields: 'first_name,last_name',
-          access_token: pageAccessToken 
-        },
-        timeout: 5000
-      });
-      userName = userInfoResponse.data.first_name || "Friend";
-    } catch (error) {
-      logger.debug("Could not fetch user name for ID command:", error.message);
-    }
+    const userName = await userRegistry.getFirstName(senderId, pageAccessToken);
 
-    const idMessage = `╔══════════════════════════════════╗
-║  🆔  𝗬𝗼𝘂𝗿 𝗙𝗮𝗰𝗲𝗯𝗼𝗼𝗸 𝗜𝗗  ║
-╚══════════════════════════════════╝
+    await sendMessage(senderId, { text: tr(senderId, 'id.info', { name: userName, id: senderId }) }, pageAccessToken);
+    logger.info(`🆔 ID command used by user: ${senderId} (${userName})`);
+  }
+});
 
-👋 Hi ${userName}! Here's your info:
+// Language Command
+const langCommand = defineCommand({
+  name: "lang",
+  aliases: ["language", "wika"],
+  description: "Choose the language the bot talks to you in",
+  category: "Utility 🔧",
+  args: [{ name: "language", optional: true }],
+  examples: ["lang tl", "lang english", "lang auto"],
+  menu: [{ title: "🌐 Language" }],
+  async execute(senderId, args, pageAccessToken, { language }) {
+    if (!language) {
+      const current = getUserLocale(senderId);
+      const fromMessenger = !userRegistry.getPreference(senderId, 'lang') && i18n.fromLocaleTag(userRegistry.get(senderId)?.locale);
+      const languages = Object.entries(LOCALES)
+        .map(([code, name]) => tr(senderId, 'lang.languageLine', { marker: code === current ? '✅' : '▫️', code, name }))
+        .join('\n');
+      return await sendMessage(senderId, {
+        text: tr(senderId, 'lang.current', { language: LOCALES[current], source: fromMessenger ? tr(senderId, 'lang.fromMessenger') : '', languages }),
+        quick_replies: Object.entries(LOCALES).map(([code, name]) => ({ content_type: "text", title: name, payload: commandPayload(`lang ${code}`) }))
+      }, pageAccessToken);
+    }
 
-╭─ 🆔 User Information ─────────╮
-│ 👤 Name: ${userName}                   │
-│ 🔢 Your ID: ${senderId}       │
-│ 🌟 Status: Verified User      │
-│ ✨ Platform: Facebook         │
-╰────────────────────────────────╯
+    if (language.toLowerCase() === 'auto') {
+      userRegistry.setPreference(senderId, 'lang', null);
+      return await sendMessage(senderId, { text: tr(senderId, 'lang.automatic', { language: LOCALES[getUserLocale(senderId)] }) }, pageAccessToken);
+    }
 
-💡 **Use Cases:**
-• 🛡️ Admin access requests
-• 🎯 VIP feature applications  
-• 🔧 Technical support
-• 📊 Bot development
+    const locale = i18n.resolveLocale(language);
+    if (!locale) {
+      return await sendMessage(senderId, { text: tr(senderId, 'lang.unknown', { value: language }) }, pageAccessToken);
+    }
+    userRegistry.setPreference(senderId, 'lang', locale);
+    await sendMessage(senderId, { text: tr(senderId, 'lang.changed', { language: LOCALES[locale] }) }, pageAccessToken);
+    logger.info(`🌐 User ${senderId} switched to ${LOCALES[locale]}`);
+  }
+});
 
-📋 Copy this ID for any admin 
-   requests or support needs! ✨`;
+// Time Zone Command
+const timezoneCommand = defineCommand({
+  name: "timezone",
+  aliases: ["tz"],
+  description: "Show times in your own time zone",
+  category: "Utility 🔧",
+  args: [{ name: "zone", type: "text", optional: true }],
+  examples: ["timezone Asia/Tokyo", "timezone UTC-5", "timezone reset"],
+  menu: [{ title: "🕐 Time Zone" }],
+  async execute(senderId, args, pageAccessToken, { zone }) {
+    if (!zone) {
+      const timeZone = getUserTimeZone(senderId);
+      return await sendMessage(senderId, {
+        text: tr(senderId, 'timezone.current', {
+          zone: timeZone,
+          source: userRegistry.getPreference(senderId, 'timezone') ? '' : tr(senderId, 'timezone.isDefault'),
+          time: formatUserDateTime(senderId, Date.now()),
+        })
+      }, pageAccessToken);
+    }
 
-    await sendMessage(senderId, { text: idMessage }, pageAccessToken);
-    logger.info(`🆔 ID command used by user: ${senderId} (${userName})`);
+    if (zone.toLowerCase() === 'reset') {
+      userRegistry.setPreference(senderId, 'timezone', null);
+      return await sendMessage(senderId, { text: tr(senderId, 'timezone.reset', { zone: DEFAULT_TIME_ZONE }) }, pageAccessToken);
+    }
+
+    const timeZone = resolveTimeZone(zone);
+    if (!timeZone) {
+      return await sendMessage(senderId, { text: tr(senderId, 'timezone.unknown', { value: zone }) }, pageAccessToken);
+    }
+    userRegistry.setPreference(senderId, 'timezone', timeZone);
+    await sendMessage(senderId, { text: tr(senderId, 'timezone.changed', { zone: timeZone, time: formatUserDateTime(senderId, Date.now()) }) }, pageAccessToken);
+    logger.info(`🕐 User ${senderId} switched to ${timeZone}`);
   }
-};
+});
 
 // Notify Command (Admin Only)
-const notifyCommand = {
+const notifyCommand = defineCommand({
   name: "notify",
   aliases: ["announce", "broadcast"],
-  description: "Send notifications to users about bot status",
-  usage: "notify offline | notify online | notify [custom_message]",
+  description: "Preview, schedule and send announcements to an audience",
   category: "Admin 👑",
+  role: "admin",
+  audited: true,
+  subcommands: {
+    offline: {
+      description: "Bot going offline alert",
+      args: [{ name: "options", type: "text", optional: true }],
+      examples: ["notify offline at=23:55"],
+    },
+    online: { description: "Bot back online alert", args: [{ name: "options", type: "text", optional: true }] },
+    message: {
+      description: "Custom announcement; start with to=, item=, at= or in= to target or schedule it",
+      args: [{ name: "message", type: "text" }],
+      examples: [
+        "notify message Maintenance in 5 minutes",
+        "notify message to=vips in=2h Premium update tonight!",
+        "notify message to=watchers item=ember_lily Ember Lily event!",
+      ],
+    },
+    confirm: { description: "Send (or schedule) your previewed broadcast" },
+    cancel: { description: "Discard your preview, or a scheduled broadcast by id", args: [{ name: "id", optional: true }] },
+    scheduled: { description: "Broadcasts waiting to go out" },
+    report: { description: "Delivery report with failures", args: [{ name: "id", optional: true }] },
+  },
   async execute(senderId, args, pageAccessToken) {
-    if (senderId !== ADMIN_USER_ID) {
-      const unauthorizedMessage = `╔══════════════════════════════════╗
-║  🔒  𝗔𝗱𝗺𝗶𝗻 𝗔𝗰𝗰𝗲𝘀𝘀  ║
-║      𝗥𝗲𝗾𝘂𝗶𝗿𝗲𝗱! ⚡            ║
-╚══════════════════════════════════╝
-
-🛡️ This command is restricted to 
-   administrators only.
-
-🌟 Contact the bot owner for 
-   administrative access! ✨`;
-      return await sendMessage(senderId, { text: unauthorizedMessage }, pageAccessToken);
-    }
+    const messageType = args[0].toLowerCase();
 
-    const messageType = args[0]?.toLowerCase();
-    const customMessage = args.slice(1).join(' ');
-
-    if (!messageType) {
-      const usageMessage = `╔══════════════════════════════════╗
-║  📢  𝗡𝗼𝘁𝗶𝗳𝘆 𝗖𝗼𝗺𝗺𝗮𝗻𝗱  ║
-╚══════════════════════════════════╝
-
-🌟 Available notification types:
+    if (messageType === 'confirm') {
+      if (!broadcaster.getDraft(senderId)) {
+        return await sendMessage(senderId, { text: tr(senderId, 'notify.noDraft') }, pageAccessToken);
+      }
+      await sendMessage(senderId, { text: tr(senderId, 'notify.confirmed') }, pageAccessToken);
+      const result = await broadcaster.confirm(senderId);
+      if (result?.scheduled) {
+        await sendMessage(senderId, { text: tr(senderId, 'notify.scheduled', { id: result.scheduled.id, time: formatUserDateTime(senderId, result.scheduled.sendAt) }) }, pageAccessToken);
+      }
+      return; // the delivery report arrives once sending finishes (see broadcaster below)
+    }
 
-╭─ 🌙 Offline Notification ─────╮
-│ notify offline                │
-│ └─ Bot going offline alert    │
-╰────────────────────────────────╯
+    if (messageType === 'cancel') {
+      const cancelled = broadcaster.cancel(senderId, args[1] || null);
+      const text = cancelled
+        ? tr(senderId, 'notify.cancelled', { id: cancelled.id })
+        : args[1] ? tr(senderId, 'notify.noScheduled', { id: args[1] }) : tr(senderId, 'notify.nothingToCancel');
+      return await sendMessage(senderId, { text }, pageAccessToken);
+    }
 
-╭─ ☀️ Online Notification ──────╮
-│ notify online                 │
-│ └─ Bot back online alert      │
-╰────────────────────────────────╯
+    if (messageType === 'scheduled') {
+      const scheduled = broadcaster.listScheduled();
+      const lines = scheduled.map(broadcast =>
+        tr(senderId, 'notify.scheduledLine', { id: broadcast.id, time: formatUserDateTime(senderId, broadcast.sendAt), audience: describeAudience(senderId, broadcast.audience, broadcast.item) })
+      ).join('\n');
+      return await sendMessage(senderId, { text: tr(senderId, 'notify.scheduledList', { count: scheduled.length, lines: lines || tr(senderId, 'notify.nothingScheduled') }) }, pageAccessToken);
+    }
 
-╭─ 📝 Custom Message ───────────╮
-│ notify [your message]         │
-│ └─ Send custom announcement   │
-╰────────────────────────────────╯
+    if (messageType === 'report') {
+      const report = broadcaster.getReport(args[1] || null);
+      const text = report
+        ? formatBroadcastReport(senderId, report)
+        : args[1] ? tr(senderId, 'notify.noReportFor', { id: args[1] }) : tr(senderId, 'notify.noReport');
+      return await sendMessage(senderId, { text }, pageAccessToken);
+    }
 
-💡 Examples:
-• notify offline
-• notify Maintenance in 5 minutes ✨`;
-      return await sendMessage(senderId, { text: usageMessage }, pageAccessToken);
+    const { options, words, error } = parseBroadcastOptions(senderId, args.slice(1));
+    if (error) {
+      return await sendMessage(senderId, { text: tr(senderId, 'notify.optionError', { error }) }, pageAccessToken);
+    }
+    if (messageType === 'message' && words.length === 0) {
+      return await sendMessage(senderId, { text: tr(senderId, 'notify.needsText') }, pageAccessToken);
     }
 
-    let notificationMessage = "";
-    let sentCount = 0;
-
-    if (messageType === 'offline') {
-      notificationMessage = `╔══════════════════════════════════╗
-║  🌙  𝗕𝗼𝘁 𝗢𝗳𝗳𝗹𝗶𝗻𝗲 ║
-║      𝗡𝗼𝘁𝗶𝗳𝗶𝗰𝗮𝘁𝗶𝗼𝗻 📢          ║
-╚══════════════════════════════════╝
-
-😴 The bot will be going offline 
-   for scheduled maintenance.
-
-╭─ 🌙 Offline Schedule ─────────╮
-│ ⏰ Time: 12:00 AM - 5:00 AM   │
-│ 🔄 Daily: Automatic schedule  │
-│ 🎵 Voice: Relaxing music      │
-│ 💤 Purpose: Rest & maintenance│
-╰────────────────────────────────╯
-
-🌟 We'll be back at 5:00 AM with 
-   enhanced features! Sweet dreams! ✨`;
-    } else if (messageType === 'online') {
-      notificationMessage = `╔══════════════════════════════════╗
-║  ☀️  𝗕𝗼𝘁 𝗢𝗻𝗹𝗶𝗻𝗲! ║
-║      𝗪𝗲𝗹𝗰𝗼𝗺𝗲 𝗕𝗮𝗰𝗸! 🌟        ║
-╚══════════════════════════════════╝
-
-🎉 Good morning! The bot is back 
-   online and ready to serve!
-
-╭─ ☀️ Active Features ──────────╮
-│ 🟢 Status: Fully operational  │
-│ ⚡ Tracking: Enhanced & ready  │
-│ 🌟 Features: All systems go   │
-│ 💎 Premium: VIP access active │
-╰────────────────────────────────╯
-
-🚀 Ready for another amazing day 
-   of stock tracking! Let's go! ✨`;
-    } else {
-      notificationMessage = `╔══════════════════════════════════╗
-║  📢  𝗔𝗱𝗺𝗶𝗻 ║
-║      𝗔𝗻𝗻𝗼𝘂𝗻𝗰𝗲𝗺𝗲𝗻𝘁 ✨        ║
-╚══════════════════════════════════╝
+    // Broadcasts are stored as message keys so each recipient gets them in their own language
+    const message = messageType === 'message'
+      ? { key: 'notify.announcement', params: { text: words.join(' ') } }
+      : { key: `notify.${messageType}`, params: {} };
 
-📣 **Admin Announcement:**
+    const { draft, recipientCount } = broadcaster.preview(senderId, { message, ...options });
+    await sendMessage(senderId, renderBroadcast(senderId, message), pageAccessToken);
 
-${messageType} ${customMessage}
+    const previewMessage = tr(senderId, 'notify.preview', {
+      id: draft.id,
+      audience: describeAudience(senderId, draft.audience, draft.item),
+      count: recipientCount,
+      sendAt: draft.sendAt ? formatUserDateTime(senderId, draft.sendAt) : tr(senderId, 'notify.sendsOnConfirm'),
+    });
+    await sendMessage(senderId, {
+      text: previewMessage,
+      quick_replies: [
+        { content_type: "text", title: tr(senderId, 'common.confirm'), payload: commandPayload("notify confirm") },
+        { content_type: "text", title: tr(senderId, 'common.cancel'), payload: commandPayload("notify cancel") }
+      ]
+    }, pageAccessToken);
+    logger.info(`📢 Broadcast ${draft.id} drafted by ${senderId} for ${recipientCount} user(s)`);
+  }
+});
 
-╭─ 👑 From the Admin Team ──────╮
-│ 🌟 Thank you for using our bot│
-│ 💚 Your support means a lot   │
-│ ✨ More features coming soon  │
-╰────────────────────────────────╯
+function describeAudience(userId, audience, item) {
+  return tr(userId, `notify.audiences.${audience}`, { item });
+}
 
-🚀 Enhanced GagStock Bot Team! 💎`;
-    }
+// A broadcast message in the recipient's language. Drafts made before broadcasts were
+// stored as message keys are plain Send API payloads and go out as they are.
+function renderBroadcast(userId, message) {
+  // The offline and online notices mention the rest window, in each recipient's time
+  return message.key ? { text: tr(userId, message.key, { ...restWindowParams(userId), ...message.params }) } : message;
+}
 
-    // Send to all active users
-    for (const userId of activeSessions.keys()) {
-      try {
-        await sendMessage(userId, { text: notificationMessage }, pageAccessToken);
-        sentCount++;
-        // Small delay to prevent rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (error) {
-        logger.error(`Failed to send notification to user ${userId}:`, error.message);
-      }
+// Leading to=, item=, at= and in= words on a notify command; the rest is the message.
+// Errors are worded for the admin who typed them.
+function parseBroadcastOptions(adminId, words) {
+  const options = { audience: 'all', item: null, sendAt: null };
+  let index = 0;
+  for (; index < words.length && /^(to|item|at|in)=/i.test(words[index]); index++) {
+    const [key, value] = [words[index].slice(0, words[index].indexOf('=')).toLowerCase(), words[index].slice(words[index].indexOf('=') + 1)];
+    if (key === 'to') {
+      if (!AUDIENCES.includes(value.toLowerCase())) return { error: tr(adminId, 'notify.badAudience', { audiences: AUDIENCES.join(', ') }) };
+      options.audience = value.toLowerCase();
+    } else if (key === 'item') {
+      options.item = value.replace(/_/g, ' ').toLowerCase();
+      options.audience = 'watchers';
+    } else if (key === 'at') {
+      const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+      if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return { error: tr(adminId, 'notify.badTime', { value, zone: getUserTimeZone(adminId) }) };
+      options.sendAt = nextTimeOfDay(getUserTimeZone(adminId), Number(match[1]), Number(match[2]));
+    } else {
+      const duration = parseDuration(value);
+      if (!duration) return { error: tr(adminId, 'notify.badDuration', { value }) };
+      options.sendAt = Date.now() + duration;
     }
+  }
+  if (options.audience === 'watchers' && !options.item) return { error: tr(adminId, 'notify.watchersNeedItem') };
+  return { options, words: words.slice(index) };
+}
 
-    const confirmMessage = `╔══════════════════════════════════╗
-║  ✅  𝗡𝗼𝘁𝗶𝗳𝗶𝗰𝗮𝘁𝗶𝗼𝗻 ║
-║      𝗦𝗲𝗻𝘁! 📤                ║
-╚══════════════════════════════════╝
-
-🎉 Notification sent successfully!
+function resolveBroadcastAudience(audience, item) {
+  let userIds;
+  if (audience === 'trackers') {
+    userIds = [...activeSessions.keys()];
+  } else if (audience === 'vips') {
+    userIds = ['vip', 'moderator', 'admin', 'owner'].flatMap(role => accessControl.listRole(role).map(([userId]) => userId));
+  } else if (audience === 'watchers') {
+    const match = parseAlertRule(item)?.match;
+    userIds = [...userWatchlists].filter(([, watchlist]) => watchlist.some(rule => rule.match === match)).map(([userId]) => userId);
+  } else {
+    userIds = userRegistry.getUserIds();
+  }
+  return userIds.filter(userId => !isBanned(userId));
+}
 
-╭─ 📊 Delivery Stats ──────────╮
-│ 📤 Sent to: ${sentCount} users         │
-│ 📱 Platform: Facebook        │
-│ ⚡ Speed: Instant delivery    │
-│ ✅ Status: Complete          │
-╰────────────────────────────────╯
+function formatBroadcastReport(adminId, report) {
+  const failures = report.failed.slice(0, 10).map(userId => `│ ❌ ${userId}`).join('\n');
+  const moreFailures = report.failed.length > 10 ? tr(adminId, 'notify.moreFailures', { count: report.failed.length - 10 }) : '';
+  return tr(adminId, 'notify.report', {
+    id: report.id,
+    audience: describeAudience(adminId, report.audience, report.item),
+    time: formatUserDateTime(adminId, report.finishedAt),
+    sent: report.sent,
+    total: report.total,
+    held: report.held,
+    failed: report.failed.length,
+    failures: report.failed.length > 0 ? tr(adminId, 'notify.failures', { lines: `${failures}${moreFailures}` }) : '',
+  });
+}
 
-🌟 All active users have been 
-   notified! Mission accomplished! ✨`;
+// Announcements reach users outside the 24-hour window the next time they write to us
+const broadcaster = createBroadcaster({
+  resolveAudience: resolveBroadcastAudience,
+  async deliver(userId, message) {
+    const windowOpen = messagingWindow.isOpen(userId);
+    const sent = await sendMessage(userId, renderBroadcast(userId, message), PAGE_ACCESS_TOKEN, { purpose: 'notice' });
+    if (!windowOpen) return 'held';
+    return sent ? 'sent' : 'failed';
+  },
+  onReport(report) {
+    sendMessage(report.adminId, { text: formatBroadcastReport(report.adminId, report) }, PAGE_ACCESS_TOKEN, { purpose: 'update' });
+  },
+});
 
-    await sendMessage(senderId, { text: confirmMessage }, pageAccessToken);
-    logger.success(`📢 Admin notification sent to ${sentCount} users by ${senderId}`);
-  }
-};
 
 // Enhanced Admin Command with more features
-const adminCommand = {
+const adminCommand = defineCommand({
   name: "admin",
-  aliases: ["manage", "vip"],
+  aliases: ["manage"],
   description: "Enhanced admin commands with advanced features",
-  usage: "admin [action] | admin help",
   category: "Admin 👑",
+  role: "moderator",
+  audited: true,
+  subcommands: {
+    addvip: {
+      description: "Grant premium access, optionally for a while",
+      args: [{ name: "user_id" }, { name: "duration", optional: true }],
+      examples: ["admin addvip 1234567890123456", "admin addvip 1234567890123456 30d"],
+    },
+    removevip: { description: "Revoke premium access", args: [{ name: "user_id" }] },
+    listvip: { description: "Show all VIP users" },
+    grant: {
+      description: "Give a user a role below your own",
+      args: [{ name: "user_id" }, { name: "role", choices: GRANTABLE_ROLES }, { name: "duration", optional: true }],
+      examples: ["admin grant 1234567890123456 moderator", "admin grant 1234567890123456 vip 7d"],
+    },
+    revoke: { description: "Return a user to the regular role", args: [{ name: "user_id" }] },
+    ban: {
+      description: "Block a user, optionally for a while",
+      args: [{ name: "user_id" }, { name: "duration", optional: true }, { name: "reason", type: "text", optional: true }],
+      examples: ["admin ban 1234567890123456 1d spamming", "admin ban 1234567890123456 abusive messages"],
+    },
+    unban: { description: "Lift a ban", args: [{ name: "user_id" }] },
+    roles: { description: "Show everyone with a role" },
+    audit: { description: "Recent privileged actions", args: [{ name: "count", type: "number", optional: true }] },
+    stats: { description: "Show system performance" },
+    backup: { description: "Generate system backup", role: "admin" },
+    broadcast: {
+      role: "admin",
+      description: "Announce to everyone who has messaged the bot (preview first)",
+      args: [{ name: "message", type: "text" }],
+      examples: ["admin broadcast Server maintenance in 30 minutes!"],
+    },
+    catalog: {
+      role: "admin",
+      description: "Tiers, emojis and aliases",
+      args: [
+        { name: "action", choices: ["list", "set", "reset", "tier"], optional: true },
+        { name: "item|tier field=value", type: "text", optional: true },
+      ],
+      examples: ["admin catalog list divine", "admin catalog set ember lily tier=divine"],
+    },
+    profile: {
+      role: "admin",
+      description: "Menu, Get Started and ice breakers from commands",
+      args: [{ name: "sync", choices: ["sync"], optional: true }],
+    },
+  },
   async execute(senderId, args, pageAccessToken) {
-    if (senderId !== ADMIN_USER_ID) {
-      const unauthorizedMessage = `╔══════════════════════════════════╗
-║  🔒  𝗔𝗱𝗺𝗶𝗻 𝗔𝗰𝗰𝗲𝘀𝘀  ║
-║      𝗥𝗲𝗾𝘂𝗶𝗿𝗲𝗱! ⚡            ║
-╚══════════════════════════════════╝
-
-🛡️ This command is restricted to 
-   administrators only.
-
-🌟 Contact the bot owner for 
-   administrative access! ✨`;
-      return await sendMessage(senderId, { text: unauthorizedMessage }, pageAccessToken);
-    }
-
     const action = args[0]?.toLowerCase();
     
-    if (action === 'addvip') {
+    if (action === 'addvip' || action === 'grant') {
       const userId = args[1];
-      if (!userId) {
-        const usageMessage = `╔══════════════════════════════════╗
-║  ⚠️  𝗨𝘀𝗮𝗴𝗲 𝗘𝗿𝗿𝗼𝗿  ║
-╚══════════════════════════════════╝
-
-🔧 Correct usage:
-   admin addvip [user_id]
-
-💡 Example:
-   admin addvip 1234567890123456
-
-🌟 Get user ID from their message logs! ✨`;
-        return await sendMessage(senderId, { text: usageMessage }, pageAccessToken);
+      const role = action === 'grant' ? args[2].toLowerCase() : 'vip';
+      const durationText = action === 'grant' ? args[3] : args[2];
+      const duration = durationText ? parseDuration(durationText) : null;
+      if (durationText && !duration) {
+        return await sendMessage(senderId, { text: tr(senderId, 'admin.badDuration', { value: durationText }) }, pageAccessToken);
       }
 
-      customCommandUsers.add(userId);
-      const successMessage = `╔══════════════════════════════════╗
-║  ✅  𝗩𝗜𝗣 𝗔𝗱𝗱𝗲𝗱! ║
-╚══════════════════════════════════╝
-
-👑 User successfully added to VIP!
-
-╭─ 💎 VIP Details ──────────────╮
-│ 🆔 User ID: ${userId}        │
-│ ✨ Status: VIP Active         │
-│ 🚀 Access: Premium Commands   │
-│ 🌟 Level: Enhanced Features   │
-╰────────────────────────────────╯
+      let grant;
+      try {
+        grant = role === 'banned' ? banUser(senderId, userId, { duration }) : accessControl.grant(senderId, userId, role, { duration });
+      } catch (error) {
+        if (!(error instanceof AccessError)) throw error;
+        return await sendMessage(senderId, { text: describeRefusal(senderId, 'access', error) }, pageAccessToken);
+      }
 
-🎉 They can now use premium commands! ✨`;
-      await sendMessage(senderId, { text: successMessage }, pageAccessToken);
-      logger.success(`👑 Added user ${userId} to VIP by admin ${senderId}`);
+      await sendMessage(senderId, { text: tr(senderId, 'admin.granted', { role: roleBadge(senderId, role), userId, expires: describeGrantExpiry(senderId, grant) }) }, pageAccessToken);
+      if (role !== 'banned') {
+        await sendMessage(userId, { text: tr(userId, 'admin.grantedNotice', { role: roleBadge(userId, role), expires: describeGrantExpiry(userId, grant) }) }, pageAccessToken, { purpose: 'account' });
+      }
+      logger.success(`👑 Granted ${role} to ${userId} by ${senderId}`);
       
-    } else if (action === 'removevip') {
+    } else if (action === 'removevip' || action === 'revoke') {
       const userId = args[1];
-      if (!userId) {
-        const usageMessage = `╔══════════════════════════════════╗
-║  ⚠️  𝗨𝘀𝗮𝗴𝗲 𝗘𝗿𝗿𝗼𝗿  ║
-╚══════════════════════════════════╝
-
-🔧 Correct usage:
-   admin removevip [user_id]
-
-💡 Example:
-   admin removevip 1234567890123456
-
-🌟 Use 'admin listvip' to see VIPs! ✨`;
-        return await sendMessage(senderId, { text: usageMessage }, pageAccessToken);
+      const currentRole = accessControl.getRole(userId);
+      if (action === 'removevip' ? currentRole !== 'vip' : !accessControl.getGrant(userId)) {
+        return await sendMessage(senderId, { text: tr(senderId, 'admin.noRole', {
+          userId,
+          role: roleBadge(senderId, currentRole),
+          reason: tr(senderId, action === 'removevip' ? 'admin.notVip' : 'admin.nothingToRevoke'),
+        }) }, pageAccessToken);
       }
 
-      const removed = customCommandUsers.delete(userId);
-      if (removed) {
-        const successMessage = `╔══════════════════════════════════╗
-║  🗑️  𝗩𝗜𝗣 𝗥𝗲𝗺𝗼𝘃𝗲𝗱! ║
-╚══════════════════════════════════╝
-
-💔 User removed from VIP access.
-
-╭─ 📋 Removal Details ──────────╮
-│ 🆔 User ID: ${userId}        │
-│ ❌ Status: VIP Revoked        │
-│ 🚫 Access: Basic Only         │
-│ 📉 Level: Standard Features   │
-╰────────────────────────────────╯
-
-They no longer have premium access. ⚡`;
-        await sendMessage(senderId, { text: successMessage }, pageAccessToken);
-        logger.info(`🗑️ Removed user ${userId} from VIP by admin ${senderId}`);
-      } else {
-        const notFoundMessage = `╔══════════════════════════════════╗
-║  ❓  𝗩𝗜𝗣 𝗡𝗼𝘁 𝗙𝗼𝘂𝗻𝗱  ║
-╚══════════════════════════════════╝
+      try {
+        accessControl.revoke(senderId, userId);
+      } catch (error) {
+        if (!(error instanceof AccessError)) throw error;
+        return await sendMessage(senderId, { text: describeRefusal(senderId, 'access', error) }, pageAccessToken);
+      }
 
-🤔 User ${userId} is not in VIP list.
+      await sendMessage(senderId, { text: tr(senderId, 'admin.revoked', { role: roleBadge(senderId, currentRole), userId, now: roleBadge(senderId, accessControl.getRole(userId)) }) }, pageAccessToken);
+      logger.info(`🗑️ Revoked ${currentRole} from ${userId} by ${senderId}`);
+      
+    } else if (action === 'ban') {
+      const userId = args[1];
+      const duration = parseDuration(args[2]);
+      const reason = args.slice(duration ? 3 : 2).join(' ') || null;
 
-Use 'admin listvip' to see all VIPs! ✨`;
-        await sendMessage(senderId, { text: notFoundMessage }, pageAccessToken);
+      let grant;
+      try {
+        grant = banUser(senderId, userId, { duration, reason });
+      } catch (error) {
+        if (!(error instanceof AccessError)) throw error;
+        return await sendMessage(senderId, { text: describeRefusal(senderId, 'access', error) }, pageAccessToken);
       }
-      
-    } else if (action === 'listvip') {
-      const vipUsers = Array.from(customCommandUsers);
-      if (vipUsers.length === 0) {
-        const emptyMessage = `╔══════════════════════════════════╗
-║  📋  𝗩𝗜𝗣 𝗟𝗶𝘀𝘁 ║
-╚══════════════════════════════════╝
 
-📝 No VIP users currently registered.
+      await sendMessage(senderId, { text: tr(senderId, 'admin.banned', { userId, expires: describeGrantExpiry(senderId, grant), reason: reason || tr(senderId, 'admin.noReason') }) }, pageAccessToken);
+      await sendMessage(userId, { text: tr(userId, 'admin.bannedNotice', { expires: describeGrantExpiry(userId, grant) }) + (reason ? tr(userId, 'admin.bannedReason', { reason }) : '') }, pageAccessToken, { purpose: 'account' });
 
-Use 'admin addvip [user_id]' to add! ✨`;
-        await sendMessage(senderId, { text: emptyMessage }, pageAccessToken);
-      } else {
-        const vipList = vipUsers.map((id, index) => `  ${index + 1}. ${id}`).join('\n');
-        const listMessage = `╔══════════════════════════════════╗
-║  📋  𝗩𝗜𝗣 𝗨𝘀𝗲𝗿 𝗟𝗶𝘀𝘁  ║
-╚══════════════════════════════════╝
+    } else if (action === 'unban') {
+      const userId = args[1];
+      if (!isBanned(userId)) {
+        return await sendMessage(senderId, { text: tr(senderId, 'admin.notBanned', { userId }) }, pageAccessToken);
+      }
 
-👑 Current VIP Users (${vipUsers.length}):
+      try {
+        accessControl.revoke(senderId, userId);
+      } catch (error) {
+        if (!(error instanceof AccessError)) throw error;
+        return await sendMessage(senderId, { text: describeRefusal(senderId, 'access', error) }, pageAccessToken);
+      }
+      await sendMessage(senderId, { text: tr(senderId, 'admin.unbanned', { userId }) }, pageAccessToken);
+      await sendMessage(userId, { text: tr(userId, 'admin.unbannedNotice') }, pageAccessToken, { purpose: 'account' });
+      logger.info(`✅ User ${userId} unbanned by ${senderId}`);
+
+    } else if (action === 'listvip' || action === 'roles') {
+      const roles = action === 'listvip' ? ['vip'] : ['owner', 'admin', 'moderator', 'vip', 'banned'];
+      const sections = roles
+        .map(role => [role, accessControl.listRole(role)])
+        .filter(([, holders]) => holders.length > 0)
+        .map(([role, holders]) => `╭─ ${roleBadge(senderId, role)} (${holders.length}) ─────────────╮
+${holders.map(([userId, grant], index) => `│ ${index + 1}. ${userId}${grant?.expiresAt ? ` ⏳ ${describeGrantExpiry(senderId, grant)}` : ''}${grant?.reason ? `\n│    📝 ${grant.reason}` : ''}`).join('\n')}
+╰────────────────────────────────╯`);
+
+      const listMessage = tr(senderId, 'admin.roleList', {
+        title: tr(senderId, action === 'listvip' ? 'admin.vipListTitle' : 'admin.rolesTitle'),
+        sections: sections.length > 0 ? sections.join('\n\n') : tr(senderId, 'admin.noRoles'),
+      });
+      await sendMessage(senderId, { text: listMessage }, pageAccessToken);
 
-${vipList}
+    } else if (action === 'audit') {
+      const entries = accessControl.getAuditLog(Math.min(Math.max(Math.floor(Number(args[1]) || 10), 1), 50));
+      const outcomeIcons = { ok: '✅', denied: '🔒', error: '❌' };
+      const auditLines = entries.map(entry =>
+        `│ ${outcomeIcons[entry.outcome]} ${formatTimeAgo(senderId, entry.at)} · ${entry.actorId} (${entry.actorRole})\n│    ${entry.action}${entry.details ? ` ${entry.details}` : ''}`
+      ).join('\n');
 
-🌟 All have access to premium features! ✨`;
-        await sendMessage(senderId, { text: listMessage }, pageAccessToken);
-      }
+      await sendMessage(senderId, { text: tr(senderId, 'admin.audit', { count: entries.length, lines: auditLines || tr(senderId, 'admin.auditEmpty') }) }, pageAccessToken);
       
     } else if (action === 'stats') {
       const uptimeHours = Math.floor(process.uptime() / 3600);
       const uptimeMinutes = Math.floor((process.uptime() % 3600) / 60);
       const memoryUsed = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
+      const sendStats = sendQueue.getStats();
+      const roleStats = accessControl.getStats();
+      const userStats = userRegistry.getStats();
       
-      const statsMessage = `╔══════════════════════════════════╗
-║  📊  𝗕𝗼𝘁 𝗦𝘁𝗮𝘁𝗶𝘀𝘁𝗶𝗰𝘀  ║
-╚══════════════════════════════════╝
-
-🚀 **System Performance:**
-
-╭─ ⚡ Runtime Stats ────────────╮
-│ ⏰ Uptime: ${uptimeHours}h ${uptimeMinutes}m         │
-│ 👥 Active Users: ${activeSessions.size}           │
-│ 💾 Memory: ${memoryUsed}MB used      │
-│ 🌟 Version: ${systemVersion}              │
-╰────────────────────────────────╯
-
-╭─ 👑 VIP Management ───────────╮
-│ 💎 VIP Users: ${customCommandUsers.size}            │
-│ 🔄 Cache Size: ${lastSentCache.size}           │
-│ 🔕 DND Users: ${userDoNotDisturb.size}            │
-╰────────────────────────────────╯
-
-╭─ 🌙 Schedule Status ──────────╮
-│ 🤖 Bot Online: ${botIsOnline ? 'Yes ✅' : 'No ❌'}      │
-│ 😴 Offline: 12:00 AM - 5:00 AM│
-│ 🎵 Voice Messages: Active     │
-╰────────────────────────────────╯
-
-🌟 All systems running smoothly! ✨`;
-      await sendMessage(senderId, { text: statsMessage }, pageAccessToken);
+      await sendMessage(senderId, { text: tr(senderId, 'admin.stats', {
+        ...restWindowParams(senderId),
+        hours: uptimeHours,
+        minutes: uptimeMinutes,
+        sessions: activeSessions.size,
+        memory: memoryUsed,
+        version: systemVersion,
+        knownUsers: userStats.knownUsers,
+        activeToday: userStats.activeToday,
+        newToday: userStats.newToday,
+        vips: roleStats.vip,
+        admins: roleStats.admin,
+        moderators: roleStats.moderator,
+        cacheSize: lastSentCache.size,
+        dndUsers: userDoNotDisturb.size,
+        sent: sendStats.sent,
+        failed: sendStats.failed,
+        retries: sendStats.retries,
+        rateLimited: sendStats.rateLimited,
+        online: tr(senderId, botIsOnline ? 'admin.yes' : 'admin.no'),
+      }) }, pageAccessToken);
       
     } else if (action === 'backup') {
       const backupData = {
-        vipUsers: Array.from(customCommandUsers),
+        vipUsers: accessControl.listRole('vip').map(([userId]) => userId),
+        roles: Object.fromEntries(accessControl.listGrants()),
         activeSessions: activeSessions.size,
         timestamp: new Date().toISOString(),
         version: systemVersion
       };
       
-      const backupMessage = `╔══════════════════════════════════╗
-║  💾  𝗕𝗮𝗰𝗸𝘂𝗽 𝗖𝗿𝗲𝗮𝘁𝗲𝗱  ║
-╚══════════════════════════════════╝
-
-📦 **System Backup Generated:**
-
-\`\`\`json
-${JSON.stringify(backupData, null, 2)}
-\`\`\`
+      await sendMessage(senderId, { text: tr(senderId, 'admin.backup', {
+        json: JSON.stringify(backupData, null, 2),
+        vips: backupData.vipUsers.length,
+        date: new Date().toLocaleDateString("en-PH", { timeZone: getUserTimeZone(senderId) }),
+        time: new Date().toLocaleTimeString("en-PH", { timeZone: getUserTimeZone(senderId), timeZoneName: "short" }),
+      }) }, pageAccessToken);
+      
+    } else if (action === 'profile') {
+      const profile = buildMessengerProfile(commands);
+      const menuList = profile.persistent_menu[0].call_to_actions.map(item => `│ ${item.title}`).join('\n');
+      const iceBreakerList = profile.ice_breakers[0].call_to_actions.map(item => `│ 💬 ${item.question}`).join('\n');
 
-╭─ 💾 Backup Details ───────────╮
-│ 👑 VIP Users: ${backupData.vipUsers.length} backed up    │
-│ 📅 Date: ${new Date().toLocaleDateString()} │
-│ ⏰ Time: ${new Date().toLocaleTimeString()} │
-│ ✅ Status: Complete          │
-╰────────────────────────────────╯
+      let syncStatus = tr(senderId, 'admin.profileHint');
+      if (args[1]?.toLowerCase() === 'sync') {
+        try {
+          await syncMessengerProfile(profile, pageAccessToken, { force: true });
+          syncStatus = tr(senderId, 'admin.profileSynced');
+          logger.info(`📋 Messenger profile synced by admin ${senderId}`);
+        } catch (error) {
+          syncStatus = tr(senderId, 'admin.profileFailed', { reason: error.message });
+        }
+      }
 
-🔒 Keep this backup safe! ✨`;
-      await sendMessage(senderId, { text: backupMessage }, pageAccessToken);
-      
-    } else if (action === 'broadcast') {
-      const message = args.slice(1).join(' ');
-      if (!message) {
-        const usageMsg = `╔══════════════════════════════════╗
-║  📢  𝗕𝗿𝗼𝗮𝗱𝗰𝗮𝘀𝘁 𝗨𝘀𝗮𝗴𝗲  ║
-╚══════════════════════════════════╝
+      await sendMessage(senderId, { text: tr(senderId, 'admin.profile', { menu: menuList, iceBreakers: iceBreakerList, getStarted: profile.get_started.payload, status: syncStatus }) }, pageAccessToken);
 
-🌟 Usage: admin broadcast [message]
+    } else if (action === 'catalog') {
+      const subAction = args[1]?.toLowerCase() || 'list';
+      // Trailing key=value pairs are the fields to change; the words before them name the item or tier
+      const words = args.slice(2).filter(word => !word.includes('='));
+      const fields = Object.fromEntries(args.slice(2)
+        .filter(word => word.includes('='))
+        .map(word => [word.slice(0, word.indexOf('=')).toLowerCase(), word.slice(word.indexOf('=') + 1)]));
 
-💡 Example:
-admin broadcast Server maintenance 
-in 30 minutes! ⚠️
+      try {
+        if (subAction === 'set' && words.length > 0 && Object.keys(fields).length > 0) {
+          const changes = { ...fields };
+          if (fields.alias || fields.aliases) {
+            changes.aliases = (fields.alias || fields.aliases).split(',').map(alias => alias.trim()).filter(Boolean);
+          }
+          if (fields.tier) changes.tier = fields.tier.toLowerCase();
+          if (fields.category) changes.category = fields.category.toLowerCase();
+
+          const item = catalog.setItem(words.join(' '), changes);
+          await sendMessage(senderId, { text: tr(senderId, 'admin.catalogUpdated', {
+            emoji: item.emoji,
+            name: item.name,
+            category: item.category,
+            tier: item.tier,
+            aliases: item.aliases.join(', ') || tr(senderId, 'admin.noAliases'),
+          }) }, pageAccessToken);
+          logger.info(`📚 Catalog item ${item.name} updated by admin ${senderId}`);
+
+        } else if (subAction === 'reset' && words.length > 0) {
+          const reset = catalog.resetItem(words.join(' '));
+          await sendMessage(senderId, { text: tr(senderId, reset ? 'admin.catalogReset' : 'admin.catalogNothingToReset', { name: words.join(' ') }) }, pageAccessToken);
+
+        } else if (subAction === 'tier' && words.length === 1 && Object.keys(fields).length > 0) {
+          const changes = {};
+          if (fields.alert) changes.alert = ['on', 'true', 'yes'].includes(fields.alert.toLowerCase());
+          if (fields.label) changes.label = fields.label;
+          if (fields.rank) changes.rank = Number(fields.rank);
+
+          const tier = catalog.setTier(words[0].toLowerCase(), changes);
+          await sendMessage(senderId, { text: tr(senderId, 'admin.tierUpdated', {
+            tier: words[0].toLowerCase(),
+            label: tier.label,
+            rank: tier.rank,
+            alert: tr(senderId, tier.alert ? 'admin.alertOn' : 'admin.alertOff'),
+          }) }, pageAccessToken);
+          logger.info(`📚 Catalog tier ${words[0]} updated by admin ${senderId}`);
+
+        } else if (subAction === 'list') {
+          const tierFilter = words[0]?.toLowerCase();
+          const tiers = catalog.getTiers();
+          const tierLines = Object.entries(tiers)
+            .sort(([, a], [, b]) => b.rank - a.rank)
+            .map(([id, tier]) => tr(senderId, 'admin.tierLine', { icon: tier.alert ? '🔔' : '🔕', label: tier.label, id, count: catalog.getItems({ tier: id }).length }))
+            .join('\n');
+          const itemLines = tierFilter
+            ? catalog.getItems({ tier: tierFilter }).map(item => `│ ${addEmoji(item.name)} [${item.category}]`).join('\n') || tr(senderId, 'admin.noTierItems')
+            : null;
+
+          const catalogMessage = tr(senderId, 'admin.catalog', {
+            tiers: tierLines,
+            items: itemLines ? tr(senderId, 'admin.catalogItems', { tier: tiers[tierFilter]?.label || tierFilter, items: itemLines }) : '',
+          });
+          await sendMessage(senderId, { text: catalogMessage }, pageAccessToken);
 
-🚀 This will send to all active users! ✨`;
-        return await sendMessage(senderId, { text: usageMsg }, pageAccessToken);
+        } else {
+          await sendMessage(senderId, { text: tr(senderId, 'admin.catalogUsage') }, pageAccessToken);
+        }
+      } catch (error) {
+        if (!(error instanceof CatalogError)) throw error;
+        await sendMessage(senderId, { text: describeRefusal(senderId, 'admin', error) }, pageAccessToken);
       }
-      
+
+    } else if (action === 'broadcast') {
       // Use the notify command functionality
-      await notifyCommand.execute(senderId, args.slice(1), pageAccessToken);
+      await notifyCommand.execute(senderId, ['message', ...args.slice(1)], pageAccessToken);
       
-    } else {
-      const helpMessage = `╔══════════════════════════════════╗
-║  👑  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗔𝗱𝗺𝗶𝗻  ║
-║      𝗖𝗼𝗺𝗺𝗮𝗻𝗱𝘀 ✨              ║
-╚══════════════════════════════════╝
-
-🛡️ **VIP Management:**
-
-╭─ ➕ Add VIP User ─────────────╮
-│ admin addvip [user_id]        │
-│ └─ Grant premium access       │
-╰────────────────────────────────╯
-
-╭─ ➖ Remove VIP User ──────────╮
-│ admin removevip [user_id]     │
-│ └─ Revoke premium access      │
-╰────────────────────────────────╯
-
-╭─ 📋 List VIP Users ───────────╮
-│ admin listvip                 │
-│ └─ Show all VIP users         │
-╰────────────────────────────────╯
-
-🚀 **System Management:**
-
-╭─ 📊 Bot Statistics ───────────╮
-│ admin stats                   │
-│ └─ Show system performance    │
-╰────────────────────────────────╯
-
-╭─ 💾 Create Backup ────────────╮
-│ admin backup                  │
-│ └─ Generate system backup     │
-╰────────────────────────────────╯
-
-╭─ 📢 Broadcast Message ────────╮
-│ admin broadcast [message]     │
-│ └─ Send to all active users   │
-╰────────────────────────────────╯
-
-📢 **Notifications:**
-
-╭─ 🔔 Quick Notifications ──────╮
-│ notify offline - Bot going off│
-│ notify online - Bot back on   │
-│ notify [msg] - Custom message │
-╰────────────────────────────────╯
-
-🌟 Enhanced admin toolkit ready! ✨`;
-      await sendMessage(senderId, { text: helpMessage }, pageAccessToken);
     }
   }
-};
+});
 
 // Custom Command for Allowed Users
-const customCommand = {
+const customCommand = defineCommand({
   name: "custom",
   aliases: ["vip", "special", "premium"],
   description: "Special commands for authorized users",
-  usage: "custom [action]",
   category: "Premium 👑",
+  role: "vip",
+  subcommands: {
+    divine: { description: "Track divine items only" },
+    alerts: {
+      description: "Alerts for specific items or categories",
+      args: [
+        { name: "action", choices: ["list", "add", "remove", "clear"], optional: true },
+        { name: "item|number", type: "text", optional: true },
+      ],
+      examples: ["custom alerts add beanstalk", "custom alerts add master sprinkler 2", "custom alerts add eggs"],
+    },
+    priority: { description: "Priority notifications", args: [{ name: "state", choices: ["on", "off"], optional: true }] },
+    analytics: { description: "Advanced stock analytics", args: [{ name: "item", type: "text", optional: true }] },
+  },
   async execute(senderId, args, pageAccessToken) {
-    if (!customCommandUsers.has(senderId) && senderId !== ADMIN_USER_ID) {
-      const unauthorizedMessage = `╔══════════════════════════════════╗
-║  🔒  𝗣𝗿𝗲𝗺𝗶𝘂𝗺 𝗔𝗰𝗰𝗲𝘀𝘀  ║
-║      𝗥𝗲𝗾𝘂𝗶𝗿𝗲𝗱! ✨            ║
-╚══════════════════════════════════╝
-
-🌟 This is an exclusive premium 
-   command for VIP users only.
-
-╭─ 💎 How to Get Access ────────╮
-│ 👑 Contact the bot admin      │
-│ 🎯 Request special permission  │
-│ ✨ Unlock premium features     │
-│ 🌟 Enjoy exclusive commands    │
-╰────────────────────────────────╯
-
-🌱 Continue using regular commands!
-💚 Thank you for understanding! ✨`;
-      return await sendMessage(senderId, { text: unauthorizedMessage }, pageAccessToken);
-    }
-
     const action = args[0]?.toLowerCase();
     
-    if (!action) {
-      const premiumMessage = `╔══════════════════════════════════╗
-║  👑  𝗣𝗿𝗲𝗺𝗶𝘂𝗺 𝗖𝗼𝗺𝗺𝗮𝗻𝗱𝘀  ║
-║      𝗔𝘃𝗮𝗶𝗹𝗮𝗯𝗹𝗲! ✨           ║
-╚══════════════════════════════════╝
-
-🌟 Welcome to Premium Access!
-
-╭─ 💎 Available Commands ───────╮
-│ custom divine                 │
-│ └─ Track divine items only    │
-│                               │
-│ custom alerts                 │
-│ └─ Enhanced alert system      │
-│                               │
-│ custom priority               │
-│ └─ Priority notifications     │
-│                               │
-│ custom analytics              │
-│ └─ Advanced stock analytics   │
-╰────────────────────────────────╯
-
-🚀 Exclusive features at your 
-   fingertips! Enjoy premium! 💎✨`;
-      
-      return await sendMessage(senderId, { text: premiumMessage }, pageAccessToken);
-    }
-
     if (action === 'divine') {
       // Send typing indicator
       await sendTypingIndicator(senderId, pageAccessToken, 'typing_on');
       
       try {
-        const [stockRes] = await Promise.all([
-          fetchWithTimeout("https://gagstock.gleeze.com/grow-a-garden")
-        ]);
-
-        const backup = stockRes.data.data;
-        const stockData = {
-          gearStock: backup.gear.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-          seedsStock: backup.seed.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-          eggStock: backup.egg.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-          cosmeticsStock: backup.cosmetics.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-          honeyStock: backup.honey.items.map(i => ({ name: i.name, value: Number(i.quantity) })),
-        };
-
-        const divineItems = checkDivineItems(stockData);
+        const { stock } = await stockPoller.fetchNow();
+        const divineItems = checkDivineItems(stock);
         
         if (divineItems.length === 0) {
-          const noDivineMessage = `╔══════════════════════════════════╗
-║  💎  𝗗𝗶𝘃𝗶𝗻𝗲 𝗜𝘁𝗲𝗺𝘀 ║
-║      𝗦𝗲𝗮𝗿𝗰𝗵 🔍              ║
-╚══════════════════════════════════╝
-
-😔 No divine items in stock currently.
-
-╭─ 🌟 Monitored Divine Items ───╮
-│ 🌱 Beanstalk                  │
-│ 💧 Basic Sprinkler            │
-│ 🌊 Master Sprinkler           │
-│ ⛲ Godly Sprinkler            │
-│ 🔥 Ember Lily                 │
-╰────────────────────────────────╯
-
-✨ Keep checking - they restock 
-   regularly! Premium tracking 
-   will alert you! 💎`;
-          
-          await sendMessage(senderId, { text: noDivineMessage }, pageAccessToken);
+          const monitoredList = catalog.getItems()
+            .filter(item => isDivineItemName(item.name))
+            .map(item => `│ ${addEmoji(item.name)}`)
+            .join('\n');
+          await sendMessage(senderId, { text: tr(senderId, 'custom.noDivine', { items: monitoredList }) }, pageAccessToken);
         } else {
           const divineList = divineItems.map(item => `  ├─ ${addEmoji(item.name)}: ${formatValue(item.value)}`).join("\n");
           
-          const divineMessage = `╔══════════════════════════════════╗
-║  💎  𝗗𝗶𝘃𝗶𝗻𝗲 𝗜𝘁𝗲𝗺𝘀 ║
-║      𝗙𝗼𝘂𝗻𝗱! ✨               ║
-╚══════════════════════════════════╝
+          await sendMessage(senderId, { text: tr(senderId, 'custom.divineFound', { items: divineList }) }, pageAccessToken);
+        }
+        
+      } catch (error) {
+        await sendMessage(senderId, { text: tr(senderId, 'custom.divineError') }, pageAccessToken);
+      } finally {
+        await sendTypingIndicator(senderId, pageAccessToken, 'typing_off');
+      }
 
-🎉 Divine items are in stock!
+    } else if (action === 'alerts') {
+      const subAction = args[1]?.toLowerCase() || 'list';
+      const rules = userAlertRules.get(senderId) || [];
 
-╭─ 🌟 Available Divine Items ───╮
-${divineList}
-╰────────────────────────────────╯
+      if (subAction === 'add') {
+        const rule = parseAlertRule(args.slice(2).join(' '));
+        if (!rule) {
+          return await sendMessage(senderId, { text: tr(senderId, 'custom.alertsUsage') }, pageAccessToken);
+        }
+        if (rules.length >= MAX_ALERT_RULES) {
+          return await sendMessage(senderId, { text: tr(senderId, 'custom.alertsFull', { max: MAX_ALERT_RULES }) }, pageAccessToken);
+        }
 
-⚡ **Premium Alert:** These rare 
-   items are available NOW!
+        userAlertRules.set(senderId, [...rules, rule]);
+        await sendMessage(senderId, { text: tr(senderId, 'custom.alertAdded', { rule: describeAlertRule(rule, translatorFor(senderId)), count: rules.length + 1, max: MAX_ALERT_RULES }) }, pageAccessToken);
+        logger.info(`🔔 Alert rule added for VIP ${senderId}: '${rule.match}'`);
 
-🏃‍♂️ Act fast - divine items sell 
-   out quickly! 💎✨`;
-          
-          await sendMessage(senderId, { text: divineMessage }, pageAccessToken);
+      } else if (subAction === 'remove') {
+        const index = parseInt(args[2], 10) - 1;
+        if (!(index >= 0 && index < rules.length)) {
+          return await sendMessage(senderId, { text: tr(senderId, 'custom.pickRule', { max: Math.max(rules.length, 1) }) }, pageAccessToken);
         }
-        
-      } catch (error) {
-        const errorMessage = `╔══════════════════════════════════╗
-║  ❌  𝗣𝗿𝗲𝗺𝗶𝘂𝗺 𝗘𝗿𝗿𝗼𝗿  ║
-╚══════════════════════════════════╝
+        const [removed] = rules.splice(index, 1);
+        if (rules.length > 0) userAlertRules.set(senderId, rules);
+        else userAlertRules.delete(senderId);
+        await sendMessage(senderId, { text: tr(senderId, 'custom.alertRemoved', { rule: describeAlertRule(removed, translatorFor(senderId)) }) }, pageAccessToken);
 
-😔 Unable to fetch divine items 
-   data at this moment.
+      } else if (subAction === 'clear') {
+        userAlertRules.delete(senderId);
+        await sendMessage(senderId, { text: tr(senderId, 'custom.alertsCleared') }, pageAccessToken);
 
-🔄 Please try again shortly!
-💎 Premium features will resume! ✨`;
-        await sendMessage(senderId, { text: errorMessage }, pageAccessToken);
-      } finally {
-        await sendTypingIndicator(senderId, pageAccessToken, 'typing_off');
+      } else {
+        const ruleList = rules.length > 0
+          ? rules.map((rule, index) => `│ ${index + 1}. ${describeAlertRule(rule, translatorFor(senderId))}`).join('\n')
+          : tr(senderId, 'custom.noRules');
+        await sendMessage(senderId, { text: tr(senderId, 'custom.alertsList', { count: rules.length, max: MAX_ALERT_RULES, rules: ruleList }) }, pageAccessToken);
+      }
+
+    } else if (action === 'priority') {
+      const subAction = args[1]?.toLowerCase();
+      if (subAction === 'on') priorityUsers.add(senderId);
+      else if (subAction === 'off') priorityUsers.delete(senderId);
+
+      const isEnabled = priorityUsers.has(senderId);
+      await sendMessage(senderId, { text: tr(senderId, 'custom.priority', {
+        state: tr(senderId, isEnabled ? 'custom.priorityOn' : 'custom.priorityOff'),
+        hint: tr(senderId, isEnabled ? 'custom.priorityOnHint' : 'custom.priorityOffHint'),
+      }) }, pageAccessToken);
+      if (subAction === 'on' || subAction === 'off') {
+        logger.info(`⚡ Priority delivery ${subAction} for VIP ${senderId}`);
+      }
+
+    } else if (action === 'analytics') {
+      const itemQuery = args.slice(1).join(' ').trim().toLowerCase();
+      const { snapshots, items } = stockHistory.getAppearanceSummary();
+
+      if (snapshots === 0 || items.length === 0) {
+        return await sendMessage(senderId, { text: tr(senderId, 'custom.analyticsNoData') }, pageAccessToken);
+      }
+
+      const byFrequency = [...items].sort((a, b) => b.appearances.length - a.appearances.length);
+      const focusItems = itemQuery
+        ? items.filter(item => item.name.toLowerCase().includes(itemQuery))
+        : [...byFrequency.slice(-ANALYTICS_RARE_ITEM_COUNT), ...items.filter(item => isDivineItemName(item.name))];
+
+      if (focusItems.length === 0) {
+        return await sendMessage(senderId, { text: tr(senderId, 'custom.analyticsNotSeen', { query: itemQuery }) }, pageAccessToken);
+      }
+
+      // Bucket appearances of the focus items by hour of day in the user's time zone
+      const timeZone = getUserTimeZone(senderId);
+      const hourCounts = new Array(24).fill(0);
+      for (const item of new Set(focusItems)) {
+        item.appearances.forEach(timestamp => hourCounts[getZonedHour(timeZone, timestamp)]++);
       }
+      const bestWindows = hourCounts
+        .map((count, hour) => ({ hour, count }))
+        .filter(window => window.count > 0)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 3)
+        .map(({ hour, count }) => tr(senderId, 'custom.windowLine', { from: formatHourLabel(hour), to: formatHourLabel((hour + 1) % 24), count }))
+        .join('\n');
+
+      const formatRanking = (list) => list
+        .map((item, index) => tr(senderId, 'custom.rankingLine', { rank: index + 1, item: addEmoji(item.name), count: item.appearances.length }))
+        .join('\n');
+
+      const rankings = itemQuery
+        ? tr(senderId, 'custom.matchingItems', { items: formatRanking(focusItems.slice(0, 5)) })
+        : tr(senderId, 'custom.frequentAndRare', {
+            frequent: formatRanking(byFrequency.slice(0, 5)),
+            rarest: formatRanking([...byFrequency].reverse().slice(0, 5)),
+          });
+      const analyticsMessage = tr(senderId, 'custom.analytics', {
+        snapshots,
+        rankings,
+        windows: bestWindows || tr(senderId, 'custom.noWindows'),
+        zone: timeZone,
+        hint: tr(senderId, itemQuery ? 'custom.itemHint' : 'custom.rareHint'),
+      });
+      await sendMessage(senderId, { text: analyticsMessage }, pageAccessToken);
     }
   }
-};
+});
 
 // ===================================================================================
 // 5. COMMAND HANDLER
 // ===================================================================================
 
-const commands = new Map();
+// Help Command (generated from the command declarations)
+const helpCommand = defineCommand({
+  name: "help",
+  aliases: ["commands", "guide"],
+  description: "Show the commands you can use, or how to use one",
+  category: "Utility 🔧",
+  args: [{ name: "command", optional: true }],
+  examples: ["help", "help watch"],
+  async execute(senderId, args, pageAccessToken, { command: name }) {
+    const command = name && commandRegistry.get(name);
+    if (command && commandRegistry.canUse(senderId, command)) {
+      return await sendMessage(senderId, { text: formatCommandHelp(senderId, command) }, pageAccessToken);
+    }
 
-// Register all commands
-[gagstockCommand, refreshCommand, doNotDisturbCommand, nextStockCommand, customCommand, adminCommand, idCommand, notifyCommand].forEach(cmd => {
-  commands.set(cmd.name, cmd);
-  if (cmd.aliases) {
-    cmd.aliases.forEach(alias => commands.set(alias, cmd));
+    const byCategory = new Map();
+    for (const cmd of commandRegistry.list().filter(cmd => commandRegistry.canUse(senderId, cmd))) {
+      byCategory.set(cmd.category, [...(byCategory.get(cmd.category) || []), cmd]);
+    }
+    const sections = [...byCategory].map(([category, cmds]) => `╭─ ${describeCategory(senderId, category)} ─────────────────╮
+${cmds.map(cmd => `│ ${cmd.name}\n│ └─ ${describeCommand(senderId, cmd)}`).join('\n')}
+╰────────────────────────────────╯`).join('\n\n');
+
+    const helpMessage = tr(senderId, 'help.overview', {
+      unknown: name && !command ? tr(senderId, 'help.unknownCommand', { name }) : '',
+      sections,
+      version: systemVersion,
+    });
+    await sendMessage(senderId, { text: helpMessage }, pageAccessToken);
   }
 });
 
+const commandRegistry = createCommandRegistry({
+  getRole: (userId) => accessControl.getRole(userId),
+  isResting: () => !botIsOnline,
+});
+
+// Register all commands
+[gagstockCommand, refreshCommand, doNotDisturbCommand, nextStockCommand, historyCommand, watchCommand, remindCommand, customCommand, adminCommand, idCommand, langCommand, timezoneCommand, notifyCommand, helpCommand]
+  .forEach(cmd => commandRegistry.register(cmd));
+
+const commands = commandRegistry.asMap();
+
+// Descriptions are declared in English with each command; other locales translate them under `commands`
+i18n.addMessages('en', {
+  commands: Object.fromEntries(commandRegistry.list()
+    .flatMap(command => [command, ...Object.values(command.subcommands)])
+    .map(command => [command.path, command.description])),
+});
+for (const { locale, key, problem } of i18n.findMissingKeys()) {
+  logger.warn(`🌐 ${locale} message '${key}' ${problem === 'missing' ? 'is missing' : problem === 'extra' ? 'is not in the default locale' : 'has different placeholders'}`);
+}
+
+const COMMAND_CATEGORY_KEYS = { "Tools ⚒️": 'tools', "Utility 🔧": 'utility', "Premium 👑": 'premium', "Admin 👑": 'admin' };
+const describeCategory = (userId, category) => (COMMAND_CATEGORY_KEYS[category] ? tr(userId, `help.categories.${COMMAND_CATEGORY_KEYS[category]}`) : category);
+const describeCommand = (userId, command) => tr(userId, `commands.${command.path}`);
+
+const formatUsageLines = (command) => getUsages(command).map(({ usage }) => `   ${usage}`).join('\n');
+const collectExamples = (command) => [command, ...Object.values(command.subcommands)].flatMap(cmd => cmd.examples);
+
+// Full guide for one command: what it does, each usage line and examples
+function formatCommandHelp(userId, command) {
+  const usages = getUsages(command).map(({ usage, path }) => `│ ${usage}\n│ └─ ${tr(userId, `commands.${path}`)}`).join('\n');
+  const examples = collectExamples(command);
+
+  return tr(userId, 'help.guide', {
+    description: describeCommand(userId, command),
+    usages,
+    examples: examples.length > 0 ? tr(userId, 'help.examples', { examples: examples.map(example => `• ${example}`).join('\n') }) : '',
+    aliases: command.aliases.length > 0 ? tr(userId, 'help.aliases', { aliases: command.aliases.join(', ') }) : '',
+  });
+}
+
+// The framework's usage issue in the user's language (see command-framework.js)
+function describeUsageIssue(userId, { error, issue }) {
+  if (!issue) return error;
+  if (issue.code === 'option') return tr(userId, issue.suggestion ? 'usage.optionSuggestion' : 'usage.option', issue);
+  return tr(userId, `usage.${issue.code}`, { arg: issue.arg, choices: issue.choices?.join(', ') });
+}
+
+// Replies when the framework refuses to run a command
+async function sendCommandRefusal(senderId, result) {
+  let text;
+  if (result.status === 'denied' && result.required === 'vip') {
+    text = tr(senderId, 'refusal.premium');
+  } else if (result.status === 'denied') {
+    text = tr(senderId, 'refusal.staff', { role: roleBadge(senderId, result.required) });
+  } else if (result.status === 'resting') {
+    text = tr(senderId, 'refusal.resting', restWindowParams(senderId));
+  } else if (result.status === 'usage' && !result.error) {
+    text = formatCommandHelp(senderId, result.command);
+  } else if (result.status === 'usage') {
+    const [example] = collectExamples(result.command);
+    text = tr(senderId, 'refusal.usage', {
+      error: describeUsageIssue(senderId, result),
+      usages: formatUsageLines(result.command),
+      example: example ? tr(senderId, 'refusal.example', { example }) : '',
+      command: result.command.path.split(' ')[0],
+    });
+  } else {
+    return;
+  }
+  await sendMessage(senderId, { text }, PAGE_ACCESS_TOKEN);
+}
+
+// Runs a command line through the framework, replying when it is refused or fails.
+// Resolves to false when the first word is not a command.
+async function runCommand(senderId, words) {
+  const audit = (command, outcome) => {
+    if (command?.audited) accessControl.audit(senderId, command.path, words.slice(command.path.split(' ').length).join(' '), outcome);
+  };
+
+  try {
+    const result = await commandRegistry.dispatch(senderId, words, PAGE_ACCESS_TOKEN);
+    if (result.status === 'unknown') return false;
+    if (result.status === 'ok' || result.status === 'denied') audit(result.command, result.status);
+    if (result.status === 'denied') {
+      logger.warn(`🔒 User ${senderId} needs ${result.required} access for '${result.command.path}'`);
+    }
+    await sendCommandRefusal(senderId, result);
+    return true;
+  } catch (error) {
+    audit(commandRegistry.get(words[0]), 'error');
+    logger.error(`❌ Error executing enhanced command '${words[0]}' for user ${senderId}:`, error);
+    await sendMessage(senderId, { text: tr(senderId, 'errors.command') }, PAGE_ACCESS_TOKEN);
+    return true;
+  }
+}
+
 function isRateLimited(userId) {
   const now = Date.now();
   const userRequests = userRateLimit.get(userId) || [];
@@ -2197,189 +2470,176 @@ function isRateLimited(userId) {
   return false;
 }
 
+// Counts one inbound message or postback against the user's limit, telling them when they are over it.
+// Each event is counted once, however many handlers it passes through (a quick reply runs as a command)
+async function passRateLimit(senderId) {
+  if (!isRateLimited(senderId)) return true;
+  logger.warn(`⏰ Rate limited user: ${senderId}`);
+  await sendMessage(senderId, { text: tr(senderId, 'errors.rateLimit') }, PAGE_ACCESS_TOKEN);
+  return false;
+}
+
+// First-contact welcome: what tracking is and one-tap ways to start
+async function sendWelcome(senderId) {
+  const userName = await userRegistry.getFirstName(senderId, PAGE_ACCESS_TOKEN);
+  const welcomeMessage = tr(senderId, 'welcome.message', { name: userName });
+
+  await sendMessage(senderId, {
+    text: welcomeMessage,
+    quick_replies: [
+      { content_type: "text", title: tr(senderId, 'common.startTracking'), payload: commandPayload("gagstock on") },
+      { content_type: "text", title: tr(senderId, 'common.myWatchlist'), payload: "WATCH_LIST" },
+      { content_type: "text", title: tr(senderId, 'common.nextRestock'), payload: "NEXT_RESTOCK" },
+      { content_type: "text", title: tr(senderId, 'common.allCommands'), payload: commandPayload("help") }
+    ]
+  }, PAGE_ACCESS_TOKEN);
+  userRegistry.markOnboarded(senderId);
+  logger.info(`👋 Welcomed new user ${senderId} (${userName})`);
+}
+
 // Enhanced message handler with natural language processing
+// Runs the action behind a quick reply or postback payload; returns false if unrecognized.
+// Command payloads (persistent menu, ice breakers) run their text as if the user had typed it.
+async function handlePayload(senderId, payload) {
+  const commandLine = parseCommandPayload(payload);
+  if (commandLine) {
+    await handleText(senderId, commandLine);
+    return true;
+  }
+  if (payload?.startsWith('STOCK_CATEGORY:')) {
+    await sendCategoryList(senderId, payload.slice('STOCK_CATEGORY:'.length));
+    return true;
+  }
+
+  switch (payload) {
+    case GET_STARTED_PAYLOAD:
+      await sendWelcome(senderId);
+      return true;
+    case 'REFRESH_STOCK':
+      await runCommand(senderId, ['refresh']);
+      return true;
+    case 'DIVINE_ITEMS':
+      await runCommand(senderId, ['custom', 'divine']);
+      return true;
+    case 'NEXT_RESTOCK':
+      await runCommand(senderId, ['nextstock', 'all']);
+      return true;
+    case 'WATCH_LIST':
+      await runCommand(senderId, ['watch', 'list']);
+      return true;
+    case 'WEATHER_INFO':
+      await sendMessage(senderId, { text: tr(senderId, 'nlp.weatherButton') }, PAGE_ACCESS_TOKEN);
+      return true;
+  }
+  return false;
+}
+
+// m.me/<page>?ref=<action>_<argument> links, e.g. ?ref=watch_beanstalk or ?ref=track_seed
+const REFERRAL_ACTIONS = {
+  watch: (senderId, words) => runCommand(senderId, ['watch', 'add', ...words]),
+  track: (senderId, words) => runCommand(senderId, ['gagstock', 'on', ...words]),
+  history: (senderId, words) => runCommand(senderId, ['history', ...words]),
+  nextstock: (senderId, words) => runCommand(senderId, ['nextstock', ...(words.length ? words : ['all'])]),
+};
+
+async function handleReferral(senderId, referral) {
+  const ref = referral?.ref?.toLowerCase();
+  if (!ref || isBanned(senderId)) return;
+
+  const [action, ...words] = ref.split('_').filter(Boolean);
+  logger.info(`🔗 Referral '${ref}' from ${senderId} (${referral.source || 'unknown source'})`);
+  if (REFERRAL_ACTIONS[action]) {
+    await REFERRAL_ACTIONS[action](senderId, words);
+  } else {
+    logger.warn(`🔗 Unknown referral action '${action}' from ${senderId}`);
+  }
+}
+
+// Persistent menu and Get Started buttons; a first-time user from an m.me link also carries a referral
+async function handlePostback(senderId, postback) {
+  if (isBanned(senderId) || !await passRateLimit(senderId)) return;
+  if (postback.referral) {
+    // A first-time user from an m.me link sees the welcome before the link's action runs
+    if (postback.payload === GET_STARTED_PAYLOAD && !userRegistry.isOnboarded(senderId)) await sendWelcome(senderId);
+    await handleReferral(senderId, postback.referral);
+    if (postback.payload === GET_STARTED_PAYLOAD) return;
+  }
+  if (!await handlePayload(senderId, postback.payload)) {
+    logger.warn(`❓ Unknown postback payload '${postback.payload}' from user ${senderId}`);
+  }
+}
+
+// Read and delivery receipts (runtime only; watermarks are epoch ms)
+const messageReceipts = new Map(); // userId -> { deliveredAt, readAt }
+
+function handleReceipt(senderId, kind, watermark) {
+  messageReceipts.set(senderId, { ...messageReceipts.get(senderId), [kind]: watermark });
+
+  // Reading tracker updates counts as activity, so the idle-session cleanup leaves the session alone
+  const session = activeSessions.get(senderId);
+  if (kind === 'readAt' && session && watermark > (session.lastActivity || 0)) {
+    activeSessions.set(senderId, { ...session, lastActivity: watermark });
+  }
+}
+
+// Stores notification opt-in tokens from messaging_optins events
+async function handleOptin(senderId, optin) {
+  const token = messagingWindow.recordOptin(senderId, optin);
+  if (!token) return;
+
+  const frequency = token.type === 'one_time'
+    ? tr(senderId, 'watch.nextRestockOnly')
+    : tr(senderId, 'watch.recurring', { frequency: tr(senderId, `watch.frequencies.${token.frequency.toLowerCase()}`) });
+  await sendMessage(senderId, { text: tr(senderId, 'watch.subscribed', { frequency }) }, PAGE_ACCESS_TOKEN, { purpose: 'update' });
+}
+
+// Delivers announcements that were held while the user's 24-hour window was closed
+function deliverDeferredMessages(senderId) {
+  for (const message of messagingWindow.takeDeferred(senderId)) {
+    sendMessage(senderId, message, PAGE_ACCESS_TOKEN, { purpose: 'update' });
+  }
+}
+
 async function handleMessage(senderId, message) {
   if (!message.text) return;
 
-  // Enhanced rate limiting
-  if (isRateLimited(senderId)) {
-    logger.warn(`⏰ Rate limited user: ${senderId}`);
-    const rateLimitMessage = `╔══════════════════════════════════╗
-║  ⏰  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗥𝗮𝘁𝗲 ║
-║      𝗟𝗶𝗺𝗶𝘁 𝗔𝗰𝘁𝗶𝘃𝗲! 🚦      ║
-╚══════════════════════════════════╝
-
-🏃‍♂️ Whoa there, speedy explorer!
-
-You're sending messages a bit too 
-quickly for our enhanced systems.
-
-╭─ 🌱 Take a Moment ────────────╮
-│ ⏰ Wait: Just a few seconds    │
-│ 🧘 Relax: Quality over speed   │
-│ ✨ Enhanced: Better experience │
-│ 💚 Patience: Worth the wait    │
-╰────────────────────────────────╯
-
-🌟 Enhanced features work best 
-   with mindful interaction! ✨`;
-    await sendMessage(senderId, { text: rateLimitMessage }, PAGE_ACCESS_TOKEN);
+  // Banned users are ignored before anything else runs (they were told when the ban started)
+  if (isBanned(senderId)) {
+    logger.debug(`🚫 Ignored message from banned user ${senderId}`);
     return;
   }
 
-  logger.info(`💬 Processing enhanced message from ${senderId}: "${message.text}"`);
-  const text = message.text.trim();
+  if (!await passRateLimit(senderId)) return;
 
   // Handle quick reply responses
-  if (message.quick_reply) {
-    const payload = message.quick_reply.payload;
-    
-    switch (payload) {
-      case 'REFRESH_STOCK':
-        await refreshCommand.execute(senderId, [], PAGE_ACCESS_TOKEN);
-        return;
-      case 'DIVINE_ITEMS':
-        await customCommand.execute(senderId, ['divine'], PAGE_ACCESS_TOKEN);
-        return;
-      case 'NEXT_RESTOCK':
-        await nextStockCommand.execute(senderId, ['all'], PAGE_ACCESS_TOKEN);
-        return;
-      case 'WEATHER_INFO':
-        const weatherResponse = `╔══════════════════════════════════╗
-║  🌤️  𝗪𝗲𝗮𝘁𝗵𝗲𝗿 𝗜𝗻𝗳𝗼  ║
-╚══════════════════════════════════╝
-
-🌟 Current weather affects your crops!
-
-🔄 Use 'refresh' or start tracking 
-   to see live weather updates! ✨`;
-        await sendMessage(senderId, { text: weatherResponse }, PAGE_ACCESS_TOKEN);
-        return;
-    }
+  if (message.quick_reply && await handlePayload(senderId, message.quick_reply.payload)) {
+    return;
   }
 
-  const args = text.split(/\s+/);
-  const commandName = args.shift().toLowerCase();
-  const command = commands.get(commandName);
+  await handleText(senderId, message.text);
+}
 
-  if (command) {
-    try {
-      await command.execute(senderId, args, PAGE_ACCESS_TOKEN);
-    } catch (error) {
-      logger.error(`❌ Error executing enhanced command '${commandName}' for user ${senderId}:`, error);
-      const errorMessage = `╔══════════════════════════════════╗
-║  😥  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗦𝘆𝘀𝘁𝗲𝗺  ║
-║      𝗘𝗿𝗿𝗼𝗿 𝗗𝗲𝘁𝗲𝗰𝘁𝗲𝗱! 🛠️     ║
-╚══════════════════════════════════╝
-
-😔 Something unexpected happened 
-   in our enhanced system.
-
-╭─ 🔧 Auto-Recovery Active ─────╮
-│ 🔄 Trying to fix automatically │
-│ 💻 Developer has been notified │
-│ ⏰ Usually resolves quickly    │
-│ 🌟 Enhanced stability enabled  │
-╰────────────────────────────────╯
-
-🌱 Please try again in a moment!
-   Our enhanced system is self-healing! ✨`;
-      await sendMessage(senderId, { text: errorMessage }, PAGE_ACCESS_TOKEN);
-    }
-  } else {
+// Runs a command line or natural-language question; the caller has already rate-limited the event
+async function handleText(senderId, rawText) {
+  logger.info(`💬 Processing enhanced message from ${senderId}: "${rawText}"`);
+  const text = rawText.trim();
+  const words = text.split(/\s+/);
+  const commandName = words[0].toLowerCase();
+
+  if (!await runCommand(senderId, words)) {
     // Process natural language queries
     const queryType = processNaturalLanguageQuery(text);
     
     if (queryType !== 'general_question' || text.includes('?')) {
       await handleNaturalLanguageQuery(senderId, queryType, text, PAGE_ACCESS_TOKEN);
-    } else if (commandName === 'help') {
-      const helpMessage = `╔══════════════════════════════════╗
-║  🤖  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗚𝗮𝗴𝘀𝘁𝗼𝗰𝗸  ║
-║      𝗕𝗼𝘁 𝗛𝗲𝗹𝗽 ✨            ║
-╚══════════════════════════════════╝
-
-✨ 𝗔𝘃𝗮𝗶𝗹𝗮𝗯𝗹𝗲 𝗖𝗼𝗺𝗺𝗮𝗻𝗱𝘀:
-
-╭─ 🌾 Main Commands ─────────────╮
-│ 🟢 gagstock on                │
-│    Start enhanced tracking     │
-│                                │
-│ 🎯 gagstock on [filter]       │
-│    Track specific items        │
-│    Example: Sunflower | Can    │
-│                                │
-│ 🔴 gagstock off               │
-│    Stop tracking gracefully   │
-╰────────────────────────────────╯
-
-╭─ ⚡ Quick Actions ─────────────╮
-│ 🔄 refresh                     │
-│    Force refresh with alerts   │
-│                                │
-│ 🔕 dnd on/off                  │
-│    Toggle notifications        │
-│                                │
-│ ⏰ nextstock [category]        │
-│    Check restock timers        │
-╰────────────────────────────────╯
-
-╭─ 🔧 Utility Commands ──────────╮
-│ 🆔 id                          │
-│    Get your Facebook user ID   │
-│                                │
-│ 👑 custom [action]             │
-│    Premium VIP commands        │
-╰────────────────────────────────╯
-
-╭─ 💬 Natural Language ─────────╮
-│ Just ask me questions like:    │
-│ "What stock today?"           │
-│ "When is next restock?"       │
-│ "Show me divine items"        │
-╰────────────────────────────────╯
-
-╭─ 👑 Admin Commands ────────────╮
-│ 🛡️ admin [action]              │
-│    VIP & system management     │
-│                                │
-│ 📢 notify [type/message]       │
-│    Send notifications to users │
-╰────────────────────────────────╯
-
-╭─ 🌟 Enhanced Features ─────────╮
-│ 🤖 Version: ${systemVersion} (Latest)      │
-│ 🌐 Auto-schedule: 5AM-12AM    │
-│ 🎨 Premium aesthetics enabled │
-│ 🔄 Smart cache management     │
-│ ✨ Beautiful notifications    │
-│ 💬 Natural language support   │
-│ 🔄 Quick refresh buttons      │
-│ 🆔 User ID tracking           │
-│ 📢 Admin notifications        │
-╰────────────────────────────────╯
-
-💫 Enhanced & ready to serve! 🚀`;
-      await sendMessage(senderId, { text: helpMessage }, PAGE_ACCESS_TOKEN);
     } else {
       logger.warn(`❓ Enhanced command not found: '${commandName}' from user ${senderId}`);
-      const unknownMessage = `╔══════════════════════════════════╗
-║  ❓  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗖𝗼𝗺𝗺𝗮𝗻𝗱  ║
-║      𝗡𝗼𝘁 𝗥𝗲𝗰𝗼𝗴𝗻𝗶𝘇𝗲𝗱! 🤔       ║
-╚══════════════════════════════════╝
-
-🤖 I didn't understand '${commandName}', 
-   but you can ask me naturally!
-
-╭─ 💡 Try These Examples ───────╮
-│ 💬 "What stock today?"         │
-│ 💬 "When is next restock?"     │
-│ 💬 "Show me divine items"      │
-│ 💬 "What's the weather?"       │
-│ 📖 Type 'help' - See commands │
-╰────────────────────────────────╯
-
-🌟 I understand natural language
-   and I'm here to help! 💚✨`;
+      const suggestions = commandRegistry.suggest(senderId, commandName)
+        .map(command => `│ 👉 ${[command.name, ...words.slice(1)].join(' ')}`);
+      const unknownMessage = tr(senderId, 'errors.unknownCommand', {
+        command: commandName,
+        suggestions: suggestions.length > 0 ? tr(senderId, 'errors.didYouMean', { lines: suggestions.join('\n') }) : '',
+      });
       await sendMessage(senderId, { text: unknownMessage }, PAGE_ACCESS_TOKEN);
     }
   }
@@ -2389,7 +2649,7 @@ quickly for our enhanced systems.
 // 6. ENHANCED EXPRESS SERVER & WEBHOOKS
 // ===================================================================================
 
-const app = express().use(bodyParser.json());
+const app = express().use(bodyParser.json({ verify: captureRawBody }));
 const PORT = process.env.PORT || 1337;
 
 // Enhanced middleware
@@ -2410,18 +2670,24 @@ const server = app.listen(PORT, async () => {
   logger.success('⚡ Typing indicators configured!');
   logger.success('🔄 Aesthetic refresh buttons ready!');
   logger.success('🌙 Auto schedule: Offline 12AM-5AM');
+
+  restoreTrackingSessions();
+  stockPoller.start();
+  broadcaster.start();
+  reminderScheduler.start();
+
+  // Keep the Get Started button, persistent menu and ice breakers in line with the commands
+  syncMessengerProfile(buildMessengerProfile(commands), PAGE_ACCESS_TOKEN)
+    .catch(error => logger.error(`📋 ${error.message}`));
 });
 
-// Enhanced graceful shutdown
+// Enhanced graceful shutdown (sessions stay in storage and resume on next boot)
 process.on('SIGTERM', () => {
   logger.system('🛑 SIGTERM received, shutting down enhanced system gracefully...');
-  for (const [userId, session] of activeSessions) {
-    clearTimeout(session.timeout);
-    logger.info(`🧹 Cleaned up enhanced session for user: ${userId}`);
-  }
-  activeSessions.clear();
-  lastSentCache.clear();
+  stockPoller.stop();
+  logger.info(`🧹 Paused ${activeSessions.size} enhanced session(s) until next boot`);
   stockClearingAlerts.clear();
+  storage.close();
 
   server.close(() => {
     logger.system('✅ Enhanced server closed gracefully');
@@ -2429,8 +2695,18 @@ process.on('SIGTERM', () => {
   });
 });
 
+// Webhook event routing (see webhook-events.js)
+const USER_INITIATED_EVENTS = ['message', 'postback', 'referral'];
+const eventRouter = createEventRouter();
+eventRouter.on('message', handleMessage);
+eventRouter.on('postback', handlePostback);
+eventRouter.on('referral', handleReferral);
+eventRouter.on('optin', handleOptin);
+eventRouter.on('read', (senderId, read) => handleReceipt(senderId, 'readAt', read.watermark));
+eventRouter.on('delivery', (senderId, delivery) => handleReceipt(senderId, 'deliveredAt', delivery.watermark));
+
 // Enhanced webhook handler
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', requireSignature(APP_SECRET), async (req, res) => {
   try {
     let body = req.body;
 
@@ -2456,17 +2732,40 @@ app.post('/webhook', async (req, res) => {
         }
 
         const sender_psid = webhook_event.sender.id;
+        const eventType = getEventType(webhook_event);
         logger.webhook('🔔 Enhanced event received:', { 
           from: sender_psid, 
-          type: webhook_event.message ? 'message' : 'other',
+          type: eventType,
           timestamp: webhook_event.timestamp
         });
 
-        if (webhook_event.message) {
-          handleMessage(sender_psid, webhook_event.message).catch(error => {
-            logger.error('❌ Error handling enhanced message:', error);
-          });
+        // Banned users are ignored before anything they send can reopen their window or
+        // flush held messages to them (they were told when the ban started)
+        const userInitiated = USER_INITIATED_EVENTS.includes(eventType);
+        if (userInitiated && isBanned(sender_psid)) {
+          logger.debug(`🚫 Ignored '${eventType}' event from banned user ${sender_psid}`);
+          continue;
+        }
+
+        // Anything the user sends reopens their 24-hour messaging window
+        let firstContact = false;
+        if (userInitiated) {
+          messagingWindow.recordInbound(sender_psid, webhook_event.timestamp || Date.now());
+          firstContact = userRegistry.touch(sender_psid, webhook_event.timestamp || Date.now()).isNew;
+          deliverDeferredMessages(sender_psid);
+        }
+
+        // New users are welcomed before what they sent is handled (Get Started shows the welcome itself).
+        // Anyone else's profile is looked up first (once, then cached) so replies use their language.
+        let ready = null;
+        if (firstContact && webhook_event.postback?.payload !== GET_STARTED_PAYLOAD) {
+          ready = sendWelcome(sender_psid).catch(error => logger.error(`❌ Could not welcome ${sender_psid}:`, error));
+        } else if (userInitiated) {
+          ready = userRegistry.getProfile(sender_psid, PAGE_ACCESS_TOKEN);
         }
+        const dispatch = () => eventRouter.dispatch(webhook_event);
+        (ready ? ready.then(dispatch) : dispatch())
+          .catch(error => logger.error(`❌ Could not handle '${eventType}' event from ${sender_psid}:`, error));
       }
     }
 
@@ -2502,6 +2801,16 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     activeSessions: activeSessions.size,
+    storageBackend: storage.getConfig().backend,
+    stockPoller: stockPoller.getStats(),
+    stockProviders: stockSource.getHealth(),
+    sendQueue: sendQueue.getStats(),
+    messagingWindow: messagingWindow.getStats(),
+    users: userRegistry.getStats(),
+    roles: accessControl.getStats(),
+    broadcasts: broadcaster.getStats(),
+    reminders: reminderScheduler.getStats(),
+    webhookEvents: eventRouter.getStats(),
     memoryUsage: process.memoryUsage(),
     renderLove: heartbeat,
     botOnline: botIsOnline,
@@ -2520,7 +2829,11 @@ app.get('/health', (req, res) => {
       stockClearing: true,
       premiumAesthetics: true,
       smartCaching: true,
-      rateLimit: true
+      rateLimit: true,
+      persistentStorage: true,
+      sharedStockPoller: true,
+      sendQueue: true,
+      messagingWindow: true
     },
     message: `Bot is running with enhanced love! ${heartbeat} Custom schedule & voice messages active!`
   };
@@ -0,0 +1,1492 @@
+/**
+ * English messages. Placeholders are written {name} and filled in by i18n.t().
+ * Command descriptions are not listed here: in English they come from the command
+ * declarations (see `commands` in index.js); other locales translate them under `commands`.
+ */
+export default {
+  language: {
+    name: 'English',
+  },
+
+  common: {
+    refreshStock: '🔄 Refresh Stock',
+    refreshAgain: '🔄 Refresh Again',
+    divineItems: '💎 Divine Items',
+    nextRestock: '⏰ Next Restock',
+    weatherInfo: '🌤️ Weather Info',
+    myWatchlist: '👀 My Watchlist',
+    myReminders: '⏰ My Reminders',
+    remindMe: '⏰ Remind Me',
+    startTracking: '🌾 Start Tracking',
+    allCommands: '📖 All Commands',
+    fullList: '📋 Full List',
+    confirm: '✅ Confirm',
+    cancel: '🗑️ Cancel',
+  },
+
+  roles: {
+    owner: '👑 Owner',
+    admin: '🛡️ Admin',
+    moderator: '🔰 Moderator',
+    vip: '💎 VIP',
+    user: '👤 User',
+    banned: '🚫 Banned',
+  },
+
+  categories: {
+    gear: '🛠️ 𝗚𝗲𝗮𝗿 & 𝗧𝗼𝗼𝗹𝘀',
+    seed: '🌱 𝗦𝗲𝗲𝗱𝘀 & 𝗣𝗹𝗮𝗻𝘁𝘀',
+    egg: '🥚 𝗘𝗴𝗴𝘀 & 𝗣𝗲𝘁𝘀',
+    cosmetics: '🎨 𝗖𝗼𝘀𝗺𝗲𝘁𝗶𝗰 𝗜𝘁𝗲𝗺𝘀',
+    honey: '🍯 𝗛𝗼𝗻𝗲𝘆 𝗣𝗿𝗼𝗱𝘂𝗰𝘁𝘀',
+  },
+
+  time: {
+    justNow: 'just now',
+    minutesAgo: '{minutes}m ago',
+    hoursAgo: '{hours}h {minutes}m ago',
+    daysAgo: '{days}d {hours}h ago',
+    until: 'until {date}',
+    permanent: 'permanent',
+  },
+
+  access: {
+    notGrantable: "'{role}' is not a role you can grant (use {roles})",
+    ownerLocked: 'Owners are set in the environment and cannot be changed',
+    self: 'You cannot change your own role',
+    roleTooHigh: 'Only someone above {role} can grant or revoke it',
+    targetTooHigh: 'User {userId} has the same or a higher role than you',
+    expired: '⌛ Your {role} access has ended.\n\nThank you for being part of it! 💚',
+  },
+
+  nlp: {
+    weather: `╔══════════════════════════════════╗
+║  🌤️  𝗪𝗲𝗮𝘁𝗵𝗲𝗿 𝗜𝗻𝗳𝗼  ║
+╚══════════════════════════════════╝
+
+🌟 Weather affects crop bonuses in
+   Grow A Garden!
+
+╭─ 🌈 Weather Effects ──────────╮
+│ ☀️ Sunny: Normal growth       │
+│ 🌧️ Rainy: Water bonus         │
+│ ⛅ Cloudy: Reduced growth      │
+│ 🌪️ Stormy: Special events     │
+╰────────────────────────────────╯
+
+🔄 Use 'refresh' to see current
+   weather and active bonuses! ✨`,
+
+    pricing: `╔══════════════════════════════════╗
+║  💰  𝗣𝗿𝗶𝗰𝗶𝗻𝗴 𝗜𝗻𝗳𝗼  ║
+╚══════════════════════════════════╝
+
+💡 Items in Grow A Garden have
+   different price ranges:
+
+╭─ 💸 Price Categories ──────────╮
+│ 🌱 Seeds: 50-5,000 coins      │
+│ 🛠️ Tools: 100-50,000 coins    │
+│ 🥚 Eggs: 1,000-100,000 coins  │
+│ 🎨 Cosmetics: 500-25,000 coins│
+│ 💎 Divine: 10,000+ coins      │
+╰────────────────────────────────╯
+
+🌟 Prices vary based on rarity! ✨`,
+
+    howItWorks: `╔══════════════════════════════════╗
+║  🤖  𝗛𝗼𝘄 𝗜 𝗪𝗼𝗿𝗸  ║
+╚══════════════════════════════════╝
+
+🌟 I'm your enhanced Grow A Garden
+   stock tracking assistant!
+
+╭─ ⚡ My Abilities ──────────────╮
+│ 📊 Real-time stock monitoring  │
+│ 🔄 Auto-refresh every 5 minutes│
+│ 🌤️ Weather & bonus tracking   │
+│ 💎 Divine item alerts         │
+│ ⏰ Restock countdown timers    │
+│ 🎯 Smart filtering system     │
+│ 💬 Natural language support   │
+╰────────────────────────────────╯
+
+🚀 Just ask me anything about
+   stocks and I'll help! ✨`,
+
+    help: `╔══════════════════════════════════╗
+║  📖  𝗤𝘂𝗶𝗰𝗸 𝗛𝗲𝗹𝗽  ║
+╚══════════════════════════════════╝
+
+🌟 You can ask me naturally:
+
+╭─ 💬 Example Questions ────────╮
+│ "What stock today?"           │
+│ "When is next restock?"       │
+│ "Show me divine items"        │
+│ "What's the weather?"         │
+│ "How do you work?"            │
+╰────────────────────────────────╯
+
+╭─ 🎮 Quick Commands ───────────╮
+│ gagstock on - Start tracking │
+│ refresh - Update now          │
+│ help - Full command list     │
+╰────────────────────────────────╯
+
+💡 Just talk to me naturally! ✨`,
+
+    general: `╔══════════════════════════════════╗
+║  🤔  𝗜𝗻𝘁𝗲𝗿𝗲𝘀𝘁𝗶𝗻𝗴!  ║
+╚══════════════════════════════════╝
+
+🌟 I understand you're asking about:
+"{question}"
+
+╭─ 💡 I can help with ──────────╮
+│ 📊 Stock information          │
+│ ⏰ Restock timing             │
+│ 🌤️ Weather & bonuses          │
+│ 💎 Divine item tracking       │
+│ 🎮 Bot features & commands    │
+╰────────────────────────────────╯
+
+Try asking:
+• "What stock today?"
+• "When is next restock?"
+• "Show me divine items"
+
+🚀 I'm here to help! ✨`,
+
+    weatherButton: `╔══════════════════════════════════╗
+║  🌤️  𝗪𝗲𝗮𝘁𝗵𝗲𝗿 𝗜𝗻𝗳𝗼  ║
+╚══════════════════════════════════╝
+
+🌟 Current weather affects your crops!
+
+🔄 Use 'refresh' or start tracking
+   to see live weather updates! ✨`,
+  },
+
+  schedule: {
+    offline: `╔══════════════════════════════════╗
+║  🌙  𝗕𝗼𝘁 𝗥𝗲𝘀𝘁 𝗧𝗶𝗺𝗲  ║
+╚══════════════════════════════════╝
+
+😴 Time for a peaceful break!
+🎵 Enjoy the relaxing music!
+
+╭─ 🌙 Rest Schedule ────────────╮
+│ 💤 Offline: {offlineAt} - {onlineAt}│
+│ ☀️ Online: {onlineAt} - {offlineAt} │
+│ 🎵 Voice: Multo relaxation    │
+╰────────────────────────────────╯
+
+🌟 Sweet dreams! See you at {onlineAt}! ✨`,
+
+    online: `╔══════════════════════════════════╗
+║  ☀️  𝗕𝗼𝘁 𝗢𝗻𝗹𝗶𝗻𝗲!  ║
+╚══════════════════════════════════╝
+
+🌅 Good morning! Bot is back online!
+
+╭─ ☀️ Online Schedule ──────────╮
+│ 🟢 Status: Fully operational  │
+│ ⏰ Time: {onlineAt} - {offlineAt}   │
+│ 🚀 Features: All systems go   │
+│ ✨ Ready: For beautiful day   │
+╰────────────────────────────────╯
+
+🌟 Enhanced tracking resumed! ✨`,
+  },
+
+  stock: {
+    section: `╭─ {label} ────────────────────╮
+{items}
+  └─ ⏰ Next Restock: {restock}
+╰─────────────────────────────────╯
+
+`,
+    nothingInStock: '  ├─ Nothing in stock right now',
+    categoryList: `╭─ {label} ────────────────────╮
+{items}
+  └─ ⏰ Next Restock: {restock}
+╰─────────────────────────────────╯`,
+    highlights: `╭─ ✨ 𝗡𝗲𝘄 𝗧𝗵𝗶𝘀 𝗥𝗲𝘀𝘁𝗼𝗰𝗸 · {label} ─╮
+{lines}
+  └─ ⏰ Next Restock: {restock}
+╰─────────────────────────────────╯
+
+`,
+    soldOut: '  ├─ ❌ {item}: Sold out',
+
+    divineAlert: `╔══════════════════════════════════╗
+║  💎  𝗗𝗜𝗩𝗜𝗡𝗘 𝗔𝗟𝗘𝗥𝗧! ║
+║      ⚡ 𝗦𝗣𝗘𝗖𝗜𝗔𝗟 𝗜𝗧𝗘𝗠! ⚡    ║
+╚══════════════════════════════════╝
+
+🚨 **RARE DIVINE ITEMS IN STOCK!** 🚨
+
+{items}
+
+⚡ **ACT FAST!** These divine items
+   are extremely rare and sell out
+   within minutes!
+
+🏃‍♂️💨 Get them NOW! 💎✨`,
+
+    updateHeader: `╔══════════════════════════════════╗
+║   🌾 Hi {name}! Fresh Stock! 🌟   ║
+║      Enhanced Update! ✨         ║
+╚══════════════════════════════════╝
+
+`,
+    weather: `╭─ 🌤️ 𝗪𝗲𝗮𝘁𝗵𝗲𝗿 & 𝗕𝗼𝗻𝘂𝘀𝗲𝘀 ────╮
+  ├─ Current: {icon} {weather}
+  └─ Crop Bonus: 🌾 {bonus}
+╰─────────────────────────────────╯
+
+`,
+    updateFooter: `╭─ 📊 𝗟𝗮𝘀𝘁 𝗨𝗽𝗱𝗮𝘁𝗲 & 𝗦𝘁𝗮𝘁𝘂𝘀 ─╮
+  ├─ 📅 Time: {time}
+  ├─ 🔄 Source: Live API Data
+  ├─ ✅ Status: All Systems Healthy
+  └─ 🌟 Enhanced: v{version} Active
+╰─────────────────────────────────╯`,
+
+    premiumAlert: `╔══════════════════════════════════╗
+║  🚨  𝗣𝗿𝗲𝗺𝗶𝘂𝗺 𝗔𝗹𝗲𝗿𝘁! ║
+╚══════════════════════════════════╝
+
+{items}
+
+⚡ Matched your alert rules just now!
+   Manage them with 'custom alerts'. 💎`,
+
+    watchlistAlert: '🔔 𝗪𝗮𝘁𝗰𝗵𝗹𝗶𝘀𝘁 𝗔𝗹𝗲𝗿𝘁!\n\n{items}\n\n⚡ In stock now — go get it! ✨',
+  },
+
+  gagstock: {
+    stopped: `╔══════════════════════════════════╗
+║  🛑  𝗧𝗿𝗮𝗰𝗸𝗶𝗻𝗴 𝗦𝘁𝗼𝗽𝗽𝗲𝗱  ║
+╚══════════════════════════════════╝
+
+✅ Your Gagstock tracking has been
+   successfully disabled.
+
+╭─ 📊 Session Summary ──────────╮
+│ 📅 Duration: Active session   │
+│ 🔄 Updates: Delivered         │
+│ ✨ Status: Clean shutdown     │
+╰────────────────────────────────╯
+
+Thank you for using our enhanced
+tracking service! 🌱✨
+
+💚 Come back anytime! 🚀`,
+
+    noSession: `╔══════════════════════════════════╗
+║  ⚠️   𝗡𝗼 𝗔𝗰𝘁𝗶𝘃𝗲 𝗦𝗲𝘀𝘀𝗶𝗼𝗻  ║
+╚══════════════════════════════════╝
+
+🤔 You don't have an active gagstock
+   tracking session running.
+
+╭─ 🚀 Quick Start Commands ─────╮
+│ 🟢 'gagstock on' - Track all  │
+│ 🎯 'gagstock on [item]' - Filter │
+│ 📖 'help' - Show full guide   │
+╰────────────────────────────────╯
+
+Ready to start tracking? 🌟`,
+
+    alreadyActive: `╔══════════════════════════════════╗
+║  📡  𝗦𝗲𝘀𝘀𝗶𝗼𝗻 𝗔𝗹𝗿𝗲𝗮𝗱𝘆 ║
+║      𝗔𝗰𝘁𝗶𝘃𝗲! ⚡           ║
+╚══════════════════════════════════╝
+
+✅ You're already tracking Gagstock
+   with enhanced monitoring!
+
+╭─ 🔄 Session Options ──────────╮
+│ 🛑 'gagstock off' - Stop first │
+│ 🔄 'refresh' - Update now     │
+│ 📊 Current: Active & Stable   │
+╰────────────────────────────────╯
+
+Your tracking is working perfectly! 🌟`,
+
+    started: `╔══════════════════════════════════╗
+║  ✨  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗧𝗿𝗮𝗰𝗸𝗶𝗻𝗴  ║
+║      𝗔𝗰𝘁𝗶𝘃𝗮𝘁𝗲𝗱! 🚀         ║
+╚══════════════════════════════════╝
+
+🎉 Enhanced Gagstock tracking is
+   now active with premium features!
+
+╭─ 🌟 New Features Enabled ─────╮
+│ 🔄 Auto-refresh every 5min    │
+│ 🌤️ Live weather updates       │
+│ ⏰ Smart restock timers        │
+│ 🧹 Auto cache clearing        │
+│ ✨ Beautiful notifications    │
+│ 🎨 Enhanced aesthetics        │
+│ 💬 Natural language support   │
+│ 🔄 Quick refresh button       │
+╰────────────────────────────────╯
+
+{scope}
+
+Sit back, relax, and let our enhanced
+system do all the work! 🌱💚`,
+    filteringFor: '🎯 𝗙𝗶𝗹𝘁𝗲𝗿𝗶𝗻𝗴 𝗳𝗼𝗿: {filters}',
+    trackingAll: '📊 𝗧𝗿𝗮𝗰𝗸𝗶𝗻𝗴: All items & categories',
+
+    fetchError: `╔══════════════════════════════════╗
+║  ❌  𝗖𝗼𝗻𝗻𝗲𝗰𝘁𝗶𝗼𝗻 𝗘𝗿𝗿𝗼𝗿  ║
+╚══════════════════════════════════╝
+
+😔 Unable to fetch initial stock
+   data from Grow A Garden servers.
+
+╭─ 🔧 What's happening? ────────╮
+│ 📡 Server connectivity issue  │
+│ ⏰ Usually temporary problem   │
+│ 🔄 Auto-retry in progress     │
+│ 💫 Will resolve shortly       │
+╰────────────────────────────────╯
+
+🌱 Please try again in a few moments!
+   Enhanced features are ready! ✨`,
+  },
+
+  refresh: {
+    noSession: `╔══════════════════════════════════╗
+║  ⚠️   𝗡𝗼 𝗔𝗰𝘁𝗶𝘃𝗲 𝗦𝗲𝘀𝘀𝗶𝗼𝗻  ║
+╚══════════════════════════════════╝
+
+🚫 You need to start gagstock tracking
+   first before refreshing.
+
+╭─ 🚀 Quick Start Guide ───────╮
+│ 🟢 'gagstock on' - Start     │
+│ 🎯 'gagstock on [filter]'    │
+│ 📖 'help' - Show commands    │
+╰────────────────────────────────╯
+
+🌱 Ready to begin tracking! ✨`,
+
+    refreshing: `╔══════════════════════════════════╗
+║  🔄  𝗥𝗲𝗳𝗿𝗲𝘀𝗵𝗶𝗻𝗴 𝗦𝘁𝗼𝗰𝗸  ║
+╚══════════════════════════════════╝
+
+🔄 Fetching the freshest stock data...
+⚡ Loading enhanced information...
+🌟 Applying beautiful formatting...
+
+╭─ 📡 Connection Status ───────╮
+│ 🌐 Connecting to servers...   │
+│ 📊 Downloading stock data...  │
+│ 🌤️ Fetching weather info...   │
+│ ✨ Preparing display...       │
+╰────────────────────────────────╯
+
+Please wait while magic happens! 🪄`,
+
+    header: `╔══════════════════════════════════╗
+║   🔄 𝗦𝘁𝗼𝗰𝗸 𝗦𝘂𝗰𝗰𝗲𝘀𝘀𝗳𝘂𝗹𝗹𝘆     ║
+║      𝗥𝗲𝗳𝗿𝗲𝘀𝗵𝗲𝗱! ✨           ║
+╚══════════════════════════════════╝
+
+`,
+    footer: `╭─ 📊 𝗙𝗿𝗲𝘀𝗵 𝗗𝗮𝘁𝗮 𝗜𝗻𝗳𝗼 ─────╮
+  ├─ 📅 Updated: {time}
+  ├─ 🔄 Cache: Cleared & Fresh
+  └─ ✅ Status: All Systems Go!
+╰─────────────────────────────────╯`,
+
+    error: `╔══════════════════════════════════╗
+║  ❌  𝗥𝗲𝗳𝗿𝗲𝘀𝗵 𝗨𝗻𝘀𝘂𝗰𝗰𝗲𝘀𝘀𝗳𝘂𝗹  ║
+╚══════════════════════════════════╝
+
+😔 Unable to refresh stock data
+   at this moment.
+
+╭─ 🔧 Troubleshooting ──────────╮
+│ 🔄 Try again in a few moments │
+│ 📡 Server might be busy       │
+│ 🌐 Check internet connection  │
+│ 💫 Usually resolves quickly   │
+╰────────────────────────────────╯
+
+🌱 We're working to fix this! 💚`,
+  },
+
+  dnd: {
+    on: `╔══════════════════════════════════╗
+║  🔕  𝗗𝗼 𝗡𝗼𝘁 𝗗𝗶𝘀𝘁𝘂𝗿𝗯  ║
+║      𝗔𝗰𝘁𝗶𝘃𝗮𝘁𝗲𝗱! 🌙          ║
+╚══════════════════════════════════╝
+
+😌 Peaceful mode is now active!
+
+╭─ 🌸 DND Features Enabled ─────╮
+│ 🔕 Stock notifications: OFF   │
+│ 🌙 Auto updates: Paused       │
+│ ✨ Divine alerts: Silenced    │
+│ 💤 Peaceful experience: ON    │
+╰────────────────────────────────╯
+
+🧘‍♀️ Enjoy your tranquil time!
+   Type 'dnd off' to resume. 🌟`,
+
+    off: `╔══════════════════════════════════╗
+║  🔔  𝗗𝗼 𝗡𝗼𝘁 𝗗𝗶𝘀𝘁𝘂𝗿𝗯  ║
+║      𝗗𝗶𝘀𝗮𝗯𝗹𝗲𝗱! ✨          ║
+╚══════════════════════════════════╝
+
+🎉 Welcome back! Notifications resumed!
+
+╭─ 🌟 Active Features Restored ─╮
+│ 🔔 Stock notifications: ON    │
+│ ⚡ Auto updates: Active       │
+│ 💎 Divine alerts: Enabled     │
+│ 🚀 Full experience: Restored  │
+╰────────────────────────────────╯
+
+🌱 Ready to track stocks again! 💚`,
+
+    statusOn: `╔══════════════════════════════════╗
+║  📊  𝗗𝗡𝗗 𝗦𝘁𝗮𝘁𝘂𝘀 🔕  ║
+╚══════════════════════════════════╝
+
+🌙 Do Not Disturb: **ENABLED**
+⏳ Quiet {until}
+
+╭─ 📱 Current Settings ─────────╮
+│ 🔔 Notifications: Paused    │
+│ ⚡ Auto Updates: Disabled  │
+│ 💎 Divine Alerts: {divine} │
+│ 🌸 Peace Mode: ON        │
+╰────────────────────────────────╯
+
+╭─ 🌙 Quiet Hours ──────────────╮
+│ ⏰ Schedule: {window}
+│ ⏳ Paused until: {paused}
+│ 🚨 Let through: {exceptions}
+╰────────────────────────────────╯
+
+🧘‍♀️ Enjoying peaceful moments...
+   Type "dnd off" to resume! 🌙`,
+
+    statusOff: `╔══════════════════════════════════╗
+║  📊  𝗗𝗡𝗗 𝗦𝘁𝗮𝘁𝘂𝘀 🔔  ║
+╚══════════════════════════════════╝
+
+🌟 Do Not Disturb: **DISABLED**
+
+╭─ 📱 Current Settings ─────────╮
+│ 🔔 Notifications: Active    │
+│ ⚡ Auto Updates: Enabled   │
+│ 💎 Divine Alerts: Enabled   │
+│ 🌸 Peace Mode: OFF       │
+╰────────────────────────────────╯
+
+╭─ 🌙 Quiet Hours ──────────────╮
+│ ⏰ Schedule: {window}
+│ ⏳ Paused until: {paused}
+│ 🚨 Let through: {exceptions}
+╰────────────────────────────────╯
+
+🚀 All systems active & ready!
+   Type "dnd on" for peace! ✨`,
+
+    paused: `╔══════════════════════════════════╗
+║  ⏳  𝗤𝘂𝗶𝗲𝘁 𝗳𝗼𝗿 {duration}  ║
+╚══════════════════════════════════╝
+
+🔕 Notifications are paused
+   {until}.
+
+💌 Anything you miss comes in one digest
+   when the pause is over.
+   Type 'dnd off' to resume early! 🌟`,
+
+    badDuration: "❌ \"{value}\" isn't a pause I understand.\n💡 Try 'dnd 30m', 'dnd 2h' or 'dnd 1d' (up to {max}). ⏳",
+
+    scheduleSet: `╔══════════════════════════════════╗
+║  🌙  𝗤𝘂𝗶𝗲𝘁 𝗛𝗼𝘂𝗿𝘀 𝗦𝗲𝘁!  ║
+╚══════════════════════════════════╝
+
+😴 Every day from {window}
+   ({zone}) I'll keep quiet.
+
+╭─ 🌸 While Quiet ──────────────╮
+│ 🔕 Stock updates: Held
+│ 🚨 Still let through: {exceptions}
+│ 💌 Digest: When quiet hours end
+╰────────────────────────────────╯
+
+💡 'dnd except divine watchlist' to let alerts
+   through, 'dnd schedule off' to remove! ✨`,
+
+    scheduleCleared: "🔔 Quiet hours removed — notifications run all day again! ✨",
+    badSchedule: "❌ \"{value}\" isn't a time range I understand.\n💡 Use 24-hour times, like 'dnd schedule 22:00-07:00'. 🌙",
+    exceptionsSet: "🚨 While you're quiet I'll still send: {kinds}.\n💡 'dnd except none' to silence everything. 🔕",
+    exceptionsCleared: "🔕 Nothing gets through while you're quiet now. 🌙",
+    badException: "❌ \"{value}\" isn't something I can let through.\n💡 Choose from: {kinds} (or 'none'). 🚨",
+    stillScheduled: "\n\n🌙 Your quiet hours are still on until {until}.\n💡 'dnd schedule off' removes them.",
+
+
+    untilOff: "until you type 'dnd off'",
+    notSet: 'Not set',
+    nothing: 'Nothing',
+    divineOn: 'Enabled',
+    divineOff: 'Silenced',
+    kinds: {
+      divine: '💎 Divine',
+      watchlist: '👀 Watchlist',
+      alerts: '🔔 Alerts',
+      reminders: '⏰ Reminders',
+    },
+
+    digest: `╔══════════════════════════════════╗
+║  💌  𝗪𝗵𝗶𝗹𝗲 𝗬𝗼𝘂 𝗪𝗲𝗿𝗲 𝗔𝘄𝗮𝘆  ║
+╚══════════════════════════════════╝
+
+🌅 Here's what you missed since {since}:
+
+{lines}
+
+🌱 Tap below for the latest stock! 💚`,
+
+    digestUpdates: '📦 {count} stock update(s)',
+    digestDivine: '💎 Divine: {items}',
+    digestWatchlist: '👀 Watchlist: {items}',
+    digestAlerts: '🔔 Alerts: {items}',
+  },
+
+  nextstock: {
+    all: `╔══════════════════════════════════╗
+║  ⏰  𝗔𝗹𝗹 𝗦𝘁𝗼𝗰𝗸 ║
+║      𝗥𝗲𝘀𝘁𝗼𝗰𝗸 𝗧𝗶𝗺𝗲𝗿𝘀 🎯       ║
+╚══════════════════════════════════╝
+
+🌟 **Complete Restock Schedule:**
+
+{sections}
+
+🎯 Perfect timing awaits! ✨`,
+    allSection: `╭─ {emoji} {name} ─────────────╮
+│ ⏰ Next Restock: {time}        │
+│ 🔄 Frequency: {frequency}  │
+╰────────────────────────────────╯`,
+
+    category: `╔══════════════════════════════════╗
+║  {emoji}  𝗡𝗲𝘅𝘁 {title} ║
+║      𝗥𝗲𝘀𝘁𝗼𝗰𝗸 𝗧𝗶𝗺𝗲𝗿 ⏰         ║
+╚══════════════════════════════════╝
+
+🎯 **{name} Tracking:**
+
+╭─ ⏰ Restock Information ──────╮
+│ 🕐 Next Restock: {time} ({at})
+│ 📅 After That: {upcoming}
+│ 🔄 Frequency: {frequency}
+│ 📊 Category: {name}
+╰────────────────────────────────╯
+
+💡 **Pro Tips:**
+• Type 'remind {category}' for a ping before it
+• Check 30 seconds before restock
+• Be ready for fast purchases
+
+🌟 Happy shopping timing! 🛒✨`,
+    titles: { gear: 'Gear', seed: 'Seeds', egg: 'Eggs', cosmetics: 'Cosmetics', honey: 'Honey' },
+    names: { gear: 'Gear & Tools', seed: 'Seeds & Plants', egg: 'Eggs & Pets', cosmetics: 'Cosmetics', honey: 'Honey Products' },
+    every: {
+      minutes: 'Every {count} minutes',
+      hour: 'Every hour',
+      hours: 'Every {count} hours',
+    },
+  },
+
+  remind: {
+    added: `╔══════════════════════════════════╗
+║  ⏰  𝗥𝗲𝗺𝗶𝗻𝗱𝗲𝗿 𝗦𝗲𝘁!  ║
+╚══════════════════════════════════╝
+
+✅ I'll ping you {lead} before {target}
+   restocks.
+
+╭─ 🔔 Reminder ─────────────────╮
+│ ⏰ Next ping: {at}
+│ 🔁 {mode}
+│ 📋 Reminders: {count}/{max}
+╰────────────────────────────────╯
+
+💡 'remind list' shows them all,
+   'remind cancel [number]' stops one! ✨`,
+    repeating: 'Before every restock',
+    once: 'Just the next restock',
+    badLead: "⚠️ '{value}' isn't a lead time I can use.\nTry something like 30s, 2m or 1h (up to 1d)! ⏰",
+    unknownTarget: "🤔 '{value}' isn't a category or item I know.\nTry gear, seeds, eggs, cosmetics, honey or an item name! 🌱",
+    full: "⚠️ You already have {max} reminders.\nCancel one with 'remind cancel [number]' first! ⏰",
+    ping: '⏰ 𝗛𝗲𝗮𝗱𝘀 𝘂𝗽! {category} restock in {time} ({at}). Get ready! 🛒✨',
+    pingItem: '⏰ 𝗛𝗲𝗮𝗱𝘀 𝘂𝗽! {category} restock in {time} ({at}) — keep an eye out for {item}! 🛒✨',
+    cleared: '🧹 All your reminders are cancelled. ✨',
+    nothingToCancel: "🤔 You don't have any reminders.\nSet one with 'remind eggs 2m'! ⏰",
+    notFound: "🤔 Pick a reminder number from 'remind list' (1-{max}), or 'all'. ⏰",
+    removed: '🗑️ No more reminders for {target}. ✨',
+    entry: '│ {number}. {target} · {lead} before\n│    🔁 {mode} · next ping {at}',
+    empty: '│ None yet!',
+    list: `╔══════════════════════════════════╗
+║  ⏰  𝗬𝗼𝘂𝗿 𝗥𝗲𝗺𝗶𝗻𝗱𝗲𝗿𝘀  ║
+╚══════════════════════════════════╝
+
+╭─ 📋 Reminders ({count}/{max}) ────────╮
+{entries}
+╰────────────────────────────────╯
+
+╭─ 🛠️ Manage ───────────────────╮
+│ remind [category|item] [lead] │
+│ remind [item] [lead] repeat   │
+│ remind cancel [number|all]    │
+╰────────────────────────────────╯
+
+🔔 I'll ping you before the restock,
+   no tracking session needed! ✨`,
+  },
+
+  history: {
+    notFound: `╔══════════════════════════════════╗
+║  ❓  𝗜𝘁𝗲𝗺 𝗡𝗼𝘁 𝗙𝗼𝘂𝗻𝗱  ║
+╚══════════════════════════════════╝
+
+{details}
+
+🌱 Try the full item name! ✨`,
+    ambiguous: `🤔 '{query}' matches several items:
+
+╭─ 🔍 Did you mean ─────────────╮
+{suggestions}
+╰────────────────────────────────╯`,
+    notSeen: `😔 '{query}' hasn't been seen in
+   stock during the last 7 days.`,
+
+    report: `╔══════════════════════════════════╗
+║  📈  𝗦𝘁𝗼𝗰𝗸 𝗛𝗶𝘀𝘁𝗼𝗿𝘆  ║
+╚══════════════════════════════════╝
+
+{item} ({category})
+
+╭─ 🕐 Last Seen ────────────────╮
+│ 📅 {lastSeen} ({ago})
+│ 📦 Quantity: {quantity}
+╰────────────────────────────────╯
+
+╭─ 📊 Appearances ──────────────╮
+│ 🌞 Last 24h: {dayAppearances} restock(s), {daySeen}/{dayChecks} checks
+│ 📆 Last 7d: {weekAppearances} restock(s), {weekSeen}/{weekChecks} checks
+╰────────────────────────────────╯
+
+╭─ 📦 Typical Quantity ─────────╮
+│ 🎯 Usual: {typical}
+│ 📉 Min: {min} · 📈 Max: {max}
+╰────────────────────────────────╯
+
+⏰ Use 'nextstock all' to time
+   your next purchase! ✨`,
+  },
+
+  alertRules: {
+    item: "'{item}'",
+    category: 'any {category} item',
+    atLeast: '{rule} (x{count}+)',
+  },
+
+  watch: {
+    usage: `╔══════════════════════════════════╗
+║  ⚠️  𝗨𝘀𝗮𝗴𝗲 𝗘𝗿𝗿𝗼𝗿  ║
+╚══════════════════════════════════╝
+
+🔧 Correct usage:
+   watch add [item] [min qty]
+
+💡 Examples:
+   watch add beanstalk
+   watch add godly sprinkler 2 ✨`,
+    alreadyWatching: "👀 You're already watching {rule}! ✨",
+    full: "⚠️ Your watchlist is full ({max} items).\nRemove one with 'watch remove [number]' first! 🌱",
+    added: `╔══════════════════════════════════╗
+║  👀  𝗪𝗮𝘁𝗰𝗵𝗶𝗻𝗴! ║
+╚══════════════════════════════════╝
+
+✅ Added {rule} to your watchlist.
+
+🔔 I'll send a short alert the moment
+   it comes into stock — no tracking
+   session needed!
+
+📋 Watching: {count}/{max} ✨`,
+    notWatching: "🤔 That item isn't on your watchlist.\nType 'watch list' to see what you're watching! 🌱",
+    removed: '🗑️ Stopped watching {rule}. ✨',
+    optinOnceTitle: 'Alert me at the next watchlist restock',
+    optinTitle: 'Watchlist restock alerts',
+    cleared: '🧹 Your watchlist has been cleared. ✨',
+    empty: '│ Nothing yet!',
+    list: `╔══════════════════════════════════╗
+║  👀  𝗬𝗼𝘂𝗿 𝗪𝗮𝘁𝗰𝗵𝗹𝗶𝘀𝘁  ║
+╚══════════════════════════════════╝
+
+╭─ 📋 Watching ({count}/{max}) ────────╮
+{entries}
+╰────────────────────────────────╯
+
+╭─ 🛠️ Manage ───────────────────╮
+│ watch add [item] [min qty]    │
+│ watch remove [item|number]    │
+│ watch clear                   │
+│ watch optin [once]            │
+╰────────────────────────────────╯
+
+🔔 Alerts arrive even without
+   'gagstock on'! 🌱✨`,
+    optinHint: `
+
+💡 Haven't chatted in a day? Messenger
+   blocks alerts after 24 hours —
+   type 'watch optin' to keep them.`,
+    subscribed: "🔔 You're subscribed to {frequency}!\n\nI'll reach you even when we haven't chatted for a while. 🌱✨",
+    nextRestockOnly: 'your next watchlist restock',
+    recurring: '{frequency} watchlist alerts',
+    frequencies: { daily: 'daily', weekly: 'weekly', monthly: 'monthly' },
+  },
+
+  id: {
+    info: `╔══════════════════════════════════╗
+║  🆔  𝗬𝗼𝘂𝗿 𝗙𝗮𝗰𝗲𝗯𝗼𝗼𝗸 𝗜𝗗  ║
+╚══════════════════════════════════╝
+
+👋 Hi {name}! Here's your info:
+
+╭─ 🆔 User Information ─────────╮
+│ 👤 Name: {name}                   │
+│ 🔢 Your ID: {id}       │
+│ 🌟 Status: Verified User      │
+│ ✨ Platform: Facebook         │
+╰────────────────────────────────╯
+
+💡 **Use Cases:**
+• 🛡️ Admin access requests
+• 🎯 VIP feature applications
+• 🔧 Technical support
+• 📊 Bot development
+
+📋 Copy this ID for any admin
+   requests or support needs! ✨`,
+  },
+
+  notify: {
+    noDraft: "🤔 You have no broadcast waiting.\nStart one with 'notify message [text]'! ✨",
+    confirmed: '📤 Confirmed! Working on it... ✨',
+    scheduled: "📅 Broadcast {id} scheduled for {time}.\n\nCancel it with 'notify cancel {id}'. ✨",
+    cancelled: '🗑️ Broadcast {id} cancelled — nobody received it. ✨',
+    noScheduled: "🤔 No scheduled broadcast '{id}'.\nSee 'notify scheduled' for the queue.",
+    nothingToCancel: "🤔 You have no broadcast waiting.\nSee 'notify scheduled' for the queue.",
+    scheduledList: `╔══════════════════════════════════╗
+║  📅  𝗦𝗰𝗵𝗲𝗱𝘂𝗹𝗲𝗱 𝗕𝗿𝗼𝗮𝗱𝗰𝗮𝘀𝘁𝘀  ║
+╚══════════════════════════════════╝
+
+╭─ ⏰ Waiting ({count}) ─────────────╮
+{lines}
+╰────────────────────────────────╯
+
+🗑️ 'notify cancel [id]' removes one! ✨`,
+    scheduledLine: '│ 🆔 {id} · {time}\n│    👥 {audience}',
+    nothingScheduled: '│ Nothing scheduled',
+    noReport: '🤔 No delivery report yet. ✨',
+    noReportFor: "🤔 No delivery report for '{id}'. ✨",
+    optionError: "⚠️ {error}\n\nType 'help notify' for examples! ✨",
+    needsText: '⚠️ Your announcement needs some text after the options! ✨',
+    badAudience: 'Audience must be one of: {audiences}',
+    badTime: "'{value}' isn't a time — use 24-hour HH:MM ({zone})",
+    badDuration: "'{value}' isn't a duration — use something like 30m, 2h or 1d",
+    watchersNeedItem: 'to=watchers needs item=[name], e.g. item=ember_lily',
+
+    offline: `╔══════════════════════════════════╗
+║  🌙  𝗕𝗼𝘁 𝗢𝗳𝗳𝗹𝗶𝗻𝗲 ║
+║      𝗡𝗼𝘁𝗶𝗳𝗶𝗰𝗮𝘁𝗶𝗼𝗻 📢          ║
+╚══════════════════════════════════╝
+
+😴 The bot will be going offline
+   for scheduled maintenance.
+
+╭─ 🌙 Offline Schedule ─────────╮
+│ ⏰ Time: {offlineAt} - {onlineAt}   │
+│ 🔄 Daily: Automatic schedule  │
+│ 🎵 Voice: Relaxing music      │
+│ 💤 Purpose: Rest & maintenance│
+╰────────────────────────────────╯
+
+🌟 We'll be back at {onlineAt} with
+   enhanced features! Sweet dreams! ✨`,
+
+    online: `╔══════════════════════════════════╗
+║  ☀️  𝗕𝗼𝘁 𝗢𝗻𝗹𝗶𝗻𝗲! ║
+║      𝗪𝗲𝗹𝗰𝗼𝗺𝗲 𝗕𝗮𝗰𝗸! 🌟        ║
+╚══════════════════════════════════╝
+
+🎉 Good morning! The bot is back
+   online and ready to serve!
+
+╭─ ☀️ Active Features ──────────╮
+│ 🟢 Status: Fully operational  │
+│ ⚡ Tracking: Enhanced & ready  │
+│ 🌟 Features: All systems go   │
+│ 💎 Premium: VIP access active │
+╰────────────────────────────────╯
+
+🚀 Ready for another amazing day
+   of stock tracking! Let's go! ✨`,
+
+    announcement: `╔══════════════════════════════════╗
+║  📢  𝗔𝗱𝗺𝗶𝗻 ║
+║      𝗔𝗻𝗻𝗼𝘂𝗻𝗰𝗲𝗺𝗲𝗻𝘁 ✨        ║
+╚══════════════════════════════════╝
+
+📣 **Admin Announcement:**
+
+{text}
+
+╭─ 👑 From the Admin Team ──────╮
+│ 🌟 Thank you for using our bot│
+│ 💚 Your support means a lot   │
+│ ✨ More features coming soon  │
+╰────────────────────────────────╯
+
+🚀 Enhanced GagStock Bot Team! 💎`,
+
+    preview: `╔══════════════════════════════════╗
+║  👀  𝗕𝗿𝗼𝗮𝗱𝗰𝗮𝘀𝘁 𝗣𝗿𝗲𝘃𝗶𝗲𝘄  ║
+╚══════════════════════════════════╝
+
+☝️ That's exactly what users will see.
+
+╭─ 📋 Broadcast {id} ─────────────╮
+│ 👥 Audience: {audience}
+│ 📊 Reaches: {count} user(s) right now
+│ ⏰ Sends: {sendAt}
+╰────────────────────────────────╯
+
+✅ 'notify confirm' to send
+🗑️ 'notify cancel' to discard ✨`,
+    sendsOnConfirm: 'Right after you confirm',
+
+    audiences: {
+      all: 'Everyone who has messaged the bot',
+      trackers: 'Users tracking stock',
+      vips: 'VIPs and staff',
+      watchers: 'Watchers of {item}',
+    },
+
+    report: `╔══════════════════════════════════╗
+║  ✅  𝗗𝗲𝗹𝗶𝘃𝗲𝗿𝘆 𝗥𝗲𝗽𝗼𝗿𝘁  ║
+╚══════════════════════════════════╝
+
+╭─ 📊 Broadcast {id} ──────────────╮
+│ 👥 {audience}
+│ 🕐 {time}
+│ 📤 Sent: {sent}/{total}
+│ ⏳ Held (24h window): {held}
+│ ❌ Failed: {failed}
+╰────────────────────────────────╯{failures}
+
+🌟 Held messages go out when those
+   users next message the bot! ✨`,
+    failures: `
+
+╭─ ⚠️ Failed Recipients ────────╮
+{lines}
+╰────────────────────────────────╯`,
+    moreFailures: '\n│ …and {count} more',
+  },
+
+  admin: {
+    badDuration: "⚠️ '{value}' isn't a duration.\nUse something like 30m, 12h, 7d or 2w! ⏰",
+    refused: '❌ {reason}',
+
+    granted: `╔══════════════════════════════════╗
+║  ✅  𝗥𝗼𝗹𝗲 𝗚𝗿𝗮𝗻𝘁𝗲𝗱! ║
+╚══════════════════════════════════╝
+
+{role} access granted!
+
+╭─ 💎 Role Details ─────────────╮
+│ 🆔 User ID: {userId}
+│ ✨ Role: {role}
+│ ⏳ Expires: {expires}
+╰────────────────────────────────╯
+
+🎉 The change is active right away! ✨`,
+    grantedNotice: "🎉 You've been given {role} access ({expires}).\n\nType 'help' to see what's new! ✨",
+
+    noRole: `╔══════════════════════════════════╗
+║  ❓  𝗡𝗼 𝗥𝗼𝗹𝗲 𝗙𝗼𝘂𝗻𝗱  ║
+╚══════════════════════════════════╝
+
+🤔 User {userId} is {role}{reason}.
+
+Use 'admin roles' to see everyone! ✨`,
+    notVip: ', not a VIP',
+    nothingToRevoke: ' with nothing to revoke',
+
+    revoked: `╔══════════════════════════════════╗
+║  🗑️  𝗥𝗼𝗹𝗲 𝗥𝗲𝘃𝗼𝗸𝗲𝗱! ║
+╚══════════════════════════════════╝
+
+💔 {role} access removed.
+
+╭─ 📋 Removal Details ──────────╮
+│ 🆔 User ID: {userId}
+│ ❌ Was: {role}
+│ 🚫 Now: {now}
+╰────────────────────────────────╯
+
+They're back to standard features. ⚡`,
+
+    banned: `╔══════════════════════════════════╗
+║  🚫  𝗨𝘀𝗲𝗿 𝗕𝗮𝗻𝗻𝗲𝗱  ║
+╚══════════════════════════════════╝
+
+╭─ 📋 Ban Details ──────────────╮
+│ 🆔 User ID: {userId}
+│ ⏳ Expires: {expires}
+│ 📝 Reason: {reason}
+╰────────────────────────────────╯
+
+🧹 Their tracking session was stopped
+   and they're left out of broadcasts.
+
+Use 'admin unban {userId}' to undo. ✨`,
+    noReason: 'None given',
+    bannedNotice: "🚫 You've been blocked from using this bot ({expires}).",
+    bannedReason: '\n\n📝 Reason: {reason}',
+    notBanned: "🤔 User {userId} isn't banned.\nUse 'admin roles' to see bans! ✨",
+    unbanned: '✅ User {userId} has been unbanned. ✨',
+    unbannedNotice: '✅ Your access has been restored. Welcome back! 🌱',
+
+    roleList: `╔══════════════════════════════════╗
+║  📋  {title}  ║
+╚══════════════════════════════════╝
+
+{sections}
+
+Use 'admin grant [user_id] [role]' to add! ✨`,
+    vipListTitle: '𝗩𝗜𝗣 𝗨𝘀𝗲𝗿 𝗟𝗶𝘀𝘁',
+    rolesTitle: '𝗨𝘀𝗲𝗿 𝗥𝗼𝗹𝗲𝘀',
+    noRoles: '📝 No users hold a role yet.',
+
+    audit: `╔══════════════════════════════════╗
+║  🧾  𝗔𝘂𝗱𝗶𝘁 𝗟𝗼𝗴  ║
+╚══════════════════════════════════╝
+
+╭─ 🕐 Latest {count} Action(s) ─────────╮
+{lines}
+╰────────────────────────────────╯
+
+🛡️ Every admin and notify command is
+   recorded here! ✨`,
+    auditEmpty: '│ Nothing recorded yet',
+
+    stats: `╔══════════════════════════════════╗
+║  📊  𝗕𝗼𝘁 𝗦𝘁𝗮𝘁𝗶𝘀𝘁𝗶𝗰𝘀  ║
+╚══════════════════════════════════╝
+
+🚀 **System Performance:**
+
+╭─ ⚡ Runtime Stats ────────────╮
+│ ⏰ Uptime: {hours}h {minutes}m         │
+│ 👥 Active Users: {sessions}           │
+│ 💾 Memory: {memory}MB used      │
+│ 🌟 Version: {version}              │
+╰────────────────────────────────╯
+
+╭─ 🌱 Known Users ──────────────╮
+│ 📇 Total: {knownUsers}                │
+│ 💬 Active Today: {activeToday}          │
+│ 🆕 New Today: {newToday}             │
+╰────────────────────────────────╯
+
+╭─ 👑 VIP Management ───────────╮
+│ 💎 VIP Users: {vips}            │
+│ 🛡️ Staff: {admins} admin(s), {moderators} mod(s)  │
+│ 🔄 Cache Size: {cacheSize}           │
+│ 🔕 DND Users: {dndUsers}            │
+╰────────────────────────────────╯
+
+╭─ 📤 Message Delivery ─────────╮
+│ ✅ Sent: {sent}                 │
+│ ❌ Failed: {failed}               │
+│ 🔁 Retries: {retries}              │
+│ 🚦 Rate Limited: {rateLimited}         │
+╰────────────────────────────────╯
+
+╭─ 🌙 Schedule Status ──────────╮
+│ 🤖 Bot Online: {online}      │
+│ 😴 Offline: {offlineAt} - {onlineAt}│
+│ 🎵 Voice Messages: Active     │
+╰────────────────────────────────╯
+
+🌟 All systems running smoothly! ✨`,
+    yes: 'Yes ✅',
+    no: 'No ❌',
+
+    backup: `╔══════════════════════════════════╗
+║  💾  𝗕𝗮𝗰𝗸𝘂𝗽 𝗖𝗿𝗲𝗮𝘁𝗲𝗱  ║
+╚══════════════════════════════════╝
+
+📦 **System Backup Generated:**
+
+\`\`\`json
+{json}
+\`\`\`
+
+╭─ 💾 Backup Details ───────────╮
+│ 👑 VIP Users: {vips} backed up    │
+│ 📅 Date: {date} │
+│ ⏰ Time: {time} │
+│ ✅ Status: Complete          │
+╰────────────────────────────────╯
+
+🔒 Keep this backup safe! ✨`,
+
+    profile: `╔══════════════════════════════════╗
+║  📋  𝗠𝗲𝘀𝘀𝗲𝗻𝗴𝗲𝗿 𝗣𝗿𝗼𝗳𝗶𝗹𝗲  ║
+╚══════════════════════════════════╝
+
+╭─ ☰ Persistent Menu ──────────╮
+{menu}
+╰────────────────────────────────╯
+
+╭─ 🧊 Ice Breakers ─────────────╮
+{iceBreakers}
+╰────────────────────────────────╯
+
+🚀 Get Started: {getStarted}
+
+{status} ✨`,
+    profileHint: "💡 Type 'admin profile sync' to upload it.",
+    profileSynced: '✅ Synced to the Messenger Profile API!',
+    profileFailed: '❌ {reason}',
+
+    catalogUpdated: '📚 Catalog updated:\n\n{emoji} {name}\n├─ Category: {category}\n├─ Tier: {tier}\n└─ Aliases: {aliases} ✨',
+    noAliases: 'none',
+    catalogReset: "♻️ Restored '{name}' to the shipped catalog entry. ✨",
+    catalogNothingToReset: "🤔 '{name}' has no admin changes to reset.",
+    tierUpdated: "🏷️ Tier '{tier}' updated:\n├─ Label: {label}\n├─ Rank: {rank}\n└─ Divine alert: {alert} ✨",
+    alertOn: 'On 🔔',
+    alertOff: 'Off 🔕',
+    tierLine: '│ {icon} {label} ({id}): {count} item(s)',
+    noTierItems: '│ No items in this tier',
+    catalog: `╔══════════════════════════════════╗
+║  📚  𝗜𝘁𝗲𝗺 𝗖𝗮𝘁𝗮𝗹𝗼𝗴  ║
+╚══════════════════════════════════╝
+
+╭─ 🏷️ Tiers ────────────────────╮
+{tiers}
+╰────────────────────────────────╯
+{items}
+🛠️ admin catalog list [tier]
+🛠️ admin catalog set [item] tier=divine emoji=🌱 alias=bean
+🛠️ admin catalog reset [item]
+🛠️ admin catalog tier [tier] alert=on|off ✨`,
+    catalogItems: `
+╭─ 📦 {tier} Items ──────────╮
+{items}
+╰────────────────────────────────╯
+`,
+    catalogUsage: `╔══════════════════════════════════╗
+║  ⚠️  𝗨𝘀𝗮𝗴𝗲 𝗘𝗿𝗿𝗼𝗿  ║
+╚══════════════════════════════════╝
+
+🔧 Correct usage:
+   admin catalog list [tier]
+   admin catalog set [item] [field=value...]
+   admin catalog reset [item]
+   admin catalog tier [tier] alert=on|off
+
+💡 Fields: tier, category, emoji, alias
+   (comma-separated aliases)
+
+💡 Example:
+   admin catalog set ember lily tier=divine ✨`,
+    needsCategory: "'{name}' needs a category ({categories})",
+    unknownTier: "Unknown tier '{tier}' ({tiers})",
+    badRank: 'A tier rank must be a number',
+  },
+
+  custom: {
+    noDivine: `╔══════════════════════════════════╗
+║  💎  𝗗𝗶𝘃𝗶𝗻𝗲 𝗜𝘁𝗲𝗺𝘀 ║
+║      𝗦𝗲𝗮𝗿𝗰𝗵 🔍              ║
+╚══════════════════════════════════╝
+
+😔 No divine items in stock currently.
+
+╭─ 🌟 Monitored Divine Items ───╮
+{items}
+╰────────────────────────────────╯
+
+✨ Keep checking - they restock
+   regularly! Premium tracking
+   will alert you! 💎`,
+
+    divineFound: `╔══════════════════════════════════╗
+║  💎  𝗗𝗶𝘃𝗶𝗻𝗲 𝗜𝘁𝗲𝗺𝘀 ║
+║      𝗙𝗼𝘂𝗻𝗱! ✨               ║
+╚══════════════════════════════════╝
+
+🎉 Divine items are in stock!
+
+╭─ 🌟 Available Divine Items ───╮
+{items}
+╰────────────────────────────────╯
+
+⚡ **Premium Alert:** These rare
+   items are available NOW!
+
+🏃‍♂️ Act fast - divine items sell
+   out quickly! 💎✨`,
+
+    divineError: `╔══════════════════════════════════╗
+║  ❌  𝗣𝗿𝗲𝗺𝗶𝘂𝗺 𝗘𝗿𝗿𝗼𝗿  ║
+╚══════════════════════════════════╝
+
+😔 Unable to fetch divine items
+   data at this moment.
+
+🔄 Please try again shortly!
+💎 Premium features will resume! ✨`,
+
+    alertsUsage: `╔══════════════════════════════════╗
+║  ⚠️  𝗨𝘀𝗮𝗴𝗲 𝗘𝗿𝗿𝗼𝗿  ║
+╚══════════════════════════════════╝
+
+🔧 Correct usage:
+   custom alerts add [item|category] [min qty]
+
+💡 Examples:
+   custom alerts add beanstalk
+   custom alerts add master sprinkler 2
+   custom alerts add eggs ✨`,
+    alertsFull: "⚠️ You already have {max} alert rules.\nRemove one with 'custom alerts remove [number]' first! 💎",
+    alertAdded: `╔══════════════════════════════════╗
+║  🔔  𝗔𝗹𝗲𝗿𝘁 𝗥𝘂𝗹𝗲 𝗔𝗱𝗱𝗲𝗱! ║
+╚══════════════════════════════════╝
+
+✅ You'll be alerted when {rule}
+   comes into stock!
+
+📋 Rules active: {count}/{max}
+💎 'custom alerts' to see them all! ✨`,
+    pickRule: "⚠️ Pick a rule number from 'custom alerts' (1-{max}). 💎",
+    alertRemoved: '🗑️ Removed alert for {rule}. ✨',
+    alertsCleared: '🧹 All your alert rules have been cleared. ✨',
+    noRules: '│ No rules yet!',
+    alertsList: `╔══════════════════════════════════╗
+║  🔔  𝗬𝗼𝘂𝗿 𝗔𝗹𝗲𝗿𝘁 𝗥𝘂𝗹𝗲𝘀  ║
+╚══════════════════════════════════╝
+
+╭─ 📋 Active Rules ({count}/{max}) ─────╮
+{rules}
+╰────────────────────────────────╯
+
+╭─ 🛠️ Manage ───────────────────╮
+│ custom alerts add [item] [qty]│
+│ custom alerts remove [number] │
+│ custom alerts clear           │
+╰────────────────────────────────╯
+
+🚨 Alerts fire the moment a match
+   comes into stock! 💎✨`,
+
+    priority: `╔══════════════════════════════════╗
+║  ⚡  𝗣𝗿𝗶𝗼𝗿𝗶𝘁𝘆 𝗗𝗲𝗹𝗶𝘃𝗲𝗿𝘆  ║
+╚══════════════════════════════════╝
+
+{state}
+
+╭─ 💎 How it works ─────────────╮
+│ ⚡ Your stock updates are sent │
+│    before everyone else's     │
+│ 🔔 Alert rules fire first     │
+╰────────────────────────────────╯
+
+{hint} ✨`,
+    priorityOn: '🟢 Priority notifications: **ON**',
+    priorityOff: '⚪ Priority notifications: **OFF**',
+    priorityOnHint: "Type 'custom priority off' to disable.",
+    priorityOffHint: "Type 'custom priority on' to enable!",
+
+    analyticsNoData: '📊 Not enough stock history yet!\n\nAnalytics need a few restocks of data — check back soon. 💎',
+    analyticsNotSeen: "📊 '{query}' hasn't appeared in the last 7 days. 💎",
+    windowLine: '│ 🕒 {from} - {to}: {count} drop(s)',
+    rankingLine: '│ {rank}. {item}: {count} restock(s)',
+    noWindows: '│ Not enough data yet',
+    analytics: `╔══════════════════════════════════╗
+║  📊  𝗦𝘁𝗼𝗰𝗸 𝗔𝗻𝗮𝗹𝘆𝘁𝗶𝗰𝘀  ║
+║      𝗣𝗿𝗲𝗺𝗶𝘂𝗺 💎              ║
+╚══════════════════════════════════╝
+
+📦 Based on {snapshots} stock checks
+   over the last 7 days.
+
+{rankings}
+
+╭─ ⏰ Best Restock Windows ({zone}) ╮
+{windows}
+╰────────────────────────────────╯
+
+💡 {hint} ✨`,
+    matchingItems: `╭─ 🔍 Matching Items ───────────╮
+{items}
+╰────────────────────────────────╯`,
+    frequentAndRare: `╭─ 🔥 Most Frequent ────────────╮
+{frequent}
+╰────────────────────────────────╯
+
+╭─ 💎 Rarest Items ─────────────╮
+{rarest}
+╰────────────────────────────────╯`,
+    itemHint: 'Windows when this item appeared most.',
+    rareHint: 'Windows when rare & divine items\n   appeared most often.',
+  },
+
+  lang: {
+    current: `╔══════════════════════════════════╗
+║  🌐  𝗟𝗮𝗻𝗴𝘂𝗮𝗴𝗲  ║
+╚══════════════════════════════════╝
+
+🗣️ I'm talking to you in {language}{source}.
+
+╭─ 🌏 Available ────────────────╮
+{languages}
+╰────────────────────────────────╯
+
+💡 Type 'lang [code]' to switch, or
+   'lang auto' to follow Messenger! ✨`,
+    fromMessenger: ' (from your Messenger settings)',
+    languageLine: '│ {marker} {code} · {name}',
+    changed: "✅ Okay! I'll talk to you in {language} from now on. ✨",
+    automatic: "✅ Okay! I'll follow your Messenger language ({language}). ✨",
+    unknown: "🤔 I don't speak '{value}' yet.\nType 'lang' to see the languages I know! 🌏",
+  },
+
+  timezone: {
+    current: `╔══════════════════════════════════╗
+║  🕐  𝗧𝗶𝗺𝗲 𝗭𝗼𝗻𝗲  ║
+╚══════════════════════════════════╝
+
+🌏 Showing times in {zone}{source}.
+⏰ It's {time} there now.
+
+💡 Type 'timezone [zone]' to switch, e.g.
+   timezone Asia/Tokyo
+   timezone America/New_York
+   timezone UTC-5
+   'timezone reset' goes back to PH time! ✨`,
+    isDefault: ' (the default)',
+    changed: "✅ Okay! Times are now shown in {zone} — it's {time} there. ✨",
+    reset: "✅ Okay! Back to Philippine time ({zone}). ✨",
+    unknown: "🤔 '{value}' isn't a time zone I know.\nTry a name like Asia/Tokyo or an offset like UTC-5! 🌏",
+  },
+
+  help: {
+    overview: `╔══════════════════════════════════╗
+║  🤖  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗚𝗮𝗴𝘀𝘁𝗼𝗰𝗸  ║
+║      𝗕𝗼𝘁 𝗛𝗲𝗹𝗽 ✨            ║
+╚══════════════════════════════════╝
+{unknown}
+✨ 𝗔𝘃𝗮𝗶𝗹𝗮𝗯𝗹𝗲 𝗖𝗼𝗺𝗺𝗮𝗻𝗱𝘀:
+
+{sections}
+
+╭─ 💬 Natural Language ─────────╮
+│ Just ask me questions like:    │
+│ "What stock today?"           │
+│ "When is next restock?"       │
+│ "Show me divine items"        │
+╰────────────────────────────────╯
+
+📖 Type 'help [command]' for usage!
+🤖 Version: {version} 🚀`,
+    unknownCommand: "\n🤔 There's no '{name}' command.\n",
+    guide: `╔══════════════════════════════════╗
+║  📖  𝗖𝗼𝗺𝗺𝗮𝗻𝗱 𝗚𝘂𝗶𝗱𝗲  ║
+╚══════════════════════════════════╝
+
+🌟 {description}
+
+╭─ 🔧 Usage ────────────────────╮
+{usages}
+╰────────────────────────────────╯
+{examples}{aliases}
+✨ <required> · [optional]`,
+    examples: '\n💡 Examples:\n{examples}\n',
+    aliases: '\n🔁 Also works as: {aliases}\n',
+    categories: {
+      tools: 'Tools ⚒️',
+      utility: 'Utility 🔧',
+      premium: 'Premium 👑',
+      admin: 'Admin 👑',
+    },
+  },
+
+  refusal: {
+    premium: `╔══════════════════════════════════╗
+║  🔒  𝗣𝗿𝗲𝗺𝗶𝘂𝗺 𝗔𝗰𝗰𝗲𝘀𝘀  ║
+║      𝗥𝗲𝗾𝘂𝗶𝗿𝗲𝗱! ✨            ║
+╚══════════════════════════════════╝
+
+🌟 This is an exclusive premium
+   command for VIP users only.
+
+╭─ 💎 How to Get Access ────────╮
+│ 👑 Contact the bot admin      │
+│ 🎯 Request special permission  │
+│ ✨ Unlock premium features     │
+│ 🌟 Enjoy exclusive commands    │
+╰────────────────────────────────╯
+
+🌱 Continue using regular commands!
+💚 Thank you for understanding! ✨`,
+
+    staff: `╔══════════════════════════════════╗
+║  🔒  𝗔𝗱𝗺𝗶𝗻 𝗔𝗰𝗰𝗲𝘀𝘀  ║
+║      𝗥𝗲𝗾𝘂𝗶𝗿𝗲𝗱! ⚡            ║
+╚══════════════════════════════════╝
+
+🛡️ This command needs {role}
+   access or higher.
+
+🌟 Contact the bot owner for
+   administrative access! ✨`,
+
+    resting: `╔══════════════════════════════════╗
+║  🌙  𝗕𝗼𝘁 𝗥𝗲𝘀𝘁𝗶𝗻𝗴  ║
+╚══════════════════════════════════╝
+
+😴 I'm currently in rest mode
+   ({offlineAt} - {onlineAt})
+
+🌟 Come back at {onlineAt} for
+   enhanced tracking! ✨`,
+
+    usage: `╔══════════════════════════════════╗
+║  ⚠️  𝗨𝘀𝗮𝗴𝗲 𝗘𝗿𝗿𝗼𝗿  ║
+╚══════════════════════════════════╝
+
+❗ {error}
+
+🔧 Correct usage:
+{usages}
+{example}
+📖 Type 'help {command}' for more! ✨`,
+    example: '\n💡 Example:\n   {example}\n',
+  },
+
+  usage: {
+    missing: 'Missing {arg}',
+    number: '{arg} must be a number',
+    choice: '{arg} must be one of: {choices}',
+    option: "Unknown option '{word}'",
+    optionSuggestion: "Unknown option '{word}' — did you mean '{suggestion}'?",
+  },
+
+  errors: {
+    command: `╔══════════════════════════════════╗
+║  😥  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗦𝘆𝘀𝘁𝗲𝗺  ║
+║      𝗘𝗿𝗿𝗼𝗿 𝗗𝗲𝘁𝗲𝗰𝘁𝗲𝗱! 🛠️     ║
+╚══════════════════════════════════╝
+
+😔 Something unexpected happened
+   in our enhanced system.
+
+╭─ 🔧 Auto-Recovery Active ─────╮
+│ 🔄 Trying to fix automatically │
+│ 💻 Developer has been notified │
+│ ⏰ Usually resolves quickly    │
+│ 🌟 Enhanced stability enabled  │
+╰────────────────────────────────╯
+
+🌱 Please try again in a moment!
+   Our enhanced system is self-healing! ✨`,
+
+    rateLimit: `╔══════════════════════════════════╗
+║  ⏰  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗥𝗮𝘁𝗲 ║
+║      𝗟𝗶𝗺𝗶𝘁 𝗔𝗰𝘁𝗶𝘃𝗲! 🚦      ║
+╚══════════════════════════════════╝
+
+🏃‍♂️ Whoa there, speedy explorer!
+
+You're sending messages a bit too
+quickly for our enhanced systems.
+
+╭─ 🌱 Take a Moment ────────────╮
+│ ⏰ Wait: Just a few seconds    │
+│ 🧘 Relax: Quality over speed   │
+│ ✨ Enhanced: Better experience │
+│ 💚 Patience: Worth the wait    │
+╰────────────────────────────────╯
+
+🌟 Enhanced features work best
+   with mindful interaction! ✨`,
+
+    unknownCommand: `╔══════════════════════════════════╗
+║  ❓  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗖𝗼𝗺𝗺𝗮𝗻𝗱  ║
+║      𝗡𝗼𝘁 𝗥𝗲𝗰𝗼𝗴𝗻𝗶𝘇𝗲𝗱! 🤔       ║
+╚══════════════════════════════════╝
+
+🤖 I didn't understand '{command}',
+   but you can ask me naturally!
+{suggestions}
+╭─ 💡 Try These Examples ───────╮
+│ 💬 "What stock today?"         │
+│ 💬 "When is next restock?"     │
+│ 💬 "Show me divine items"      │
+│ 💬 "What's the weather?"       │
+│ 📖 Type 'help' - See commands │
+╰────────────────────────────────╯
+
+🌟 I understand natural language
+   and I'm here to help! 💚✨`,
+    didYouMean: `
+╭─ 🔍 Did you mean ─────────────╮
+{lines}
+╰────────────────────────────────╯
+`,
+  },
+
+  welcome: {
+    message: `╔══════════════════════════════════╗
+║  🌱  𝗪𝗲𝗹𝗰𝗼𝗺𝗲, {name}!  ║
+╚══════════════════════════════════╝
+
+🌾 I watch the Grow a Garden shop
+   for you, so you never miss a restock!
+
+╭─ 🚀 How Tracking Works ───────╮
+│ 🔔 'gagstock on' starts live   │
+│    updates after each restock  │
+│ 🎯 Add a filter to only see    │
+│    items you care about        │
+│ 👀 'watch add <item>' alerts   │
+│    you when it is in stock     │
+│ ⏰ 'nextstock' shows timers    │
+╰────────────────────────────────╯
+
+💡 Tap a button below to start, or
+   type 'help' anytime! ✨`,
+  },
+};
@@ -0,0 +1,1549 @@
+/**
+ * Tagalog (Filipino) messages. Keys and {placeholders} mirror en.js; commands and
+ * item names stay in English because that is what users type and see in the game.
+ */
+export default {
+  language: {
+    name: 'Tagalog',
+  },
+
+  common: {
+    refreshStock: '🔄 I-refresh ang Stock',
+    refreshAgain: '🔄 I-refresh Ulit',
+    divineItems: '💎 Divine Items',
+    nextRestock: '⏰ Susunod na Restock',
+    weatherInfo: '🌤️ Lagay ng Panahon',
+    myWatchlist: '👀 Aking Watchlist',
+    myReminders: '⏰ Aking mga Paalala',
+    remindMe: '⏰ Paalalahanan Ako',
+    startTracking: '🌾 Simulan ang Tracking',
+    allCommands: '📖 Lahat ng Command',
+    fullList: '📋 Buong Listahan',
+    confirm: '✅ Kumpirmahin',
+    cancel: '🗑️ Kanselahin',
+  },
+
+  roles: {
+    owner: '👑 May-ari',
+    admin: '🛡️ Admin',
+    moderator: '🔰 Moderator',
+    vip: '💎 VIP',
+    user: '👤 User',
+    banned: '🚫 Banned',
+  },
+
+  categories: {
+    gear: '🛠️ 𝗚𝗲𝗮𝗿 𝗮𝘁 𝗧𝗼𝗼𝗹𝘀',
+    seed: '🌱 𝗦𝗲𝗲𝗱𝘀 𝗮𝘁 𝗛𝗮𝗹𝗮𝗺𝗮𝗻',
+    egg: '🥚 𝗘𝗴𝗴𝘀 𝗮𝘁 𝗣𝗲𝘁𝘀',
+    cosmetics: '🎨 𝗖𝗼𝘀𝗺𝗲𝘁𝗶𝗰 𝗜𝘁𝗲𝗺𝘀',
+    honey: '🍯 𝗛𝗼𝗻𝗲𝘆 𝗣𝗿𝗼𝗱𝘂𝗰𝘁𝘀',
+  },
+
+  time: {
+    justNow: 'ngayon lang',
+    minutesAgo: '{minutes}m na ang nakalipas',
+    hoursAgo: '{hours}h {minutes}m na ang nakalipas',
+    daysAgo: '{days}d {hours}h na ang nakalipas',
+    until: 'hanggang {date}',
+    permanent: 'permanente',
+  },
+
+  access: {
+    notGrantable: "Hindi maibibigay ang role na '{role}' (gamitin ang {roles})",
+    ownerLocked: 'Ang mga owner ay nakatakda sa environment at hindi mababago',
+    self: 'Hindi mo puwedeng baguhin ang sarili mong role',
+    roleTooHigh: 'Ang mas mataas lang sa {role} ang puwedeng magbigay o magbawi nito',
+    targetTooHigh: 'Ang user na {userId} ay kapareho o mas mataas ang role sa iyo',
+    expired: '⌛ Tapos na ang iyong {role} access.\n\nSalamat sa pagiging bahagi nito! 💚',
+  },
+
+  nlp: {
+    weather: `╔══════════════════════════════════╗
+║  🌤️  𝗟𝗮𝗴𝗮𝘆 𝗻𝗴 𝗣𝗮𝗻𝗮𝗵𝗼𝗻  ║
+╚══════════════════════════════════╝
+
+🌟 Nakakaapekto ang panahon sa crop
+   bonuses sa Grow A Garden!
+
+╭─ 🌈 Epekto ng Panahon ────────╮
+│ ☀️ Maaraw: Normal na paglaki  │
+│ 🌧️ Maulan: Water bonus        │
+│ ⛅ Maulap: Mabagal na paglaki  │
+│ 🌪️ Bagyo: Special events      │
+╰────────────────────────────────╯
+
+🔄 I-type ang 'refresh' para makita
+   ang kasalukuyang panahon at bonuses! ✨`,
+
+    pricing: `╔══════════════════════════════════╗
+║  💰  𝗣𝗿𝗲𝘀𝘆𝗼 𝗻𝗴 𝗜𝘁𝗲𝗺𝘀  ║
+╚══════════════════════════════════╝
+
+💡 Iba-iba ang presyo ng items
+   sa Grow A Garden:
+
+╭─ 💸 Mga Presyo ────────────────╮
+│ 🌱 Seeds: 50-5,000 coins      │
+│ 🛠️ Tools: 100-50,000 coins    │
+│ 🥚 Eggs: 1,000-100,000 coins  │
+│ 🎨 Cosmetics: 500-25,000 coins│
+│ 💎 Divine: 10,000+ coins      │
+╰────────────────────────────────╯
+
+🌟 Depende sa rarity ang presyo! ✨`,
+
+    howItWorks: `╔══════════════════════════════════╗
+║  🤖  𝗣𝗮𝗮𝗻𝗼 𝗔𝗸𝗼 𝗚𝘂𝗺𝗮𝗴𝗮𝗻𝗮  ║
+╚══════════════════════════════════╝
+
+🌟 Ako ang iyong Grow A Garden
+   stock tracking assistant!
+
+╭─ ⚡ Kaya Kong Gawin ───────────╮
+│ 📊 Real-time na stock monitoring│
+│ 🔄 Auto-refresh kada 5 minuto │
+│ 🌤️ Weather at bonus tracking  │
+│ 💎 Divine item alerts         │
+│ ⏰ Countdown hanggang restock  │
+│ 🎯 Smart filtering            │
+│ 💬 Puwede mo akong kausapin   │
+╰────────────────────────────────╯
+
+🚀 Magtanong ka lang tungkol sa
+   stocks at tutulungan kita! ✨`,
+
+    help: `╔══════════════════════════════════╗
+║  📖  𝗠𝗮𝗯𝗶𝗹𝗶𝘀𝗮𝗻𝗴 𝗧𝘂𝗹𝗼𝗻𝗴  ║
+╚══════════════════════════════════╝
+
+🌟 Puwede mo akong tanungin nang natural:
+
+╭─ 💬 Halimbawang Tanong ───────╮
+│ "Ano ang stock ngayon?"       │
+│ "Kailan ang next restock?"    │
+│ "Show me divine items"        │
+│ "Ano ang panahon?"            │
+│ "How do you work?"            │
+╰────────────────────────────────╯
+
+╭─ 🎮 Mabilisang Commands ──────╮
+│ gagstock on - Simulan ang tracking │
+│ refresh - I-update ngayon     │
+│ help - Lahat ng command       │
+╰────────────────────────────────╯
+
+💡 Kausapin mo lang ako! ✨`,
+
+    general: `╔══════════════════════════════════╗
+║  🤔  𝗜𝗻𝘁𝗲𝗿𝗲𝘀𝗮𝗻𝘁𝗲!  ║
+╚══════════════════════════════════╝
+
+🌟 Ang tanong mo ay tungkol sa:
+"{question}"
+
+╭─ 💡 Matutulungan kita sa ─────╮
+│ 📊 Impormasyon sa stock       │
+│ ⏰ Oras ng restock            │
+│ 🌤️ Panahon at bonuses         │
+│ 💎 Divine item tracking       │
+│ 🎮 Features at commands       │
+╰────────────────────────────────╯
+
+Subukang itanong:
+• "Ano ang stock ngayon?"
+• "Kailan ang next restock?"
+• "Show me divine items"
+
+🚀 Nandito ako para tumulong! ✨`,
+
+    weatherButton: `╔══════════════════════════════════╗
+║  🌤️  𝗟𝗮𝗴𝗮𝘆 𝗻𝗴 𝗣𝗮𝗻𝗮𝗵𝗼𝗻  ║
+╚══════════════════════════════════╝
+
+🌟 Nakakaapekto ang panahon sa crops mo!
+
+🔄 I-type ang 'refresh' o simulan ang
+   tracking para sa live weather updates! ✨`,
+  },
+
+  schedule: {
+    offline: `╔══════════════════════════════════╗
+║  🌙  𝗢𝗿𝗮𝘀 𝗻𝗴 𝗣𝗮𝗵𝗶𝗻𝗴𝗮  ║
+╚══════════════════════════════════╝
+
+😴 Oras na para magpahinga!
+🎵 Enjoy sa relaxing music!
+
+╭─ 🌙 Iskedyul ng Pahinga ──────╮
+│ 💤 Offline: {offlineAt} - {onlineAt}│
+│ ☀️ Online: {onlineAt} - {offlineAt} │
+│ 🎵 Voice: Multo relaxation    │
+╰────────────────────────────────╯
+
+🌟 Sweet dreams! Kita tayo ng {onlineAt}! ✨`,
+
+    online: `╔══════════════════════════════════╗
+║  ☀️  𝗢𝗻𝗹𝗶𝗻𝗲 𝗻𝗮 𝗨𝗹𝗶𝘁!  ║
+╚══════════════════════════════════╝
+
+🌅 Magandang umaga! Online na ulit ang bot!
+
+╭─ ☀️ Iskedyul Online ──────────╮
+│ 🟢 Status: Gumagana lahat     │
+│ ⏰ Oras: {onlineAt} - {offlineAt}   │
+│ 🚀 Features: Handa na lahat   │
+│ ✨ Ready: Sa magandang araw   │
+╰────────────────────────────────╯
+
+🌟 Tuloy na ulit ang tracking! ✨`,
+  },
+
+  stock: {
+    section: `╭─ {label} ────────────────────╮
+{items}
+  └─ ⏰ Susunod na Restock: {restock}
+╰─────────────────────────────────╯
+
+`,
+    nothingInStock: '  ├─ Walang stock sa ngayon',
+    categoryList: `╭─ {label} ────────────────────╮
+{items}
+  └─ ⏰ Susunod na Restock: {restock}
+╰─────────────────────────────────╯`,
+    highlights: `╭─ ✨ 𝗕𝗮𝗴𝗼 𝗡𝗴𝗮𝘆𝗼𝗻𝗴 𝗥𝗲𝘀𝘁𝗼𝗰𝗸 · {label} ─╮
+{lines}
+  └─ ⏰ Susunod na Restock: {restock}
+╰─────────────────────────────────╯
+
+`,
+    soldOut: '  ├─ ❌ {item}: Ubos na',
+
+    divineAlert: `╔══════════════════════════════════╗
+║  💎  𝗗𝗜𝗩𝗜𝗡𝗘 𝗔𝗟𝗘𝗥𝗧! ║
+║      ⚡ 𝗦𝗣𝗘𝗖𝗜𝗔𝗟 𝗜𝗧𝗘𝗠! ⚡    ║
+╚══════════════════════════════════╝
+
+🚨 **MAY RARE DIVINE ITEMS SA STOCK!** 🚨
+
+{items}
+
+⚡ **BILISAN MO!** Napakabihira ng
+   divine items at nauubos ito
+   sa loob ng ilang minuto!
+
+🏃‍♂️💨 Kunin mo na NGAYON! 💎✨`,
+
+    updateHeader: `╔══════════════════════════════════╗
+║   🌾 Hi {name}! Bagong Stock! 🌟   ║
+║      Enhanced Update! ✨         ║
+╚══════════════════════════════════╝
+
+`,
+    weather: `╭─ 🌤️ 𝗣𝗮𝗻𝗮𝗵𝗼𝗻 𝗮𝘁 𝗕𝗼𝗻𝘂𝘀𝗲𝘀 ────╮
+  ├─ Ngayon: {icon} {weather}
+  └─ Crop Bonus: 🌾 {bonus}
+╰─────────────────────────────────╯
+
+`,
+    updateFooter: `╭─ 📊 𝗛𝘂𝗹𝗶𝗻𝗴 𝗨𝗽𝗱𝗮𝘁𝗲 𝗮𝘁 𝗦𝘁𝗮𝘁𝘂𝘀 ─╮
+  ├─ 📅 Oras: {time}
+  ├─ 🔄 Source: Live API Data
+  ├─ ✅ Status: Maayos ang Lahat
+  └─ 🌟 Enhanced: v{version} Active
+╰─────────────────────────────────╯`,
+
+    premiumAlert: `╔══════════════════════════════════╗
+║  🚨  𝗣𝗿𝗲𝗺𝗶𝘂𝗺 𝗔𝗹𝗲𝗿𝘁! ║
+╚══════════════════════════════════╝
+
+{items}
+
+⚡ Tumugma sa alert rules mo ngayon lang!
+   I-manage ang mga ito gamit ang 'custom alerts'. 💎`,
+
+    watchlistAlert: '🔔 𝗪𝗮𝘁𝗰𝗵𝗹𝗶𝘀𝘁 𝗔𝗹𝗲𝗿𝘁!\n\n{items}\n\n⚡ May stock na ngayon — kunin mo na! ✨',
+  },
+
+  gagstock: {
+    stopped: `╔══════════════════════════════════╗
+║  🛑  𝗧𝗿𝗮𝗰𝗸𝗶𝗻𝗴 𝗜𝘁𝗶𝗻𝗶𝗴𝗶𝗹  ║
+╚══════════════════════════════════╝
+
+✅ Matagumpay na na-disable ang
+   iyong Gagstock tracking.
+
+╭─ 📊 Buod ng Session ──────────╮
+│ 📅 Tagal: Active session      │
+│ 🔄 Updates: Naipadala         │
+│ ✨ Status: Maayos na natapos  │
+╰────────────────────────────────╯
+
+Salamat sa paggamit ng aming
+tracking service! 🌱✨
+
+💚 Balik ka anytime! 🚀`,
+
+    noSession: `╔══════════════════════════════════╗
+║  ⚠️   𝗪𝗮𝗹𝗮𝗻𝗴 𝗔𝗰𝘁𝗶𝘃𝗲 𝗦𝗲𝘀𝘀𝗶𝗼𝗻  ║
+╚══════════════════════════════════╝
+
+🤔 Wala kang tumatakbong gagstock
+   tracking session.
+
+╭─ 🚀 Mabilisang Simula ────────╮
+│ 🟢 'gagstock on' - Lahat ng items │
+│ 🎯 'gagstock on [item]' - May filter │
+│ 📖 'help' - Buong gabay       │
+╰────────────────────────────────╯
+
+Handa ka na bang mag-track? 🌟`,
+
+    alreadyActive: `╔══════════════════════════════════╗
+║  📡  𝗔𝗰𝘁𝗶𝘃𝗲 𝗻𝗮 𝗮𝗻𝗴 ║
+║      𝗦𝗲𝘀𝘀𝗶𝗼𝗻 𝗠𝗼! ⚡           ║
+╚══════════════════════════════════╝
+
+✅ Nagta-track ka na ng Gagstock
+   gamit ang enhanced monitoring!
+
+╭─ 🔄 Mga Opsyon ───────────────╮
+│ 🛑 'gagstock off' - Itigil muna │
+│ 🔄 'refresh' - I-update ngayon │
+│ 📊 Ngayon: Active at Stable   │
+╰────────────────────────────────╯
+
+Maayos na gumagana ang tracking mo! 🌟`,
+
+    started: `╔══════════════════════════════════╗
+║  ✨  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗧𝗿𝗮𝗰𝗸𝗶𝗻𝗴  ║
+║      𝗡𝗮𝗸𝗮-𝗼𝗻 𝗡𝗮! 🚀         ║
+╚══════════════════════════════════╝
+
+🎉 Active na ang Enhanced Gagstock
+   tracking kasama ang premium features!
+
+╭─ 🌟 Mga Naka-enable na Feature ─╮
+│ 🔄 Auto-refresh kada 5 minuto │
+│ 🌤️ Live weather updates       │
+│ ⏰ Smart restock timers        │
+│ 🧹 Auto cache clearing        │
+│ ✨ Magagandang notifications  │
+│ 🎨 Enhanced aesthetics        │
+│ 💬 Puwede mo akong kausapin   │
+│ 🔄 Quick refresh button       │
+╰────────────────────────────────╯
+
+{scope}
+
+Relax ka lang, kami na ang bahala
+sa lahat! 🌱💚`,
+    filteringFor: '🎯 𝗡𝗮𝗸𝗮-𝗳𝗶𝗹𝘁𝗲𝗿 𝘀𝗮: {filters}',
+    trackingAll: '📊 𝗧𝗶𝗻𝗮-𝘁𝗿𝗮𝗰𝗸: Lahat ng items at categories',
+
+    fetchError: `╔══════════════════════════════════╗
+║  ❌  𝗖𝗼𝗻𝗻𝗲𝗰𝘁𝗶𝗼𝗻 𝗘𝗿𝗿𝗼𝗿  ║
+╚══════════════════════════════════╝
+
+😔 Hindi makuha ang stock data mula
+   sa Grow A Garden servers.
+
+╭─ 🔧 Ano ang nangyayari? ──────╮
+│ 📡 Problema sa koneksyon      │
+│ ⏰ Kadalasan pansamantala lang │
+│ 🔄 Sinusubukan ulit           │
+│ 💫 Maaayos din agad           │
+╰────────────────────────────────╯
+
+🌱 Pakisubukan ulit maya-maya!
+   Handa na ang enhanced features! ✨`,
+  },
+
+  refresh: {
+    noSession: `╔══════════════════════════════════╗
+║  ⚠️   𝗪𝗮𝗹𝗮𝗻𝗴 𝗔𝗰𝘁𝗶𝘃𝗲 𝗦𝗲𝘀𝘀𝗶𝗼𝗻  ║
+╚══════════════════════════════════╝
+
+🚫 Kailangan mo munang simulan ang
+   gagstock tracking bago mag-refresh.
+
+╭─ 🚀 Mabilisang Gabay ─────────╮
+│ 🟢 'gagstock on' - Simulan   │
+│ 🎯 'gagstock on [filter]'    │
+│ 📖 'help' - Lahat ng command │
+╰────────────────────────────────╯
+
+🌱 Handa nang mag-track! ✨`,
+
+    refreshing: `╔══════════════════════════════════╗
+║  🔄  𝗡𝗶𝗿𝗲-𝗿𝗲𝗳𝗿𝗲𝘀𝗵 𝗮𝗻𝗴 𝗦𝘁𝗼𝗰𝗸  ║
+╚══════════════════════════════════╝
+
+🔄 Kinukuha ang pinakabagong stock data...
+⚡ Nilo-load ang impormasyon...
+🌟 Inaayos ang display...
+
+╭─ 📡 Status ng Koneksyon ──────╮
+│ 🌐 Kumokonekta sa servers...  │
+│ 📊 Dina-download ang stock... │
+│ 🌤️ Kinukuha ang panahon...    │
+│ ✨ Inihahanda ang display...  │
+╰────────────────────────────────╯
+
+Sandali lang, may magic na mangyayari! 🪄`,
+
+    header: `╔══════════════════════════════════╗
+║   🔄 𝗠𝗮𝘁𝗮𝗴𝘂𝗺𝗽𝗮𝘆 𝗻𝗮     ║
+║      𝗡𝗮-𝗿𝗲𝗳𝗿𝗲𝘀𝗵 𝗮𝗻𝗴 𝗦𝘁𝗼𝗰𝗸! ✨           ║
+╚══════════════════════════════════╝
+
+`,
+    footer: `╭─ 📊 𝗕𝗮𝗴𝗼𝗻𝗴 𝗗𝗮𝘁𝗮 ─────╮
+  ├─ 📅 Na-update: {time}
+  ├─ 🔄 Cache: Nalinis at Bago
+  └─ ✅ Status: Handa ang Lahat!
+╰─────────────────────────────────╯`,
+
+    error: `╔══════════════════════════════════╗
+║  ❌  𝗛𝗶𝗻𝗱𝗶 𝗡𝗮-𝗿𝗲𝗳𝗿𝗲𝘀𝗵  ║
+╚══════════════════════════════════╝
+
+😔 Hindi ma-refresh ang stock data
+   sa ngayon.
+
+╭─ 🔧 Troubleshooting ──────────╮
+│ 🔄 Subukan ulit maya-maya     │
+│ 📡 Baka busy ang server       │
+│ 🌐 I-check ang internet mo    │
+│ 💫 Kadalasan naaayos agad     │
+╰────────────────────────────────╯
+
+🌱 Inaayos na namin ito! 💚`,
+  },
+
+  dnd: {
+    on: `╔══════════════════════════════════╗
+║  🔕  𝗗𝗼 𝗡𝗼𝘁 𝗗𝗶𝘀𝘁𝘂𝗿𝗯  ║
+║      𝗡𝗮𝗸𝗮-𝗼𝗻 𝗡𝗮! 🌙          ║
+╚══════════════════════════════════╝
+
+😌 Naka-on na ang peaceful mode!
+
+╭─ 🌸 Naka-enable sa DND ───────╮
+│ 🔕 Stock notifications: OFF   │
+│ 🌙 Auto updates: Naka-pause   │
+│ ✨ Divine alerts: Tahimik     │
+│ 💤 Peaceful experience: ON    │
+╰────────────────────────────────╯
+
+🧘‍♀️ Enjoy sa tahimik na oras!
+   I-type ang 'dnd off' para ituloy. 🌟`,
+
+    off: `╔══════════════════════════════════╗
+║  🔔  𝗗𝗼 𝗡𝗼𝘁 𝗗𝗶𝘀𝘁𝘂𝗿𝗯  ║
+║      𝗡𝗮𝗸𝗮-𝗼𝗳𝗳 𝗡𝗮! ✨          ║
+╚══════════════════════════════════╝
+
+🎉 Welcome back! Tuloy na ulit ang notifications!
+
+╭─ 🌟 Naibalik na Features ─────╮
+│ 🔔 Stock notifications: ON    │
+│ ⚡ Auto updates: Active       │
+│ 💎 Divine alerts: Enabled     │
+│ 🚀 Buong experience: Balik na │
+╰────────────────────────────────╯
+
+🌱 Handa nang mag-track ulit! 💚`,
+
+    statusOn: `╔══════════════════════════════════╗
+║  📊  𝗗𝗡𝗗 𝗦𝘁𝗮𝘁𝘂𝘀 🔕  ║
+╚══════════════════════════════════╝
+
+🌙 Do Not Disturb: **NAKA-ON**
+⏳ Tahimik {until}
+
+╭─ 📱 Kasalukuyang Settings ────╮
+│ 🔔 Notifications: Naka-pause │
+│ ⚡ Auto Updates: Disabled  │
+│ 💎 Divine Alerts: {divine}  │
+│ 🌸 Peace Mode: ON        │
+╰────────────────────────────────╯
+
+╭─ 🌙 Quiet Hours ──────────────╮
+│ ⏰ Iskedyul: {window}
+│ ⏳ Naka-pause hanggang: {paused}
+│ 🚨 Pinapayagan: {exceptions}
+╰────────────────────────────────╯
+
+🧘‍♀️ Nag-eenjoy sa katahimikan...
+   I-type ang "dnd off" para ituloy! 🌙`,
+
+    statusOff: `╔══════════════════════════════════╗
+║  📊  𝗗𝗡𝗗 𝗦𝘁𝗮𝘁𝘂𝘀 🔔  ║
+╚══════════════════════════════════╝
+
+🌟 Do Not Disturb: **NAKA-OFF**
+
+╭─ 📱 Kasalukuyang Settings ────╮
+│ 🔔 Notifications: Active    │
+│ ⚡ Auto Updates: Enabled   │
+│ 💎 Divine Alerts: Enabled   │
+│ 🌸 Peace Mode: OFF       │
+╰────────────────────────────────╯
+
+╭─ 🌙 Quiet Hours ──────────────╮
+│ ⏰ Iskedyul: {window}
+│ ⏳ Naka-pause hanggang: {paused}
+│ 🚨 Pinapayagan: {exceptions}
+╰────────────────────────────────╯
+
+🚀 Active at handa ang lahat!
+   I-type ang "dnd on" para sa katahimikan! ✨`,
+
+    paused: `╔══════════════════════════════════╗
+║  ⏳  𝗧𝗮𝗵𝗶𝗺𝗶𝗸 𝗻𝗮𝗻𝗴 {duration}  ║
+╚══════════════════════════════════╝
+
+🔕 Naka-pause ang notifications
+   {until}.
+
+💌 Lahat ng ma-miss mo ay darating sa isang
+   digest pagkatapos ng pause.
+   I-type ang 'dnd off' para ituloy agad! 🌟`,
+
+    badDuration: "❌ Hindi ko naintindihan ang \"{value}\".\n💡 Subukan ang 'dnd 30m', 'dnd 2h' o 'dnd 1d' (hanggang {max}). ⏳",
+
+    scheduleSet: `╔══════════════════════════════════╗
+║  🌙  𝗡𝗮𝗸𝗮-𝘀𝗲𝘁 𝗮𝗻𝗴 𝗤𝘂𝗶𝗲𝘁 𝗛𝗼𝘂𝗿𝘀!  ║
+╚══════════════════════════════════╝
+
+😴 Araw-araw mula {window}
+   ({zone}) ay tahimik ako.
+
+╭─ 🌸 Habang Tahimik ───────────╮
+│ 🔕 Stock updates: Naka-hold
+│ 🚨 Papayagan pa rin: {exceptions}
+│ 💌 Digest: Pagkatapos ng quiet hours
+╰────────────────────────────────╯
+
+💡 'dnd except divine watchlist' para payagan ang alerts,
+   'dnd schedule off' para tanggalin! ✨`,
+
+    scheduleCleared: "🔔 Tinanggal ang quiet hours — buong araw na ulit ang notifications! ✨",
+    badSchedule: "❌ Hindi ko naintindihan ang oras na \"{value}\".\n💡 Gumamit ng 24-oras, hal. 'dnd schedule 22:00-07:00'. 🌙",
+    exceptionsSet: "🚨 Habang tahimik ka, ipapadala ko pa rin ang: {kinds}.\n💡 'dnd except none' para patahimikin lahat. 🔕",
+    exceptionsCleared: "🔕 Walang makakalusot habang tahimik ka na. 🌙",
+    badException: "❌ Hindi ko mapapayagan ang \"{value}\".\n💡 Pumili mula sa: {kinds} (o 'none'). 🚨",
+    stillScheduled: "\n\n🌙 Naka-on pa rin ang quiet hours mo hanggang {until}.\n💡 'dnd schedule off' para tanggalin.",
+
+
+    untilOff: "hanggang i-type mo ang 'dnd off'",
+    notSet: 'Wala',
+    nothing: 'Wala',
+    divineOn: 'Enabled',
+    divineOff: 'Tahimik',
+    kinds: {
+      divine: '💎 Divine',
+      watchlist: '👀 Watchlist',
+      alerts: '🔔 Alerts',
+      reminders: '⏰ Paalala',
+    },
+
+    digest: `╔══════════════════════════════════╗
+║  💌  𝗛𝗮𝗯𝗮𝗻𝗴 𝗪𝗮𝗹𝗮 𝗞𝗮  ║
+╚══════════════════════════════════╝
+
+🌅 Ito ang na-miss mo mula {since}:
+
+{lines}
+
+🌱 I-tap sa ibaba para sa pinakabagong stock! 💚`,
+
+    digestUpdates: '📦 {count} stock update',
+    digestDivine: '💎 Divine: {items}',
+    digestWatchlist: '👀 Watchlist: {items}',
+    digestAlerts: '🔔 Alerts: {items}',
+  },
+
+  nextstock: {
+    all: `╔══════════════════════════════════╗
+║  ⏰  𝗟𝗮𝗵𝗮𝘁 𝗻𝗴 𝗦𝘁𝗼𝗰𝗸 ║
+║      𝗥𝗲𝘀𝘁𝗼𝗰𝗸 𝗧𝗶𝗺𝗲𝗿𝘀 🎯       ║
+╚══════════════════════════════════╝
+
+🌟 **Buong Iskedyul ng Restock:**
+
+{sections}
+
+🎯 Abangan ang tamang oras! ✨`,
+    allSection: `╭─ {emoji} {name} ─────────────╮
+│ ⏰ Susunod na Restock: {time}        │
+│ 🔄 Dalas: {frequency}  │
+╰────────────────────────────────╯`,
+
+    category: `╔══════════════════════════════════╗
+║  {emoji}  𝗦𝘂𝘀𝘂𝗻𝗼𝗱 𝗻𝗮 {title} ║
+║      𝗥𝗲𝘀𝘁𝗼𝗰𝗸 𝗧𝗶𝗺𝗲𝗿 ⏰         ║
+╚══════════════════════════════════╝
+
+🎯 **{name} Tracking:**
+
+╭─ ⏰ Impormasyon sa Restock ───╮
+│ 🕐 Susunod na Restock: {time} ({at})
+│ 📅 Kasunod: {upcoming}
+│ 🔄 Dalas: {frequency}
+│ 📊 Category: {name}
+╰────────────────────────────────╯
+
+💡 **Pro Tips:**
+• I-type ang 'remind {category}' para ma-ping bago ito
+• Mag-check 30 segundo bago mag-restock
+• Maging handa sa mabilisang pagbili
+
+🌟 Happy shopping! 🛒✨`,
+    titles: { gear: 'Gear', seed: 'Seeds', egg: 'Eggs', cosmetics: 'Cosmetics', honey: 'Honey' },
+    names: { gear: 'Gear at Tools', seed: 'Seeds at Halaman', egg: 'Eggs at Pets', cosmetics: 'Cosmetics', honey: 'Honey Products' },
+    every: {
+      minutes: 'Kada {count} minuto',
+      hour: 'Kada oras',
+      hours: 'Kada {count} oras',
+    },
+  },
+
+  remind: {
+    added: `╔══════════════════════════════════╗
+║  ⏰  𝗡𝗮𝗸𝗮-𝘀𝗲𝘁 𝗮𝗻𝗴 𝗣𝗮𝗮𝗹𝗮𝗹𝗮!  ║
+╚══════════════════════════════════╝
+
+✅ Ipi-ping kita {lead} bago mag-restock
+   ang {target}.
+
+╭─ 🔔 Paalala ──────────────────╮
+│ ⏰ Susunod na ping: {at}
+│ 🔁 {mode}
+│ 📋 Mga paalala: {count}/{max}
+╰────────────────────────────────╯
+
+💡 'remind list' para makita lahat,
+   'remind cancel [number]' para itigil ang isa! ✨`,
+    repeating: 'Bago ang bawat restock',
+    once: 'Sa susunod na restock lang',
+    badLead: "⚠️ Hindi ko magagamit ang '{value}' bilang lead time.\nSubukan ang tulad ng 30s, 2m o 1h (hanggang 1d)! ⏰",
+    unknownTarget: "🤔 Hindi ko kilala ang category o item na '{value}'.\nSubukan ang gear, seeds, eggs, cosmetics, honey o pangalan ng item! 🌱",
+    full: "⚠️ Mayroon ka nang {max} paalala.\nMagkansela muna gamit ang 'remind cancel [number]'! ⏰",
+    ping: '⏰ 𝗛𝗲𝗮𝗱𝘀 𝘂𝗽! Magre-restock ang {category} sa loob ng {time} ({at}). Maghanda na! 🛒✨',
+    pingItem: '⏰ 𝗛𝗲𝗮𝗱𝘀 𝘂𝗽! Magre-restock ang {category} sa loob ng {time} ({at}) — abangan ang {item}! 🛒✨',
+    cleared: '🧹 Kinansela na ang lahat ng paalala mo. ✨',
+    nothingToCancel: "🤔 Wala kang paalala.\nMag-set gamit ang 'remind eggs 2m'! ⏰",
+    notFound: "🤔 Pumili ng numero mula sa 'remind list' (1-{max}), o 'all'. ⏰",
+    removed: '🗑️ Wala nang paalala para sa {target}. ✨',
+    entry: '│ {number}. {target} · {lead} bago\n│    🔁 {mode} · susunod na ping {at}',
+    empty: '│ Wala pa!',
+    list: `╔══════════════════════════════════╗
+║  ⏰  𝗜𝘆𝗼𝗻𝗴 𝗺𝗴𝗮 𝗣𝗮𝗮𝗹𝗮𝗹𝗮  ║
+╚══════════════════════════════════╝
+
+╭─ 📋 Mga Paalala ({count}/{max}) ───────╮
+{entries}
+╰────────────────────────────────╯
+
+╭─ 🛠️ I-manage ─────────────────╮
+│ remind [category|item] [lead] │
+│ remind [item] [lead] repeat   │
+│ remind cancel [number|all]    │
+╰────────────────────────────────╯
+
+🔔 Ipi-ping kita bago ang restock,
+   kahit walang tracking session! ✨`,
+  },
+
+  history: {
+    notFound: `╔══════════════════════════════════╗
+║  ❓  𝗛𝗶𝗻𝗱𝗶 𝗡𝗮𝗸𝗶𝘁𝗮 𝗮𝗻𝗴 𝗜𝘁𝗲𝗺  ║
+╚══════════════════════════════════╝
+
+{details}
+
+🌱 Subukan ang buong pangalan ng item! ✨`,
+    ambiguous: `🤔 Maraming items ang tugma sa '{query}':
+
+╭─ 🔍 Ito ba ang ibig mo? ──────╮
+{suggestions}
+╰────────────────────────────────╯`,
+    notSeen: `😔 Hindi lumabas sa stock ang '{query}'
+   nitong nakaraang 7 araw.`,
+
+    report: `╔══════════════════════════════════╗
+║  📈  𝗞𝗮𝘀𝗮𝘆𝘀𝗮𝘆𝗮𝗻 𝗻𝗴 𝗦𝘁𝗼𝗰𝗸  ║
+╚══════════════════════════════════╝
+
+{item} ({category})
+
+╭─ 🕐 Huling Nakita ────────────╮
+│ 📅 {lastSeen} ({ago})
+│ 📦 Dami: {quantity}
+╰────────────────────────────────╯
+
+╭─ 📊 Paglabas ─────────────────╮
+│ 🌞 Huling 24h: {dayAppearances} restock, {daySeen}/{dayChecks} checks
+│ 📆 Huling 7d: {weekAppearances} restock, {weekSeen}/{weekChecks} checks
+╰────────────────────────────────╯
+
+╭─ 📦 Karaniwang Dami ──────────╮
+│ 🎯 Karaniwan: {typical}
+│ 📉 Min: {min} · 📈 Max: {max}
+╰────────────────────────────────╯
+
+⏰ Gamitin ang 'nextstock all' para
+   sa susunod mong pagbili! ✨`,
+  },
+
+  alertRules: {
+    item: "'{item}'",
+    category: 'anumang {category} item',
+    atLeast: '{rule} (x{count}+)',
+  },
+
+  watch: {
+    usage: `╔══════════════════════════════════╗
+║  ⚠️  𝗠𝗮𝗹𝗶𝗻𝗴 𝗣𝗮𝗴𝗴𝗮𝗺𝗶𝘁  ║
+╚══════════════════════════════════╝
+
+🔧 Tamang paggamit:
+   watch add [item] [min qty]
+
+💡 Mga halimbawa:
+   watch add beanstalk
+   watch add godly sprinkler 2 ✨`,
+    alreadyWatching: '👀 Binabantayan mo na ang {rule}! ✨',
+    full: "⚠️ Puno na ang watchlist mo ({max} items).\nMag-alis muna gamit ang 'watch remove [number]'! 🌱",
+    added: `╔══════════════════════════════════╗
+║  👀  𝗕𝗶𝗻𝗮𝗯𝗮𝗻𝘁𝗮𝘆𝗮𝗻 𝗡𝗮! ║
+╚══════════════════════════════════╝
+
+✅ Naidagdag ang {rule} sa watchlist mo.
+
+🔔 Magpapadala ako ng maikling alert
+   kapag nagka-stock na ito — hindi
+   kailangan ng tracking session!
+
+📋 Binabantayan: {count}/{max} ✨`,
+    notWatching: "🤔 Wala sa watchlist mo ang item na iyan.\nI-type ang 'watch list' para makita ang binabantayan mo! 🌱",
+    removed: '🗑️ Hindi na binabantayan ang {rule}. ✨',
+    optinOnceTitle: 'I-alert ako sa susunod na watchlist restock',
+    optinTitle: 'Watchlist restock alerts',
+    cleared: '🧹 Nalinis na ang watchlist mo. ✨',
+    empty: '│ Wala pa!',
+    list: `╔══════════════════════════════════╗
+║  👀  𝗜𝘆𝗼𝗻𝗴 𝗪𝗮𝘁𝗰𝗵𝗹𝗶𝘀𝘁  ║
+╚══════════════════════════════════╝
+
+╭─ 📋 Binabantayan ({count}/{max}) ────────╮
+{entries}
+╰────────────────────────────────╯
+
+╭─ 🛠️ I-manage ─────────────────╮
+│ watch add [item] [min qty]    │
+│ watch remove [item|number]    │
+│ watch clear                   │
+│ watch optin [once]            │
+╰────────────────────────────────╯
+
+🔔 Darating ang alerts kahit walang
+   'gagstock on'! 🌱✨`,
+    optinHint: `
+
+💡 Isang araw na tayong hindi nag-usap? Hinaharang
+   ng Messenger ang alerts pagkalipas ng 24 oras —
+   i-type ang 'watch optin' para tuloy-tuloy.`,
+    subscribed: '🔔 Naka-subscribe ka na sa {frequency}!\n\nMaaabot kita kahit matagal na tayong hindi nag-uusap. 🌱✨',
+    nextRestockOnly: 'iyong susunod na watchlist restock',
+    recurring: '{frequency} na watchlist alerts',
+    frequencies: { daily: 'araw-araw', weekly: 'lingguhang', monthly: 'buwanang' },
+  },
+
+  id: {
+    info: `╔══════════════════════════════════╗
+║  🆔  𝗜𝘆𝗼𝗻𝗴 𝗙𝗮𝗰𝗲𝗯𝗼𝗼𝗸 𝗜𝗗  ║
+╚══════════════════════════════════╝
+
+👋 Hi {name}! Ito ang info mo:
+
+╭─ 🆔 Impormasyon ng User ──────╮
+│ 👤 Pangalan: {name}                   │
+│ 🔢 Iyong ID: {id}       │
+│ 🌟 Status: Verified User      │
+│ ✨ Platform: Facebook         │
+╰────────────────────────────────╯
+
+💡 **Saan Ito Gagamitin:**
+• 🛡️ Paghingi ng admin access
+• 🎯 Pag-apply sa VIP features
+• 🔧 Technical support
+• 📊 Bot development
+
+📋 Kopyahin ang ID na ito para sa
+   admin requests o support! ✨`,
+  },
+
+  notify: {
+    noDraft: "🤔 Wala kang broadcast na naghihintay.\nMagsimula gamit ang 'notify message [text]'! ✨",
+    confirmed: '📤 Kumpirmado! Ipinapadala na... ✨',
+    scheduled: "📅 Naka-schedule ang broadcast {id} sa {time}.\n\nKanselahin gamit ang 'notify cancel {id}'. ✨",
+    cancelled: '🗑️ Kinansela ang broadcast {id} — walang nakatanggap. ✨',
+    noScheduled: "🤔 Walang naka-schedule na broadcast na '{id}'.\nTingnan ang 'notify scheduled' para sa pila.",
+    nothingToCancel: "🤔 Wala kang broadcast na naghihintay.\nTingnan ang 'notify scheduled' para sa pila.",
+    scheduledList: `╔══════════════════════════════════╗
+║  📅  𝗡𝗮𝗸𝗮-𝘀𝗰𝗵𝗲𝗱𝘂𝗹𝗲 𝗻𝗮 𝗕𝗿𝗼𝗮𝗱𝗰𝗮𝘀𝘁𝘀  ║
+╚══════════════════════════════════╝
+
+╭─ ⏰ Naghihintay ({count}) ─────────────╮
+{lines}
+╰────────────────────────────────╯
+
+🗑️ 'notify cancel [id]' para mag-alis! ✨`,
+    scheduledLine: '│ 🆔 {id} · {time}\n│    👥 {audience}',
+    nothingScheduled: '│ Walang naka-schedule',
+    noReport: '🤔 Wala pang delivery report. ✨',
+    noReportFor: "🤔 Walang delivery report para sa '{id}'. ✨",
+    optionError: "⚠️ {error}\n\nI-type ang 'help notify' para sa mga halimbawa! ✨",
+    needsText: '⚠️ Lagyan ng text ang announcement mo pagkatapos ng options! ✨',
+    badAudience: 'Ang audience ay dapat isa sa: {audiences}',
+    badTime: "Hindi oras ang '{value}' — gamitin ang 24-hour HH:MM ({zone})",
+    badDuration: "Hindi tagal ang '{value}' — gamitin ang tulad ng 30m, 2h o 1d",
+    watchersNeedItem: 'Kailangan ng to=watchers ang item=[pangalan], hal. item=ember_lily',
+
+    offline: `╔══════════════════════════════════╗
+║  🌙  𝗠𝗮𝗴𝗶𝗴𝗶𝗻𝗴 𝗢𝗳𝗳𝗹𝗶𝗻𝗲 ║
+║      𝗮𝗻𝗴 𝗕𝗼𝘁 📢          ║
+╚══════════════════════════════════╝
+
+😴 Magiging offline ang bot para
+   sa naka-schedule na maintenance.
+
+╭─ 🌙 Iskedyul ng Offline ──────╮
+│ ⏰ Oras: {offlineAt} - {onlineAt}   │
+│ 🔄 Araw-araw: Awtomatiko      │
+│ 🎵 Voice: Relaxing music      │
+│ 💤 Dahilan: Pahinga at maintenance│
+╰────────────────────────────────╯
+
+🌟 Babalik kami ng {onlineAt} na may
+   enhanced features! Sweet dreams! ✨`,
+
+    online: `╔══════════════════════════════════╗
+║  ☀️  𝗢𝗻𝗹𝗶𝗻𝗲 𝗻𝗮 𝗮𝗻𝗴 𝗕𝗼𝘁! ║
+║      𝗪𝗲𝗹𝗰𝗼𝗺𝗲 𝗕𝗮𝗰𝗸! 🌟        ║
+╚══════════════════════════════════╝
+
+🎉 Magandang umaga! Online na ulit
+   ang bot at handang maglingkod!
+
+╭─ ☀️ Mga Active na Feature ────╮
+│ 🟢 Status: Gumagana lahat     │
+│ ⚡ Tracking: Handa na          │
+│ 🌟 Features: Handa na lahat   │
+│ 💎 Premium: Active ang VIP    │
+╰────────────────────────────────╯
+
+🚀 Handa na para sa isa pang araw
+   ng stock tracking! Tara na! ✨`,
+
+    announcement: `╔══════════════════════════════════╗
+║  📢  𝗔𝗻𝘂𝗻𝘀𝘆𝗼 ║
+║      𝗻𝗴 𝗔𝗱𝗺𝗶𝗻 ✨        ║
+╚══════════════════════════════════╝
+
+📣 **Anunsyo ng Admin:**
+
+{text}
+
+╭─ 👑 Mula sa Admin Team ───────╮
+│ 🌟 Salamat sa paggamit ng bot │
+│ 💚 Malaking bagay ang suporta mo │
+│ ✨ May mga bagong feature pa  │
+╰────────────────────────────────╯
+
+🚀 Enhanced GagStock Bot Team! 💎`,
+
+    preview: `╔══════════════════════════════════╗
+║  👀  𝗣𝗿𝗲𝘃𝗶𝗲𝘄 𝗻𝗴 𝗕𝗿𝗼𝗮𝗱𝗰𝗮𝘀𝘁  ║
+╚══════════════════════════════════╝
+
+☝️ Iyan mismo ang makikita ng users.
+
+╭─ 📋 Broadcast {id} ─────────────╮
+│ 👥 Audience: {audience}
+│ 📊 Maaabot: {count} user ngayon
+│ ⏰ Ipapadala: {sendAt}
+╰────────────────────────────────╯
+
+✅ 'notify confirm' para ipadala
+🗑️ 'notify cancel' para itapon ✨`,
+    sendsOnConfirm: 'Pagkatapos mong kumpirmahin',
+
+    audiences: {
+      all: 'Lahat ng nag-message sa bot',
+      trackers: 'Mga user na nagta-track ng stock',
+      vips: 'Mga VIP at staff',
+      watchers: 'Mga nagbabantay sa {item}',
+    },
+
+    report: `╔══════════════════════════════════╗
+║  ✅  𝗗𝗲𝗹𝗶𝘃𝗲𝗿𝘆 𝗥𝗲𝗽𝗼𝗿𝘁  ║
+╚══════════════════════════════════╝
+
+╭─ 📊 Broadcast {id} ──────────────╮
+│ 👥 {audience}
+│ 🕐 {time}
+│ 📤 Naipadala: {sent}/{total}
+│ ⏳ Naka-hold (24h window): {held}
+│ ❌ Pumalya: {failed}
+╰────────────────────────────────╯{failures}
+
+🌟 Ipapadala ang naka-hold kapag
+   nag-message ulit ang mga user na iyon! ✨`,
+    failures: `
+
+╭─ ⚠️ Hindi Naipadalhan ────────╮
+{lines}
+╰────────────────────────────────╯`,
+    moreFailures: '\n│ …at {count} pa',
+  },
+
+  admin: {
+    badDuration: "⚠️ Hindi tagal ang '{value}'.\nGamitin ang tulad ng 30m, 12h, 7d o 2w! ⏰",
+    refused: '❌ {reason}',
+
+    granted: `╔══════════════════════════════════╗
+║  ✅  𝗡𝗮𝗶𝗯𝗶𝗴𝗮𝘆 𝗮𝗻𝗴 𝗥𝗼𝗹𝗲! ║
+╚══════════════════════════════════╝
+
+Naibigay ang {role} access!
+
+╭─ 💎 Detalye ng Role ──────────╮
+│ 🆔 User ID: {userId}
+│ ✨ Role: {role}
+│ ⏳ Mag-e-expire: {expires}
+╰────────────────────────────────╯
+
+🎉 Epektibo na agad ang pagbabago! ✨`,
+    grantedNotice: "🎉 Binigyan ka ng {role} access ({expires}).\n\nI-type ang 'help' para makita ang bago! ✨",
+
+    noRole: `╔══════════════════════════════════╗
+║  ❓  𝗪𝗮𝗹𝗮𝗻𝗴 𝗥𝗼𝗹𝗲  ║
+╚══════════════════════════════════╝
+
+🤔 Ang user na {userId} ay {role}{reason}.
+
+Gamitin ang 'admin roles' para makita ang lahat! ✨`,
+    notVip: ', hindi VIP',
+    nothingToRevoke: ' at walang mababawi',
+
+    revoked: `╔══════════════════════════════════╗
+║  🗑️  𝗕𝗶𝗻𝗮𝘄𝗶 𝗮𝗻𝗴 𝗥𝗼𝗹𝗲! ║
+╚══════════════════════════════════╝
+
+💔 Tinanggal ang {role} access.
+
+╭─ 📋 Detalye ng Pagtanggal ────╮
+│ 🆔 User ID: {userId}
+│ ❌ Dati: {role}
+│ 🚫 Ngayon: {now}
+╰────────────────────────────────╯
+
+Balik na sila sa standard features. ⚡`,
+
+    banned: `╔══════════════════════════════════╗
+║  🚫  𝗡𝗮-𝗯𝗮𝗻 𝗮𝗻𝗴 𝗨𝘀𝗲𝗿  ║
+╚══════════════════════════════════╝
+
+╭─ 📋 Detalye ng Ban ───────────╮
+│ 🆔 User ID: {userId}
+│ ⏳ Mag-e-expire: {expires}
+│ 📝 Dahilan: {reason}
+╰────────────────────────────────╯
+
+🧹 Itinigil ang tracking session nila
+   at hindi na sila kasama sa broadcasts.
+
+Gamitin ang 'admin unban {userId}' para ibalik. ✨`,
+    noReason: 'Walang ibinigay',
+    bannedNotice: '🚫 Hindi ka na puwedeng gumamit ng bot na ito ({expires}).',
+    bannedReason: '\n\n📝 Dahilan: {reason}',
+    notBanned: "🤔 Hindi naka-ban ang user na {userId}.\nGamitin ang 'admin roles' para makita ang bans! ✨",
+    unbanned: '✅ Na-unban na ang user na {userId}. ✨',
+    unbannedNotice: '✅ Naibalik na ang access mo. Welcome back! 🌱',
+
+    roleList: `╔══════════════════════════════════╗
+║  📋  {title}  ║
+╚══════════════════════════════════╝
+
+{sections}
+
+Gamitin ang 'admin grant [user_id] [role]' para magdagdag! ✨`,
+    vipListTitle: '𝗟𝗶𝘀𝘁𝗮𝗵𝗮𝗻 𝗻𝗴 𝗩𝗜𝗣',
+    rolesTitle: '𝗠𝗴𝗮 𝗥𝗼𝗹𝗲 𝗻𝗴 𝗨𝘀𝗲𝗿',
+    noRoles: '📝 Wala pang user na may role.',
+
+    audit: `╔══════════════════════════════════╗
+║  🧾  𝗔𝘂𝗱𝗶𝘁 𝗟𝗼𝗴  ║
+╚══════════════════════════════════╝
+
+╭─ 🕐 Huling {count} Aksyon ─────────╮
+{lines}
+╰────────────────────────────────╯
+
+🛡️ Nakatala rito ang bawat admin at
+   notify command! ✨`,
+    auditEmpty: '│ Wala pang nakatala',
+
+    stats: `╔══════════════════════════════════╗
+║  📊  𝗕𝗼𝘁 𝗦𝘁𝗮𝘁𝗶𝘀𝘁𝗶𝗰𝘀  ║
+╚══════════════════════════════════╝
+
+🚀 **Performance ng System:**
+
+╭─ ⚡ Runtime Stats ────────────╮
+│ ⏰ Uptime: {hours}h {minutes}m         │
+│ 👥 Active Users: {sessions}           │
+│ 💾 Memory: {memory}MB gamit      │
+│ 🌟 Version: {version}              │
+╰────────────────────────────────╯
+
+╭─ 🌱 Kilalang Users ───────────╮
+│ 📇 Kabuuan: {knownUsers}                │
+│ 💬 Active Ngayon: {activeToday}          │
+│ 🆕 Bago Ngayon: {newToday}             │
+╰────────────────────────────────╯
+
+╭─ 👑 VIP Management ───────────╮
+│ 💎 VIP Users: {vips}            │
+│ 🛡️ Staff: {admins} admin, {moderators} mod  │
+│ 🔄 Cache Size: {cacheSize}           │
+│ 🔕 DND Users: {dndUsers}            │
+╰────────────────────────────────╯
+
+╭─ 📤 Pagpapadala ──────────────╮
+│ ✅ Naipadala: {sent}                 │
+│ ❌ Pumalya: {failed}               │
+│ 🔁 Retries: {retries}              │
+│ 🚦 Rate Limited: {rateLimited}         │
+╰────────────────────────────────╯
+
+╭─ 🌙 Status ng Iskedyul ───────╮
+│ 🤖 Online ang Bot: {online}      │
+│ 😴 Offline: {offlineAt} - {onlineAt}│
+│ 🎵 Voice Messages: Active     │
+╰────────────────────────────────╯
+
+🌟 Maayos ang takbo ng lahat! ✨`,
+    yes: 'Oo ✅',
+    no: 'Hindi ❌',
+
+    backup: `╔══════════════════════════════════╗
+║  💾  𝗡𝗮𝗴𝗮𝘄𝗮 𝗮𝗻𝗴 𝗕𝗮𝗰𝗸𝘂𝗽  ║
+╚══════════════════════════════════╝
+
+📦 **System Backup:**
+
+\`\`\`json
+{json}
+\`\`\`
+
+╭─ 💾 Detalye ng Backup ────────╮
+│ 👑 VIP Users: {vips} na-backup    │
+│ 📅 Petsa: {date} │
+│ ⏰ Oras: {time} │
+│ ✅ Status: Kumpleto          │
+╰────────────────────────────────╯
+
+🔒 Ingatan ang backup na ito! ✨`,
+
+    profile: `╔══════════════════════════════════╗
+║  📋  𝗠𝗲𝘀𝘀𝗲𝗻𝗴𝗲𝗿 𝗣𝗿𝗼𝗳𝗶𝗹𝗲  ║
+╚══════════════════════════════════╝
+
+╭─ ☰ Persistent Menu ──────────╮
+{menu}
+╰────────────────────────────────╯
+
+╭─ 🧊 Ice Breakers ─────────────╮
+{iceBreakers}
+╰────────────────────────────────╯
+
+🚀 Get Started: {getStarted}
+
+{status} ✨`,
+    profileHint: "💡 I-type ang 'admin profile sync' para i-upload ito.",
+    profileSynced: '✅ Na-sync na sa Messenger Profile API!',
+    profileFailed: '❌ {reason}',
+
+    catalogUpdated: '📚 Na-update ang catalog:\n\n{emoji} {name}\n├─ Category: {category}\n├─ Tier: {tier}\n└─ Aliases: {aliases} ✨',
+    noAliases: 'wala',
+    catalogReset: "♻️ Naibalik ang '{name}' sa orihinal na catalog entry. ✨",
+    catalogNothingToReset: "🤔 Walang admin changes ang '{name}' na puwedeng i-reset.",
+    tierUpdated: "🏷️ Na-update ang tier na '{tier}':\n├─ Label: {label}\n├─ Rank: {rank}\n└─ Divine alert: {alert} ✨",
+    alertOn: 'On 🔔',
+    alertOff: 'Off 🔕',
+    tierLine: '│ {icon} {label} ({id}): {count} item',
+    noTierItems: '│ Walang items sa tier na ito',
+    catalog: `╔══════════════════════════════════╗
+║  📚  𝗜𝘁𝗲𝗺 𝗖𝗮𝘁𝗮𝗹𝗼𝗴  ║
+╚══════════════════════════════════╝
+
+╭─ 🏷️ Mga Tier ─────────────────╮
+{tiers}
+╰────────────────────────────────╯
+{items}
+🛠️ admin catalog list [tier]
+🛠️ admin catalog set [item] tier=divine emoji=🌱 alias=bean
+🛠️ admin catalog reset [item]
+🛠️ admin catalog tier [tier] alert=on|off ✨`,
+    catalogItems: `
+╭─ 📦 Items sa {tier} ──────────╮
+{items}
+╰────────────────────────────────╯
+`,
+    catalogUsage: `╔══════════════════════════════════╗
+║  ⚠️  𝗠𝗮𝗹𝗶𝗻𝗴 𝗣𝗮𝗴𝗴𝗮𝗺𝗶𝘁  ║
+╚══════════════════════════════════╝
+
+🔧 Tamang paggamit:
+   admin catalog list [tier]
+   admin catalog set [item] [field=value...]
+   admin catalog reset [item]
+   admin catalog tier [tier] alert=on|off
+
+💡 Fields: tier, category, emoji, alias
+   (aliases na hinati ng kuwit)
+
+💡 Halimbawa:
+   admin catalog set ember lily tier=divine ✨`,
+    needsCategory: "Kailangan ng '{name}' ng category ({categories})",
+    unknownTier: "Hindi kilalang tier na '{tier}' ({tiers})",
+    badRank: 'Dapat numero ang rank ng tier',
+  },
+
+  custom: {
+    noDivine: `╔══════════════════════════════════╗
+║  💎  𝗗𝗶𝘃𝗶𝗻𝗲 𝗜𝘁𝗲𝗺𝘀 ║
+║      𝗣𝗮𝗴𝗵𝗮𝗵𝗮𝗻𝗮𝗽 🔍              ║
+╚══════════════════════════════════╝
+
+😔 Walang divine items sa stock ngayon.
+
+╭─ 🌟 Binabantayang Divine Items ─╮
+{items}
+╰────────────────────────────────╯
+
+✨ Patuloy na mag-check - regular
+   silang nagre-restock! Aalertuhan
+   ka ng premium tracking! 💎`,
+
+    divineFound: `╔══════════════════════════════════╗
+║  💎  𝗠𝗮𝘆 𝗗𝗶𝘃𝗶𝗻𝗲 𝗜𝘁𝗲𝗺𝘀 ║
+║      𝘀𝗮 𝗦𝘁𝗼𝗰𝗸! ✨               ║
+╚══════════════════════════════════╝
+
+🎉 May divine items sa stock!
+
+╭─ 🌟 Available na Divine Items ─╮
+{items}
+╰────────────────────────────────╯
+
+⚡ **Premium Alert:** Available na
+   NGAYON ang mga rare item na ito!
+
+🏃‍♂️ Bilisan mo - mabilis maubos
+   ang divine items! 💎✨`,
+
+    divineError: `╔══════════════════════════════════╗
+║  ❌  𝗣𝗿𝗲𝗺𝗶𝘂𝗺 𝗘𝗿𝗿𝗼𝗿  ║
+╚══════════════════════════════════╝
+
+😔 Hindi makuha ang divine items
+   data sa ngayon.
+
+🔄 Pakisubukan ulit maya-maya!
+💎 Babalik din ang premium features! ✨`,
+
+    alertsUsage: `╔══════════════════════════════════╗
+║  ⚠️  𝗠𝗮𝗹𝗶𝗻𝗴 𝗣𝗮𝗴𝗴𝗮𝗺𝗶𝘁  ║
+╚══════════════════════════════════╝
+
+🔧 Tamang paggamit:
+   custom alerts add [item|category] [min qty]
+
+💡 Mga halimbawa:
+   custom alerts add beanstalk
+   custom alerts add master sprinkler 2
+   custom alerts add eggs ✨`,
+    alertsFull: "⚠️ Mayroon ka nang {max} alert rules.\nMag-alis muna gamit ang 'custom alerts remove [number]'! 💎",
+    alertAdded: `╔══════════════════════════════════╗
+║  🔔  𝗡𝗮𝗶𝗱𝗮𝗴𝗱𝗮𝗴 𝗮𝗻𝗴 𝗔𝗹𝗲𝗿𝘁! ║
+╚══════════════════════════════════╝
+
+✅ Aalertuhan ka kapag nagka-stock
+   ang {rule}!
+
+📋 Active na rules: {count}/{max}
+💎 'custom alerts' para makita lahat! ✨`,
+    pickRule: "⚠️ Pumili ng rule number mula sa 'custom alerts' (1-{max}). 💎",
+    alertRemoved: '🗑️ Tinanggal ang alert para sa {rule}. ✨',
+    alertsCleared: '🧹 Nalinis na ang lahat ng alert rules mo. ✨',
+    noRules: '│ Wala pang rules!',
+    alertsList: `╔══════════════════════════════════╗
+║  🔔  𝗜𝘆𝗼𝗻𝗴 𝗔𝗹𝗲𝗿𝘁 𝗥𝘂𝗹𝗲𝘀  ║
+╚══════════════════════════════════╝
+
+╭─ 📋 Active na Rules ({count}/{max}) ─────╮
+{rules}
+╰────────────────────────────────╯
+
+╭─ 🛠️ I-manage ─────────────────╮
+│ custom alerts add [item] [qty]│
+│ custom alerts remove [number] │
+│ custom alerts clear           │
+╰────────────────────────────────╯
+
+🚨 Agad na tutunog ang alerts kapag
+   nagka-stock ang katugma! 💎✨`,
+
+    priority: `╔══════════════════════════════════╗
+║  ⚡  𝗣𝗿𝗶𝗼𝗿𝗶𝘁𝘆 𝗗𝗲𝗹𝗶𝘃𝗲𝗿𝘆  ║
+╚══════════════════════════════════╝
+
+{state}
+
+╭─ 💎 Paano ito gumagana ───────╮
+│ ⚡ Nauuna sa lahat ang iyong  │
+│    stock updates              │
+│ 🔔 Nauuna rin ang alert rules │
+╰────────────────────────────────╯
+
+{hint} ✨`,
+    priorityOn: '🟢 Priority notifications: **ON**',
+    priorityOff: '⚪ Priority notifications: **OFF**',
+    priorityOnHint: "I-type ang 'custom priority off' para i-disable.",
+    priorityOffHint: "I-type ang 'custom priority on' para i-enable!",
+
+    analyticsNoData: '📊 Kulang pa ang stock history!\n\nKailangan ng ilang restock bago magkaroon ng analytics — balikan mo mamaya. 💎',
+    analyticsNotSeen: "📊 Hindi lumabas ang '{query}' nitong nakaraang 7 araw. 💎",
+    windowLine: '│ 🕒 {from} - {to}: {count} beses',
+    rankingLine: '│ {rank}. {item}: {count} restock',
+    noWindows: '│ Kulang pa ang data',
+    analytics: `╔══════════════════════════════════╗
+║  📊  𝗦𝘁𝗼𝗰𝗸 𝗔𝗻𝗮𝗹𝘆𝘁𝗶𝗰𝘀  ║
+║      𝗣𝗿𝗲𝗺𝗶𝘂𝗺 💎              ║
+╚══════════════════════════════════╝
+
+📦 Batay sa {snapshots} stock checks
+   nitong nakaraang 7 araw.
+
+{rankings}
+
+╭─ ⏰ Pinakamagandang Oras ({zone}) ─╮
+{windows}
+╰────────────────────────────────╯
+
+💡 {hint} ✨`,
+    matchingItems: `╭─ 🔍 Mga Tugmang Item ─────────╮
+{items}
+╰────────────────────────────────╯`,
+    frequentAndRare: `╭─ 🔥 Pinakamadalas ────────────╮
+{frequent}
+╰────────────────────────────────╯
+
+╭─ 💎 Pinakabihira ─────────────╮
+{rarest}
+╰────────────────────────────────╯`,
+    itemHint: 'Mga oras na pinakamadalas lumabas ang item na ito.',
+    rareHint: 'Mga oras na pinakamadalas lumabas\n   ang rare at divine items.',
+  },
+
+  lang: {
+    current: `╔══════════════════════════════════╗
+║  🌐  𝗪𝗶𝗸𝗮  ║
+╚══════════════════════════════════╝
+
+🗣️ Kinakausap kita sa {language}{source}.
+
+╭─ 🌏 Mga Wika ─────────────────╮
+{languages}
+╰────────────────────────────────╯
+
+💡 I-type ang 'lang [code]' para magpalit, o
+   'lang auto' para sundin ang Messenger! ✨`,
+    fromMessenger: ' (mula sa Messenger settings mo)',
+    languageLine: '│ {marker} {code} · {name}',
+    changed: '✅ Sige! Kakausapin na kita sa {language}. ✨',
+    automatic: '✅ Sige! Susundin ko ang wika ng Messenger mo ({language}). ✨',
+    unknown: "🤔 Hindi ko pa alam ang '{value}'.\nI-type ang 'lang' para makita ang mga wikang alam ko! 🌏",
+  },
+
+  timezone: {
+    current: `╔══════════════════════════════════╗
+║  🕐  𝗧𝗶𝗺𝗲 𝗭𝗼𝗻𝗲  ║
+╚══════════════════════════════════╝
+
+🌏 Ipinapakita ang oras sa {zone}{source}.
+⏰ {time} na ngayon doon.
+
+💡 I-type ang 'timezone [zone]' para magpalit, hal.
+   timezone Asia/Tokyo
+   timezone America/New_York
+   timezone UTC-5
+   'timezone reset' para bumalik sa oras ng PH! ✨`,
+    isDefault: ' (ang default)',
+    changed: '✅ Sige! Ipapakita na ang oras sa {zone} — {time} na ngayon doon. ✨',
+    reset: '✅ Sige! Balik sa oras ng Pilipinas ({zone}). ✨',
+    unknown: "🤔 Hindi ko kilala ang time zone na '{value}'.\nSubukan ang pangalan tulad ng Asia/Tokyo o offset tulad ng UTC-5! 🌏",
+  },
+
+  help: {
+    overview: `╔══════════════════════════════════╗
+║  🤖  𝗘𝗻𝗵𝗮𝗻𝗰𝗲𝗱 𝗚𝗮𝗴𝘀𝘁𝗼𝗰𝗸  ║
+║      𝗧𝘂𝗹𝗼𝗻𝗴 ✨            ║
+╚══════════════════════════════════╝
+{unknown}
+✨ 𝗠𝗴𝗮 𝗖𝗼𝗺𝗺𝗮𝗻𝗱:
+
+{sections}
+
+╭─ 💬 Puwede Mo Akong Kausapin ──╮
+│ Magtanong lang tulad ng:       │
+│ "Ano ang stock ngayon?"       │
+│ "Kailan ang next restock?"    │
+│ "Show me divine items"        │
+╰────────────────────────────────╯
+
+📖 I-type ang 'help [command]' para sa detalye!
+🤖 Version: {version} 🚀`,
+    unknownCommand: "\n🤔 Walang command na '{name}'.\n",
+    guide: `╔══════════════════════════════════╗
+║  📖  𝗚𝗮𝗯𝗮𝘆 𝘀𝗮 𝗖𝗼𝗺𝗺𝗮𝗻𝗱  ║
+╚══════════════════════════════════╝
+
+🌟 {description}
+
+╭─ 🔧 Paggamit ─────────────────╮
+{usages}
+╰────────────────────────────────╯
+{examples}{aliases}
+✨ <kailangan> · [opsyonal]`,
+    examples: '\n💡 Mga halimbawa:\n{examples}\n',
+    aliases: '\n🔁 Puwede ring: {aliases}\n',
+    categories: {
+      tools: 'Tools ⚒️',
+      utility: 'Utility 🔧',
+      premium: 'Premium 👑',
+      admin: 'Admin 👑',
+    },
+  },
+
+  refusal: {
+    premium: `╔══════════════════════════════════╗
+║  🔒  𝗞𝗮𝗶𝗹𝗮𝗻𝗴𝗮𝗻 𝗻𝗴  ║
+║      𝗣𝗿𝗲𝗺𝗶𝘂𝗺 𝗔𝗰𝗰𝗲𝘀𝘀! ✨            ║
+╚══════════════════════════════════╝
+
+🌟 Eksklusibong premium command
+   ito para sa VIP users lang.
+
+╭─ 💎 Paano Magka-access ───────╮
+│ 👑 Kontakin ang bot admin     │
+│ 🎯 Humingi ng pahintulot      │
+│ ✨ I-unlock ang premium       │
+│ 🌟 Gamitin ang exclusive commands │
+╰────────────────────────────────╯
+
+🌱 Puwede mo pa ring gamitin ang regular commands!
+💚 Salamat sa pag-unawa! ✨`,
+
+    staff: `╔══════════════════════════════════╗
+║  🔒  𝗞𝗮𝗶𝗹𝗮𝗻𝗴𝗮𝗻 𝗻𝗴  ║
+║      𝗔𝗱𝗺𝗶𝗻 𝗔𝗰𝗰𝗲𝘀𝘀! ⚡            ║
+╚══════════════════════════════════╝
+
+🛡️ Kailangan ng {role}
+   access o mas mataas para rito.
+
+🌟 Kontakin ang bot owner para sa
+   administrative access! ✨`,
+
+    resting: `╔══════════════════════════════════╗
+║  🌙  𝗡𝗮𝗴𝗽𝗮𝗽𝗮𝗵𝗶𝗻𝗴𝗮 𝗮𝗻𝗴 𝗕𝗼𝘁  ║
+╚══════════════════════════════════╝
+
+😴 Naka-rest mode ako ngayon
+   ({offlineAt} - {onlineAt})
+
+🌟 Balik ka ng {onlineAt} para sa
+   enhanced tracking! ✨`,
+
+    usage: `╔══════════════════════════════════╗
+║  ⚠️  𝗠𝗮𝗹𝗶𝗻𝗴 𝗣𝗮𝗴𝗴𝗮𝗺𝗶𝘁  ║
+╚══════════════════════════════════╝
+
+❗ {error}
+
+🔧 Tamang paggamit:
+{usages}
+{example}
+📖 I-type ang 'help {command}' para sa iba pa! ✨`,
+    example: '\n💡 Halimbawa:\n   {example}\n',
+  },
+
+  usage: {
+    missing: 'Kulang ang {arg}',
+    number: 'Dapat numero ang {arg}',
+    choice: 'Ang {arg} ay dapat isa sa: {choices}',
+    option: "Hindi kilalang opsyon na '{word}'",
+    optionSuggestion: "Hindi kilalang opsyon na '{word}' — '{suggestion}' ba ang ibig mo?",
+  },
+
+  errors: {
+    command: `╔══════════════════════════════════╗
+║  😥  𝗡𝗮𝗴𝗸𝗮-𝗘𝗿𝗿𝗼𝗿  ║
+║      𝘀𝗮 𝗦𝘆𝘀𝘁𝗲𝗺! 🛠️     ║
+╚══════════════════════════════════╝
+
+😔 May hindi inaasahang nangyari
+   sa aming system.
+
+╭─ 🔧 Auto-Recovery Active ─────╮
+│ 🔄 Sinusubukang ayusin        │
+│ 💻 Naabisuhan na ang developer │
+│ ⏰ Kadalasan naaayos agad      │
+│ 🌟 Enhanced stability enabled  │
+╰────────────────────────────────╯
+
+🌱 Pakisubukan ulit maya-maya!
+   Kusang naaayos ang aming system! ✨`,
+
+    rateLimit: `╔══════════════════════════════════╗
+║  ⏰  𝗗𝗮𝗵𝗮𝗻-𝗱𝗮𝗵𝗮𝗻 ║
+║      𝗟𝗮𝗻𝗴! 🚦      ║
+╚══════════════════════════════════╝
+
+🏃‍♂️ Uy, ang bilis mo naman!
+
+Medyo sunod-sunod ang messages mo
+para sa aming systems.
+
+╭─ 🌱 Sandali Lang ─────────────╮
+│ ⏰ Maghintay: Ilang segundo    │
+│ 🧘 Relax: Kalidad bago bilis   │
+│ ✨ Enhanced: Mas magandang experience │
+│ 💚 Pasensya: Sulit ang hintay │
+╰────────────────────────────────╯
+
+🌟 Mas maganda ang takbo kapag
+   dahan-dahan lang! ✨`,
+
+    unknownCommand: `╔══════════════════════════════════╗
+║  ❓  𝗛𝗶𝗻𝗱𝗶 𝗞𝗼  ║
+║      𝗡𝗮𝗶𝗻𝘁𝗶𝗻𝗱𝗶𝗵𝗮𝗻! 🤔       ║
+╚══════════════════════════════════╝
+
+🤖 Hindi ko naintindihan ang '{command}',
+   pero puwede mo akong tanungin nang natural!
+{suggestions}
+╭─ 💡 Subukan Ito ──────────────╮
+│ 💬 "Ano ang stock ngayon?"     │
+│ 💬 "Kailan ang next restock?"  │
+│ 💬 "Show me divine items"      │
+│ 💬 "Ano ang panahon?"          │
+│ 📖 I-type ang 'help' - Commands │
+╰────────────────────────────────╯
+
+🌟 Naiintindihan ko ang natural na
+   pananalita at nandito ako para tumulong! 💚✨`,
+    didYouMean: `
+╭─ 🔍 Ito ba ang ibig mo? ──────╮
+{lines}
+╰────────────────────────────────╯
+`,
+  },
+
+  welcome: {
+    message: `╔══════════════════════════════════╗
+║  🌱  𝗠𝗮𝗹𝗶𝗴𝗮𝘆𝗮𝗻𝗴 𝗽𝗮𝗴𝗱𝗮𝘁𝗶𝗻𝗴, {name}!  ║
+╚══════════════════════════════════╝
+
+🌾 Binabantayan ko ang Grow a Garden shop
+   para sa iyo, para hindi ka maubusan!
+
+╭─ 🚀 Paano Gumagana ang Tracking ─╮
+│ 🔔 'gagstock on' para sa live  │
+│    updates pagkatapos ng restock │
+│ 🎯 Maglagay ng filter para sa  │
+│    items na gusto mo lang      │
+│ 👀 'watch add <item>' para ma- │
+│    alert kapag may stock na    │
+│ ⏰ 'nextstock' para sa timers  │
+╰────────────────────────────────╯
+
+💡 Pindutin ang button sa ibaba, o
+   i-type ang 'help' anumang oras! ✨`,
+  },
+
+  commands: {
+    'gagstock': 'Enhanced na Grow A Garden stock tracker na may magandang format',
+    'gagstock on': 'I-track ang lahat ng items, o ang tugma lang sa filters',
+    'gagstock off': 'Itigil ang tracking',
+    'refresh': 'Pilitin ang pag-refresh ng stock data at linisin ang cache',
+    'dnd': 'I-pause ang notifications ngayon, nang ilang oras o ayon sa iskedyul',
+    'dnd on': 'I-pause ang lahat ng notifications',
+    'dnd off': 'Ituloy ang notifications',
+    'dnd status': 'Tingnan kung naka-on ang DND',
+    'dnd for': 'I-pause ang notifications nang ilang oras',
+    'dnd schedule': 'Mag-set ng araw-araw na quiet hours sa iyong time zone',
+    'dnd except': 'Payagan ang ilang alerts habang tahimik',
+    'nextstock': 'Alamin ang susunod na restock ng bawat category',
+    'history': 'Ipakita kung kailan huling lumabas ang item at gaano kadalas ito mag-restock',
+    'watch': 'Makatanggap ng maikling alert kapag nagka-stock ang binabantayang item',
+    'watch add': 'I-alert ako kapag nag-restock ang item',
+    'watch remove': 'Huwag nang bantayan ang item',
+    'watch list': 'Ipakita ang iyong watchlist',
+    'watch clear': 'Alisin lahat sa iyong watchlist',
+    'watch optin': 'Tuloy-tuloy na alerts kahit 24 oras na tayong hindi nag-uusap',
+    'remind': 'Ma-ping bago mag-restock ang isang category o item',
+    'remind add': "I-ping ako bago ang susunod na restock (idagdag ang 'repeat' para sa bawat isa)",
+    'remind list': 'Ipakita ang iyong mga paalala',
+    'remind cancel': 'Kanselahin ang paalala ayon sa numero, o lahat',
+    'custom': 'Special commands para sa authorized users',
+    'custom divine': 'Divine items lang ang i-track',
+    'custom alerts': 'Alerts para sa partikular na items o categories',
+    'custom priority': 'Priority notifications',
+    'custom analytics': 'Advanced stock analytics',
+    'admin': 'Enhanced admin commands na may advanced features',
+    'admin addvip': 'Magbigay ng premium access, puwedeng pansamantala',
+    'admin removevip': 'Bawiin ang premium access',
+    'admin listvip': 'Ipakita ang lahat ng VIP users',
+    'admin grant': 'Bigyan ang user ng role na mas mababa sa iyo',
+    'admin revoke': 'Ibalik ang user sa regular na role',
+    'admin ban': 'I-block ang user, puwedeng pansamantala',
+    'admin unban': 'Alisin ang ban',
+    'admin roles': 'Ipakita ang lahat ng may role',
+    'admin audit': 'Mga huling privileged na aksyon',
+    'admin stats': 'Ipakita ang performance ng system',
+    'admin backup': 'Gumawa ng system backup',
+    'admin broadcast': 'Mag-anunsyo sa lahat ng nag-message sa bot (may preview muna)',
+    'admin catalog': 'Tiers, emojis at aliases',
+    'admin profile': 'Menu, Get Started at ice breakers mula sa commands',
+    'id': 'Kunin ang iyong Facebook user ID',
+    'lang': 'Piliin ang wikang gagamitin ng bot sa iyo',
+    'timezone': 'Ipakita ang oras sa sarili mong time zone',
+    'notify': 'I-preview, i-schedule at ipadala ang mga anunsyo sa audience',
+    'notify offline': 'Alert na magiging offline ang bot',
+    'notify online': 'Alert na online na ulit ang bot',
+    'notify message': 'Custom na anunsyo; simulan sa to=, item=, at= o in= para i-target o i-schedule',
+    'notify confirm': 'Ipadala (o i-schedule) ang na-preview mong broadcast',
+    'notify cancel': 'Itapon ang preview mo, o isang naka-schedule na broadcast ayon sa id',
+    'notify scheduled': 'Mga broadcast na naghihintay ipadala',
+    'notify report': 'Delivery report kasama ang mga pumalya',
+    'help': 'Ipakita ang mga command na magagamit mo, o kung paano gamitin ang isa',
+  },
+};
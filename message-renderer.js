@@ -0,0 +1,124 @@
+/**
+ * Send API limits the renderer works within
+ */
+export const LIMITS = {
+  text: 2000,
+  buttonTemplateText: 640,
+  title: 80,
+  subtitle: 80,
+  buttons: 3,
+  carouselElements: 10,
+};
+
+/**
+ * Splits text into chunks of at most `limit` characters, preferring to break between
+ * paragraphs, then between lines, and only cutting mid-line when a single line is too long.
+ */
+export function splitText(text, limit = LIMITS.text) {
+  if (text.length <= limit) return [text];
+
+  const chunks = [];
+  let current = '';
+  const push = () => {
+    if (current.trim()) chunks.push(current.replace(/\n+$/, ''));
+    current = '';
+  };
+
+  for (const paragraph of text.split(/(?<=\n\n)/)) {
+    if (current.length + paragraph.length <= limit) {
+      current += paragraph;
+      continue;
+    }
+    push();
+    for (const line of paragraph.split(/(?<=\n)/)) {
+      if (current.length + line.length > limit) push();
+      for (let start = 0; start < line.length; start += limit) {
+        const piece = line.slice(start, start + limit);
+        if (current.length + piece.length > limit) push();
+        current += piece;
+      }
+    }
+  }
+  push();
+  return chunks;
+}
+
+/**
+ * Splits a message whose text is over the limit into several, keeping quick replies and other
+ * fields on the last one. With `single`, long text is shortened to fit one message instead.
+ */
+export function splitMessage(message, { single = false } = {}) {
+  const { text, ...rest } = message;
+  if (typeof text !== 'string') return [message];
+
+  const parts = splitText(text);
+  if (single && parts.length > 1) return [{ ...rest, text: `${splitText(text, LIMITS.text - 1)[0]}…` }];
+  return parts.map((part, index) => (index === parts.length - 1 ? { ...rest, text: part } : { text: part }));
+}
+
+function truncate(text, limit) {
+  const characters = [...text];
+  return characters.length <= limit ? text : characters.slice(0, limit - 1).join('') + '…';
+}
+
+/**
+ * Joins as many entries as fit in `limit` characters, ending with "+N more" when some do not
+ */
+function fitList(prefix, entries, limit) {
+  let text = prefix;
+  for (const [index, entry] of entries.entries()) {
+    const remaining = entries.length - index - 1;
+    const candidate = text + (text === prefix ? '' : ', ') + entry;
+    const suffix = remaining > 0 ? ` +${remaining} more` : '';
+    if ([...candidate].length + suffix.length > limit) {
+      return `${text} +${entries.length - index} more`;
+    }
+    text = candidate;
+  }
+  return text;
+}
+
+/** A postback button; the payload is handled like a quick reply payload */
+export const postbackButton = (title, payload) => ({ type: 'postback', title: truncate(title, 20), payload });
+
+/**
+ * Button template: short text with up to three buttons. Text over the template limit
+ * falls back to a plain text message.
+ */
+export function renderButtonTemplate(text, buttons) {
+  if (text.length > LIMITS.buttonTemplateText || buttons.length === 0) return { text };
+  return {
+    attachment: {
+      type: 'template',
+      payload: { template_type: 'button', text, buttons: buttons.slice(0, LIMITS.buttons) },
+    },
+  };
+}
+
+/**
+ * Renders stock sections as a carousel of generic templates, one card per category.
+ * Each card lists as many items as fit in its subtitle.
+ *
+ * @param {{ category: string, label: string, restock: string, items: { name: string, value: number }[] }[]} sections
+ * @param {object} options
+ * @param {(item: { name: string, value: number }) => string} options.formatItem
+ * @param {(section: object) => object[]} [options.buttonsFor] - Buttons for each card
+ */
+export function renderStockCarousel(sections, { formatItem, buttonsFor = () => [] }) {
+  const elements = sections.slice(0, LIMITS.carouselElements).map(section => {
+    const element = {
+      title: truncate(`${section.label} (${section.items.length})`, LIMITS.title),
+      subtitle: fitList(`⏰ ${section.restock} • `, section.items.map(formatItem), LIMITS.subtitle),
+    };
+    const buttons = buttonsFor(section).slice(0, LIMITS.buttons);
+    if (buttons.length > 0) element.buttons = buttons;
+    return element;
+  });
+
+  return {
+    attachment: {
+      type: 'template',
+      payload: { template_type: 'generic', image_aspect_ratio: 'horizontal', elements },
+    },
+  };
+}
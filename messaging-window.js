@@ -0,0 +1,206 @@
+import logger from './logger.js';
+import storage from './storage.js';
+
+/**
+ * --- CONFIGURATION ---
+ * Messenger only allows free-form messages within 24 hours of the user's last message.
+ * Outside that window a send needs a message tag or a notification opt-in token.
+ */
+const CONFIG = {
+  window: 24 * 60 * 60 * 1000,
+  maxDeferred: 5,
+  deferredTtl: 7 * 24 * 60 * 60 * 1000,
+};
+
+/** Minimum spacing between recurring notifications, per the frequency the user picked */
+const FREQUENCIES = {
+  DAILY: 24 * 60 * 60 * 1000,
+  WEEKLY: 7 * 24 * 60 * 60 * 1000,
+  MONTHLY: 30 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Why a message is being sent; decides what happens when the window has closed.
+ * - response: a reply to something the user just sent
+ * - update: proactive and only useful now (tracker updates); dropped outside the window
+ * - alert: a restock alert; falls back to a notification opt-in token, else dropped
+ * - notice: an announcement; held until the user next writes
+ * - account: a change to the user's own access; sent with the ACCOUNT_UPDATE tag
+ *
+ * @typedef {'response'|'update'|'alert'|'notice'|'account'} SendPurpose
+ *
+ * @typedef {object} NotificationToken
+ * @property {'one_time'|'recurring'} type
+ * @property {string} token
+ * @property {string|null} payload - Topic the user opted in to
+ * @property {string|null} frequency - DAILY, WEEKLY or MONTHLY for recurring tokens
+ * @property {number|null} expiresAt
+ * @property {number|null} lastUsedAt
+ */
+
+const lastInbound = storage.map('lastInbound'); // userId -> epoch ms of their last message
+const notificationTokens = storage.map('notificationTokens'); // userId -> NotificationToken[]
+const deferredMessages = storage.map('deferredMessages'); // userId -> { message, queuedAt }[]
+
+const isUsable = (token, now) =>
+  (!token.expiresAt || token.expiresAt > now) &&
+  (token.type === 'one_time' || !token.lastUsedAt || now - token.lastUsedAt >= (FREQUENCIES[token.frequency] || FREQUENCIES.DAILY));
+
+/**
+ * Picks a notification token for an alert, consuming one-time tokens
+ * (see restoreNotificationToken for a send that then fails)
+ */
+function takeNotificationToken(userId, now) {
+  const tokens = (notificationTokens.get(userId) || []).filter(token => !token.expiresAt || token.expiresAt > now);
+  const token = tokens.find(candidate => candidate.type === 'recurring' && isUsable(candidate, now))
+    || tokens.find(candidate => candidate.type === 'one_time');
+  if (!token) {
+    if (tokens.length > 0) notificationTokens.set(userId, tokens);
+    else notificationTokens.delete(userId);
+    return null;
+  }
+
+  const remaining = token.type === 'one_time'
+    ? tokens.filter(candidate => candidate !== token)
+    : tokens.map(candidate => (candidate === token ? { ...candidate, lastUsedAt: now } : candidate));
+  if (remaining.length > 0) notificationTokens.set(userId, remaining);
+  else notificationTokens.delete(userId);
+  return token;
+}
+
+/**
+ * Tracks the Messenger 24-hour window and notification opt-ins per user
+ */
+const messagingWindow = {
+  /** Call for every message or postback the user sends */
+  recordInbound(userId, timestamp = Date.now()) {
+    if ((lastInbound.get(userId) || 0) < timestamp) lastInbound.set(userId, timestamp);
+  },
+
+  /** Epoch ms of the user's last message, or null if we never heard from them */
+  getLastInbound: (userId) => lastInbound.get(userId) ?? null,
+
+  /** Every user we have heard from, with when */
+  getKnownUsers: () => new Map(lastInbound),
+
+  isOpen(userId, now = Date.now()) {
+    const last = lastInbound.get(userId);
+    return last !== undefined && now - last < CONFIG.window;
+  },
+
+  /**
+   * Stores the token from a `messaging_optins` event. Returns the stored token,
+   * or null for opt-in types we do not use (and for "stop notifications").
+   */
+  recordOptin(userId, optin) {
+    const now = Date.now();
+    const tokens = (notificationTokens.get(userId) || []).filter(token => !token.expiresAt || token.expiresAt > now);
+    let token;
+
+    if (optin?.type === 'one_time_notif_req' && optin.one_time_notif_token) {
+      token = {
+        type: 'one_time',
+        token: optin.one_time_notif_token,
+        payload: optin.payload ?? null,
+        frequency: null,
+        expiresAt: now + 365 * 24 * 60 * 60 * 1000,
+        lastUsedAt: null,
+      };
+    } else if (optin?.type === 'notification_messages' && optin.notification_messages_token) {
+      token = {
+        type: 'recurring',
+        token: optin.notification_messages_token,
+        payload: optin.payload ?? null,
+        frequency: optin.notification_messages_frequency || 'DAILY',
+        expiresAt: optin.token_expiry_timestamp || null,
+        lastUsedAt: null,
+      };
+    } else {
+      logger.debug(`🔔 Ignored opt-in of type '${optin?.type}' from ${userId}`);
+      return null;
+    }
+
+    // A recurring token is replaced on re-opt-in and removed when the user stops notifications
+    const others = tokens.filter(existing => existing.token !== token.token);
+    const stopped = optin.notification_messages_status === 'STOP_NOTIFICATIONS';
+    const next = stopped ? others : [...others, token];
+    if (next.length > 0) notificationTokens.set(userId, next);
+    else notificationTokens.delete(userId);
+
+    logger.info(stopped
+      ? `🔕 User ${userId} stopped recurring notifications`
+      : `🔔 User ${userId} opted in to ${token.type === 'one_time' ? 'a one-time' : token.frequency.toLowerCase()} notification`);
+    return stopped ? null : token;
+  },
+
+  /**
+   * Gives back a token that resolve() handed out for a send that did not go out,
+   * as it was before (a recurring token the user stopped meanwhile stays gone)
+   */
+  restoreNotificationToken(userId, token) {
+    const tokens = notificationTokens.get(userId) || [];
+    if (token.type === 'recurring' && !tokens.some(existing => existing.token === token.token)) return;
+    notificationTokens.set(userId, [...tokens.filter(existing => existing.token !== token.token), token]);
+  },
+
+  /** Whether the user holds a token we could use for an alert right now */
+  hasNotificationToken(userId, now = Date.now()) {
+    return (notificationTokens.get(userId) || []).some(token => isUsable(token, now));
+  },
+
+  /**
+   * Decides how (and whether) a message may be sent right now.
+   * Returns the Send API fields to merge into the request body, or an action to take instead.
+   * An alert sent with a notification token also gets the `token` it used up; pass it to
+   * restoreNotificationToken if the send fails.
+   *
+   * @param {string} userId
+   * @param {SendPurpose} purpose
+   * @returns {{ action: 'send', fields: object, token?: NotificationToken } | { action: 'defer' } | { action: 'drop' }}
+   */
+  resolve(userId, purpose = 'response', now = Date.now()) {
+    if (purpose === 'response') return { action: 'send', fields: { messaging_type: 'RESPONSE' } };
+    if (messagingWindow.isOpen(userId, now)) return { action: 'send', fields: { messaging_type: 'UPDATE' } };
+
+    if (purpose === 'account') {
+      return { action: 'send', fields: { messaging_type: 'MESSAGE_TAG', tag: 'ACCOUNT_UPDATE' } };
+    }
+    if (purpose === 'alert') {
+      const token = takeNotificationToken(userId, now);
+      if (token) {
+        const key = token.type === 'one_time' ? 'one_time_notif_token' : 'notification_messages_token';
+        return { action: 'send', fields: { recipient: { [key]: token.token } }, token };
+      }
+    }
+    if (purpose === 'notice') return { action: 'defer' };
+    return { action: 'drop' };
+  },
+
+  /** Holds a message until the user's next inbound message reopens the window */
+  defer(userId, message, now = Date.now()) {
+    const queue = [...(deferredMessages.get(userId) || []), { message, queuedAt: now }];
+    deferredMessages.set(userId, queue.slice(-CONFIG.maxDeferred));
+  },
+
+  /** Removes and returns the messages held for a user, oldest first, skipping stale ones */
+  takeDeferred(userId, now = Date.now()) {
+    const queue = deferredMessages.get(userId);
+    if (!queue) return [];
+    deferredMessages.delete(userId);
+    return queue.filter(entry => now - entry.queuedAt < CONFIG.deferredTtl).map(entry => entry.message);
+  },
+
+  /** Counts for health checks and admin stats */
+  getStats: (now = Date.now()) => ({
+    knownUsers: lastInbound.size,
+    openWindows: [...lastInbound.values()].filter(last => now - last < CONFIG.window).length,
+    usersWithTokens: notificationTokens.size,
+    usersWithDeferred: deferredMessages.size,
+  }),
+
+  /** Configuration methods */
+  setConfig: (newConfig) => Object.assign(CONFIG, newConfig),
+  getConfig: () => ({ ...CONFIG }),
+};
+
+export default messagingWindow;
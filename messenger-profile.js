@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import logger from './logger.js';
+import storage from './storage.js';
+
+/**
+ * --- CONFIGURATION ---
+ * The Messenger Profile (Get Started button, persistent menu, ice breakers) is built
+ * from the `menu` and `iceBreakers` entries on registered commands.
+ */
+const CONFIG = {
+  url: 'https://graph.facebook.com/v19.0/me/messenger_profile',
+  timeout: 10000,
+  maxMenuItems: 20,
+  maxIceBreakers: 4,
+  maxTitleLength: 30,
+};
+
+const COMMAND_PREFIX = 'COMMAND:';
+
+/** Payload of the Get Started button */
+export const GET_STARTED_PAYLOAD = 'GET_STARTED';
+
+const syncState = storage.map('messengerProfile'); // 'hash' | 'syncedAt' -> value
+
+/**
+ * Postback payload that runs a command line as if the user had typed it
+ */
+export function commandPayload(text) {
+  return COMMAND_PREFIX + text;
+}
+
+/**
+ * The command line inside a commandPayload, or null for any other payload
+ */
+export function parseCommandPayload(payload) {
+  return payload?.startsWith(COMMAND_PREFIX) ? payload.slice(COMMAND_PREFIX.length) : null;
+}
+
+/**
+ * Builds the Messenger Profile from a commands map (name and alias -> command).
+ * Commands list their buttons as `menu: [{ title, args }]` and `iceBreakers: [{ question, args }]`.
+ */
+export function buildMessengerProfile(commands) {
+  const unique = [...new Set(commands.values())];
+  const line = (command, args) => [command.name, args].filter(Boolean).join(' ');
+
+  const menu = unique
+    .flatMap(command => (command.menu || []).map(entry => ({
+      type: 'postback',
+      title: entry.title.slice(0, CONFIG.maxTitleLength),
+      payload: commandPayload(line(command, entry.args)),
+    })))
+    .slice(0, CONFIG.maxMenuItems);
+
+  const iceBreakers = unique
+    .flatMap(command => (command.iceBreakers || []).map(entry => ({
+      question: entry.question,
+      payload: commandPayload(line(command, entry.args)),
+    })))
+    .slice(0, CONFIG.maxIceBreakers);
+
+  return {
+    get_started: { payload: GET_STARTED_PAYLOAD },
+    persistent_menu: [{ locale: 'default', composer_input_disabled: false, call_to_actions: menu }],
+    ice_breakers: [{ locale: 'default', call_to_actions: iceBreakers }],
+  };
+}
+
+/**
+ * Uploads a profile to the Messenger Profile API. Skips the call when the same profile
+ * was already uploaded, unless forced. Throws if the API rejects it.
+ *
+ * @returns {Promise<{ changed: boolean, syncedAt: number|null }>}
+ */
+export async function syncMessengerProfile(profile, accessToken, { force = false } = {}) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(profile)).digest('hex');
+  if (!force && syncState.get('hash') === hash) {
+    logger.debug('📋 Messenger profile unchanged, skipping sync');
+    return { changed: false, syncedAt: syncState.get('syncedAt') ?? null };
+  }
+
+  try {
+    await axios.post(CONFIG.url, profile, { params: { access_token: accessToken }, timeout: CONFIG.timeout });
+  } catch (error) {
+    const reason = error.response?.data?.error?.message || error.message;
+    throw new Error(`Messenger profile sync failed: ${reason}`);
+  }
+
+  const syncedAt = Date.now();
+  syncState.set('hash', hash);
+  syncState.set('syncedAt', syncedAt);
+  logger.success(`📋 Messenger profile synced (${profile.persistent_menu[0].call_to_actions.length} menu items, ${profile.ice_breakers[0].call_to_actions.length} ice breakers)`);
+  return { changed: true, syncedAt };
+}
@@ -0,0 +1,159 @@
+import storage from './storage.js';
+import { getZonedParts, nextTimeOfDay } from './time-zones.js';
+
+/** Notifications a user can let through while they are quiet ('dnd except ...') */
+export const EXCEPTION_KINDS = ['divine', 'watchlist', 'alerts', 'reminders'];
+
+/** Held notifications that are listed in the digest, by item name */
+const DIGEST_KINDS = ['divine', 'watchlist', 'alerts'];
+
+/**
+ * @typedef {object} QuietWindow - Daily quiet hours in the user's time zone, in minutes after midnight.
+ *   A window whose end is before its start runs past midnight (22:00-07:00).
+ * @property {number} start
+ * @property {number} end
+ *
+ * @typedef {object} QuietSettings
+ * @property {QuietWindow|null} window
+ * @property {number|null} until - End of a timed pause ('dnd 2h'), epoch ms
+ * @property {string[]} exceptions - EXCEPTION_KINDS that still get through
+ *
+ * @typedef {object} Digest - What was held back while the user was quiet
+ * @property {number} since - When the first thing was held
+ * @property {number} updates - Tracker updates skipped
+ * @property {Record<string, string[]>} items - Item names per DIGEST_KINDS entry
+ */
+
+const quietSettings = storage.map('quietHours'); // userId -> QuietSettings
+const digests = storage.map('quietDigests'); // userId -> Digest
+
+const emptySettings = () => ({ window: null, until: null, exceptions: [] });
+
+function update(userId, changes) {
+  const settings = { ...emptySettings(), ...quietSettings.get(userId), ...changes };
+  if (!settings.window && !settings.until && settings.exceptions.length === 0) quietSettings.delete(userId);
+  else quietSettings.set(userId, settings);
+  return settings;
+}
+
+const formatClock = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Parses "22:00-07:00" (24-hour clock) into a QuietWindow, or null
+ */
+export function parseQuietWindow(text) {
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(text?.trim() || '');
+  if (!match) return null;
+  const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+  if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) return null;
+  const window = { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+  return window.start === window.end ? null : window;
+}
+
+/** "22:00-07:00" */
+export function describeQuietWindow(window) {
+  return `${formatClock(window.start)}-${formatClock(window.end)}`;
+}
+
+function inWindow(window, timeZone, now) {
+  const { hour, minute } = getZonedParts(timeZone, now);
+  const minutes = hour * 60 + minute;
+  return window.start < window.end
+    ? minutes >= window.start && minutes < window.end
+    : minutes >= window.start || minutes < window.end;
+}
+
+/**
+ * Per-user quiet hours, timed pauses and the digest of what they missed.
+ * The manual on/off switch lives with the bot; this covers everything with a clock.
+ */
+const quietHours = {
+  /** The user's settings, with defaults */
+  get: (userId) => ({ ...emptySettings(), ...quietSettings.get(userId) }),
+
+  /** Sets or (with null) removes the user's daily quiet hours */
+  setWindow: (userId, window) => update(userId, { window }),
+
+  /** Stays quiet for `duration` ms from now */
+  pauseFor: (userId, duration, now = Date.now()) => update(userId, { until: now + duration }),
+
+  /** Ends a timed pause early */
+  clearPause: (userId) => update(userId, { until: null }),
+
+  setExceptions: (userId, kinds) => update(userId, { exceptions: EXCEPTION_KINDS.filter(kind => kinds.includes(kind)) }),
+
+  /** Whether a kind of notification gets through while the user is quiet */
+  allows: (userId, kind) => quietHours.get(userId).exceptions.includes(kind),
+
+  /** Whether a timed pause or the daily quiet hours are on right now */
+  isQuiet(userId, timeZone, now = Date.now()) {
+    const { window, until } = quietHours.get(userId);
+    return (until !== null && until > now) || (window !== null && inWindow(window, timeZone, now));
+  },
+
+  /**
+   * When the user's quiet time ends, or null if they are not quiet. A pause that runs
+   * into the quiet hours (or the other way round) ends when the later of the two does.
+   */
+  getQuietUntil(userId, timeZone, now = Date.now()) {
+    const { window, until } = quietHours.get(userId);
+    let end = until !== null && until > now ? until : null;
+    for (let checked = 0; window && checked < 2; checked++) {
+      const at = end ?? now;
+      if (!inWindow(window, timeZone, at)) break;
+      end = nextTimeOfDay(timeZone, Math.floor(window.end / 60), window.end % 60, at);
+    }
+    return end;
+  },
+
+  /** Notes a skipped tracker update for the digest */
+  holdUpdate(userId, now = Date.now()) {
+    const digest = digests.get(userId) || { since: now, updates: 0, items: {} };
+    digests.set(userId, { ...digest, updates: digest.updates + 1 });
+  },
+
+  /** Notes items of one kind ('divine', 'watchlist' or 'alerts') for the digest */
+  holdItems(userId, kind, names, now = Date.now()) {
+    if (!DIGEST_KINDS.includes(kind) || names.length === 0) return;
+    const digest = digests.get(userId) || { since: now, updates: 0, items: {} };
+    const items = { ...digest.items, [kind]: [...new Set([...(digest.items[kind] || []), ...names])] };
+    digests.set(userId, { ...digest, items });
+  },
+
+  /** Puts back a digest that could not be sent, merged with anything held since */
+  restoreDigest(userId, digest) {
+    const current = digests.get(userId);
+    if (!current) {
+      digests.set(userId, digest);
+      return;
+    }
+    const items = { ...digest.items };
+    for (const [kind, names] of Object.entries(current.items)) {
+      items[kind] = [...new Set([...(items[kind] || []), ...names])];
+    }
+    digests.set(userId, { since: Math.min(digest.since, current.since), updates: digest.updates + current.updates, items });
+  },
+
+  /** Users with something held for them */
+  getHeldUsers: () => [...digests.keys()],
+
+  /** Removes and returns the user's digest, or null */
+  takeDigest(userId) {
+    const digest = digests.get(userId) ?? null;
+    digests.delete(userId);
+    return digest;
+  },
+
+  /** Forgets everything about a user (e.g. when they are banned) */
+  forget(userId) {
+    quietSettings.delete(userId);
+    digests.delete(userId);
+  },
+
+  getStats: () => ({
+    configured: quietSettings.size,
+    pendingDigests: digests.size,
+  }),
+};
+
+export default quietHours;
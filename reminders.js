@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+import storage from './storage.js';
+
+/**
+ * @typedef {object} Reminder
+ * @property {string} id
+ * @property {string} userId
+ * @property {string} category - Whose restocks the reminder follows
+ * @property {string|null} item - Item the user asked about, if any (it restocks with its category)
+ * @property {number} lead - How long before the restock to ping (ms)
+ * @property {boolean} repeat - Ping before every restock, or only the next one
+ * @property {number} restockAt - The restock the next ping is for (epoch ms)
+ * @property {number} createdAt
+ * @property {number} [failures] - Pings of a one-off reminder that failed in a row
+ *
+ * What became of a ping:
+ * - sent: it went out
+ * - held: the bot or the user is resting; it waits for the next restock
+ * - failed: the send went wrong; a one-off reminder tries again a few times
+ * - undeliverable: the user cannot be reached (window closed, no opt-in token); a one-off reminder is dropped
+ *
+ * @typedef {'sent'|'held'|'failed'|'undeliverable'} PingOutcome
+ */
+
+const reminders = storage.map('reminders'); // id -> Reminder
+
+/**
+ * Creates the reminder scheduler. Reminders are stored with the restock they are waiting for,
+ * so they carry on after a restart; one whose restock passed while the bot was down moves on
+ * to the next restock without pinging late. A one-off reminder whose ping was held back (the bot
+ * was resting, the user was quiet) waits for the following restock; one whose ping failed does
+ * too, up to `maxRetries` times; one that cannot reach the user at all is dropped.
+ *
+ * @param {object} options
+ * @param {(category: string, now: number) => number|null} options.getNextRestock - First restock after `now`
+ * @param {(reminder: Reminder) => Promise<PingOutcome>} options.deliver - Sends the ping (a throw counts as failed)
+ * @param {number} [options.checkInterval] - How often due reminders are looked for (ms)
+ * @param {number} [options.maxRetries] - Restocks a one-off reminder tries again for after a failed ping
+ */
+export function createReminderScheduler({ getNextRestock, deliver, checkInterval = 5 * 1000, maxRetries = 3 }) {
+  let timer = null;
+  const sending = new Set(); // ids of reminders being delivered right now
+
+  // The first restock still far enough away to ping `lead` before it
+  const nextRestockFor = (category, lead, now) => getNextRestock(category, now + lead);
+
+  // Moves a reminder on to its next restock, dropping it if its category lost its schedule
+  function reschedule(reminder, now) {
+    const restockAt = nextRestockFor(reminder.category, reminder.lead, now);
+    if (restockAt === null) reminders.delete(reminder.id);
+    else reminders.set(reminder.id, { ...reminder, restockAt });
+  }
+
+  // Decides what is left of a reminder once its ping was attempted
+  function afterPing(reminder, outcome, now) {
+    const failures = outcome === 'failed' ? (reminder.failures || 0) + 1 : 0;
+    if (reminder.repeat || outcome === 'held') {
+      reschedule(reminder, now);
+    } else if (outcome === 'failed' && failures <= maxRetries) {
+      reschedule({ ...reminder, failures }, now);
+      logger.debug(`⏰ Reminder ${reminder.id} failed to ping, trying again before the next restock (${failures}/${maxRetries})`);
+    } else {
+      reminders.delete(reminder.id);
+      if (outcome === 'undeliverable') logger.debug(`⏰ Reminder ${reminder.id} dropped: the user cannot be reached`);
+      else if (outcome === 'failed') logger.debug(`⏰ Reminder ${reminder.id} dropped after ${failures} failed pings`);
+    }
+  }
+
+  async function sendDue(now = Date.now()) {
+    for (const [id, reminder] of reminders) {
+      if (reminder.restockAt - reminder.lead > now || sending.has(id)) continue;
+
+      if (reminder.restockAt <= now) {
+        reschedule(reminder, now);
+        logger.debug(`⏰ Reminder ${id} missed its restock, moved to the next one`);
+        continue;
+      }
+
+      sending.add(id);
+      let outcome = 'failed';
+      try {
+        outcome = await deliver(reminder);
+      } catch (error) {
+        logger.error(`❌ Reminder ${id} failed:`, error);
+      } finally {
+        sending.delete(id);
+      }
+      // Read it again: the user may have cancelled or changed it while the ping was going out
+      const current = reminders.get(id);
+      if (current) afterPing(current, outcome, Date.now());
+    }
+  }
+
+  const listFor = (userId) => [...reminders.values()]
+    .filter(reminder => reminder.userId === userId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  return {
+    /**
+     * Adds a reminder, or updates the user's existing one for the same category and item.
+     * Returns null for a category without a schedule.
+     *
+     * @returns {{ reminder: Reminder, updated: boolean } | null}
+     */
+    add(userId, { category, item = null, lead, repeat = false }, now = Date.now()) {
+      const restockAt = nextRestockFor(category, lead, now);
+      if (restockAt === null) return null;
+
+      const existing = listFor(userId).find(reminder => reminder.category === category && reminder.item === item);
+      const reminder = {
+        id: existing?.id ?? crypto.randomBytes(3).toString('hex'),
+        userId,
+        category,
+        item,
+        lead,
+        repeat,
+        restockAt,
+        createdAt: existing?.createdAt ?? now,
+      };
+      reminders.set(reminder.id, reminder);
+      return { reminder, updated: Boolean(existing) };
+    },
+
+    /** The user's reminders, oldest first */
+    list: listFor,
+
+    /** Removes one of the user's reminders; returns it, or null */
+    remove(userId, id) {
+      const reminder = reminders.get(id);
+      if (reminder?.userId !== userId) return null;
+      reminders.delete(id);
+      return reminder;
+    },
+
+    /** Removes all of the user's reminders; returns how many there were */
+    clear(userId) {
+      const owned = listFor(userId);
+      owned.forEach(reminder => reminders.delete(reminder.id));
+      return owned.length;
+    },
+
+    /** Starts pinging reminders as they fall due */
+    start() {
+      if (timer) return;
+      timer = setInterval(() => sendDue(), checkInterval);
+      sendDue();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    getStats: () => ({
+      reminders: reminders.size,
+      repeating: [...reminders.values()].filter(reminder => reminder.repeat).length,
+    }),
+  };
+}
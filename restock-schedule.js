@@ -0,0 +1,111 @@
+import { DEFAULT_TIME_ZONE, getZonedParts, zonedTimeToInstant } from './time-zones.js';
+
+/**
+ * --- CONFIGURATION ---
+ * When each stock category restocks, in minutes. Restocks fall at `offset + k * every`.
+ * Cycles run on from the Unix epoch (midnight UTC), so any interval that divides a day
+ * lines up with the clock. `daily` cycles start over at midnight in `timeZone` instead,
+ * like cosmetics at 00:00, 07:00, 14:00 and 21:00 Philippine time.
+ */
+const CONFIG = {
+  categories: {
+    gear: { every: 5 },
+    seed: { every: 3 },
+    egg: { every: 30 },
+    cosmetics: { every: 7 * 60, daily: true, timeZone: DEFAULT_TIME_ZONE },
+    honey: { every: 60 },
+  },
+};
+
+const MINUTE = 60 * 1000;
+
+/**
+ * @typedef {object} CategorySchedule
+ * @property {number} every - Minutes between restocks
+ * @property {number} [offset] - Minutes after the start of the cycle of the first restock (default 0)
+ * @property {boolean} [daily] - Start the cycle over at local midnight
+ * @property {string} [timeZone] - Zone whose midnight a daily cycle follows (default DEFAULT_TIME_ZONE)
+ */
+
+function validate(categories) {
+  for (const [category, schedule] of Object.entries(categories)) {
+    if (!(schedule.every > 0)) throw new Error(`Restock interval for '${category}' must be positive`);
+    const offset = schedule.offset ?? 0;
+    if (offset < 0 || offset >= schedule.every) throw new Error(`Restock offset for '${category}' must be under its interval`);
+  }
+}
+
+/** First restock strictly after `now` */
+function nextAfter(schedule, now) {
+  const every = schedule.every * MINUTE;
+  const offset = (schedule.offset ?? 0) * MINUTE;
+  if (!schedule.daily) return Math.floor((now - offset) / every) * every + every + offset;
+
+  // Slots are counted from local midnight; one that would run past the next midnight moves to the next day
+  const timeZone = schedule.timeZone ?? DEFAULT_TIME_ZONE;
+  const { year, month, day } = getZonedParts(timeZone, now);
+  for (let days = 0; ; days++) {
+    const midnight = zonedTimeToInstant(timeZone, { year, month, day: day + days });
+    const nextMidnight = zonedTimeToInstant(timeZone, { year, month, day: day + days + 1 });
+    const elapsed = now - midnight;
+    const slot = elapsed < offset ? offset : Math.floor((elapsed - offset) / every) * every + every + offset;
+    if (midnight + slot < nextMidnight) return midnight + slot;
+  }
+}
+
+/**
+ * The restock timetable: every answer to "when does X restock next" comes from here
+ */
+const restockSchedule = {
+  /** Categories with a schedule */
+  getCategories: () => Object.keys(CONFIG.categories),
+
+  has: (category) => Object.hasOwn(CONFIG.categories, category),
+
+  /**
+   * The next `count` restocks of a category after `now`, soonest first (epoch ms).
+   * Empty for a category without a schedule.
+   */
+  getUpcoming(category, count = 1, now = Date.now()) {
+    const schedule = CONFIG.categories[category];
+    const upcoming = [];
+    for (let at = now; schedule && upcoming.length < count; ) {
+      at = nextAfter(schedule, at);
+      upcoming.push(at);
+    }
+    return upcoming;
+  },
+
+  /** The next restock of a category (epoch ms), or null */
+  getNext: (category, now = Date.now()) => restockSchedule.getUpcoming(category, 1, now)[0] ?? null,
+
+  /**
+   * The soonest restock among several categories, with every category restocking at that moment
+   *
+   * @returns {{ at: number, categories: string[] } | null}
+   */
+  getNextOf(categories, now = Date.now()) {
+    let next = null;
+    for (const category of categories) {
+      const at = restockSchedule.getNext(category, now);
+      if (at === null) continue;
+      if (!next || at < next.at) next = { at, categories: [category] };
+      else if (at === next.at) next.categories.push(category);
+    }
+    return next;
+  },
+
+  /** Minutes between restocks of a category, or null */
+  getInterval: (category) => CONFIG.categories[category]?.every ?? null,
+
+  /** Configuration methods */
+  setConfig(newConfig) {
+    if (newConfig.categories) validate(newConfig.categories);
+    Object.assign(CONFIG, newConfig);
+  },
+  getConfig: () => ({ ...CONFIG }),
+};
+
+validate(CONFIG.categories);
+
+export default restockSchedule;
@@ -0,0 +1,162 @@
+import axios from 'axios';
+import logger from './logger.js';
+
+/**
+ * --- CONFIGURATION ---
+ * Every Send API call goes through this queue. Calls to one recipient are delivered
+ * in the order they were queued; calls to different recipients run side by side.
+ */
+const CONFIG = {
+  url: 'https://graph.facebook.com/v19.0/me/messages',
+  timeout: 10000,
+  concurrency: 8,
+  maxAttempts: 4,
+  baseDelay: 500,
+  maxDelay: 30 * 1000,
+  rateLimitDelay: 60 * 1000,
+};
+
+/** Graph API error codes that mean "slow down" rather than "this request is wrong" */
+const RATE_LIMIT_CODES = new Set([4, 17, 32, 613, 80006]);
+/** Graph API error codes for temporary failures worth retrying */
+const TRANSIENT_CODES = new Set([1, 2, 1200]);
+
+const chains = new Map(); // recipientId -> promise of the last queued send
+const waitingForSlot = [];
+let inFlight = 0;
+let pausedUntil = 0;
+
+const stats = {
+  queued: 0,
+  sent: 0,
+  failed: 0,
+  retries: 0,
+  rateLimited: 0,
+  failuresByCode: {},
+  lastError: null,
+  lastErrorAt: null,
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function acquireSlot() {
+  while (inFlight >= CONFIG.concurrency) {
+    await new Promise(resolve => waitingForSlot.push(resolve));
+  }
+  inFlight++;
+}
+
+function releaseSlot() {
+  inFlight--;
+  waitingForSlot.shift()?.();
+}
+
+/**
+ * Sorts a failed call into retryable or not, and whether it hit a rate limit
+ */
+function classify(error) {
+  if (!error.response) {
+    return { code: 'network', retryable: true, rateLimited: false, message: error.message };
+  }
+  const { status, data } = error.response;
+  const code = data?.error?.code;
+  const rateLimited = status === 429 || RATE_LIMIT_CODES.has(code);
+  return {
+    code: code ?? `http_${status}`,
+    retryable: rateLimited || status >= 500 || TRANSIENT_CODES.has(code),
+    rateLimited,
+    message: data?.error?.message || error.message,
+  };
+}
+
+function backoff(attempt, rateLimited) {
+  const exponential = Math.min(CONFIG.maxDelay, CONFIG.baseDelay * 2 ** (attempt - 1));
+  const jitter = Math.random() * CONFIG.baseDelay;
+  return (rateLimited ? Math.max(CONFIG.rateLimitDelay, exponential) : exponential) + jitter;
+}
+
+/**
+ * Sends one request, retrying transient failures. Never throws.
+ */
+async function deliver(recipientId, body, { accessToken, label, timeout, maxAttempts }) {
+  for (let attempt = 1; ; attempt++) {
+    const pause = pausedUntil - Date.now();
+    if (pause > 0) await sleep(pause);
+
+    let failure;
+    await acquireSlot();
+    try {
+      await axios.post(CONFIG.url, body, { params: { access_token: accessToken }, timeout });
+      stats.sent++;
+      return true;
+    } catch (error) {
+      failure = classify(error);
+      if (error.response) {
+        logger.error('Facebook API error:', { status: error.response.status, data: error.response.data, user: recipientId, label });
+      } else {
+        logger.error(`Network error sending ${label}:`, error.message);
+      }
+    } finally {
+      releaseSlot();
+    }
+
+    if (failure.rateLimited) stats.rateLimited++;
+    if (!failure.retryable || attempt >= maxAttempts) {
+      stats.failed++;
+      stats.failuresByCode[failure.code] = (stats.failuresByCode[failure.code] || 0) + 1;
+      stats.lastError = failure.message;
+      stats.lastErrorAt = Date.now();
+      return false;
+    }
+
+    const delay = backoff(attempt, failure.rateLimited);
+    if (failure.rateLimited) {
+      // A rate limit applies to the whole page, so every recipient waits it out
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      logger.warn(`📤 Send API rate limited (code ${failure.code}), pausing sends for ${Math.round(delay / 1000)}s`);
+    }
+    stats.retries++;
+    await sleep(delay);
+  }
+}
+
+/**
+ * Outbound queue for the Messenger Send API
+ */
+const sendQueue = {
+  /**
+   * Queues a Send API request body for a recipient. Resolves to true once delivered,
+   * or false after a permanent failure or the last retry.
+   */
+  enqueue(recipientId, body, { accessToken, label = 'message', timeout = CONFIG.timeout, maxAttempts = CONFIG.maxAttempts } = {}) {
+    stats.queued++;
+    const previous = chains.get(recipientId) || Promise.resolve();
+    const result = previous
+      .then(() => deliver(recipientId, body, { accessToken, label, timeout, maxAttempts }))
+      .catch(error => {
+        logger.error(`📤 Unexpected error sending ${label}:`, error.message);
+        return false;
+      });
+    chains.set(recipientId, result);
+    result.finally(() => {
+      stats.queued--;
+      if (chains.get(recipientId) === result) chains.delete(recipientId);
+    });
+    return result;
+  },
+
+  /** Delivery counters, for health checks and admin stats */
+  getStats: () => ({
+    ...stats,
+    failuresByCode: { ...stats.failuresByCode },
+    inFlight,
+    recipients: chains.size,
+    pausedUntil: pausedUntil > Date.now() ? pausedUntil : null,
+  }),
+
+  /** Configuration methods */
+  setConfig: (newConfig) => Object.assign(CONFIG, newConfig),
+  getConfig: () => ({ ...CONFIG }),
+};
+
+export default sendQueue;
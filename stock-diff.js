@@ -0,0 +1,79 @@
+import { CATEGORIES } from './stock-source.js';
+
+/**
+ * @typedef {import('./stock-source.js').StockItem} StockItem
+ *
+ * @typedef {object} CategoryDiff
+ * @property {StockItem[]} added - In stock now, absent (or zero) before
+ * @property {StockItem[]} removed - In stock before, absent (or zero) now
+ * @property {{ name: string, from: number, to: number }[]} changed - Quantity changed
+ *
+ * @typedef {object} StockDiff
+ * @property {Record<string, CategoryDiff>} categories
+ * @property {boolean} hasChanges
+ * @property {boolean} isFirst - There was no previous stock to compare against
+ */
+
+/**
+ * Indexes in-stock items by lowercase name, dropping sold-out entries
+ */
+function indexItems(items = []) {
+  const index = new Map();
+  for (const item of items) {
+    if (item.value > 0) index.set(item.name.toLowerCase(), item);
+  }
+  return index;
+}
+
+/**
+ * Compares two snapshot `stock` objects category by category.
+ * A null previous stock reports every in-stock item as added.
+ *
+ * @returns {StockDiff}
+ */
+export function diffStock(previous, next) {
+  const categories = {};
+  let hasChanges = false;
+
+  for (const category of CATEGORIES) {
+    const before = indexItems(previous?.[category]);
+    const after = indexItems(next?.[category]);
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const [key, item] of after) {
+      const old = before.get(key);
+      if (!old) diff.added.push(item);
+      else if (old.value !== item.value) diff.changed.push({ name: item.name, from: old.value, to: item.value });
+    }
+    for (const [key, item] of before) {
+      if (!after.has(key)) diff.removed.push(item);
+    }
+
+    if (diff.added.length || diff.removed.length || diff.changed.length) hasChanges = true;
+    categories[category] = diff;
+  }
+
+  return { categories, hasChanges, isFirst: !previous };
+}
+
+/**
+ * Narrows a diff to the item names a predicate accepts (e.g. a user's filters)
+ *
+ * @returns {StockDiff}
+ */
+export function filterDiff(diff, predicate) {
+  const categories = {};
+  let hasChanges = false;
+
+  for (const [category, { added, removed, changed }] of Object.entries(diff.categories)) {
+    const narrowed = {
+      added: added.filter(item => predicate(item.name)),
+      removed: removed.filter(item => predicate(item.name)),
+      changed: changed.filter(item => predicate(item.name)),
+    };
+    if (narrowed.added.length || narrowed.removed.length || narrowed.changed.length) hasChanges = true;
+    categories[category] = narrowed;
+  }
+
+  return { categories, hasChanges, isFirst: diff.isFirst };
+}
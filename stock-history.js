@@ -0,0 +1,232 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import storage from './storage.js';
+import { CATEGORIES } from './stock-source.js';
+
+/**
+ * --- CONFIGURATION ---
+ * Every fetched snapshot is appended to a JSON-lines file next to the storage data.
+ * Entries older than the retention window are dropped when the file is compacted.
+ */
+const CONFIG = {
+  fileName: 'stock-history.jsonl',
+  retention: 7 * 24 * 60 * 60 * 1000,
+  compactEvery: 60 * 60 * 1000,
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+/** @type {{ t: number, source: string, stock: Record<string, Record<string, number>> }[]} */
+let entries = null;
+let lastCompactedAt = 0;
+let fileHasStaleLines = false;
+
+/**
+ * Path of the history file, or null when storage is memory-only
+ */
+function getFile() {
+  const { backend, dataDir } = storage.getConfig();
+  return backend === 'memory' ? null : path.join(dataDir, CONFIG.fileName);
+}
+
+/**
+ * Loads the history file once, skipping lines that fail to parse
+ */
+function load() {
+  if (entries) return entries;
+  entries = [];
+  const file = getFile();
+  if (!file || !fs.existsSync(file)) return entries;
+
+  const cutoff = Date.now() - CONFIG.retention;
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.t >= cutoff) entries.push(entry);
+      else fileHasStaleLines = true;
+    } catch {
+      fileHasStaleLines = true;
+      logger.debug('📈 Skipped unreadable stock history line');
+    }
+  }
+  logger.system(`📈 Loaded ${entries.length} stock history entries`);
+  return entries;
+}
+
+/**
+ * Drops expired entries and rewrites the file without them.
+ * Returns true if the file was rewritten (and so already holds every entry).
+ */
+function compact(now) {
+  const cutoff = now - CONFIG.retention;
+  const firstKept = entries.findIndex(entry => entry.t >= cutoff);
+  const expired = firstKept === -1 ? entries.length : firstKept;
+  lastCompactedAt = now;
+  if (expired === 0 && !fileHasStaleLines) return false;
+
+  entries.splice(0, expired);
+  const file = getFile();
+  if (!file) return false;
+  try {
+    fs.writeFileSync(`${file}.tmp`, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    fs.renameSync(`${file}.tmp`, file);
+    fileHasStaleLines = false;
+    return true;
+  } catch (error) {
+    logger.error('📈 Failed to compact stock history:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Turns a snapshot into the compact { category: { name: quantity } } form we store
+ */
+function toEntry(snapshot) {
+  const stock = {};
+  for (const category of CATEGORIES) {
+    stock[category] = {};
+    for (const item of snapshot.stock[category] || []) {
+      if (item.value > 0) stock[category][item.name] = item.value;
+    }
+  }
+  return { t: snapshot.fetchedAt, source: snapshot.source, stock };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Time-series store of every fetched stock snapshot
+ */
+const stockHistory = {
+  /** Appends a snapshot; the same snapshot recorded twice is ignored */
+  record(snapshot) {
+    load();
+    if (entries.length && entries[entries.length - 1].t >= snapshot.fetchedAt) return;
+
+    const entry = toEntry(snapshot);
+    entries.push(entry);
+    if (entry.t - lastCompactedAt > CONFIG.compactEvery && compact(entry.t)) return;
+
+    const file = getFile();
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFile(file, JSON.stringify(entry) + '\n', (error) => {
+      if (error) logger.error('📈 Failed to append stock history:', error.message);
+    });
+  },
+
+  /** Entries recorded at or after `since` (epoch ms), oldest first */
+  getEntries: (since = 0) => load().filter(entry => entry.t >= since),
+
+  /** Every item name seen in the retention window, mapped to its category */
+  getKnownItems() {
+    const known = new Map();
+    for (const entry of load()) {
+      for (const category of CATEGORIES) {
+        for (const name of Object.keys(entry.stock[category] || {})) known.set(name, category);
+      }
+    }
+    return known;
+  },
+
+  /**
+   * Appearance statistics for one item (exact name, case-insensitive).
+   * An "appearance" is a snapshot where the item is in stock after one where it was not.
+   */
+  getItemStats(itemName, now = Date.now()) {
+    const key = itemName.toLowerCase();
+    const stats = {
+      name: itemName,
+      category: null,
+      lastSeenAt: null,
+      lastQuantity: null,
+      snapshots: { day: 0, week: 0 },
+      seenIn: { day: 0, week: 0 },
+      appearances: { day: 0, week: 0 },
+      quantities: [],
+    };
+
+    let wasInStock = false;
+    for (const entry of load()) {
+      if (now - entry.t > WEEK) continue;
+      stats.snapshots.week++;
+      const inDay = now - entry.t <= DAY;
+      if (inDay) stats.snapshots.day++;
+
+      let quantity = null;
+      for (const category of CATEGORIES) {
+        const match = Object.entries(entry.stock[category] || {}).find(([name]) => name.toLowerCase() === key);
+        if (match) {
+          [stats.name, quantity] = match;
+          stats.category = category;
+          break;
+        }
+      }
+
+      if (quantity === null) {
+        wasInStock = false;
+        continue;
+      }
+
+      stats.seenIn.week++;
+      if (inDay) stats.seenIn.day++;
+      if (!wasInStock) {
+        stats.appearances.week++;
+        if (inDay) stats.appearances.day++;
+      }
+      wasInStock = true;
+      stats.lastSeenAt = entry.t;
+      stats.lastQuantity = quantity;
+      stats.quantities.push(quantity);
+    }
+
+    const { quantities, ...summary } = stats;
+    return {
+      ...summary,
+      typicalQuantity: median(quantities),
+      minQuantity: quantities.length ? Math.min(...quantities) : null,
+      maxQuantity: quantities.length ? Math.max(...quantities) : null,
+    };
+  },
+
+  /**
+   * Appearance timestamps for every item seen since `since`, for analytics.
+   * Uses the same notion of "appearance" as getItemStats.
+   */
+  getAppearanceSummary(since = Date.now() - WEEK) {
+    const items = new Map();
+    const inStockBefore = new Set();
+    const window = load().filter(entry => entry.t >= since);
+
+    for (const entry of window) {
+      const inStockNow = new Set();
+      for (const category of CATEGORIES) {
+        for (const name of Object.keys(entry.stock[category] || {})) {
+          if (!items.has(name)) items.set(name, { name, category, appearances: [], seenIn: 0 });
+          const item = items.get(name);
+          item.seenIn++;
+          if (!inStockBefore.has(name)) item.appearances.push(entry.t);
+          inStockNow.add(name);
+        }
+      }
+      inStockBefore.clear();
+      inStockNow.forEach(name => inStockBefore.add(name));
+    }
+
+    return { snapshots: window.length, items: [...items.values()] };
+  },
+
+  /** Configuration methods */
+  setConfig: (newConfig) => Object.assign(CONFIG, newConfig),
+  getConfig: () => ({ ...CONFIG }),
+};
+
+export default stockHistory;
@@ -0,0 +1,126 @@
+import logger from './logger.js';
+
+/**
+ * Creates the shared stock poller.
+ * It fetches one snapshot per restock boundary and hands that same snapshot to every
+ * subscriber, so upstream load stays constant no matter how many users are tracking.
+ *
+ * @param {object} options
+ * @param {() => Promise<object>} options.fetchSnapshot - Fetches and normalizes upstream stock
+ * @param {() => number} options.getNextDelay - Milliseconds until the next restock boundary
+ * @param {number} [options.maxAge] - How long an on-demand snapshot may be reused (ms)
+ * @param {(snapshot: object) => void} [options.onFetch] - Sees every freshly fetched snapshot
+ * @param {() => boolean} [options.keepAlive] - Keep polling even when no subscriber is active
+ */
+export function createStockPoller({ fetchSnapshot, getNextDelay, maxAge = 60 * 1000, onFetch = () => {}, keepAlive = () => false }) {
+  const subscribers = new Map();
+  const stats = { fetches: 0, failures: 0, ticks: 0, skippedTicks: 0, lastFetchAt: null, lastError: null };
+  let latest = null; // newest snapshot, for on-demand readers
+  let lastPublished = null; // what subscribers last received, and diff the next tick against
+  let inFlight = null;
+  let timer = null;
+
+  const hasDemand = () => keepAlive() || [...subscribers.values()].some(sub => sub.isActive());
+
+  /** Fetches a snapshot, sharing the request with any caller that asks while it is running */
+  async function fetchShared() {
+    if (inFlight) return inFlight;
+    inFlight = (async () => {
+      try {
+        const snapshot = await fetchSnapshot();
+        stats.fetches++;
+        stats.lastFetchAt = Date.now();
+        stats.lastError = null;
+        latest = snapshot;
+        try {
+          onFetch(snapshot);
+        } catch (error) {
+          logger.error('📡 Stock onFetch hook failed:', error);
+        }
+        return snapshot;
+      } catch (error) {
+        stats.failures++;
+        stats.lastError = error.message;
+        throw error;
+      } finally {
+        inFlight = null;
+      }
+    })();
+    return inFlight;
+  }
+
+  /**
+   * Hands a snapshot to every active subscriber, isolating their failures.
+   * Higher-priority subscribers finish before lower ones start.
+   */
+  async function publish(snapshot, previous) {
+    const active = [...subscribers.entries()].filter(([, sub]) => sub.isActive());
+    const priorities = [...new Set(active.map(([, sub]) => sub.priority))].sort((a, b) => b - a);
+
+    for (const priority of priorities) {
+      const group = active.filter(([, sub]) => sub.priority === priority);
+      const results = await Promise.allSettled(group.map(([, sub]) => sub.handler(snapshot, previous)));
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          logger.error(`📡 Stock subscriber '${group[index][0]}' failed:`, result.reason);
+        }
+      });
+    }
+  }
+
+  async function tick() {
+    stats.ticks++;
+    if (!hasDemand()) {
+      stats.skippedTicks++;
+      return;
+    }
+
+    try {
+      const snapshot = await fetchShared();
+      const previous = lastPublished;
+      lastPublished = snapshot;
+      await publish(snapshot, previous);
+    } catch (error) {
+      logger.error('📡 Shared stock poll failed:', error.message);
+    }
+  }
+
+  function schedule() {
+    timer = setTimeout(async () => {
+      await tick();
+      if (timer) schedule();
+    }, Math.max(getNextDelay(), 1000));
+  }
+
+  return {
+    /**
+     * Registers a named consumer. isActive lets it opt out of ticks when it has nobody
+     * to serve; priority orders delivery (higher first, default 0). The handler gets the
+     * new snapshot and the one published before it; on-demand fetches in between do not count.
+     */
+    subscribe(name, handler, { isActive = () => true, priority = 0 } = {}) {
+      subscribers.set(name, { handler, isActive, priority });
+    },
+
+    unsubscribe: (name) => subscribers.delete(name),
+
+    /** Returns a recent snapshot, fetching only if the cached one is older than maxAge */
+    async fetchNow({ maxAge: allowedAge = maxAge } = {}) {
+      if (latest && Date.now() - latest.fetchedAt < allowedAge) return latest;
+      return fetchShared();
+    },
+
+    getLatest: () => latest,
+
+    start() {
+      if (!timer) schedule();
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    getStats: () => ({ ...stats, subscribers: subscribers.size }),
+  };
+}
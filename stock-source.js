@@ -0,0 +1,199 @@
+import axios from 'axios';
+import logger from './logger.js';
+
+/**
+ * --- CONFIGURATION ---
+ * STOCK_PROVIDERS is a comma-separated, ordered list of provider ids to try.
+ * A provider that keeps failing is parked for a cooldown and tried last.
+ */
+const CONFIG = {
+  providers: (process.env.STOCK_PROVIDERS || 'gleeze,growagardenstock')
+    .split(',').map(id => id.trim().toLowerCase()).filter(Boolean),
+  weatherUrl: 'https://growagardenstock.com/api/stock/weather',
+  timeout: 5000,
+  failureThreshold: 3,
+  cooldown: 2 * 60 * 1000,
+};
+
+/** Stock categories, in display order */
+export const CATEGORIES = ['gear', 'seed', 'egg', 'cosmetics', 'honey'];
+
+/**
+ * @typedef {{ name: string, value: number }} StockItem
+ *
+ * @typedef {object} StockSnapshot
+ * @property {Record<'gear'|'seed'|'egg'|'cosmetics'|'honey', StockItem[]>} stock
+ * @property {{ currentWeather: string, icon: string, cropBonuses: string, updatedAt: string }} weather
+ * @property {string} source - Id of the provider that served the stock
+ * @property {number} fetchedAt - Epoch milliseconds
+ */
+
+/**
+ * Raised when a provider is unreachable or returns a payload we do not understand
+ */
+export class StockSourceError extends Error {
+  constructor(message, { provider, failures } = {}) {
+    super(message);
+    this.name = 'StockSourceError';
+    this.provider = provider;
+    this.failures = failures || [];
+  }
+}
+
+/**
+ * Validates one upstream item list and maps it to StockItems
+ */
+export function normalizeItems(items, { provider, category, quantityKey }) {
+  if (!Array.isArray(items)) {
+    throw new StockSourceError(`'${category}' is not a list`, { provider });
+  }
+  return items.map((item, index) => {
+    const name = typeof item?.name === 'string' ? item.name.trim() : '';
+    const value = Number(item?.[quantityKey]);
+    if (!name || !Number.isFinite(value) || value < 0) {
+      throw new StockSourceError(`Invalid ${category} item at index ${index}`, { provider });
+    }
+    return { name, value };
+  });
+}
+
+/**
+ * Upstream stock providers. Each one turns its own payload into the snapshot `stock` shape.
+ */
+const PROVIDERS = {
+  gleeze: {
+    url: 'https://gagstock.gleeze.com/grow-a-garden',
+    parse(body) {
+      const data = body?.data;
+      if (!data || typeof data !== 'object') {
+        throw new StockSourceError('Missing data object', { provider: 'gleeze' });
+      }
+      return Object.fromEntries(CATEGORIES.map(category => [
+        category,
+        normalizeItems(data[category]?.items, { provider: 'gleeze', category, quantityKey: 'quantity' }),
+      ]));
+    },
+  },
+
+  growagardenstock: {
+    url: 'https://growagardenstock.com/api/stock',
+    parse(body) {
+      const keys = { gear: 'gearStock', seed: 'seedsStock', egg: 'eggStock', cosmetics: 'cosmeticsStock', honey: 'honeyStock' };
+      if (!body || typeof body !== 'object') {
+        throw new StockSourceError('Empty response body', { provider: 'growagardenstock' });
+      }
+      return Object.fromEntries(CATEGORIES.map(category => [
+        category,
+        normalizeItems(body[keys[category]] ?? [], { provider: 'growagardenstock', category, quantityKey: 'value' }),
+      ]));
+    },
+  },
+};
+
+const health = new Map();
+
+function getHealthEntry(id) {
+  if (!health.has(id)) {
+    health.set(id, {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      coolingDownUntil: null,
+    });
+  }
+  return health.get(id);
+}
+
+function recordSuccess(id) {
+  const entry = getHealthEntry(id);
+  entry.successes++;
+  entry.consecutiveFailures = 0;
+  entry.lastSuccessAt = Date.now();
+  entry.coolingDownUntil = null;
+}
+
+function recordFailure(id, error) {
+  const entry = getHealthEntry(id);
+  entry.failures++;
+  entry.consecutiveFailures++;
+  entry.lastFailureAt = Date.now();
+  entry.lastError = error.message;
+  if (entry.consecutiveFailures >= CONFIG.failureThreshold) {
+    entry.coolingDownUntil = Date.now() + CONFIG.cooldown;
+  }
+}
+
+/**
+ * Configured providers in the order to try them; providers cooling down go last
+ */
+function getProviderOrder() {
+  const known = CONFIG.providers.filter(id => {
+    if (PROVIDERS[id]) return true;
+    logger.warn(`📦 Unknown stock provider '${id}' ignored`);
+    return false;
+  });
+  const now = Date.now();
+  const isCooling = (id) => (getHealthEntry(id).coolingDownUntil || 0) > now;
+  return [...known.filter(id => !isCooling(id)), ...known.filter(isCooling)];
+}
+
+async function fetchStock() {
+  const failures = [];
+  for (const id of getProviderOrder()) {
+    try {
+      const response = await axios.get(PROVIDERS[id].url, { timeout: CONFIG.timeout });
+      const stock = PROVIDERS[id].parse(response.data);
+      recordSuccess(id);
+      if (failures.length > 0) {
+        logger.warn(`📦 Stock served by fallback provider '${id}' after ${failures.length} failure(s)`);
+      }
+      return { stock, source: id };
+    } catch (error) {
+      recordFailure(id, error);
+      failures.push({ provider: id, error: error.message });
+      logger.warn(`📦 Stock provider '${id}' failed:`, error.message);
+    }
+  }
+  throw new StockSourceError('All stock providers failed', { failures });
+}
+
+/**
+ * Weather is best-effort: a failure here never blocks a stock snapshot
+ */
+async function fetchWeather() {
+  try {
+    const { data } = await axios.get(CONFIG.weatherUrl, { timeout: CONFIG.timeout });
+    return {
+      currentWeather: data?.currentWeather || "Unknown",
+      icon: data?.icon || "🌤️",
+      cropBonuses: data?.cropBonuses || "None",
+      updatedAt: data?.updatedAt || new Date().toISOString(),
+    };
+  } catch (error) {
+    logger.debug('🌤️ Weather fetch failed:', error.message);
+    return { currentWeather: "Unknown", icon: "🌤️", cropBonuses: "None", updatedAt: new Date().toISOString() };
+  }
+}
+
+/**
+ * Stock-source client shared by every command that needs live stock
+ */
+const stockSource = {
+  /** Fetches a validated snapshot, failing over across the configured providers */
+  async fetchSnapshot() {
+    const [{ stock, source }, weather] = await Promise.all([fetchStock(), fetchWeather()]);
+    return { stock, weather, source, fetchedAt: Date.now() };
+  },
+
+  /** Per-provider success/failure counters, for health checks and admin stats */
+  getHealth: () => Object.fromEntries(CONFIG.providers.map(id => [id, { ...getHealthEntry(id) }])),
+
+  /** Configuration methods */
+  setConfig: (newConfig) => Object.assign(CONFIG, newConfig),
+  getConfig: () => ({ ...CONFIG }),
+};
+
+export default stockSource;
@@ -0,0 +1,279 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import logger from './logger.js';
+
+/**
+ * --- CONFIGURATION ---
+ * STORAGE_BACKEND picks where bot state is kept: 'json' (default), 'sqlite' or 'memory'.
+ * STORAGE_PATH is the directory used by the file-based backends.
+ */
+const CONFIG = {
+  backend: process.env.STORAGE_BACKEND?.toLowerCase() || 'json',
+  dataDir: path.resolve(process.env.STORAGE_PATH || 'data'),
+  jsonFile: 'store.json',
+  sqliteFile: 'store.db',
+  flushDelay: 250,
+};
+
+/**
+ * Serializes a value the same way every backend will read it back
+ */
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * In-memory backend, used by tests and throwaway runs
+ */
+function createMemoryBackend() {
+  const namespaces = new Map();
+  const bucket = (namespace) => {
+    if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+    return namespaces.get(namespace);
+  };
+
+  return {
+    name: 'memory',
+    load: (namespace) => [...bucket(namespace)].map(([key, value]) => [key, clone(value)]),
+    write: (namespace, key, value) => { bucket(namespace).set(key, clone(value)); },
+    remove: (namespace, key) => { bucket(namespace).delete(key); },
+    clear: (namespace) => { bucket(namespace).clear(); },
+    flush: () => {},
+    close: () => namespaces.clear(),
+  };
+}
+
+/**
+ * JSON file backend. Keeps everything in one document and writes it back
+ * shortly after each change, via a temp file so a crash never leaves it half-written.
+ */
+function createJsonBackend(dataDir) {
+  const file = path.join(dataDir, CONFIG.jsonFile);
+  let data = {};
+  let flushTimer = null;
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  if (fs.existsSync(file)) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+    } catch (error) {
+      const corruptFile = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, corruptFile);
+      logger.error(`💾 Could not parse ${file}, moved it to ${corruptFile}:`, error.message);
+      data = {};
+    }
+  }
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    const tmpFile = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmpFile, JSON.stringify(data));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      logger.error('💾 Failed to write storage file:', error.message);
+    }
+  };
+
+  const scheduleFlush = () => {
+    if (!flushTimer) flushTimer = setTimeout(flush, CONFIG.flushDelay);
+  };
+
+  return {
+    name: 'json',
+    load: (namespace) => Object.entries(data[namespace] || {}),
+    write: (namespace, key, value) => {
+      data[namespace] = data[namespace] || {};
+      data[namespace][key] = clone(value);
+      scheduleFlush();
+    },
+    remove: (namespace, key) => {
+      if (data[namespace]) delete data[namespace][key];
+      scheduleFlush();
+    },
+    clear: (namespace) => {
+      delete data[namespace];
+      scheduleFlush();
+    },
+    flush: () => { if (flushTimer) flush(); },
+    close: () => { if (flushTimer) flush(); },
+  };
+}
+
+/**
+ * SQLite backend built on the optional better-sqlite3 dependency
+ */
+function createSqliteBackend(dataDir) {
+  const require = createRequire(import.meta.url);
+  const Database = require('better-sqlite3');
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  const db = new Database(path.join(dataDir, CONFIG.sqliteFile));
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS kv (
+    namespace TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (namespace, key)
+  )`);
+
+  const selectAll = db.prepare('SELECT key, value FROM kv WHERE namespace = ?');
+  const upsert = db.prepare('INSERT INTO kv (namespace, key, value) VALUES (?, ?, ?) ON CONFLICT(namespace, key) DO UPDATE SET value = excluded.value');
+  const deleteOne = db.prepare('DELETE FROM kv WHERE namespace = ? AND key = ?');
+  const deleteAll = db.prepare('DELETE FROM kv WHERE namespace = ?');
+
+  return {
+    name: 'sqlite',
+    load: (namespace) => selectAll.all(namespace).map(row => [row.key, JSON.parse(row.value)]),
+    write: (namespace, key, value) => { upsert.run(namespace, key, JSON.stringify(clone(value))); },
+    remove: (namespace, key) => { deleteOne.run(namespace, key); },
+    clear: (namespace) => { deleteAll.run(namespace); },
+    flush: () => {},
+    close: () => db.close(),
+  };
+}
+
+const BACKENDS = {
+  memory: () => createMemoryBackend(),
+  json: () => createJsonBackend(CONFIG.dataDir),
+  sqlite: () => createSqliteBackend(CONFIG.dataDir),
+};
+
+let backend = null;
+const collections = new Map();
+
+/**
+ * Creates the configured backend on first use, falling back to JSON if it cannot start
+ */
+function getBackend() {
+  if (backend) return backend;
+
+  const factory = BACKENDS[CONFIG.backend];
+  if (!factory) {
+    logger.warn(`💾 Unknown STORAGE_BACKEND '${CONFIG.backend}', using json instead`);
+    CONFIG.backend = 'json';
+    return getBackend();
+  }
+
+  try {
+    backend = factory();
+  } catch (error) {
+    if (CONFIG.backend === 'json') throw error;
+    logger.error(`💾 Could not start ${CONFIG.backend} storage, falling back to json:`, error.message);
+    CONFIG.backend = 'json';
+    backend = BACKENDS.json();
+  }
+
+  logger.system(`💾 Persistent storage ready (${backend.name})`);
+  return backend;
+}
+
+/**
+ * A Map that writes every change through to the storage backend.
+ * Values are stored as JSON, so mutate-in-place changes must be re-set to persist.
+ */
+class PersistentMap extends Map {
+  #namespace;
+  #backend;
+
+  constructor(namespace, store) {
+    super();
+    this.#namespace = namespace;
+    this.#backend = store;
+    for (const [key, value] of store.load(namespace)) super.set(key, value);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.#backend.write(this.#namespace, String(key), value);
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) this.#backend.remove(this.#namespace, String(key));
+    return existed;
+  }
+
+  clear() {
+    super.clear();
+    this.#backend.clear(this.#namespace);
+  }
+}
+
+/**
+ * A Set that writes every change through to the storage backend
+ */
+class PersistentSet extends Set {
+  #namespace;
+  #backend;
+
+  constructor(namespace, store) {
+    super();
+    this.#namespace = namespace;
+    this.#backend = store;
+    for (const [key] of store.load(namespace)) super.add(key);
+  }
+
+  add(value) {
+    super.add(value);
+    this.#backend.write(this.#namespace, String(value), true);
+    return this;
+  }
+
+  delete(value) {
+    const existed = super.delete(value);
+    if (existed) this.#backend.remove(this.#namespace, String(value));
+    return existed;
+  }
+
+  clear() {
+    super.clear();
+    this.#backend.clear(this.#namespace);
+  }
+}
+
+/**
+ * Returns the shared collection for a namespace, creating it on first use
+ */
+function getCollection(namespace, Type) {
+  const existing = collections.get(namespace);
+  if (existing) {
+    if (!(existing instanceof Type)) {
+      throw new Error(`Storage namespace '${namespace}' is already used by a ${existing.constructor.name}`);
+    }
+    return existing;
+  }
+  const collection = new Type(namespace, getBackend());
+  collections.set(namespace, collection);
+  return collection;
+}
+
+/**
+ * Pluggable persistence for bot state
+ */
+const storage = {
+  /** Returns a persistent Map for the namespace */
+  map: (namespace) => getCollection(namespace, PersistentMap),
+
+  /** Returns a persistent Set for the namespace */
+  set: (namespace) => getCollection(namespace, PersistentSet),
+
+  /** Writes any buffered changes to disk */
+  flush: () => backend?.flush(),
+
+  /** Flushes and releases the backend; collections must be requested again afterwards */
+  close: () => {
+    backend?.close();
+    backend = null;
+    collections.clear();
+  },
+
+  /** Configuration methods; must be called before the first collection is created */
+  setConfig: (newConfig) => Object.assign(CONFIG, newConfig),
+  getConfig: () => ({ ...CONFIG }),
+};
+
+export default storage;
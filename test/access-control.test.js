@@ -0,0 +1,58 @@
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import storage from '../storage.js';
+
+const HOUR = 60 * 60 * 1000;
+const OWNER = 'owner-1';
+const USER = 'user-1';
+
+let accessControl;
+before(async () => {
+  storage.setConfig({ backend: 'memory' });
+  ({ default: accessControl } = await import('../access-control.js'));
+  accessControl.setConfig({ ownerIds: [OWNER] });
+});
+
+// Revoking a ban gives back the role underneath, so keep going until nothing is left
+afterEach(() => {
+  while (accessControl.getGrant(USER)) accessControl.revoke('system', USER);
+});
+
+test('a timed ban gives the user their role back when it expires', () => {
+  accessControl.grant(OWNER, USER, 'moderator');
+  accessControl.grant(OWNER, USER, 'banned', { duration: HOUR });
+  assert.equal(accessControl.getRole(USER), 'banned');
+
+  const expired = accessControl.expireRoles(Date.now() + 2 * HOUR);
+  assert.deepEqual(expired.map(([userId, grant]) => [userId, grant.role]), [[USER, 'banned']]);
+  assert.equal(accessControl.getRole(USER), 'moderator');
+});
+
+test('an expired ban found by getRole also gives the role back', () => {
+  accessControl.grant(OWNER, USER, 'vip');
+  accessControl.grant(OWNER, USER, 'banned', { duration: HOUR });
+  assert.equal(accessControl.getRole(USER, Date.now() + 2 * HOUR), 'vip');
+});
+
+test('unbanning gives the user their role back', () => {
+  accessControl.grant(OWNER, USER, 'vip');
+  accessControl.grant(OWNER, USER, 'banned');
+  assert.equal(accessControl.revoke(OWNER, USER).role, 'banned');
+  assert.equal(accessControl.getRole(USER), 'vip');
+});
+
+test('banning again keeps the role from before the first ban', () => {
+  accessControl.grant(OWNER, USER, 'vip');
+  accessControl.grant(OWNER, USER, 'banned', { duration: HOUR });
+  accessControl.grant(OWNER, USER, 'banned');
+  accessControl.revoke(OWNER, USER);
+  assert.equal(accessControl.getRole(USER), 'vip');
+});
+
+test('a role that ran out during the ban is not given back', () => {
+  accessControl.grant(OWNER, USER, 'vip', { duration: HOUR });
+  accessControl.grant(OWNER, USER, 'banned', { duration: 2 * HOUR });
+  accessControl.expireRoles(Date.now() + 3 * HOUR);
+  assert.equal(accessControl.getRole(USER), 'user');
+  assert.equal(accessControl.getGrant(USER), null);
+});
@@ -0,0 +1,67 @@
+import { test, mock, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import storage from '../storage.js';
+import { createStockPoller } from '../stock-poller.js';
+import i18n from '../i18n.js';
+
+const TICK = 1000;
+
+let findTriggeredAlerts, describeAlertRule;
+before(async () => {
+  storage.setConfig({ backend: 'memory' });
+  ({ findTriggeredAlerts, describeAlertRule } = await import('../alert-rules.js'));
+});
+
+afterEach(() => mock.timers.reset());
+
+const rule = (match, minQuantity = 1) => ({ id: match, kind: 'item', match, minQuantity, createdAt: 0 });
+const snapshot = (gear) => ({ stock: { gear, seed: [], egg: [], cosmetics: [], honey: [] }, fetchedAt: Date.now() });
+
+test('an item triggers when it appears or reaches the minimum quantity', () => {
+  const rules = [rule('trowel'), rule('master sprinkler', 2)];
+  const before = snapshot([{ name: 'Master Sprinkler', value: 1 }]);
+  const after = snapshot([{ name: 'Trowel', value: 3 }, { name: 'Master Sprinkler', value: 2 }]);
+
+  const triggered = findTriggeredAlerts(rules, after, before).map(({ item }) => item.name);
+  assert.deepEqual(triggered, ['Trowel', 'Master Sprinkler']);
+  assert.deepEqual(findTriggeredAlerts(rules, after, after), []);
+});
+
+test("rules are described in the reader's language", () => {
+  const english = (key, params) => i18n.t('en', key, params);
+  const tagalog = (key, params) => i18n.t('tl', key, params);
+  const eggs = { ...rule('egg', 2), kind: 'category' };
+
+  assert.equal(describeAlertRule(rule('trowel'), english), "'trowel'");
+  assert.equal(describeAlertRule(eggs, english), 'any egg item (x2+)');
+  assert.equal(describeAlertRule(eggs, tagalog), 'anumang egg item (x2+)');
+});
+
+test('nothing triggers without a previous snapshot', () => {
+  assert.deepEqual(findTriggeredAlerts([rule('trowel')], snapshot([{ name: 'Trowel', value: 1 }]), null), []);
+});
+
+test('an on-demand fetch between two ticks still lets the restock alert fire', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const upstream = [snapshot([]), snapshot([{ name: 'Trowel', value: 1 }]), snapshot([{ name: 'Trowel', value: 1 }])];
+  const poller = createStockPoller({
+    fetchSnapshot: async () => upstream.shift(),
+    getNextDelay: () => TICK,
+    maxAge: 0,
+  });
+  const alerts = [];
+  poller.subscribe('alerts', (current, previous) => {
+    alerts.push(...findTriggeredAlerts([rule('trowel')], current, previous).map(({ item }) => item.name));
+  });
+  poller.start();
+
+  mock.timers.tick(TICK);
+  await new Promise(resolve => setImmediate(resolve));
+  // Someone runs 'refresh' after the Trowel restocked but before the next tick
+  await poller.fetchNow();
+  mock.timers.tick(TICK);
+  await new Promise(resolve => setImmediate(resolve));
+  poller.stop();
+
+  assert.deepEqual(alerts, ['Trowel']);
+});
@@ -0,0 +1,34 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import en from '../locales/en.js';
+import { startBot } from './helpers/bot-process.js';
+
+const ADMIN = 'admin-1';
+const heading = (template) => template.split('\n')[1];
+
+let bot;
+before(async () => {
+  bot = await startBot({ adminId: ADMIN });
+});
+after(() => bot?.stop());
+
+test('notify confirm sends the broadcast and then its delivery report', async () => {
+  await bot.send(ADMIN, 'notify message Maintenance in 5 minutes');
+  await bot.waitForText(ADMIN, text => text.includes(heading(en.notify.preview)));
+
+  const since = bot.sent.length;
+  await bot.send(ADMIN, 'notify confirm');
+  await bot.waitForText(ADMIN, text => text.includes('Maintenance in 5 minutes'), { since });
+  const report = await bot.waitForText(ADMIN, text => text.includes(heading(en.notify.report)), { since });
+  assert.match(report, /Sent: 1\/1/);
+
+  const texts = bot.sent.slice(since).map(body => body.message?.text ?? '');
+  assert.ok(!texts.some(text => text.includes(heading(en.errors.command))), 'the admin got the command error message');
+});
+
+test('notify report shows the last delivery report', async () => {
+  const since = bot.sent.length;
+  await bot.send(ADMIN, 'notify report');
+  const report = await bot.waitForText(ADMIN, () => true, { since });
+  assert.ok(report.includes(heading(en.notify.report)), report);
+});
@@ -0,0 +1,25 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import storage from '../storage.js';
+
+let catalog, CatalogError;
+before(async () => {
+  storage.setConfig({ backend: 'memory' });
+  ({ default: catalog, CatalogError } = await import('../catalog.js'));
+});
+
+test('setTier saves a numeric rank', () => {
+  assert.equal(catalog.setTier('rare', { rank: 7 }).rank, 7);
+  assert.equal(catalog.getTiers().rare.rank, 7);
+});
+
+test('setTier refuses a rank that is not a number and keeps the old one', () => {
+  const before = catalog.getTiers().uncommon.rank;
+  assert.throws(() => catalog.setTier('uncommon', { rank: Number('abc') }), (error) => error instanceof CatalogError && error.code === 'badRank');
+  assert.throws(() => catalog.setTier('uncommon', { rank: Infinity }), CatalogError);
+  assert.equal(catalog.getTiers().uncommon.rank, before);
+});
+
+test('setTier refuses an unknown tier', () => {
+  assert.throws(() => catalog.setTier('mythic', { alert: true }), (error) => error.code === 'unknownTier');
+});
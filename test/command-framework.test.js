@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { defineCommand, createCommandRegistry } from '../command-framework.js';
+
+/** A registry with a remind-like command (fallback 'add') and a watch-like one (no fallback) */
+function setup() {
+  const runs = [];
+  const execute = async (senderId, args) => runs.push(args);
+  const registry = createCommandRegistry({ getRole: () => 'user', isResting: () => false });
+  registry.register(defineCommand({
+    name: 'remind',
+    description: 'Reminders',
+    defaultSubcommand: 'list',
+    fallbackSubcommand: 'add',
+    subcommands: {
+      add: { description: 'Add one', args: [{ name: 'what', type: 'text' }] },
+      cancel: { aliases: ['stop'], description: 'Cancel one', args: [{ name: 'number', type: 'number' }] },
+      list: { description: 'List them' },
+    },
+    execute,
+  }));
+  registry.register(defineCommand({
+    name: 'watch',
+    description: 'Watchlist',
+    subcommands: {
+      remove: { description: 'Remove one', args: [{ name: 'item', type: 'text' }] },
+      list: { description: 'List it' },
+    },
+    execute,
+  }));
+  return { registry, runs };
+}
+
+test('a word that only starts like a subcommand goes to the fallback subcommand', async () => {
+  const { registry, runs } = setup();
+  const result = await registry.dispatch('user-1', ['remind', 'can', '2m'], 'token');
+  assert.equal(result.status, 'ok');
+  assert.equal(result.command.path, 'remind add');
+  assert.deepEqual(runs, [['add', 'can', '2m']]);
+});
+
+test('full subcommand names and aliases still win over the fallback', async () => {
+  const { registry, runs } = setup();
+  await registry.dispatch('user-1', ['remind', 'cancel', '2'], 'token');
+  await registry.dispatch('user-1', ['remind', 'STOP', '1'], 'token');
+  await registry.dispatch('user-1', ['remind'], 'token');
+  assert.deepEqual(runs, [['cancel', '2'], ['cancel', '1'], ['list']]);
+});
+
+test('subcommand prefixes resolve for commands without a fallback', async () => {
+  const { registry, runs } = setup();
+  const result = await registry.dispatch('user-1', ['watch', 'rem', 'trowel'], 'token');
+  assert.equal(result.command.path, 'watch remove');
+  assert.deepEqual(runs, [['remove', 'trowel']]);
+});
@@ -0,0 +1,130 @@
+import { spawn } from 'child_process';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { signPayload } from '../../webhook-signature.js';
+import { SEND_MARKER } from './graph-api-stub.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const APP_SECRET = 'test-app-secret';
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().once('error', reject).listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Runs index.js in a child process with in-memory storage and the Graph API stubbed out.
+ * Messages go in as signed webhook calls; what the bot sends back is collected in `sent`.
+ *
+ * @param {object} [options]
+ * @param {string} [options.adminId] - Becomes ADMIN_USER_ID
+ */
+export async function startBot({ adminId = 'admin-1' } = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, ['--import', './test/helpers/graph-api-stub.js', 'index.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      PAGE_ACCESS_TOKEN: 'test-page-token',
+      VERIFY_TOKEN: 'test-verify-token',
+      APP_SECRET,
+      ADMIN_USER_ID: adminId,
+      STORAGE_BACKEND: 'memory',
+      LOG_LEVEL: 'warn',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  const sent = [];
+  const output = [];
+  const waiters = new Set();
+  let pending = '';
+  child.stdout.on('data', (chunk) => {
+    pending += chunk;
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith(SEND_MARKER)) {
+        output.push(line);
+        continue;
+      }
+      sent.push(JSON.parse(line.slice(SEND_MARKER.length)));
+      waiters.forEach(check => check());
+    }
+  });
+  child.stderr.on('data', chunk => output.push(String(chunk)));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fetch(`${baseUrl}/health`);
+      break;
+    } catch (error) {
+      if (attempt >= 100 || child.exitCode !== null) throw new Error(`Bot did not start:\n${output.join('\n')}`);
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  return {
+    sent,
+    output,
+
+    /**
+     * Posts a signed text message from a user, or a quick-reply tap when `quickReply` holds its payload;
+     * resolves with the webhook response status
+     */
+    async send(userId, text, { quickReply = null } = {}) {
+      const message = { mid: `m-${Date.now()}`, text, ...(quickReply && { quick_reply: { payload: quickReply } }) };
+      const body = JSON.stringify({
+        object: 'page',
+        entry: [{ messaging: [{ sender: { id: userId }, timestamp: Date.now(), message }] }],
+      });
+      const response = await fetch(`${baseUrl}/webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signPayload(body, APP_SECRET) },
+        body,
+      });
+      return response.status;
+    },
+
+    /**
+     * Resolves with the first text sent to the user after `since` (an index into `sent`)
+     * that passes the check
+     */
+    waitForText(userId, check, { since = 0, timeout = 5000 } = {}) {
+      return new Promise((resolve, reject) => {
+        const look = () => {
+          const match = sent.slice(since).find(body =>
+            body.recipient?.id === userId && typeof body.message?.text === 'string' && check(body.message.text));
+          if (!match) return;
+          cleanup();
+          resolve(match.message.text);
+        };
+        const timer = setTimeout(() => {
+          cleanup();
+          const texts = sent.slice(since).map(body => body.message?.text?.split('\n').slice(0, 2).join(' / '));
+          reject(new Error(`No matching message for ${userId}. Sent:\n${texts.join('\n')}\nLog:\n${output.slice(-20).join('\n')}`));
+        }, timeout);
+        const cleanup = () => {
+          clearTimeout(timer);
+          waiters.delete(look);
+        };
+        waiters.add(look);
+        look();
+      });
+    },
+
+    async stop() {
+      if (child.exitCode !== null) return;
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      await exited;
+    },
+  };
+}
@@ -0,0 +1,14 @@
+import axios from 'axios';
+
+/** Prefix of the stdout lines that carry what the bot sent to the Graph API */
+export const SEND_MARKER = '@@graph-send ';
+
+// Loaded with --import ahead of index.js: nothing leaves the machine, and every
+// Send API call is echoed on stdout for the test to read
+axios.post = async (url, body) => {
+  if (url.includes('/messages')) process.stdout.write(`${SEND_MARKER}${JSON.stringify(body)}\n`);
+  return { data: {} };
+};
+axios.get = async () => {
+  throw new Error('The Graph API is stubbed out in tests');
+};
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import en from '../locales/en.js';
+import tl from '../locales/tl.js';
+import i18n from '../i18n.js';
+
+/** Every dot-separated key path to a string, mapped to its sorted placeholder names */
+function flatten(messages, prefix = '', out = new Map()) {
+  for (const [key, value] of Object.entries(messages)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string') out.set(path, [...value.matchAll(/\{(\w+)\}/g)].map(([, name]) => name).sort().join(','));
+    else if (value && typeof value === 'object') flatten(value, path, out);
+  }
+  return out;
+}
+
+// English command descriptions come from the command declarations in index.js,
+// so only the other locales list them under `commands`
+const { commands, ...tagalog } = tl;
+const english = flatten(en);
+const translated = flatten(tagalog);
+
+test('the English and Tagalog catalogs have the same keys', () => {
+  assert.deepEqual([...translated.keys()].filter(key => !english.has(key)), [], 'only in tl.js');
+  assert.deepEqual([...english.keys()].filter(key => !translated.has(key)), [], 'missing from tl.js');
+});
+
+test('translated messages keep the English placeholders', () => {
+  const mismatched = [...english].filter(([key, names]) => translated.has(key) && translated.get(key) !== names).map(([key]) => key);
+  assert.deepEqual(mismatched, []);
+});
+
+test('the Tagalog command descriptions are plain strings', () => {
+  assert.ok(Object.keys(commands).length > 0);
+  for (const [name, description] of Object.entries(commands)) assert.equal(typeof description, 'string', name);
+});
+
+test('findMissingKeys reports missing, extra and mismatched messages', () => {
+  i18n.addMessages('en', { probe: { onlyEnglish: 'Hi', greeting: 'Hi {name}' } });
+  i18n.addMessages('tl', { probe: { onlyTagalog: 'Kumusta', greeting: 'Kumusta {user}' } });
+
+  const problems = i18n.findMissingKeys().filter(({ key }) => key.startsWith('probe.'));
+  assert.deepEqual(problems.sort((a, b) => a.key.localeCompare(b.key)), [
+    { locale: 'tl', key: 'probe.greeting', problem: 'placeholders' },
+    { locale: 'tl', key: 'probe.onlyEnglish', problem: 'missing' },
+    { locale: 'tl', key: 'probe.onlyTagalog', problem: 'extra' },
+  ]);
+});
@@ -0,0 +1,48 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LIMITS, splitText, splitMessage } from '../message-renderer.js';
+
+// Paragraphs of 300 characters: seven of them do not fit in one message
+const paragraph = (index) => `${index}`.padEnd(300, '.');
+const longText = Array.from({ length: 7 }, (_, index) => paragraph(index)).join('\n\n');
+const quickReplies = [{ content_type: 'text', title: 'Refresh', payload: 'REFRESH_STOCK' }];
+
+describe('splitText', () => {
+  test('leaves text within the limit alone', () => {
+    assert.deepEqual(splitText('hello'), ['hello']);
+  });
+
+  test('breaks between paragraphs and keeps every part within the limit', () => {
+    const parts = splitText(longText);
+    assert.ok(parts.length > 1);
+    assert.ok(parts.every(part => part.length <= LIMITS.text));
+    assert.equal(parts.join('\n\n'), longText);
+  });
+});
+
+describe('splitMessage', () => {
+  test('keeps quick replies on the last part only', () => {
+    const messages = splitMessage({ text: longText, quick_replies: quickReplies });
+    assert.ok(messages.length > 1);
+    assert.deepEqual(messages.at(-1).quick_replies, quickReplies);
+    assert.ok(messages.slice(0, -1).every(message => !('quick_replies' in message)));
+  });
+
+  test('with single, shortens long text into one message that keeps its quick replies', () => {
+    const messages = splitMessage({ text: longText, quick_replies: quickReplies }, { single: true });
+    assert.equal(messages.length, 1);
+    assert.ok(messages[0].text.length <= LIMITS.text);
+    assert.ok(messages[0].text.startsWith(paragraph(0)));
+    assert.ok(messages[0].text.endsWith('…'));
+    assert.deepEqual(messages[0].quick_replies, quickReplies);
+  });
+
+  test('with single, leaves short text as it is', () => {
+    assert.deepEqual(splitMessage({ text: 'hello' }, { single: true }), [{ text: 'hello' }]);
+  });
+
+  test('passes messages without text through', () => {
+    const attachment = { attachment: { type: 'image', payload: { url: 'https://example.com/a.png' } } };
+    assert.deepEqual(splitMessage(attachment), [attachment]);
+  });
+});
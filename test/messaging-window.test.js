@@ -0,0 +1,55 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import storage from '../storage.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const USER = 'user-1';
+
+let messagingWindow;
+before(async () => {
+  storage.setConfig({ backend: 'memory' });
+  ({ default: messagingWindow } = await import('../messaging-window.js'));
+});
+
+// Opting out of recurring notifications and spending any one-time token leaves no tokens behind
+beforeEach(() => {
+  messagingWindow.recordOptin(USER, { type: 'notification_messages', notification_messages_token: 'recurring-1', notification_messages_status: 'STOP_NOTIFICATIONS' });
+  while (messagingWindow.resolve(USER, 'alert').action === 'send');
+});
+
+const optInOnce = () => messagingWindow.recordOptin(USER, { type: 'one_time_notif_req', one_time_notif_token: 'once-1' });
+const optInDaily = () => messagingWindow.recordOptin(USER, { type: 'notification_messages', notification_messages_token: 'recurring-1' });
+
+test('an alert outside the window spends a one-time token', () => {
+  optInOnce();
+  const delivery = messagingWindow.resolve(USER, 'alert');
+  assert.deepEqual(delivery.fields, { recipient: { one_time_notif_token: 'once-1' } });
+  assert.equal(delivery.token.token, 'once-1');
+  assert.equal(messagingWindow.hasNotificationToken(USER), false);
+  assert.equal(messagingWindow.resolve(USER, 'alert').action, 'drop');
+});
+
+test('a one-time token given back after a failed send can be used again', () => {
+  optInOnce();
+  const { token } = messagingWindow.resolve(USER, 'alert');
+  messagingWindow.restoreNotificationToken(USER, token);
+  assert.equal(messagingWindow.hasNotificationToken(USER), true);
+  assert.deepEqual(messagingWindow.resolve(USER, 'alert').fields, { recipient: { one_time_notif_token: 'once-1' } });
+});
+
+test('a recurring token given back is usable again before its frequency runs out', () => {
+  optInDaily();
+  const { token } = messagingWindow.resolve(USER, 'alert');
+  assert.equal(messagingWindow.hasNotificationToken(USER), false);
+  messagingWindow.restoreNotificationToken(USER, token);
+  assert.equal(messagingWindow.hasNotificationToken(USER), true);
+  assert.equal(messagingWindow.hasNotificationToken(USER, Date.now() + DAY), true);
+});
+
+test('a recurring token the user stopped meanwhile is not given back', () => {
+  optInDaily();
+  const { token } = messagingWindow.resolve(USER, 'alert');
+  messagingWindow.recordOptin(USER, { type: 'notification_messages', notification_messages_token: 'recurring-1', notification_messages_status: 'STOP_NOTIFICATIONS' });
+  messagingWindow.restoreNotificationToken(USER, token);
+  assert.equal(messagingWindow.hasNotificationToken(USER), false);
+});
@@ -0,0 +1,114 @@
+import { describe, test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import storage from '../storage.js';
+
+const TIME_ZONE = 'Asia/Manila';
+const HOUR = 60 * 60 * 1000;
+// Wall-clock time in Manila (UTC+8, no daylight saving) as an instant
+const manila = (day, hour, minute = 0) => Date.UTC(2026, 9, day, hour - 8, minute);
+
+let quietHours, parseQuietWindow, describeQuietWindow;
+before(async () => {
+  storage.setConfig({ backend: 'memory' });
+  ({ default: quietHours, parseQuietWindow, describeQuietWindow } = await import('../quiet-hours.js'));
+});
+afterEach(() => quietHours.forget('user-1'));
+
+describe('parseQuietWindow', () => {
+  test('reads a 24-hour range, which may run past midnight', () => {
+    assert.deepEqual(parseQuietWindow('22:00-07:00'), { start: 22 * 60, end: 7 * 60 });
+    assert.deepEqual(parseQuietWindow(' 9:30 - 12:00 '), { start: 9 * 60 + 30, end: 12 * 60 });
+    assert.equal(describeQuietWindow(parseQuietWindow('9:30-12:00')), '09:30-12:00');
+  });
+
+  test('rejects impossible and empty ranges', () => {
+    for (const text of ['24:00-07:00', '22:60-07:00', '07:00-07:00', '22-07', '', undefined]) {
+      assert.equal(parseQuietWindow(text), null, String(text));
+    }
+  });
+});
+
+describe('isQuiet and getQuietUntil', () => {
+  test('an overnight window is quiet from its start until its end the next morning', () => {
+    quietHours.setWindow('user-1', parseQuietWindow('22:00-07:00'));
+    assert.equal(quietHours.isQuiet('user-1', TIME_ZONE, manila(19, 21, 59)), false);
+    assert.equal(quietHours.isQuiet('user-1', TIME_ZONE, manila(19, 22)), true);
+    assert.equal(quietHours.isQuiet('user-1', TIME_ZONE, manila(20, 6, 59)), true);
+    assert.equal(quietHours.isQuiet('user-1', TIME_ZONE, manila(20, 7)), false);
+    assert.equal(quietHours.getQuietUntil('user-1', TIME_ZONE, manila(19, 23)), manila(20, 7));
+    assert.equal(quietHours.getQuietUntil('user-1', TIME_ZONE, manila(19, 12)), null);
+  });
+
+  test('a timed pause ends on its own', () => {
+    quietHours.pauseFor('user-1', 2 * HOUR, manila(19, 12));
+    assert.equal(quietHours.isQuiet('user-1', TIME_ZONE, manila(19, 13, 59)), true);
+    assert.equal(quietHours.isQuiet('user-1', TIME_ZONE, manila(19, 14)), false);
+    assert.equal(quietHours.getQuietUntil('user-1', TIME_ZONE, manila(19, 13)), manila(19, 14));
+  });
+
+  test('a pause that runs into quiet hours lasts until they end', () => {
+    quietHours.setWindow('user-1', parseQuietWindow('22:00-07:00'));
+    quietHours.pauseFor('user-1', 2 * HOUR, manila(19, 21));
+    assert.equal(quietHours.getQuietUntil('user-1', TIME_ZONE, manila(19, 21)), manila(20, 7));
+  });
+
+  test('follows the time zone it is given', () => {
+    quietHours.setWindow('user-1', parseQuietWindow('22:00-07:00'));
+    // 23:00 in Manila is 15:00 UTC
+    assert.equal(quietHours.isQuiet('user-1', 'UTC', manila(19, 23)), false);
+  });
+});
+
+describe('exceptions', () => {
+  test('only the kinds chosen get through', () => {
+    quietHours.setExceptions('user-1', ['watchlist', 'pizza', 'divine']);
+    assert.deepEqual(quietHours.get('user-1').exceptions, ['divine', 'watchlist']);
+    assert.equal(quietHours.allows('user-1', 'divine'), true);
+    assert.equal(quietHours.allows('user-1', 'alerts'), false);
+  });
+
+  test('settings with nothing left are forgotten', () => {
+    quietHours.setExceptions('user-1', ['divine']);
+    quietHours.setExceptions('user-1', []);
+    assert.equal(quietHours.getStats().configured, 0);
+  });
+});
+
+describe('digest', () => {
+  test('collects skipped updates and held items without repeats', () => {
+    quietHours.holdUpdate('user-1', manila(19, 22));
+    quietHours.holdUpdate('user-1', manila(19, 23));
+    quietHours.holdItems('user-1', 'divine', ['Ember Lily', 'Beanstalk']);
+    quietHours.holdItems('user-1', 'divine', ['Beanstalk']);
+    quietHours.holdItems('user-1', 'reminders', ['Eggs']);
+
+    assert.deepEqual(quietHours.getHeldUsers(), ['user-1']);
+    assert.deepEqual(quietHours.takeDigest('user-1'), {
+      since: manila(19, 22),
+      updates: 2,
+      items: { divine: ['Ember Lily', 'Beanstalk'] },
+    });
+    assert.equal(quietHours.takeDigest('user-1'), null);
+  });
+
+  test('a digest put back after a failed send merges with what was held since', () => {
+    quietHours.holdUpdate('user-1', manila(19, 22));
+    quietHours.holdItems('user-1', 'watchlist', ['Carrot']);
+    const digest = quietHours.takeDigest('user-1');
+
+    quietHours.holdItems('user-1', 'watchlist', ['Carrot', 'Tomato'], manila(20, 7));
+    quietHours.restoreDigest('user-1', digest);
+    assert.deepEqual(quietHours.takeDigest('user-1'), {
+      since: manila(19, 22),
+      updates: 1,
+      items: { watchlist: ['Carrot', 'Tomato'] },
+    });
+  });
+
+  test('a digest put back with nothing held since comes back as it was', () => {
+    quietHours.holdUpdate('user-1', manila(19, 22));
+    const digest = quietHours.takeDigest('user-1');
+    quietHours.restoreDigest('user-1', digest);
+    assert.deepEqual(quietHours.takeDigest('user-1'), digest);
+  });
+});
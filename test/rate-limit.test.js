@@ -0,0 +1,26 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import en from '../locales/en.js';
+import { commandPayload } from '../messenger-profile.js';
+import { startBot } from './helpers/bot-process.js';
+
+const USER = 'user-rate-1';
+const heading = (template) => template.split('\n')[1];
+
+let bot;
+before(async () => {
+  bot = await startBot();
+});
+after(() => bot?.stop());
+
+// The limit is 10 events a minute; a tap used to count once as a message and again as the command it runs
+test('a quick-reply tap counts once against the rate limit', async () => {
+  const answers = [heading(en.remind.list), heading(en.errors.rateLimit)];
+  const replies = [];
+  for (let tap = 0; tap < 6; tap++) {
+    const since = bot.sent.length;
+    await bot.send(USER, '📋 My Reminders', { quickReply: commandPayload('remind list') });
+    replies.push(await bot.waitForText(USER, text => answers.some(answer => text.includes(answer)), { since }));
+  }
+  assert.ok(replies.every(reply => reply.includes(heading(en.remind.list))), 'the user was rate limited');
+});
@@ -0,0 +1,122 @@
+import { describe, test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import storage from '../storage.js';
+
+const SECOND = 1000;
+let createReminderScheduler;
+before(async () => {
+  storage.setConfig({ backend: 'memory' });
+  ({ createReminderScheduler } = await import('../reminders.js'));
+});
+
+let scheduler;
+afterEach(() => {
+  scheduler.clear('user-1');
+  scheduler.stop();
+});
+
+// Lets the scheduler's first check (run by start()) finish delivering
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+/**
+ * A scheduler whose restocks are handed out from `restocks` in turn, and whose pings
+ * are answered by `deliver`. The first restock is 30s away, inside a 1m lead, so the
+ * reminder is due as soon as the scheduler starts.
+ */
+function setup(deliver, { repeat = false, maxRetries } = {}) {
+  const first = Date.now() + 30 * SECOND;
+  const restocks = [first, first + 300 * SECOND, first + 600 * SECOND];
+  const pings = [];
+  scheduler = createReminderScheduler({
+    getNextRestock: () => restocks.shift() ?? null,
+    deliver: async (reminder) => {
+      pings.push(reminder.restockAt);
+      return deliver(reminder);
+    },
+    checkInterval: 60 * 60 * SECOND,
+    maxRetries,
+  });
+  const { reminder } = scheduler.add('user-1', { category: 'egg', lead: 60 * SECOND, repeat });
+  return { reminder, pings, first };
+}
+
+describe('createReminderScheduler', () => {
+  test('removes a one-off reminder once its ping goes out', async () => {
+    const { pings, first } = setup(async () => 'sent');
+    scheduler.start();
+    await settle();
+    assert.deepEqual(pings, [first]);
+    assert.deepEqual(scheduler.list('user-1'), []);
+  });
+
+  test('keeps a one-off reminder whose ping was held back, for the next restock', async () => {
+    const { reminder, pings, first } = setup(async () => 'held');
+    scheduler.start();
+    await settle();
+    assert.deepEqual(pings, [first]);
+    assert.deepEqual(scheduler.list('user-1'), [{ ...reminder, restockAt: first + 300 * SECOND }]);
+  });
+
+  test('keeps a one-off reminder whose delivery threw, counting the failure', async () => {
+    const { pings, first } = setup(async () => { throw new Error('Send API is down'); });
+    scheduler.start();
+    await settle();
+    assert.deepEqual(pings, [first]);
+    const [kept] = scheduler.list('user-1');
+    assert.equal(kept.restockAt, first + 300 * SECOND);
+    assert.equal(kept.failures, 1);
+  });
+
+  test('drops a one-off reminder once its pings failed more than maxRetries times', async () => {
+    setup(async () => 'failed', { maxRetries: 0 });
+    scheduler.start();
+    await settle();
+    assert.deepEqual(scheduler.list('user-1'), []);
+  });
+
+  test('drops a one-off reminder that cannot reach the user', async () => {
+    const { pings, first } = setup(async () => 'undeliverable');
+    scheduler.start();
+    await settle();
+    assert.deepEqual(pings, [first]);
+    assert.deepEqual(scheduler.list('user-1'), []);
+  });
+
+  test('keeps a repeating reminder that cannot reach the user right now', async () => {
+    const { first } = setup(async () => 'undeliverable', { repeat: true });
+    scheduler.start();
+    await settle();
+    assert.equal(scheduler.list('user-1')[0].restockAt, first + 300 * SECOND);
+  });
+
+  test('moves a repeating reminder on to the next restock after pinging', async () => {
+    const { pings, first } = setup(async () => 'sent', { repeat: true });
+    scheduler.start();
+    await settle();
+    assert.deepEqual(pings, [first]);
+    assert.equal(scheduler.list('user-1')[0].restockAt, first + 300 * SECOND);
+  });
+
+  test('does not bring back a reminder cancelled while its ping was going out', async () => {
+    setup(async (reminder) => {
+      scheduler.remove(reminder.userId, reminder.id);
+      return 'held';
+    });
+    scheduler.start();
+    await settle();
+    assert.deepEqual(scheduler.list('user-1'), []);
+  });
+
+  test('keeps a reminder switched to repeat while its ping was going out', async () => {
+    const { first } = setup(async (reminder) => {
+      // add() uses up the next restock (first + 300s) from the fake schedule
+      scheduler.add(reminder.userId, { category: reminder.category, lead: reminder.lead, repeat: true });
+      return 'sent';
+    });
+    scheduler.start();
+    await settle();
+    const [kept] = scheduler.list('user-1');
+    assert.equal(kept.repeat, true);
+    assert.equal(kept.restockAt, first + 600 * SECOND);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import restockSchedule from '../restock-schedule.js';
+
+const MINUTE = 60 * 1000;
+const utc = (...parts) => Date.UTC(...parts);
+// Wall-clock time in Manila (UTC+8, no daylight saving) as an instant
+const manila = (year, month, day, hour = 0, minute = 0) => Date.UTC(year, month, day, hour - 8, minute);
+
+describe('getNext', () => {
+  const slot = utc(2026, 9, 19, 12, 5);
+
+  test('a time exactly on a slot moves on to the following one', () => {
+    assert.equal(restockSchedule.getNext('gear', slot), slot + 5 * MINUTE);
+  });
+
+  test('1 ms before a slot gives that slot', () => {
+    assert.equal(restockSchedule.getNext('gear', slot - 1), slot);
+  });
+
+  test('1 ms after a slot gives the following one', () => {
+    assert.equal(restockSchedule.getNext('gear', slot + 1), slot + 5 * MINUTE);
+  });
+
+  test('rolls over to the next hour', () => {
+    assert.equal(restockSchedule.getNext('gear', utc(2026, 9, 19, 12, 58)), utc(2026, 9, 19, 13, 0));
+    assert.equal(restockSchedule.getNext('seed', utc(2026, 9, 19, 12, 59, 59, 999)), utc(2026, 9, 19, 13, 0));
+    assert.equal(restockSchedule.getNext('honey', utc(2026, 9, 19, 12, 0)), utc(2026, 9, 19, 13, 0));
+  });
+
+  test('rolls over to the next day, month and year', () => {
+    assert.equal(restockSchedule.getNext('egg', utc(2026, 9, 19, 23, 45)), utc(2026, 9, 20, 0, 0));
+    assert.equal(restockSchedule.getNext('egg', utc(2026, 9, 31, 23, 30)), utc(2026, 10, 1, 0, 0));
+    assert.equal(restockSchedule.getNext('gear', utc(2026, 11, 31, 23, 59, 59)), utc(2027, 0, 1, 0, 0));
+  });
+
+  test('seed restocks every 3 minutes from the top of the hour', () => {
+    const upcoming = restockSchedule.getUpcoming('seed', 21, utc(2026, 9, 19, 12, 0) - 1);
+    assert.equal(upcoming[0], utc(2026, 9, 19, 12, 0));
+    assert.equal(upcoming[20], utc(2026, 9, 19, 13, 0));
+    upcoming.slice(1).forEach((at, index) => assert.equal(at - upcoming[index], 3 * MINUTE));
+  });
+
+  test('is null for a category without a schedule', () => {
+    assert.equal(restockSchedule.getNext('weather', Date.now()), null);
+    assert.deepEqual(restockSchedule.getUpcoming('weather', 3), []);
+  });
+});
+
+describe('cosmetics (daily slots in Asia/Manila)', () => {
+  test('restocks at 00:00, 07:00, 14:00 and 21:00 Manila time', () => {
+    assert.deepEqual(restockSchedule.getUpcoming('cosmetics', 5, manila(2026, 9, 19) - 1), [
+      manila(2026, 9, 19, 0),
+      manila(2026, 9, 19, 7),
+      manila(2026, 9, 19, 14),
+      manila(2026, 9, 19, 21),
+      manila(2026, 9, 20, 0),
+    ]);
+  });
+
+  test('the 21:00 slot is followed by midnight, not 04:00', () => {
+    assert.equal(restockSchedule.getNext('cosmetics', manila(2026, 9, 19, 21)), manila(2026, 9, 20, 0));
+    assert.equal(restockSchedule.getNext('cosmetics', manila(2026, 9, 19, 23, 59)), manila(2026, 9, 20, 0));
+  });
+
+  test('slot boundaries are exclusive', () => {
+    const slot = manila(2026, 9, 19, 14);
+    assert.equal(restockSchedule.getNext('cosmetics', slot - 1), slot);
+    assert.equal(restockSchedule.getNext('cosmetics', slot), manila(2026, 9, 19, 21));
+    assert.equal(restockSchedule.getNext('cosmetics', slot + 1), manila(2026, 9, 19, 21));
+  });
+
+  test('follows Manila midnight across a month and year change', () => {
+    assert.equal(restockSchedule.getNext('cosmetics', manila(2026, 11, 31, 22)), manila(2027, 0, 1, 0));
+    // 16:00 UTC on 31 Dec is already midnight on 1 Jan in Manila
+    assert.equal(restockSchedule.getNext('cosmetics', utc(2026, 11, 31, 16, 0, 0, 1)), manila(2027, 0, 1, 7));
+  });
+});
+
+describe('getNextOf', () => {
+  test('lists every category restocking at the soonest moment, in the order asked', () => {
+    assert.deepEqual(restockSchedule.getNextOf(['honey', 'gear', 'seed', 'egg'], utc(2026, 9, 19, 11, 59)), {
+      at: utc(2026, 9, 19, 12, 0),
+      categories: ['honey', 'gear', 'seed', 'egg'],
+    });
+  });
+
+  test('a tie leaves out categories that restock later', () => {
+    // 12:15 is on both the 5- and 3-minute cycles but not the 30-minute one
+    assert.deepEqual(restockSchedule.getNextOf(['egg', 'seed', 'gear'], utc(2026, 9, 19, 12, 14)), {
+      at: utc(2026, 9, 19, 12, 15),
+      categories: ['seed', 'gear'],
+    });
+  });
+
+  test('picks the single soonest category when there is no tie', () => {
+    assert.deepEqual(restockSchedule.getNextOf(['gear', 'seed'], utc(2026, 9, 19, 12, 1)), {
+      at: utc(2026, 9, 19, 12, 3),
+      categories: ['seed'],
+    });
+  });
+
+  test('skips unknown categories, and is null when none are known', () => {
+    assert.deepEqual(restockSchedule.getNextOf(['weather', 'gear'], utc(2026, 9, 19, 12, 1)).categories, ['gear']);
+    assert.equal(restockSchedule.getNextOf(['weather'], Date.now()), null);
+  });
+});
+
+describe('setConfig', () => {
+  test('offsets shift every slot', () => {
+    const original = restockSchedule.getConfig().categories;
+    try {
+      restockSchedule.setConfig({ categories: { ...original, gear: { every: 5, offset: 2 } } });
+      assert.equal(restockSchedule.getNext('gear', utc(2026, 9, 19, 12, 0)), utc(2026, 9, 19, 12, 2));
+      assert.equal(restockSchedule.getNext('gear', utc(2026, 9, 19, 12, 2)), utc(2026, 9, 19, 12, 7));
+    } finally {
+      restockSchedule.setConfig({ categories: original });
+    }
+  });
+
+  test('rejects intervals and offsets that cannot work', () => {
+    assert.throws(() => restockSchedule.setConfig({ categories: { gear: { every: 0 } } }), /must be positive/);
+    assert.throws(() => restockSchedule.setConfig({ categories: { gear: { every: 5, offset: 5 } } }), /under its interval/);
+    assert.equal(restockSchedule.getInterval('gear'), 5);
+  });
+});
@@ -0,0 +1,77 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStockPoller } from '../stock-poller.js';
+
+const TICK = 1000;
+
+// Lets a tick's fetch and publish finish; setImmediate is not mocked
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+async function runTick() {
+  mock.timers.tick(TICK);
+  await settle();
+}
+
+let poller;
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+afterEach(() => {
+  poller?.stop();
+  mock.timers.reset();
+});
+
+/** A poller that hands out the numbered snapshots 1, 2, 3… and records what subscribers see */
+function setup() {
+  let fetches = 0;
+  const published = [];
+  poller = createStockPoller({
+    fetchSnapshot: async () => ({ id: ++fetches, fetchedAt: Date.now() }),
+    getNextDelay: () => TICK,
+    maxAge: 0,
+  });
+  poller.subscribe('recorder', (snapshot, previous) => {
+    published.push([snapshot.id, previous?.id ?? null]);
+  });
+  poller.start();
+  return published;
+}
+
+test('subscribers diff each tick against the previous tick', async () => {
+  const published = setup();
+  await runTick();
+  await runTick();
+  assert.deepEqual(published, [[1, null], [2, 1]]);
+});
+
+test('an on-demand fetch between ticks does not change what subscribers diff against', async () => {
+  const published = setup();
+  await runTick();
+
+  const fetched = await poller.fetchNow();
+  assert.equal(fetched.id, 2);
+  assert.equal(poller.getLatest().id, 2);
+
+  await runTick();
+  assert.deepEqual(published, [[1, null], [3, 1]]);
+});
+
+test('a failed tick leaves the last published snapshot in place', async () => {
+  let fail = false;
+  let fetches = 0;
+  const published = [];
+  poller = createStockPoller({
+    fetchSnapshot: async () => {
+      if (fail) throw new Error('upstream down');
+      return { id: ++fetches, fetchedAt: Date.now() };
+    },
+    getNextDelay: () => TICK,
+  });
+  poller.subscribe('recorder', (snapshot, previous) => published.push([snapshot.id, previous?.id ?? null]));
+  poller.start();
+
+  await runTick();
+  fail = true;
+  await runTick();
+  fail = false;
+  await runTick();
+  assert.deepEqual(published, [[1, null], [2, 1]]);
+});
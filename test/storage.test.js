@@ -0,0 +1,152 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import storage from '../storage.js';
+
+let dataDir;
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gagstock-storage-'));
+});
+afterEach(() => {
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function open(backend) {
+  storage.close();
+  storage.setConfig({ backend, dataDir });
+}
+
+// Closes the backend and opens it again, as a restart would
+function reload(backend) {
+  storage.close();
+  open(backend);
+}
+
+for (const backend of ['json', 'sqlite']) {
+  describe(`${backend} backend`, () => {
+    test('PersistentMap values survive a reload', () => {
+      open(backend);
+      const map = storage.map('things');
+      map.set('object', { name: 'Carrot', tags: ['seed'], nested: { value: 3 } });
+      map.set('number', 42);
+      map.set('text', 'hello');
+      map.set(7, true);
+
+      reload(backend);
+      const reloaded = storage.map('things');
+      assert.equal(storage.getConfig().backend, backend);
+      assert.deepEqual(Object.fromEntries(reloaded), {
+        object: { name: 'Carrot', tags: ['seed'], nested: { value: 3 } },
+        number: 42,
+        text: 'hello',
+        7: true, // keys come back as strings
+      });
+    });
+
+    test('PersistentMap deletes and clears survive a reload', () => {
+      open(backend);
+      const map = storage.map('things');
+      map.set('keep', 1).set('drop', 2);
+      map.delete('drop');
+      const other = storage.map('others');
+      other.set('a', 1);
+      other.clear();
+
+      reload(backend);
+      assert.deepEqual([...storage.map('things')], [['keep', 1]]);
+      assert.equal(storage.map('others').size, 0);
+    });
+
+    test('stores a copy, so later in-place changes are not persisted', () => {
+      open(backend);
+      const session = { filters: ['carrot'] };
+      storage.map('things').set('user-1', session);
+      session.filters.push('tomato');
+
+      reload(backend);
+      assert.deepEqual(storage.map('things').get('user-1'), { filters: ['carrot'] });
+    });
+
+    test('PersistentSet members survive a reload', () => {
+      open(backend);
+      const set = storage.set('members');
+      set.add('user-1').add('user-2').add('user-3');
+      set.delete('user-2');
+
+      reload(backend);
+      assert.deepEqual([...storage.set('members')].sort(), ['user-1', 'user-3']);
+      storage.set('members').clear();
+
+      reload(backend);
+      assert.equal(storage.set('members').size, 0);
+    });
+
+    test('tracking sessions are rehydrated after a reload', () => {
+      open(backend);
+      const sessions = storage.map('sessions');
+      const startTime = Date.UTC(2026, 9, 19, 12, 0);
+      sessions.set('user-1', { filters: ['ember lily'], startTime, lastActivity: startTime + 60000 });
+      sessions.set('user-2', { filters: [], startTime, lastActivity: startTime });
+      storage.set('priorityUsers').add('user-1');
+
+      reload(backend);
+      assert.deepEqual(Object.fromEntries(storage.map('sessions')), {
+        'user-1': { filters: ['ember lily'], startTime, lastActivity: startTime + 60000 },
+        'user-2': { filters: [], startTime, lastActivity: startTime },
+      });
+      assert.ok(storage.set('priorityUsers').has('user-1'));
+    });
+  });
+}
+
+describe('json backend files', () => {
+  test('flush writes the store before the write delay', () => {
+    open('json');
+    storage.map('things').set('a', 1);
+    storage.flush();
+    const file = path.join(dataDir, storage.getConfig().jsonFile);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { things: { a: 1 } });
+  });
+
+  test('a corrupt store is moved aside and starts empty', () => {
+    const file = path.join(dataDir, storage.getConfig().jsonFile);
+    fs.writeFileSync(file, '{ not json');
+    open('json');
+    assert.equal(storage.map('things').size, 0);
+    assert.ok(fs.readdirSync(dataDir).some(name => name.startsWith(`${storage.getConfig().jsonFile}.corrupt-`)));
+  });
+});
+
+describe('memory backend', () => {
+  test('PersistentMap and PersistentSet round-trip values while open', () => {
+    open('memory');
+    const map = storage.map('things');
+    map.set('user-1', { filters: ['carrot'] });
+    storage.set('members').add('user-1');
+
+    // Collections are shared per namespace
+    assert.equal(storage.map('things'), map);
+    assert.deepEqual(storage.map('things').get('user-1'), { filters: ['carrot'] });
+    assert.ok(storage.set('members').has('user-1'));
+    assert.equal(fs.readdirSync(dataDir).length, 0);
+  });
+
+  test('starts empty after a reload', () => {
+    open('memory');
+    storage.map('sessions').set('user-1', { filters: [] });
+    storage.set('members').add('user-1');
+
+    reload('memory');
+    assert.equal(storage.map('sessions').size, 0);
+    assert.equal(storage.set('members').size, 0);
+  });
+
+  test('a namespace cannot be both a map and a set', () => {
+    open('memory');
+    storage.map('things');
+    assert.throws(() => storage.set('things'), /already used by a PersistentMap/);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTimeZone, formatDateTime, formatTimeOfDay, nextTimeOfDay, zonedTimeToInstant } from '../time-zones.js';
+
+const instant = Date.UTC(2026, 9, 19, 6, 5, 30); // 2:05:30 PM in Manila
+
+describe('formatDateTime', () => {
+  test('shows the date and time in the zone with its abbreviation', () => {
+    assert.equal(formatDateTime(instant, 'Asia/Manila'), 'Oct 19, 2:05 PM GMT+8');
+  });
+
+  test('adds the year and seconds when asked', () => {
+    assert.equal(formatDateTime(instant, 'Asia/Manila', { seconds: true, year: true }), 'Oct 19, 2026, 2:05:30 PM GMT+8');
+  });
+
+  test('shows the time of day on its own', () => {
+    assert.equal(formatTimeOfDay(instant, 'Asia/Manila'), '2:05 PM');
+  });
+});
+
+describe('resolveTimeZone', () => {
+  test('accepts IANA names in any case and whole-hour offsets', () => {
+    assert.equal(resolveTimeZone('asia/tokyo'), 'Asia/Tokyo');
+    assert.equal(resolveTimeZone('UTC+8'), 'Etc/GMT-8');
+    assert.equal(resolveTimeZone('gmt-5'), 'Etc/GMT+5');
+    assert.equal(resolveTimeZone('utc'), 'UTC');
+  });
+
+  test('is null for anything else', () => {
+    assert.equal(resolveTimeZone('Mars/Olympus'), null);
+    assert.equal(resolveTimeZone(''), null);
+  });
+});
+
+describe('wall-clock conversions', () => {
+  test('zonedTimeToInstant reads a wall time in the zone', () => {
+    assert.equal(zonedTimeToInstant('Asia/Manila', { year: 2026, month: 10, day: 19, hour: 14, minute: 5, second: 30 }), instant);
+  });
+
+  test('nextTimeOfDay moves to tomorrow once today\'s time has passed', () => {
+    assert.equal(nextTimeOfDay('Asia/Manila', 22, 0, instant), Date.UTC(2026, 9, 19, 14, 0));
+    assert.equal(nextTimeOfDay('Asia/Manila', 7, 0, instant), Date.UTC(2026, 9, 19, 23, 0));
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { signPayload, isValidSignature, requireSignature } from '../webhook-signature.js';
+
+const APP_SECRET = 'test-app-secret';
+const FIXTURES = ['webhook-message.json', 'webhook-postback.json']
+  .map(name => [name, fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url))]);
+
+// The headers a caller could send for a raw body
+function headerCases(rawBody) {
+  const valid = signPayload(rawBody, APP_SECRET);
+  const digest = valid.slice('sha256='.length);
+  return {
+    valid,
+    missing: undefined,
+    mismatched: signPayload(rawBody, 'some-other-secret'),
+    wrongLength: valid.slice(0, -2),
+    notSha256: `sha1=${digest}`,
+    bareDigest: digest,
+  };
+}
+
+// Runs the middleware on a fake request and reports whether it let the call through
+function runMiddleware(rawBody, signature) {
+  const req = { rawBody, ip: '127.0.0.1', get: (name) => name.toLowerCase() === 'x-hub-signature-256' ? signature : undefined };
+  const res = { status: null, sendStatus(code) { this.status = code; } };
+  let passed = false;
+  requireSignature(APP_SECRET)(req, res, () => { passed = true; });
+  return { passed, status: res.status };
+}
+
+describe('signPayload', () => {
+  test('produces a sha256= header with a hex HMAC of the raw bytes', () => {
+    for (const [name, rawBody] of FIXTURES) {
+      assert.match(signPayload(rawBody, APP_SECRET), /^sha256=[0-9a-f]{64}$/, name);
+    }
+  });
+
+  test('signs bytes, so re-serialized JSON gets a different signature', () => {
+    const [, rawBody] = FIXTURES[0];
+    const reserialized = JSON.stringify(JSON.parse(rawBody), null, 2);
+    assert.notEqual(signPayload(reserialized, APP_SECRET), signPayload(rawBody, APP_SECRET));
+  });
+});
+
+describe('isValidSignature', () => {
+  for (const [name, rawBody] of FIXTURES) {
+    test(`accepts only the right signature for ${name}`, () => {
+      const headers = headerCases(rawBody);
+      assert.equal(isValidSignature(rawBody, headers.valid, APP_SECRET), true);
+      assert.equal(isValidSignature(rawBody, headers.missing, APP_SECRET), false);
+      assert.equal(isValidSignature(rawBody, headers.mismatched, APP_SECRET), false);
+      assert.equal(isValidSignature(rawBody, headers.wrongLength, APP_SECRET), false);
+      assert.equal(isValidSignature(rawBody, headers.notSha256, APP_SECRET), false);
+      assert.equal(isValidSignature(rawBody, headers.bareDigest, APP_SECRET), false);
+    });
+  }
+
+  test('rejects a valid signature for a body that was changed', () => {
+    const [, rawBody] = FIXTURES[0];
+    const tampered = Buffer.from(rawBody.toString().replace('gagstock on', 'admin stats'));
+    assert.equal(isValidSignature(tampered, signPayload(rawBody, APP_SECRET), APP_SECRET), false);
+  });
+
+  test('rejects a request without a captured raw body', () => {
+    const [, rawBody] = FIXTURES[0];
+    assert.equal(isValidSignature(undefined, signPayload(rawBody, APP_SECRET), APP_SECRET), false);
+  });
+});
+
+describe('requireSignature', () => {
+  const [, rawBody] = FIXTURES[0];
+  const headers = headerCases(rawBody);
+
+  test('lets a correctly signed call through', () => {
+    assert.deepEqual(runMiddleware(rawBody, headers.valid), { passed: true, status: null });
+  });
+
+  for (const kind of ['missing', 'mismatched', 'wrongLength', 'notSha256', 'bareDigest']) {
+    test(`answers 403 to a ${kind} signature`, () => {
+      assert.deepEqual(runMiddleware(rawBody, headers[kind]), { passed: false, status: 403 });
+    });
+  }
+});
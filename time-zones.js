@@ -0,0 +1,121 @@
+/**
+ * Time zone helpers. Everything is computed on real instants (epoch milliseconds) and
+ * only turned into a wall-clock reading for display, so daylight saving is handled by Intl.
+ */
+
+/** Zone for users who have not picked one; the bot's nightly rest runs on it too */
+export const DEFAULT_TIME_ZONE = 'Asia/Manila';
+
+const DISPLAY_LOCALE = 'en-PH';
+const partFormatters = new Map(); // timeZone -> Intl.DateTimeFormat reading clock parts
+
+function getPartFormatter(timeZone) {
+  if (!partFormatters.has(timeZone)) {
+    partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  return partFormatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    getPartFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Maps what a user typed ("Asia/Tokyo", "america/new_york", "UTC+8", "GMT-5") to an IANA
+ * time zone, or null. Offsets become fixed Etc/GMT zones, so they must be whole hours.
+ */
+export function resolveTimeZone(text) {
+  const typed = text?.trim().replace(/\s+/g, '_');
+  if (!typed) return null;
+
+  let timeZone = typed;
+  const offset = typed.match(/^(?:utc|gmt)?([+-])(\d{1,2})(?::?00)?$/i);
+  if (offset) {
+    const hours = Number(offset[2]);
+    // Etc/GMT signs are inverted: Etc/GMT-8 is eight hours ahead of UTC
+    timeZone = hours === 0 ? 'UTC' : `Etc/GMT${offset[1] === '+' ? '-' : '+'}${hours}`;
+  } else if (/^(utc|gmt|z)$/i.test(typed)) {
+    timeZone = 'UTC';
+  }
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What a clock in the zone reads at the instant
+ *
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ *   month is 1-12
+ */
+export function getZonedParts(timeZone, instant = Date.now()) {
+  const parts = {};
+  for (const { type, value } of getPartFormatter(timeZone).formatToParts(instant)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+/** How far the zone's clock runs ahead of UTC at the instant (ms, negative west of Greenwich) */
+export function getTimeZoneOffset(timeZone, instant = Date.now()) {
+  const { year, month, day, hour, minute, second } = getZonedParts(timeZone, instant);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * The instant a clock in the zone reads the given wall time. A time that does not exist
+ * (skipped by a daylight saving change) comes out an hour off rather than failing.
+ */
+export function zonedTimeToInstant(timeZone, { year, month, day, hour = 0, minute = 0, second = 0 }) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = wall - getTimeZoneOffset(timeZone, wall);
+  // The offset at the guess can differ from the one at `wall` across a DST change
+  return wall - getTimeZoneOffset(timeZone, guess);
+}
+
+/** The next instant after `now` at which the zone's clock reads hours:minutes */
+export function nextTimeOfDay(timeZone, hours, minutes, now = Date.now()) {
+  const today = getZonedParts(timeZone, now);
+  for (let days = 0; ; days++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + days));
+    const instant = zonedTimeToInstant(timeZone, {
+      year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour: hours, minute: minutes,
+    });
+    if (instant > now) return instant;
+  }
+}
+
+/** The hour (0-23) a clock in the zone reads at the instant */
+export function getZonedHour(timeZone, instant = Date.now()) {
+  return getZonedParts(timeZone, instant).hour;
+}
+
+/**
+ * Date and time in the zone, with its abbreviation, e.g. "Oct 19, 2:05 PM GMT+8"
+ * ("Oct 19, 2026, 2:05:30 PM GMT+8" with `year` and `seconds`)
+ *
+ * @param {{ seconds?: boolean, year?: boolean }} [options]
+ */
+export function formatDateTime(instant, timeZone, { seconds = false, year = false } = {}) {
+  return new Date(instant).toLocaleString(DISPLAY_LOCALE, {
+    timeZone, hour: 'numeric', minute: 'numeric', hour12: true, day: '2-digit', month: 'short', timeZoneName: 'short',
+    ...(seconds && { second: 'numeric' }),
+    ...(year && { year: 'numeric' }),
+  });
+}
+
+/** Time of day in the zone, e.g. "5:00 AM" */
+export function formatTimeOfDay(instant, timeZone) {
+  return new Date(instant).toLocaleTimeString(DISPLAY_LOCALE, { timeZone, hour: 'numeric', minute: '2-digit', hour12: true });
+}
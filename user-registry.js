@@ -0,0 +1,171 @@
+import axios from 'axios';
+import logger from './logger.js';
+import storage from './storage.js';
+
+/**
+ * --- CONFIGURATION ---
+ * Profiles (name, locale) come from the Graph API once and are refreshed rarely;
+ * a failed lookup is not retried until `profileRetryDelay` has passed.
+ */
+const CONFIG = {
+  graphUrl: 'https://graph.facebook.com/v19.0',
+  timeout: 5000,
+  profileTtl: 30 * 24 * 60 * 60 * 1000,
+  profileRetryDelay: 60 * 60 * 1000,
+  defaultName: 'Friend',
+};
+
+/**
+ * @typedef {object} UserRecord
+ * @property {number} firstSeen
+ * @property {number} lastSeen
+ * @property {string|null} firstName
+ * @property {string|null} lastName
+ * @property {string|null} locale - e.g. en_US, as reported by Messenger
+ * @property {number|null} profileFetchedAt - Last successful profile lookup
+ * @property {number|null} profileFailedAt - Last failed profile lookup
+ * @property {number|null} onboardedAt - When the welcome flow was shown
+ * @property {Record<string, any>} preferences
+ */
+
+const users = storage.map('users'); // userId -> UserRecord
+const profileRequests = new Map(); // userId -> in-flight profile lookup
+
+const newRecord = (timestamp) => ({
+  firstSeen: timestamp,
+  lastSeen: timestamp,
+  firstName: null,
+  lastName: null,
+  locale: null,
+  profileFetchedAt: null,
+  profileFailedAt: null,
+  onboardedAt: null,
+  preferences: {},
+});
+
+function update(userId, changes) {
+  const record = { ...(users.get(userId) || newRecord(Date.now())), ...changes };
+  users.set(userId, record);
+  return record;
+}
+
+/**
+ * Everyone who has ever messaged the bot, with what we know about them
+ */
+const userRegistry = {
+  /**
+   * Records that the user sent us something. Returns whether this was their first contact.
+   */
+  touch(userId, timestamp = Date.now()) {
+    const existing = users.get(userId);
+    if (!existing) {
+      users.set(userId, newRecord(timestamp));
+      logger.info(`🌱 New user ${userId}`);
+      return { isNew: true };
+    }
+    if (timestamp > existing.lastSeen) users.set(userId, { ...existing, lastSeen: timestamp });
+    return { isNew: false };
+  },
+
+  /**
+   * Adds users known from elsewhere (e.g. the messaging window) as already onboarded.
+   * Returns how many were added.
+   *
+   * @param {Map<string, number>} lastSeenByUser
+   */
+  importKnownUsers(lastSeenByUser) {
+    let added = 0;
+    for (const [userId, lastSeen] of lastSeenByUser) {
+      if (users.has(userId)) continue;
+      users.set(userId, { ...newRecord(lastSeen), onboardedAt: lastSeen });
+      added++;
+    }
+    return added;
+  },
+
+  get: (userId) => users.get(userId) ?? null,
+
+  has: (userId) => users.has(userId),
+
+  /** Every known user ID */
+  getUserIds: () => [...users.keys()],
+
+  /**
+   * Name and locale, fetched from the Graph API only when we have none (or they are old)
+   *
+   * @returns {Promise<{ firstName: string, lastName: string|null, locale: string|null }>}
+   */
+  async getProfile(userId, accessToken, now = Date.now()) {
+    const record = users.get(userId);
+    const fresh = record?.profileFetchedAt && now - record.profileFetchedAt < CONFIG.profileTtl;
+    const recentlyFailed = record?.profileFailedAt && now - record.profileFailedAt < CONFIG.profileRetryDelay;
+
+    if (!fresh && !recentlyFailed && accessToken) {
+      if (!profileRequests.has(userId)) {
+        profileRequests.set(userId, axios.get(`${CONFIG.graphUrl}/${userId}`, {
+          params: { fields: 'first_name,last_name,locale', access_token: accessToken },
+          timeout: CONFIG.timeout,
+        }).then(({ data }) => {
+          update(userId, {
+            firstName: data.first_name || null,
+            lastName: data.last_name || null,
+            locale: data.locale || null,
+            profileFetchedAt: Date.now(),
+            profileFailedAt: null,
+          });
+        }).catch(error => {
+          logger.debug(`Could not fetch profile for ${userId}:`, error.message);
+          update(userId, { profileFailedAt: Date.now() });
+        }).finally(() => profileRequests.delete(userId)));
+      }
+      await profileRequests.get(userId);
+    }
+
+    const current = users.get(userId);
+    return {
+      firstName: current?.firstName || CONFIG.defaultName,
+      lastName: current?.lastName ?? null,
+      locale: current?.locale ?? null,
+    };
+  },
+
+  async getFirstName(userId, accessToken) {
+    return (await userRegistry.getProfile(userId, accessToken)).firstName;
+  },
+
+  /** Whether the user has been shown the welcome flow */
+  isOnboarded: (userId) => Boolean(users.get(userId)?.onboardedAt),
+
+  markOnboarded(userId, timestamp = Date.now()) {
+    update(userId, { onboardedAt: timestamp });
+  },
+
+  getPreference(userId, key, fallback = null) {
+    return users.get(userId)?.preferences?.[key] ?? fallback;
+  },
+
+  /** Sets one preference; `null` removes it */
+  setPreference(userId, key, value) {
+    const preferences = { ...users.get(userId)?.preferences };
+    if (value === null || value === undefined) delete preferences[key];
+    else preferences[key] = value;
+    update(userId, { preferences });
+  },
+
+  /** Counts for health checks and admin stats */
+  getStats(now = Date.now()) {
+    const day = 24 * 60 * 60 * 1000;
+    const records = [...users.values()];
+    return {
+      knownUsers: records.length,
+      activeToday: records.filter(record => now - record.lastSeen < day).length,
+      newToday: records.filter(record => now - record.firstSeen < day).length,
+    };
+  },
+
+  /** Configuration methods */
+  setConfig: (newConfig) => Object.assign(CONFIG, newConfig),
+  getConfig: () => ({ ...CONFIG }),
+};
+
+export default userRegistry;
@@ -0,0 +1,66 @@
+import logger from './logger.js';
+
+/**
+ * Messenger webhook event types, keyed by the field that carries each one's data.
+ * Echoes are messages the page itself sent and arrive under `message` with is_echo set.
+ */
+const EVENT_FIELDS = {
+  message: 'message',
+  echo: 'message',
+  postback: 'postback',
+  referral: 'referral',
+  optin: 'optin',
+  read: 'read',
+  delivery: 'delivery',
+  reaction: 'reaction',
+};
+
+/** Every event type the router knows about */
+export const EVENT_TYPES = Object.keys(EVENT_FIELDS);
+
+/**
+ * Works out which kind of messaging event this is, or 'unknown'
+ */
+export function getEventType(event) {
+  if (event.message) return event.message.is_echo ? 'echo' : 'message';
+  return EVENT_TYPES.find(type => type !== 'message' && type !== 'echo' && event[EVENT_FIELDS[type]]) || 'unknown';
+}
+
+/**
+ * Creates a router that hands each webhook messaging event to the handler for its type.
+ * Handlers are called as handler(senderId, data, event), where data is the type's own
+ * field (e.g. event.postback). A failing handler is logged and never affects the others.
+ */
+export function createEventRouter() {
+  const handlers = new Map();
+  const counts = Object.fromEntries([...EVENT_TYPES, 'unknown'].map(type => [type, 0]));
+
+  return {
+    /** Registers the handler for one event type (replacing any previous one) */
+    on(type, handler) {
+      if (!EVENT_FIELDS[type]) throw new Error(`Unknown webhook event type '${type}'`);
+      handlers.set(type, handler);
+    },
+
+    /** Routes one event; resolves to the type it was routed as */
+    async dispatch(event) {
+      const type = getEventType(event);
+      counts[type]++;
+
+      const handler = handlers.get(type);
+      if (!handler) {
+        logger.debug(`📨 No handler for '${type}' webhook event`);
+        return type;
+      }
+
+      try {
+        await handler(event.sender.id, event[EVENT_FIELDS[type]], event);
+      } catch (error) {
+        logger.error(`❌ Error handling '${type}' webhook event from ${event.sender.id}:`, error);
+      }
+      return type;
+    },
+
+    getStats: () => ({ ...counts }),
+  };
+}
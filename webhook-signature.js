@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+
+const SIGNATURE_HEADER = 'x-hub-signature-256';
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * bodyParser `verify` hook that keeps the exact bytes Facebook signed
+ */
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Expected X-Hub-Signature-256 value for a payload
+ */
+export function signPayload(rawBody, appSecret) {
+  return SIGNATURE_PREFIX + crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+}
+
+/**
+ * Checks a signature header against the raw body in constant time
+ */
+export function isValidSignature(rawBody, signature, appSecret) {
+  if (!rawBody || typeof signature !== 'string' || !signature.startsWith(SIGNATURE_PREFIX)) return false;
+  const expected = Buffer.from(signPayload(rawBody, appSecret));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Express middleware that rejects webhook calls not signed with the app secret
+ */
+export function requireSignature(appSecret) {
+  return (req, res, next) => {
+    const signature = req.get(SIGNATURE_HEADER);
+    if (isValidSignature(req.rawBody, signature, appSecret)) return next();
+
+    logger.warn(`🔏 Rejected webhook call from ${req.ip}: ${signature ? 'signature mismatch' : 'missing signature'}`);
+    res.sendStatus(403);
+  };
+}